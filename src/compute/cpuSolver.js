@@ -0,0 +1,1101 @@
+/**
+ * @fileoverview Headless CPU reference solver for the Verlet cloth simulation
+ * @module compute/cpuSolver
+ *
+ * This module re-implements the two GPU compute shaders from compute/shaders.js
+ * in plain JavaScript so the simulation can run without WebGPU (in Node, in CI,
+ * or as a fallback backend in browsers without WebGPU support).
+ *
+ * The solver consumes the same verletVertices/verletSprings arrays produced by
+ * setupVerletGeometry and the same uniform objects returned by setupUniforms,
+ * and performs the same operations in the same order as the shaders:
+ * 1. Spring pass - mirrors computeSpringForces (Hooke's law in newtons,
+ *    spring damping, tearing with its tear events, damage and plasticity,
+ *    and bending springs breaking with their structural neighbors)
+ * 2. Vertex pass - mirrors computeVertexForces (accumulation, conversion to
+ *    a step through the vertex mass, gravity, wind,
+ *    collision with the collider list, the SDF shape and the ground, Verlet
+ *    integration)
+ *    With the XPBD integrator, 1 and 2 are replaced by the XPBD passes
+ *    (predict, constraint batches, finalize)
+ * 3. Self-collision pass (while enabled) - mirrors the spatial hash build,
+ *    repulsion and apply passes
+ *
+ * State is stored in Float32Array/Uint32Array buffers with the same layout as
+ * the GPU buffers, so results match the GPU to float32 precision. Like the
+ * GPU buffers, the vertex arrays have room for the vertex copies made when
+ * the cloth tears apart (see verlet/fracture and updateTopology) and the
+ * spring arrays for the stitch springs of stitch mode (see mendSprings).
+ */
+
+import {
+  WIND_CONFIG,
+  WIND_NOISE_MEAN,
+  WIND_NOISE_GAIN,
+  WIND_NOISE_OFFSETS,
+  SELF_COLLISION_CONFIG,
+  SPATIAL_HASH_PRIMES,
+  STEPS_PER_SECOND,
+  GRAVITY,
+} from "../config/constants.js";
+import { SPRING_TYPE, getVertexCapacity, getBaseSpringCount, getSpringCapacity } from "../verlet/geometry.js";
+import { collidePoint } from "../simulation/colliders.js";
+import { getActiveSDF, collideSDF } from "../simulation/sdf.js";
+import { getWorldLimits, collideWorld } from "../simulation/world.js";
+import {
+  INTEGRATORS,
+  buildConstraintBatches,
+  writeStitchBatches,
+  writeConstraintStencils,
+  getConstraintCompliance,
+  UNUSED_CONSTRAINT,
+} from "../verlet/constraints.js";
+
+/**
+ * Reads the current value of a uniform node, or a plain number
+ * @param {Object|number} uniformOrValue - TSL uniform node or raw value
+ * @returns {*} The uniform value
+ */
+function readUniform(uniformOrValue) {
+  return uniformOrValue !== null && typeof uniformOrValue === "object" && "value" in uniformOrValue
+    ? uniformOrValue.value
+    : uniformOrValue;
+}
+
+/**
+ * Triangle wave used by triNoise3D
+ * @param {number} x - Input value
+ * @returns {number} |fract(x) - 0.5|
+ */
+function tri(x) {
+  return Math.abs(x - Math.floor(x) - 0.5);
+}
+
+/**
+ * JavaScript port of the TSL triNoise3D function
+ *
+ * @param {number} px - X position
+ * @param {number} py - Y position
+ * @param {number} pz - Z position
+ * @param {number} speed - Noise evolution speed
+ * @param {number} time - Time value
+ * @returns {number} Noise value, roughly in [0, 0.57]
+ */
+export function triNoise3D(px, py, pz, speed, time) {
+  let z = 1.4;
+  let rz = 0.0;
+  let bx = px;
+  let by = py;
+  let bz = pz;
+
+  for (let k = 0; k <= 3; k++) {
+    // tri3(bp * 2)
+    const dgx = tri(bz * 2 + tri(by * 2));
+    const dgy = tri(bz * 2 + tri(bx * 2));
+    const dgz = tri(by * 2 + tri(bx * 2));
+    const shift = time * 0.1 * speed;
+    px = (px + dgx + shift) * 1.2;
+    py = (py + dgy + shift) * 1.2;
+    pz = (pz + dgz + shift) * 1.2;
+    bx *= 1.8;
+    by *= 1.8;
+    bz *= 1.8;
+    z *= 1.5;
+
+    rz += tri(pz + tri(px + tri(py))) / z;
+    bx += 0.14;
+    by += 0.14;
+    bz += 0.14;
+  }
+
+  return rz;
+}
+
+/**
+ * Spatial hash bucket of a grid cell (mirrors hashGridCell in compute/shaders)
+ *
+ * @param {number} cx - Cell X coordinate
+ * @param {number} cy - Cell Y coordinate
+ * @param {number} cz - Cell Z coordinate
+ * @returns {number} Bucket in [0, SELF_COLLISION_CONFIG.hashSize)
+ */
+function hashGridCell(cx, cy, cz) {
+  const [p0, p1, p2] = SPATIAL_HASH_PRIMES;
+  const hash = Math.imul(cx, p0) ^ Math.imul(cy, p1) ^ Math.imul(cz, p2);
+  return (hash & (SELF_COLLISION_CONFIG.hashSize - 1)) >>> 0;
+}
+
+/**
+ * Creates a CPU solver for the given Verlet geometry
+ *
+ * The returned solver keeps its own copy of the simulation state. Uniforms
+ * are read on every step, so changes made through the UI (or directly on the
+ * uniform objects) take effect immediately, exactly as with the GPU shaders.
+ *
+ * @param {Object} options - Solver options
+ * @param {Array<Object>} options.vertices - Verlet vertices (from setupVerletGeometry)
+ * @param {Array<Object>} options.springs - Verlet springs (from setupVerletGeometry)
+ * @param {Object} options.uniforms - Uniforms object (from setupUniforms)
+ * @param {Object} [options.colliders] - Collider manager (from createColliderManager);
+ *   without one the cloth collides with nothing
+ * @param {string} [options.integrator=INTEGRATORS.MASS_SPRING] - One of INTEGRATORS
+ * @returns {Object} Solver with step(), getPositions(), getForces(),
+ *   getSpringStiffness(), getSpringRestLengths(), getVertexBroken(), getPinFlags(), setVertexFixed(),
+ *   cutSprings(), mendSprings(), updateMaterials(), updateTopology(), takeTearEvents(), loadState(), reset()
+ *   and getTimings() methods, and the number of vertices and springs in use
+ *   (vertexCount, springCount)
+ */
+export function createCpuSolver({
+  vertices,
+  springs,
+  uniforms,
+  colliders = null,
+  integrator = INTEGRATORS.MASS_SPRING,
+}) {
+  const vertexCapacity = Math.max(getVertexCapacity(), vertices.length);
+  const baseSpringCount = getBaseSpringCount();
+  const springCapacity = Math.max(getSpringCapacity(), springs.length);
+  let vertexCount = vertices.length;
+
+  const positions = new Float32Array(vertexCapacity * 3);
+  const forces = new Float32Array(vertexCapacity * 3);
+  const vertexBroken = new Uint32Array(vertexCapacity);
+  const vertexParams = new Uint32Array(vertexCapacity * 3);
+  const vertexMasses = new Float32Array(vertexCapacity * 2);
+
+  const springVertexIds = new Uint32Array(springCapacity * 2);
+  const springRestLengths = new Float32Array(springCapacity);
+  const springStiffness = new Float32Array(springCapacity);
+  const springMaterials = new Float32Array(springCapacity * 4);
+  const springTypes = new Uint32Array(springCapacity);
+  const springNeighbors = new Uint32Array(springCapacity * 2);
+  const springForces = new Float32Array(springCapacity * 3);
+  const springList = new Uint32Array(springCapacity * 2);
+
+  const { hashSize, bucketCapacity } = SELF_COLLISION_CONFIG;
+  const hashCounts = new Uint32Array(hashSize);
+  const hashEntries = new Uint32Array(hashSize * bucketCapacity);
+  const corrections = new Float32Array(vertexCapacity * 3);
+
+  // XPBD state: positions at the start of the step, constraint batches,
+  // multipliers (then those of the thickness constraints) and stencils
+  const previousPositions = new Float32Array(vertexCapacity * 3);
+  const {
+    order: constraintOrder,
+    batches: constraintBatches,
+    stitchBatches,
+  } = buildConstraintBatches(springs, vertexCapacity, springCapacity - baseSpringCount);
+  const lambdas = new Float32Array(springCapacity * 2);
+  const stencilIds = new Uint32Array(springCapacity * 2);
+  const stencilShapes = new Float32Array(springCapacity * 4);
+
+  // Time spent stepping, in milliseconds, and steps taken since the solver
+  // was created
+  const timings = { total: 0, selfCollision: 0, steps: 0 };
+
+  // Tears since the last takeTearEvents call (see simulation/tearEvents)
+  let tearEvents = [];
+
+  for (let i = 0; i < springs.length; i++) {
+    const spring = springs[i];
+    const neighbors = spring.neighbors || spring.base;
+    springTypes[i] = spring.type;
+    springNeighbors[i * 2] = neighbors ? neighbors[0].id : i;
+    springNeighbors[i * 2 + 1] = neighbors ? neighbors[1].id : i;
+  }
+
+  /**
+   * Reads the vertex masses from the vertices (vertex slots beyond those in
+   * use get no mass)
+   */
+  function updateVertexMasses() {
+    for (let i = 0; i < vertexCapacity; i++) {
+      vertexMasses[i * 2] = i < vertexCount ? vertices[i].mass : 0;
+      vertexMasses[i * 2 + 1] = i < vertexCount ? vertices[i].area : 0;
+    }
+  }
+
+  /**
+   * Reads the spring list, the vertices of every spring and constraint
+   * stencil, the vertex masses and the type, material and constraint batch
+   * of every stitch spring from the current topology (mirrors writeTopology
+   * in verlet/buffers)
+   */
+  function writeTopology() {
+    vertexCount = vertices.length;
+    let pointer = 0;
+    for (let i = 0; i < vertexCapacity; i++) {
+      const vertex = i < vertexCount ? vertices[i] : null;
+      vertexParams[i * 3 + 1] = vertex ? vertex.springIds.length : 0;
+      vertexParams[i * 3 + 2] = pointer;
+      if (!vertex) continue;
+      for (const { id } of vertex.springIds) springList[pointer++] = id;
+    }
+    for (let i = 0; i < springs.length; i++) {
+      springVertexIds[i * 2] = springs[i].vertex0.id;
+      springVertexIds[i * 2 + 1] = springs[i].vertex1.id;
+    }
+    writeConstraintStencils(springs, stencilIds, stencilShapes);
+    updateVertexMasses();
+
+    const stitches = springs.slice(baseSpringCount);
+    for (const spring of stitches) {
+      springTypes[spring.id] = spring.type;
+      springNeighbors[spring.id * 2] = spring.id;
+      springNeighbors[spring.id * 2 + 1] = spring.id;
+      springMaterials[spring.id * 4] = spring.damping;
+      springMaterials[spring.id * 4 + 1] = spring.tearThreshold;
+      springMaterials[spring.id * 4 + 2] = spring.stiffness;
+      springMaterials[spring.id * 4 + 3] = spring.restLength;
+    }
+    if (stitches.length > 0) writeStitchBatches(constraintOrder, stitchBatches, stitches);
+  }
+
+  writeTopology();
+
+  /**
+   * Reads the vertex masses and spring materials from the vertices and
+   * springs (mirrors updateMaterialBuffers and computeStiffnessRescale);
+   * torn springs stay torn and damaged springs stay damaged
+   */
+  function updateMaterials() {
+    updateVertexMasses();
+    for (let i = 0; i < springs.length; i++) {
+      const spring = springs[i];
+      const previousStiffness = springMaterials[i * 4 + 2];
+      springStiffness[i] = previousStiffness > 0 ? springStiffness[i] * (spring.stiffness / previousStiffness) : 0;
+      springMaterials[i * 4] = spring.damping;
+      springMaterials[i * 4 + 1] = spring.tearThreshold;
+      springMaterials[i * 4 + 2] = spring.stiffness;
+      springMaterials[i * 4 + 3] = spring.restLength;
+    }
+  }
+
+  updateMaterials();
+
+  /**
+   * Restores positions, forces, stiffness, rest lengths, broken and pin flags
+   * to the initial state and drops the tear events not taken yet (mirrors
+   * resetSimulationBuffers); the vertex splits and stitches
+   * must have been undone first (see resetFracture in verlet/fracture)
+   */
+  function reset() {
+    writeTopology();
+    for (let i = 0; i < vertexCount; i++) {
+      const vertex = vertices[i];
+      positions[i * 3] = vertex.position.x;
+      positions[i * 3 + 1] = vertex.position.y;
+      positions[i * 3 + 2] = vertex.position.z;
+      vertexParams[i * 3] = vertex.isFixed ? 1 : 0;
+    }
+    forces.fill(0);
+    vertexBroken.fill(0);
+    springForces.fill(0);
+    tearEvents = [];
+
+    for (let i = 0; i < springCapacity; i++) {
+      springStiffness[i] = i < springs.length ? springs[i].stiffness : 0;
+      springRestLengths[i] = i < springs.length ? springs[i].restLength : 0;
+    }
+  }
+
+  /**
+   * Reads the tearing, damage and plasticity uniforms for one step
+   * @returns {Object} Plain values
+   */
+  function readTearInputs() {
+    return {
+      tearing: readUniform(uniforms.tearing),
+      thresholdScale: readUniform(uniforms.tearThresholdScale),
+      damageOnset: readUniform(uniforms.damageOnset),
+      residualStiffness: readUniform(uniforms.residualStiffness),
+      yieldPoint: readUniform(uniforms.yieldPoint),
+      plasticity: readUniform(uniforms.plasticity),
+      time: readUniform(uniforms.time),
+    };
+  }
+
+  /**
+   * Records the tear of a spring (mirrors appendTearEvent in compute/shaders)
+   * @param {number} i - Spring ID
+   * @param {number} dist - Length of the spring when it tore
+   * @param {Object} tear - Values from readTearInputs
+   */
+  function addTearEvent(i, dist, tear) {
+    const id0 = springVertexIds[i * 2];
+    const id1 = springVertexIds[i * 2 + 1];
+    tearEvents.push({
+      springId: i,
+      vertexIds: [id0, id1],
+      position: [0, 1, 2].map((k) => (positions[id0 * 3 + k] + positions[id1 * 3 + k]) / 2),
+      time: tear.time,
+      stretch: dist / springMaterials[i * 4 + 3],
+    });
+  }
+
+  /**
+   * How far a spring is stretched, as a fraction of its stretch allowance
+   * (mirrors getStretchFraction in compute/shaders)
+   * @param {number} i - Spring ID
+   * @param {number} dist - Current length of the spring
+   * @param {Object} tear - Values from readTearInputs
+   * @returns {number} 0 at the original rest length, 1 at the tear threshold
+   */
+  function getStretchFraction(i, dist, tear) {
+    const allowance = Math.max((springMaterials[i * 4 + 1] - 1) * tear.thresholdScale, 0.000001);
+    return (dist / springMaterials[i * 4 + 3] - 1) / allowance;
+  }
+
+  /**
+   * Tears, weakens or permanently lengthens an intact structural or
+   * Z-spring (mirrors damageSpring in compute/shaders)
+   * @param {number} i - Spring ID
+   * @param {number} dist - Current length of the spring
+   * @param {Object} tear - Values from readTearInputs
+   */
+  function damageSpring(i, dist, tear) {
+    const stretch = getStretchFraction(i, dist, tear);
+    if (tear.tearing > 0 && stretch > 1) {
+      springStiffness[i] = 0;
+      vertexBroken[springVertexIds[i * 2]] = 1;
+      vertexBroken[springVertexIds[i * 2 + 1]] = 1;
+      addTearEvent(i, dist, tear);
+      return;
+    }
+
+    const damage = Math.min(Math.max((stretch - tear.damageOnset) / Math.max(1 - tear.damageOnset, 0.000001), 0), 1);
+    const damagedStiffness = springMaterials[i * 4 + 2] * (1 + (tear.residualStiffness - 1) * damage);
+    springStiffness[i] = Math.min(springStiffness[i], damagedStiffness);
+
+    const originalLength = springMaterials[i * 4 + 3];
+    const yieldLength = originalLength * (1 + (springMaterials[i * 4 + 1] - 1) * tear.thresholdScale * tear.yieldPoint);
+    const plasticLength = originalLength + Math.max(dist - yieldLength, 0) * tear.plasticity;
+    springRestLengths[i] = Math.max(springRestLengths[i], plasticLength);
+  }
+
+  /**
+   * CPU version of computeSpringForces
+   */
+  function computeSpringForces() {
+    const zSpringStiffness = readUniform(uniforms.zSpringStiffness);
+    const inPlaneStiffness = readUniform(uniforms.inPlaneStiffness);
+    const bendingStiffness = readUniform(uniforms.bendingStiffness);
+    const tear = readTearInputs();
+
+    for (let i = 0; i < springs.length; i++) {
+      const id0 = springVertexIds[i * 2];
+      const id1 = springVertexIds[i * 2 + 1];
+
+      const springType = springTypes[i];
+      const isBendingSpring = springType === SPRING_TYPE.BENDING;
+
+      const dx = positions[id1 * 3] - positions[id0 * 3];
+      const dy = positions[id1 * 3 + 1] - positions[id0 * 3 + 1];
+      const dz = positions[id1 * 3 + 2] - positions[id0 * 3 + 2];
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), 0.000001);
+
+      // In-plane and Z-springs tear, weaken and lengthen when overstretched
+      if (!isBendingSpring && springStiffness[i] !== 0) {
+        damageSpring(i, dist, tear);
+      }
+
+      // Bending springs break when a structural spring they span has broken
+      if (
+        isBendingSpring &&
+        (springStiffness[springNeighbors[i * 2]] === 0 ||
+          springStiffness[springNeighbors[i * 2 + 1]] === 0)
+      ) {
+        springStiffness[i] = 0;
+      }
+
+      const stiffnessMultiplier =
+        springType === SPRING_TYPE.Z_SPRING ? zSpringStiffness
+          : isBendingSpring ? bendingStiffness
+            : inPlaneStiffness;
+      const stiffness = springStiffness[i] * stiffnessMultiplier;
+      const restLength = springRestLengths[i];
+
+      // Damping: the spring resists the rate at which it stretches, taken
+      // from the previous steps of its vertices (torn springs are not damped)
+      const damping = springStiffness[i] === 0 ? 0 : springMaterials[i * 4];
+      const stretchStep =
+        ((forces[id1 * 3] - forces[id0 * 3]) * dx +
+          (forces[id1 * 3 + 1] - forces[id0 * 3 + 1]) * dy +
+          (forces[id1 * 3 + 2] - forces[id0 * 3 + 2]) * dz) / dist;
+      const dampingForce = damping * stretchStep * STEPS_PER_SECOND;
+
+      // Hooke's law: F = k * (x - x0) * direction, in newtons
+      const scale = ((dist - restLength) * stiffness + dampingForce) / dist;
+      springForces[i * 3] = dx * scale;
+      springForces[i * 3 + 1] = dy * scale;
+      springForces[i * 3 + 2] = dz * scale;
+    }
+  }
+
+  // Scratch vectors of the vertex passes
+  const point = [0, 0, 0];
+  const position = [0, 0, 0];
+  const velocity = [0, 0, 0];
+  const bounce = [0, 0, 0];
+  const contact = { position, velocity, bounce };
+  const displacement = [0, 0, 0];
+  const vertexForce = [0, 0, 0];
+
+  const timeStepSquared = 1 / (STEPS_PER_SECOND * STEPS_PER_SECOND);
+
+  /**
+   * Reads the inputs of a step shared by the vertex pass and the XPBD passes
+   * @returns {Object} Uniform values, packed colliders, active SDF and world limits
+   */
+  function readStepInputs() {
+    const windDirection = readUniform(uniforms.windDirection);
+    const windDirLength = Math.max(Math.sqrt(
+      windDirection.x * windDirection.x +
+      windDirection.y * windDirection.y +
+      windDirection.z * windDirection.z
+    ), 0.000001);
+    const { data: colliderData, count: colliderCount } = colliders
+      ? colliders.getPacked()
+      : { data: null, count: 0 };
+
+    return {
+      dampening: readUniform(uniforms.dampening),
+      colliderData,
+      colliderCount,
+      sdf: readUniform(uniforms.sdf) > 0 ? getActiveSDF() : null,
+      sdfThickness: readUniform(uniforms.sdfThickness),
+      sdfFriction: readUniform(uniforms.sdfFriction),
+      worldLimits: getWorldLimits({
+        ground: readUniform(uniforms.ground),
+        groundHeight: readUniform(uniforms.groundHeight),
+        worldBounds: readUniform(uniforms.worldBounds),
+        worldBoundsMin: readUniform(uniforms.worldBoundsMin),
+        worldBoundsMax: readUniform(uniforms.worldBoundsMax),
+      }),
+      groundFriction: readUniform(uniforms.groundFriction),
+      wind: readUniform(uniforms.wind),
+      windDirX: windDirection.x / windDirLength,
+      windDirY: windDirection.y / windDirLength,
+      windDirZ: windDirection.z / windDirLength,
+      gustFrequency: readUniform(uniforms.windGustFrequency),
+      turbulenceScale: readUniform(uniforms.windTurbulenceScale),
+      time: readUniform(uniforms.time),
+      drag: readUniform(uniforms.drag),
+      dragVertexIndex: readUniform(uniforms.dragVertexIndex),
+      dragTarget: readUniform(uniforms.dragTarget),
+      gravity: GRAVITY * timeStepSquared,
+    };
+  }
+
+  /**
+   * Snaps the dragged vertex to the drag target, storing the displacement as
+   * its velocity
+   * @param {Object} inputs - From readStepInputs
+   * @param {number} i - Vertex ID
+   * @returns {boolean} Whether the vertex is the dragged one
+   */
+  function snapToDragTarget(inputs, i) {
+    const { drag, dragVertexIndex, dragTarget } = inputs;
+    if (!(drag > 0 && i === dragVertexIndex)) return false;
+    forces[i * 3] = dragTarget.x - positions[i * 3];
+    forces[i * 3 + 1] = dragTarget.y - positions[i * 3 + 1];
+    forces[i * 3 + 2] = dragTarget.z - positions[i * 3 + 2];
+    positions[i * 3] = dragTarget.x;
+    positions[i * 3 + 1] = dragTarget.y;
+    positions[i * 3 + 2] = dragTarget.z;
+    return true;
+  }
+
+  /**
+   * Adds gravity, wind and the given force to the step of a vertex (mirrors
+   * getWindForce in compute/shaders)
+   * @param {Object} inputs - From readStepInputs
+   * @param {number} i - Vertex ID
+   * @param {Array<number>} vertexStep - The step, updated in place
+   * @param {Array<number>} force - Force on the vertex (N), wind is added to it
+   */
+  function addExternalForces(inputs, i, vertexStep, force) {
+    const px = positions[i * 3];
+    const py = positions[i * 3 + 1];
+    const pz = positions[i * 3 + 2];
+    const numSprings = vertexParams[i * 3 + 1];
+    const springPointer = vertexParams[i * 3 + 2];
+
+    // Local cloth normal from the Z-springs
+    let nx = 0;
+    let ny = 0;
+    let nz = 0;
+    for (let p = springPointer; p < springPointer + numSprings; p++) {
+      const springId = springList[p];
+      if (springTypes[springId] === SPRING_TYPE.Z_SPRING) {
+        const isVertex0 = springVertexIds[springId * 2] === i;
+        const otherId = springVertexIds[springId * 2 + (isVertex0 ? 1 : 0)];
+        nx += px - positions[otherId * 3];
+        ny += py - positions[otherId * 3 + 1];
+        nz += pz - positions[otherId * 3 + 2];
+      }
+    }
+
+    // Wind pressure: gusts along the prevailing direction plus 3D turbulence
+    const { turbulenceScale, gustFrequency, time } = inputs;
+    const sx = px * turbulenceScale;
+    const sy = py * turbulenceScale;
+    const sz = pz * turbulenceScale;
+    const sampleNoise = ([ox, oy, oz]) =>
+      (triNoise3D(sx + ox, sy + oy, sz + oz, gustFrequency, time) - WIND_NOISE_MEAN) *
+      WIND_NOISE_GAIN;
+    const gust = sampleNoise([0, 0, 0]) + 1.0;
+    const windScale = inputs.wind * WIND_CONFIG.pressure;
+    let wx = (inputs.windDirX * gust + sampleNoise(WIND_NOISE_OFFSETS[0])) * windScale;
+    let wy = (inputs.windDirY * gust + sampleNoise(WIND_NOISE_OFFSETS[1])) * windScale;
+    let wz = (inputs.windDirZ * gust + sampleNoise(WIND_NOISE_OFFSETS[2])) * windScale;
+
+    // Project onto the cloth normal when one is available
+    const normalLength = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (normalLength > 0.000001) {
+      nx /= normalLength;
+      ny /= normalLength;
+      nz /= normalLength;
+      const dot = nx * wx + ny * wy + nz * wz;
+      wx = nx * dot;
+      wy = ny * dot;
+      wz = nz * dot;
+    }
+
+    // Wind acts on the vertex's area; forces move the vertex by
+    // F * dt² / m this step, gravity by g * dt²
+    const mass = Math.max(vertexMasses[i * 2], 1e-9);
+    const area = vertexMasses[i * 2 + 1];
+    const scale = timeStepSquared / mass;
+    vertexStep[0] += (force[0] + wx * area) * scale;
+    vertexStep[1] += (force[1] + wy * area) * scale - inputs.gravity;
+    vertexStep[2] += (force[2] + wz * area) * scale;
+  }
+
+  /**
+   * Collides one step of a vertex and stores the result as its position and
+   * velocity (mirrors collideStep in compute/shaders)
+   * @param {Object} inputs - From readStepInputs
+   * @param {number} i - Vertex ID
+   * @param {Array<number>} start - Position at the start of the step
+   * @param {Array<number>} vertexStep - The step (Verlet velocity)
+   */
+  function collideAndStore(inputs, i, start, vertexStep) {
+    // Collide the new position with every collider, one after the other,
+    // with each collider's friction and restitution
+    for (let k = 0; k < 3; k++) {
+      point[k] = start[k] + vertexStep[k];
+      position[k] = start[k];
+      velocity[k] = vertexStep[k];
+    }
+    bounce.fill(0);
+    for (let c = 0; c < inputs.colliderCount; c++) {
+      collidePoint(inputs.colliderData, c, point, contact);
+    }
+    if (inputs.sdf) {
+      collideSDF(inputs.sdf, position, point, inputs.sdfThickness, inputs.sdfFriction);
+    }
+    collideWorld(inputs.worldLimits, position, point, inputs.groundFriction);
+
+    // Update the force buffer (the step plus any bounce) and move the
+    // vertex (Verlet integration)
+    for (let k = 0; k < 3; k++) {
+      forces[i * 3 + k] = point[k] - position[k] + bounce[k];
+      positions[i * 3 + k] = point[k];
+    }
+  }
+
+  /**
+   * CPU version of computeVertexForces
+   */
+  function computeVertexForces() {
+    const inputs = readStepInputs();
+    const start = [0, 0, 0];
+
+    for (let i = 0; i < vertexCount; i++) {
+      // A dragged vertex snaps to the drag target
+      if (snapToDragTarget(inputs, i)) continue;
+
+      // Skip force calculation if the vertex is immovable (it has no
+      // velocity, which the damping of its springs relies on)
+      if (vertexParams[i * 3]) {
+        forces.fill(0, i * 3, i * 3 + 3);
+        continue;
+      }
+
+      const numSprings = vertexParams[i * 3 + 1];
+      const springPointer = vertexParams[i * 3 + 2];
+
+      // Apply dampening
+      for (let k = 0; k < 3; k++) {
+        start[k] = positions[i * 3 + k];
+        displacement[k] = forces[i * 3 + k] * inputs.dampening;
+      }
+
+      // Accumulate all spring forces, in newtons
+      vertexForce.fill(0);
+      for (let p = springPointer; p < springPointer + numSprings; p++) {
+        const springId = springList[p];
+        const factor = springVertexIds[springId * 2] === i ? 1.0 : -1.0;
+        vertexForce[0] += springForces[springId * 3] * factor;
+        vertexForce[1] += springForces[springId * 3 + 1] * factor;
+        vertexForce[2] += springForces[springId * 3 + 2] * factor;
+      }
+
+      addExternalForces(inputs, i, displacement, vertexForce);
+      collideAndStore(inputs, i, start, displacement);
+    }
+  }
+
+  /**
+   * CPU version of the XPBD passes (reset, predict, constraint batches,
+   * finalize)
+   */
+  function computeXPBD() {
+    const inputs = readStepInputs();
+    const { drag, dragVertexIndex } = inputs;
+    const iterations = readUniform(uniforms.xpbdIterations);
+    const multipliers = {
+      inPlaneStiffness: readUniform(uniforms.inPlaneStiffness),
+      bendingStiffness: readUniform(uniforms.bendingStiffness),
+      zSpringStiffness: readUniform(uniforms.zSpringStiffness),
+    };
+    const isPinnedOrDragged = (id) => vertexParams[id * 3] === 1 || (drag > 0 && id === dragVertexIndex);
+    const getInverseMass = (id) => (isPinnedOrDragged(id) ? 0 : 1 / Math.max(vertexMasses[id * 2], 1e-9));
+
+    // One XPBD update of a bending or thickness constraint, from its value
+    // and its gradient at each of its four vertices (stencil and gradients,
+    // filled by the caller; mirrors solveStencilConstraint in compute/shaders)
+    const stencil = [0, 0, 0, 0];
+    const gradients = new Float64Array(12);
+    const stencilInverseMasses = [0, 0, 0, 0];
+    const solveStencilConstraint = (constraint, lambdaIndex, compliance, damping) => {
+      let weightSum = 0;
+      let constraintStep = 0;
+      for (let i = 0; i < 4; i++) {
+        const id = stencil[i];
+        stencilInverseMasses[i] = getInverseMass(id);
+        for (let k = 0; k < 3; k++) {
+          const gradient = gradients[i * 3 + k];
+          weightSum += gradient * gradient * stencilInverseMasses[i];
+          constraintStep += gradient * (positions[id * 3 + k] - previousPositions[id * 3 + k]);
+        }
+      }
+      if (!(weightSum > 0)) return;
+
+      const alpha = compliance / timeStepSquared;
+      const gamma = compliance * damping * STEPS_PER_SECOND;
+      const deltaLambda = (-constraint - alpha * lambdas[lambdaIndex] - gamma * constraintStep) /
+        ((1 + gamma) * weightSum + alpha);
+      lambdas[lambdaIndex] += deltaLambda;
+      for (let i = 0; i < 4; i++) {
+        for (let k = 0; k < 3; k++) {
+          positions[stencil[i] * 3 + k] += gradients[i * 3 + k] * stencilInverseMasses[i] * deltaLambda;
+        }
+      }
+    };
+    const weights = [0, 0, 0, 0];
+    const bend = [0, 0, 0];
+    const edgeA = [0, 0, 0];
+    const edgeB = [0, 0, 0];
+    const height = [0, 0, 0];
+
+    // Reset, with damage and plasticity from the lengths the last step solved
+    const tear = readTearInputs();
+    lambdas.fill(0);
+    for (let i = 0; i < springs.length; i++) {
+      if (springTypes[i] === SPRING_TYPE.BENDING || springStiffness[i] === 0) continue;
+      const id0 = springVertexIds[i * 2];
+      const id1 = springVertexIds[i * 2 + 1];
+      const dist = Math.max(Math.hypot(
+        positions[id1 * 3] - positions[id0 * 3],
+        positions[id1 * 3 + 1] - positions[id0 * 3 + 1],
+        positions[id1 * 3 + 2] - positions[id0 * 3 + 2]
+      ), 0.000001);
+      damageSpring(i, dist, tear);
+    }
+
+    // Predict
+    for (let i = 0; i < vertexCount; i++) {
+      for (let k = 0; k < 3; k++) previousPositions[i * 3 + k] = positions[i * 3 + k];
+      if (snapToDragTarget(inputs, i)) continue;
+      if (vertexParams[i * 3]) continue;
+
+      for (let k = 0; k < 3; k++) displacement[k] = forces[i * 3 + k] * inputs.dampening;
+      vertexForce.fill(0);
+      addExternalForces(inputs, i, displacement, vertexForce);
+      for (let k = 0; k < 3; k++) positions[i * 3 + k] += displacement[k];
+    }
+
+    // Constraint batches
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      for (const { offset, count } of constraintBatches) {
+        for (let c = offset; c < offset + count; c++) {
+          const springId = constraintOrder[c];
+          // Unused places in the stitch batches (see writeStitchBatches)
+          if (springId >= springs.length) continue;
+          const springType = springTypes[springId];
+          const isBendingSpring = springType === SPRING_TYPE.BENDING;
+
+          // Torn constraints are skipped; bending constraints tear with the
+          // structural springs they span
+          if (springStiffness[springId] === 0) continue;
+          const isNeighborTorn =
+            springStiffness[springNeighbors[springId * 2]] === 0 ||
+            springStiffness[springNeighbors[springId * 2 + 1]] === 0;
+          if (isBendingSpring && isNeighborTorn) {
+            springStiffness[springId] = 0;
+            continue;
+          }
+
+          const compliance = getConstraintCompliance(springStiffness[springId], springType, multipliers);
+          const damping = springMaterials[springId * 4];
+          const id0 = springVertexIds[springId * 2];
+          const id1 = springVertexIds[springId * 2 + 1];
+          const hasStencil = stencilIds[springId * 2] !== UNUSED_CONSTRAINT;
+          const shape = springId * 4;
+          stencil[0] = id0;
+          stencil[1] = id1;
+          stencil[2] = stencilIds[springId * 2];
+          stencil[3] = stencilIds[springId * 2 + 1];
+
+          // Bending constraint: the bend at the hinge, kept at its rest length
+          if (isBendingSpring) {
+            if (!hasStencil) continue;
+            weights[0] = stencilShapes[shape];
+            weights[1] = stencilShapes[shape + 1];
+            weights[2] = stencilShapes[shape + 2];
+            weights[3] = -(weights[0] + weights[1] + weights[2]);
+            bend.fill(0);
+            for (let i = 0; i < 4; i++) {
+              for (let k = 0; k < 3; k++) bend[k] += positions[stencil[i] * 3 + k] * weights[i];
+            }
+            const bendLength = Math.sqrt(bend[0] * bend[0] + bend[1] * bend[1] + bend[2] * bend[2]);
+            if (bendLength < 0.000001) continue;
+            for (let i = 0; i < 4; i++) {
+              for (let k = 0; k < 3; k++) gradients[i * 3 + k] = (bend[k] / bendLength) * weights[i];
+            }
+            solveStencilConstraint(bendLength - stencilShapes[shape + 3], springId, compliance, damping);
+            continue;
+          }
+
+          const restLength = springRestLengths[springId];
+          const dx = positions[id1 * 3] - positions[id0 * 3];
+          const dy = positions[id1 * 3 + 1] - positions[id0 * 3 + 1];
+          const dz = positions[id1 * 3 + 2] - positions[id0 * 3 + 2];
+          const dist = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), 0.000001);
+
+          // Tearing
+          if (tear.tearing > 0 && getStretchFraction(springId, dist, tear) > 1) {
+            springStiffness[springId] = 0;
+            vertexBroken[id0] = 1;
+            vertexBroken[id1] = 1;
+            addTearEvent(springId, dist, tear);
+            continue;
+          }
+
+          const inverseMass0 = getInverseMass(id0);
+          const inverseMass1 = getInverseMass(id1);
+          const inverseMassSum = inverseMass0 + inverseMass1;
+          if (inverseMassSum === 0) continue;
+
+          const alpha = compliance / timeStepSquared;
+
+          // Damping: gamma = compliance * damping / dt, acting on how fast
+          // the constraint has stretched since the step began
+          const gamma = compliance * damping * STEPS_PER_SECOND;
+          const stepDelta = (k) =>
+            positions[id1 * 3 + k] - previousPositions[id1 * 3 + k] -
+            (positions[id0 * 3 + k] - previousPositions[id0 * 3 + k]);
+          const stretchStep = (stepDelta(0) * dx + stepDelta(1) * dy + stepDelta(2) * dz) / dist;
+
+          // XPBD update:
+          // delta lambda = (-C - alpha * lambda - gamma * stretch) / ((1 + gamma) * (w0 + w1) + alpha)
+          const deltaLambda = (-(dist - restLength) - alpha * lambdas[springId] - gamma * stretchStep) /
+            ((1 + gamma) * inverseMassSum + alpha);
+          lambdas[springId] += deltaLambda;
+
+          const scale = deltaLambda / dist;
+          positions[id0 * 3] -= dx * scale * inverseMass0;
+          positions[id0 * 3 + 1] -= dy * scale * inverseMass0;
+          positions[id0 * 3 + 2] -= dz * scale * inverseMass0;
+          positions[id1 * 3] += dx * scale * inverseMass1;
+          positions[id1 * 3 + 1] += dy * scale * inverseMass1;
+          positions[id1 * 3 + 2] += dz * scale * inverseMass1;
+
+          // Thickness constraint of a Z-spring, unless a spring of its base
+          // has torn: the bottom vertex's height over the base
+          if (springType === SPRING_TYPE.Z_SPRING && hasStencil && !isNeighborTorn) {
+            for (let k = 0; k < 3; k++) {
+              edgeA[k] = positions[stencil[2] * 3 + k] - positions[id0 * 3 + k];
+              edgeB[k] = positions[stencil[3] * 3 + k] - positions[id0 * 3 + k];
+              height[k] = positions[id1 * 3 + k] - positions[id0 * 3 + k];
+            }
+            const inverseArea = stencilShapes[shape];
+            let thickness = 0;
+            for (let k = 0; k < 3; k++) {
+              const k1 = (k + 1) % 3;
+              const k2 = (k + 2) % 3;
+              gradients[3 + k] = (edgeA[k1] * edgeB[k2] - edgeA[k2] * edgeB[k1]) * inverseArea;
+              gradients[6 + k] = (edgeB[k1] * height[k2] - edgeB[k2] * height[k1]) * inverseArea;
+              gradients[9 + k] = (height[k1] * edgeA[k2] - height[k2] * edgeA[k1]) * inverseArea;
+              gradients[k] = -(gradients[3 + k] + gradients[6 + k] + gradients[9 + k]);
+              thickness += gradients[3 + k] * height[k];
+            }
+            solveStencilConstraint(thickness - stencilShapes[shape + 1], springCapacity + springId, compliance, damping);
+          }
+        }
+      }
+    }
+
+    // Finalize: collide the solved step and store it as the velocity
+    const start = [0, 0, 0];
+    for (let i = 0; i < vertexCount; i++) {
+      if (isPinnedOrDragged(i)) continue;
+      for (let k = 0; k < 3; k++) {
+        start[k] = previousPositions[i * 3 + k];
+        displacement[k] = positions[i * 3 + k] - start[k];
+      }
+      collideAndStore(inputs, i, start, displacement);
+    }
+  }
+
+  /**
+   * CPU version of the self-collision passes (hash build, repulsion, apply)
+   */
+  function computeSelfCollision() {
+    const radius = readUniform(uniforms.selfCollisionRadius);
+    const drag = readUniform(uniforms.drag);
+    const dragVertexIndex = readUniform(uniforms.dragVertexIndex);
+    const cell = (i, k) => Math.floor(positions[i * 3 + k] / radius);
+
+    // Build the spatial hash
+    hashCounts.fill(0);
+    for (let i = 0; i < vertexCount; i++) {
+      const bucket = hashGridCell(cell(i, 0), cell(i, 1), cell(i, 2));
+      const slot = hashCounts[bucket]++;
+      if (slot < bucketCapacity) hashEntries[bucket * bucketCapacity + slot] = i;
+    }
+
+    // Gather the displacements away from nearby vertices
+    for (let i = 0; i < vertexCount; i++) {
+      const px = positions[i * 3];
+      const py = positions[i * 3 + 1];
+      const pz = positions[i * 3 + 2];
+      const numSprings = vertexParams[i * 3 + 1];
+      const springPointer = vertexParams[i * 3 + 2];
+      let cx = 0;
+      let cy = 0;
+      let cz = 0;
+
+      for (let dz = -1; dz < 2; dz++) {
+        for (let dy = -1; dy < 2; dy++) {
+          for (let dx = -1; dx < 2; dx++) {
+            const nx = cell(i, 0) + dx;
+            const ny = cell(i, 1) + dy;
+            const nz = cell(i, 2) + dz;
+            const bucket = hashGridCell(nx, ny, nz);
+            const count = Math.min(hashCounts[bucket], bucketCapacity);
+
+            for (let slot = 0; slot < count; slot++) {
+              const j = hashEntries[bucket * bucketCapacity + slot];
+              const ddx = px - positions[j * 3];
+              const ddy = py - positions[j * 3 + 1];
+              const ddz = pz - positions[j * 3 + 2];
+              const distance = Math.sqrt(ddx * ddx + ddy * ddy + ddz * ddz);
+
+              // Skip itself, coincident vertices and vertices of other cells
+              // sharing the bucket
+              if (j === i || distance <= 0.000001 || distance >= radius) continue;
+              if (cell(j, 0) !== nx || cell(j, 1) !== ny || cell(j, 2) !== nz) continue;
+
+              // Vertices joined by a spring are kept apart by the spring
+              let connected = false;
+              for (let p = springPointer; p < springPointer + numSprings; p++) {
+                const springId = springList[p];
+                if (springVertexIds[springId * 2] === j || springVertexIds[springId * 2 + 1] === j) {
+                  connected = true;
+                }
+              }
+              if (connected) continue;
+
+              const scale = ((radius - distance) * 0.5) / distance;
+              cx += ddx * scale;
+              cy += ddy * scale;
+              cz += ddz * scale;
+            }
+          }
+        }
+      }
+
+      corrections[i * 3] = cx;
+      corrections[i * 3 + 1] = cy;
+      corrections[i * 3 + 2] = cz;
+    }
+
+    // Apply them to every free vertex
+    for (let i = 0; i < vertexCount; i++) {
+      if (vertexParams[i * 3] || (drag > 0 && i === dragVertexIndex)) continue;
+      for (let k = 0; k < 3; k++) {
+        forces[i * 3 + k] += corrections[i * 3 + k];
+        positions[i * 3 + k] += corrections[i * 3 + k];
+      }
+    }
+  }
+
+  /**
+   * Advances the simulation by a number of fixed steps
+   * @param {number} [n=1] - Number of steps to run
+   */
+  function step(n = 1) {
+    for (let s = 0; s < n; s++) {
+      const stepStart = performance.now();
+      if (integrator === INTEGRATORS.XPBD) {
+        computeXPBD();
+      } else {
+        computeSpringForces();
+        computeVertexForces();
+      }
+      if (readUniform(uniforms.selfCollision) > 0) {
+        const selfCollisionStart = performance.now();
+        computeSelfCollision();
+        timings.selfCollision += performance.now() - selfCollisionStart;
+      }
+      timings.total += performance.now() - stepStart;
+      timings.steps++;
+    }
+  }
+
+  /**
+   * Pins or unpins a vertex (mirrors setVertexFixed in verlet/buffers)
+   * @param {number} index - Verlet vertex ID
+   * @param {boolean} isFixed - Whether the vertex should be immovable
+   */
+  function setVertexFixed(index, isFixed) {
+    vertexParams[index * 3] = isFixed ? 1 : 0;
+  }
+
+  /**
+   * Cuts springs as if they had torn (mirrors cutSprings in verlet/buffers)
+   * @param {Array<number>} springIds - IDs of the springs to cut
+   */
+  function cutSprings(springIds) {
+    for (const id of springIds) {
+      springStiffness[id] = 0;
+      vertexBroken[springVertexIds[id * 2]] = 1;
+      vertexBroken[springVertexIds[id * 2 + 1]] = 1;
+    }
+  }
+
+  /**
+   * Mends springs and sets up new stitch springs (mirrors mendSprings in
+   * verlet/buffers)
+   * @param {Array<number>} springIds - IDs of the springs to mend
+   * @param {Array<number>} vertexIds - IDs of the vertices no longer broken
+   */
+  function mendSprings(springIds, vertexIds) {
+    for (const id of springIds) {
+      springStiffness[id] = springs[id].stiffness;
+      springRestLengths[id] = springs[id].restLength;
+    }
+    for (const id of vertexIds) vertexBroken[id] = 0;
+  }
+
+  /**
+   * Reads the topology after vertices were split (see splitTornVertices in
+   * verlet/fracture), joined again (see mendFracture) or restored, and gives
+   * every new copy the position, previous step, broken and pin flag of the
+   * vertex it was split from, and every moved vertex those of its old slot
+   * (mirrors updateTopologyBuffers and computeVertexSplits)
+   * @param {Array<{vertex: Object, source: Object}>} [splits=[]] - The copies made
+   * @param {Array<{vertex: Object, fromId: number}>} [moves=[]] - The vertices
+   *   moved, with the slot they moved from
+   */
+  function updateTopology(splits = [], moves = []) {
+    writeTopology();
+    const copies = [
+      ...splits.map(({ vertex, source }) => [vertex.id, source.id]),
+      ...moves.map(({ vertex, fromId }) => [vertex.id, fromId]),
+    ];
+    for (const [id, sourceId] of copies) {
+      for (let k = 0; k < 3; k++) {
+        positions[id * 3 + k] = positions[sourceId * 3 + k];
+        forces[id * 3 + k] = forces[sourceId * 3 + k];
+        previousPositions[id * 3 + k] = previousPositions[sourceId * 3 + k];
+      }
+      vertexBroken[id] = vertexBroken[sourceId];
+      vertexParams[id * 3] = vertexParams[sourceId * 3];
+    }
+  }
+
+  /**
+   * Gets the current pin flag of every vertex (mirrors getPinFlags in verlet/buffers)
+   * @returns {Uint8Array} 1 for pinned vertices, 0 otherwise
+   */
+  function getPinFlags() {
+    const pinned = new Uint8Array(vertexCapacity);
+    for (let i = 0; i < vertexCapacity; i++) {
+      pinned[i] = vertexParams[i * 3];
+    }
+    return pinned;
+  }
+
+  /**
+   * Replaces the simulation state (mirrors writeSimulationState in verlet/buffers)
+   *
+   * A state with its own topology also needs updateTopology once that
+   * topology is restored.
+   *
+   * @param {Object} state - Positions, forces, springStiffness,
+   *   springRestLengths, vertexBroken and pinned arrays matching this
+   *   solver's vertex and spring capacity
+   */
+  function loadState(state) {
+    positions.set(state.positions);
+    forces.set(state.forces);
+    springStiffness.set(state.springStiffness);
+    springRestLengths.set(state.springRestLengths);
+    vertexBroken.set(state.vertexBroken);
+    for (let i = 0; i < vertexCapacity; i++) {
+      vertexParams[i * 3] = state.pinned[i] ? 1 : 0;
+    }
+  }
+
+  /**
+   * Takes the tears recorded since the last call (the CPU counterpart of
+   * reading back tearEventBuffer)
+   * @returns {Array<Object>} Tear events (see simulation/tearEvents)
+   */
+  function takeTearEvents() {
+    const events = tearEvents;
+    tearEvents = [];
+    return events;
+  }
+
+  reset();
+
+  return {
+    step,
+    reset,
+    setVertexFixed,
+    cutSprings,
+    mendSprings,
+    loadState,
+    getPinFlags,
+    updateMaterials,
+    updateTopology,
+    takeTearEvents,
+    get vertexCount() {
+      return vertexCount;
+    },
+    get springCount() {
+      return springs.length;
+    },
+    getPositions: () => positions,
+    getForces: () => forces,
+    getSpringStiffness: () => springStiffness,
+    getSpringRestLengths: () => springRestLengths,
+    getVertexBroken: () => vertexBroken,
+    getTimings: () => ({ ...timings }),
+  };
+}
@@ -8,6 +8,14 @@
  * Two main shaders are used (optimized to stay within WebGPU buffer limits):
  * 1. computeSpringForces - Calculates all spring forces (in-plane + Z-springs)
  * 2. computeVertexForces - Accumulates forces and updates vertex positions
+ *
+ * With the XPBD integrator (see verlet/constraints), these two are replaced
+ * by the XPBD passes (see getXPBDPasses): predict the positions, solve the
+ * constraints batch by batch, then collide and derive the velocity.
+ *
+ * While self-collision is enabled, four more passes run after them (see
+ * getSelfCollisionPasses): the vertices are hashed into a uniform grid and
+ * vertices closer than the self-collision radius are pushed apart.
  */
 
 import {
@@ -16,26 +24,68 @@ import {
   Return,
   instanceIndex,
   uint,
+  int,
   Loop,
   float,
   select,
-  vec2,
   vec3,
+  vec4,
+  ivec3,
+  cross,
+  mix,
+  triNoise3D,
+  atomicAdd,
+  atomicLoad,
+  atomicStore,
 } from "three/tsl";
 import {
   vertexPositionBuffer,
   vertexForceBuffer,
+  vertexMassBuffer,
   vertexParamsBuffer,
   vertexBrokenBuffer,
+  vertexSplitSourceBuffer,
+  vertexCountUniform,
+  springCountUniform,
   springVertexIdBuffer,
   springRestLengthBuffer,
   springStiffnessBuffer,
+  springMaterialBuffer,
+  springStiffnessScaleBuffer,
   springTypeBuffer,
+  springNeighborBuffer,
   springForceBuffer,
   springListBuffer,
+  tearEventBuffer,
+  tearEventCountBuffer,
+  TEAR_EVENT_STRIDE,
+  selfCollisionCorrectionBuffer,
+  spatialHashCountBuffer,
+  spatialHashEntryBuffer,
+  previousPositionBuffer,
+  constraintOrderBuffer,
+  constraintLambdaBuffer,
+  springStencilBuffer,
+  springStencilShapeBuffer,
+  getConstraintBatches,
 } from "../verlet/buffers.js";
-import { getVertexCount, getSpringCount } from "../verlet/geometry.js";
-import { SPRING_BREAK_THRESHOLD, SPRING_BREAK_ENABLED } from "../config/constants.js";
+import { getVertexCapacity, getSpringCapacity, SPRING_TYPE } from "../verlet/geometry.js";
+import { UNUSED_CONSTRAINT } from "../verlet/constraints.js";
+import { COLLIDER_TYPE, COLLIDER_STRIDE } from "../simulation/colliders.js";
+import { getSDFBuffer } from "../simulation/sdf.js";
+import { NO_LIMIT } from "../simulation/world.js";
+import {
+  WIND_CONFIG,
+  WIND_NOISE_MEAN,
+  WIND_NOISE_GAIN,
+  WIND_NOISE_OFFSETS,
+  SDF_CONFIG,
+  SELF_COLLISION_CONFIG,
+  SPATIAL_HASH_PRIMES,
+  STEPS_PER_SECOND,
+  GRAVITY,
+  TEAR_EVENT_CONFIG,
+} from "../config/constants.js";
 
 /**
  * Uniform controlling dampening/friction in the simulation
@@ -44,28 +94,40 @@ import { SPRING_BREAK_THRESHOLD, SPRING_BREAK_ENABLED } from "../config/constant
 export let dampeningUniform = null;
 
 /**
- * Uniform storing the sphere's current position
+ * Uniform controlling spring stiffness
  * @type {Object|null}
  */
-export let spherePositionUniform = null;
+export let stiffnessUniform = null;
 
 /**
- * Uniform controlling spring stiffness
+ * Uniform controlling wind force intensity
  * @type {Object|null}
  */
-export let stiffnessUniform = null;
+export let windUniform = null;
 
 /**
- * Uniform controlling sphere collision force multiplier
+ * Uniform storing the prevailing wind direction
  * @type {Object|null}
  */
-export let sphereUniform = null;
+export let windDirectionUniform = null;
 
 /**
- * Uniform controlling wind force intensity
+ * Uniform controlling how fast the wind noise evolves (gusts)
  * @type {Object|null}
  */
-export let windUniform = null;
+export let windGustFrequencyUniform = null;
+
+/**
+ * Uniform controlling the spatial frequency of the wind turbulence
+ * @type {Object|null}
+ */
+export let windTurbulenceScaleUniform = null;
+
+/**
+ * Uniform storing the current simulation time
+ * @type {Object|null}
+ */
+export let timeUniform = null;
 
 /**
  * Uniform controlling Z-spring stiffness multiplier
@@ -80,16 +142,148 @@ export let zSpringStiffnessUniform = null;
 export let inPlaneStiffnessUniform = null;
 
 /**
- * Uniform controlling sphere collision radius
+ * Uniform controlling bending spring stiffness multiplier
+ * @type {Object|null}
+ */
+export let bendingStiffnessUniform = null;
+
+/**
+ * Uniform controlling whether a vertex is being dragged
+ * @type {Object|null}
+ */
+export let dragUniform = null;
+
+/**
+ * Uniform storing the ID of the dragged vertex
+ * @type {Object|null}
+ */
+export let dragVertexIndexUniform = null;
+
+/**
+ * Uniform storing the target position of the dragged vertex
+ * @type {Object|null}
+ */
+export let dragTargetUniform = null;
+
+/**
+ * Uniform controlling signed distance field collision (0 or 1)
+ * @type {Object|null}
+ */
+export let sdfUniform = null;
+
+/**
+ * Uniform storing the world position of the first SDF sample
+ * @type {Object|null}
+ */
+export let sdfOriginUniform = null;
+
+/**
+ * Uniform storing the spacing between SDF samples
+ * @type {Object|null}
+ */
+export let sdfCellSizeUniform = null;
+
+/**
+ * Uniform controlling the SDF contact distance
+ * @type {Object|null}
+ */
+export let sdfThicknessUniform = null;
+
+/**
+ * Uniform controlling the SDF contact friction
+ * @type {Object|null}
+ */
+export let sdfFrictionUniform = null;
+
+/**
+ * Uniform storing the minimum distance kept between vertices not joined by a spring
+ * @type {Object|null}
+ */
+export let selfCollisionRadiusUniform = null;
+
+/**
+ * Uniform controlling the ground plane (0 or 1)
+ * @type {Object|null}
+ */
+export let groundUniform = null;
+
+/**
+ * Uniform storing the Y of the ground plane
+ * @type {Object|null}
+ */
+export let groundHeightUniform = null;
+
+/**
+ * Uniform controlling the ground and world box contact friction
+ * @type {Object|null}
+ */
+export let groundFrictionUniform = null;
+
+/**
+ * Uniform controlling the world box (0 or 1)
+ * @type {Object|null}
+ */
+export let worldBoundsUniform = null;
+
+/**
+ * Uniform storing the lower corner of the world box
+ * @type {Object|null}
+ */
+export let worldBoundsMinUniform = null;
+
+/**
+ * Uniform storing the upper corner of the world box
+ * @type {Object|null}
+ */
+export let worldBoundsMaxUniform = null;
+
+/**
+ * Uniform controlling tearing (0 or 1)
+ * @type {Object|null}
+ */
+export let tearingUniform = null;
+
+/**
+ * Uniform scaling the stretch allowance of every spring
+ * @type {Object|null}
+ */
+export let tearThresholdScaleUniform = null;
+
+/**
+ * Uniform storing the stretch (fraction of the allowance) at which springs start to weaken
+ * @type {Object|null}
+ */
+export let damageOnsetUniform = null;
+
+/**
+ * Uniform storing the fraction of its stiffness a spring keeps just before tearing
+ * @type {Object|null}
+ */
+export let residualStiffnessUniform = null;
+
+/**
+ * Uniform storing the stretch (fraction of the allowance) at which springs start to lengthen
+ * @type {Object|null}
+ */
+export let yieldPointUniform = null;
+
+/**
+ * Uniform storing the fraction of the stretch beyond the yield point made permanent per step
+ * @type {Object|null}
+ */
+export let plasticityUniform = null;
+
+/**
+ * Storage buffer holding the packed colliders (see simulation/colliders)
  * @type {Object|null}
  */
-export let sphereRadiusUniform = null;
+export let colliderBuffer = null;
 
 /**
- * Uniform controlling cylinder collision height
+ * Uniform storing the number of colliders in the collider buffer
  * @type {Object|null}
  */
-export let cylinderHeightUniform = null;
+export let colliderCountUniform = null;
 
 /**
  * Compute shader for calculating spring forces
@@ -103,30 +297,516 @@ export let computeSpringForces = null;
  */
 export let computeVertexForces = null;
 
+/**
+ * Compute shader emptying the spatial hash buckets
+ * @type {Object|null}
+ */
+export let computeClearSpatialHash = null;
+
+/**
+ * Compute shader hashing every vertex into its grid cell's bucket
+ * @type {Object|null}
+ */
+export let computeBuildSpatialHash = null;
+
+/**
+ * Compute shader gathering the self-collision displacement of every vertex
+ * @type {Object|null}
+ */
+export let computeSelfCollision = null;
+
+/**
+ * Compute shader applying the self-collision displacements
+ * @type {Object|null}
+ */
+export let computeApplySelfCollision = null;
+
+/**
+ * Compute shader clearing the XPBD multipliers at the start of a step
+ * @type {Object|null}
+ */
+export let computeXPBDReset = null;
+
+/**
+ * Compute shader predicting the XPBD positions from velocity and external forces
+ * @type {Object|null}
+ */
+export let computeXPBDPredict = null;
+
+/**
+ * Compute shaders solving one XPBD constraint batch each
+ * @type {Array<Object>}
+ */
+let constraintBatchPasses = [];
+
+/**
+ * Compute shader colliding the solved XPBD positions and deriving the velocity
+ * @type {Object|null}
+ */
+export let computeXPBDFinalize = null;
+
+/**
+ * Compute shader copying the simulation state of split vertices to their
+ * new copies (see updateTopologyBuffers in verlet/buffers)
+ * @type {Object|null}
+ */
+export let computeVertexSplits = null;
+
+/**
+ * Compute shader scaling the stiffness of every spring after the fabric
+ * was painted (see updateMaterialBuffers in verlet/buffers)
+ * @type {Object|null}
+ */
+export let computeStiffnessRescale = null;
+
+/**
+ * Name prefix of the self-collision compute passes (to find their timings)
+ */
+export const SELF_COLLISION_PASS_PREFIX = "Self Collision";
+
 /**
  * Sets the uniform values for the compute shaders
  *
  * @param {Object} uniforms - Object containing uniform values
  * @param {Object} uniforms.dampening - Dampening uniform
- * @param {Object} uniforms.spherePosition - Sphere position uniform
  * @param {Object} uniforms.stiffness - Stiffness uniform
- * @param {Object} uniforms.sphere - Sphere collision uniform
  * @param {Object} uniforms.wind - Wind force uniform
+ * @param {Object} uniforms.windDirection - Wind direction uniform
+ * @param {Object} uniforms.windGustFrequency - Wind gust frequency uniform
+ * @param {Object} uniforms.windTurbulenceScale - Wind turbulence scale uniform
+ * @param {Object} uniforms.time - Simulation time uniform
  * @param {Object} uniforms.zSpringStiffness - Z-spring stiffness multiplier
  * @param {Object} uniforms.inPlaneStiffness - In-plane spring stiffness multiplier
- * @param {Object} uniforms.sphereRadius - Sphere/cylinder collision radius
- * @param {Object} uniforms.cylinderHeight - Cylinder height (0 = sphere mode)
+ * @param {Object} uniforms.bendingStiffness - Bending spring stiffness multiplier
+ * @param {Object} uniforms.drag - Drag enable (0 or 1)
+ * @param {Object} uniforms.dragVertexIndex - ID of the dragged vertex
+ * @param {Object} uniforms.dragTarget - Target position of the dragged vertex
+ * @param {Object} uniforms.sdf - SDF collision enable (0 or 1)
+ * @param {Object} uniforms.sdfOrigin - World position of the first SDF sample
+ * @param {Object} uniforms.sdfCellSize - Spacing between SDF samples
+ * @param {Object} uniforms.sdfThickness - SDF contact distance
+ * @param {Object} uniforms.sdfFriction - SDF contact friction
+ * @param {Object} uniforms.selfCollisionRadius - Self-collision distance
+ * @param {Object} uniforms.ground - Ground plane enable (0 or 1)
+ * @param {Object} uniforms.groundHeight - Y of the ground plane
+ * @param {Object} uniforms.groundFriction - Ground and world box friction
+ * @param {Object} uniforms.worldBounds - World box enable (0 or 1)
+ * @param {Object} uniforms.worldBoundsMin - Lower corner of the world box
+ * @param {Object} uniforms.worldBoundsMax - Upper corner of the world box
+ * @param {Object} uniforms.tearing - Tearing enable (0 or 1)
+ * @param {Object} uniforms.tearThresholdScale - Multiplier of the stretch allowances
+ * @param {Object} uniforms.damageOnset - Stretch at which springs start to weaken
+ * @param {Object} uniforms.residualStiffness - Stiffness left just before tearing
+ * @param {Object} uniforms.yieldPoint - Stretch at which springs start to lengthen
+ * @param {Object} uniforms.plasticity - Permanent lengthening rate
  */
 export function setUniforms(uniforms) {
   dampeningUniform = uniforms.dampening;
-  spherePositionUniform = uniforms.spherePosition;
   stiffnessUniform = uniforms.stiffness;
-  sphereUniform = uniforms.sphere;
   windUniform = uniforms.wind;
+  windDirectionUniform = uniforms.windDirection;
+  windGustFrequencyUniform = uniforms.windGustFrequency;
+  windTurbulenceScaleUniform = uniforms.windTurbulenceScale;
+  timeUniform = uniforms.time;
   zSpringStiffnessUniform = uniforms.zSpringStiffness;
   inPlaneStiffnessUniform = uniforms.inPlaneStiffness;
-  sphereRadiusUniform = uniforms.sphereRadius;
-  cylinderHeightUniform = uniforms.cylinderHeight;
+  bendingStiffnessUniform = uniforms.bendingStiffness;
+  dragUniform = uniforms.drag;
+  dragVertexIndexUniform = uniforms.dragVertexIndex;
+  dragTargetUniform = uniforms.dragTarget;
+  sdfUniform = uniforms.sdf;
+  sdfOriginUniform = uniforms.sdfOrigin;
+  sdfCellSizeUniform = uniforms.sdfCellSize;
+  sdfThicknessUniform = uniforms.sdfThickness;
+  sdfFrictionUniform = uniforms.sdfFriction;
+  selfCollisionRadiusUniform = uniforms.selfCollisionRadius;
+  groundUniform = uniforms.ground;
+  groundHeightUniform = uniforms.groundHeight;
+  groundFrictionUniform = uniforms.groundFriction;
+  worldBoundsUniform = uniforms.worldBounds;
+  worldBoundsMinUniform = uniforms.worldBoundsMin;
+  worldBoundsMaxUniform = uniforms.worldBoundsMax;
+  tearingUniform = uniforms.tearing;
+  tearThresholdScaleUniform = uniforms.tearThresholdScale;
+  damageOnsetUniform = uniforms.damageOnset;
+  residualStiffnessUniform = uniforms.residualStiffness;
+  yieldPointUniform = uniforms.yieldPoint;
+  plasticityUniform = uniforms.plasticity;
+}
+
+/**
+ * Sets the colliders the vertex shader collides the cloth with
+ *
+ * @param {Object} colliders - Collider manager (from createColliderManager)
+ */
+export function setColliders(colliders) {
+  colliderBuffer = colliders.buffer;
+  colliderCountUniform = colliders.countUniform;
+}
+
+/**
+ * Rotates a vector by a unit quaternion
+ * @param {Object} v - vec3 node
+ * @param {Object} q - vec4 node (x, y, z, w)
+ * @returns {Object} The rotated vec3 node
+ */
+const rotateByQuaternion = (v, q) => {
+  const t = cross(q.xyz, v).mul(2.0);
+  return v.add(t.mul(q.w)).add(cross(q.xyz, t));
+};
+
+/**
+ * Wind pressure on a vertex (N/m²): prevailing direction modulated by gusts
+ * plus 3D turbulence, all driven by time-varying triNoise3D sampled at the
+ * vertex position
+ * @param {Object} position - vec3 node, vertex position
+ * @param {Object} normal - vec3 node, local cloth normal (any length, zero if unknown)
+ * @returns {Object} vec3 node
+ */
+const getWindForce = (position, normal) => {
+  const noisePosition = position.mul(windTurbulenceScaleUniform);
+  const sampleNoise = (offset) =>
+    triNoise3D(noisePosition.add(vec3(...offset)), windGustFrequencyUniform, timeUniform)
+      .sub(WIND_NOISE_MEAN)
+      .mul(WIND_NOISE_GAIN);
+  const gust = sampleNoise([0, 0, 0]).add(1.0);
+  const turbulence = vec3(
+    sampleNoise(WIND_NOISE_OFFSETS[0]),
+    sampleNoise(WIND_NOISE_OFFSETS[1]),
+    sampleNoise(WIND_NOISE_OFFSETS[2]),
+  );
+  const windDirection = windDirectionUniform.div(windDirectionUniform.length().max(0.000001));
+  const windForce = windDirection
+    .mul(gust)
+    .add(turbulence)
+    .mul(windUniform)
+    .mul(WIND_CONFIG.pressure)
+    .toVar("windForce");
+
+  // Wind pushes in proportion to the cloth facing it: project onto the
+  // normal (sign-independent). Vertices without a normal get the full force.
+  const normalLength = normal.length();
+  If(normalLength.greaterThan(0.000001), () => {
+    const n = normal.div(normalLength);
+    windForce.assign(n.mul(n.dot(windForce)));
+  });
+  return windForce;
+};
+
+/**
+ * Gets how far a spring is stretched, as a fraction of its stretch
+ * allowance: 0 at its original rest length, 1 at its tear threshold
+ *
+ * The allowance is the tear threshold - 1, scaled by tearThresholdScale.
+ *
+ * @param {Object} material - vec4 node, the spring's springMaterialBuffer entry
+ * @param {Object} dist - float node, current length of the spring
+ * @returns {Object} float node
+ */
+const getStretchFraction = (material, dist) => {
+  const allowance = material.y.sub(1.0).mul(tearThresholdScaleUniform).max(0.000001);
+  return dist.div(material.w).sub(1.0).div(allowance);
+};
+
+/**
+ * Appends a tear event to the ring in tearEventBuffer (see TEAR_EVENT_STRIDE
+ * in verlet/buffers and simulation/tearEvents)
+ *
+ * @param {Object} springId - uint node, the torn spring
+ * @param {Object} vertexIds - uvec2 node, its vertices
+ * @param {Object} dist - float node, its length when it tore
+ * @param {Object} material - vec4 node, its springMaterialBuffer entry
+ */
+const appendTearEvent = (springId, vertexIds, dist, material) => {
+  const eventIndex = atomicAdd(tearEventCountBuffer.element(0), uint(1)).toVar("tearEventIndex");
+  const offset = eventIndex.mod(uint(TEAR_EVENT_CONFIG.capacity)).mul(uint(TEAR_EVENT_STRIDE)).toVar("tearEventOffset");
+  const midpoint = vertexPositionBuffer.element(vertexIds.x).add(vertexPositionBuffer.element(vertexIds.y)).mul(0.5);
+  const values = [
+    float(springId),
+    float(vertexIds.x),
+    float(vertexIds.y),
+    midpoint.x,
+    midpoint.y,
+    midpoint.z,
+    timeUniform,
+    dist.div(material.w),
+  ];
+  values.forEach((value, k) => {
+    tearEventBuffer.element(offset.add(uint(k))).assign(value);
+  });
+};
+
+/**
+ * Tears, weakens or permanently lengthens an intact structural or Z-spring
+ * from its current length (mirrors damageSpring in compute/cpuSolver)
+ *
+ * - Beyond its tear threshold (a stretch fraction of 1, see
+ *   getStretchFraction) the spring tears, unless tearing is off, and a
+ *   tear event is appended (see appendTearEvent)
+ * - Beyond damageOnset its stiffness falls toward residualStiffness times
+ *   its undamaged stiffness, and never recovers
+ * - Beyond yieldPoint its rest length grows for good, by plasticity of the
+ *   largest stretch beyond the yield point so far
+ *
+ * Used by computeSpringForces and, for XPBD, computeXPBDReset.
+ *
+ * @param {Object} springId - uint node, the spring
+ * @param {Object} vertexIds - uvec2 node, its vertices
+ * @param {Object} dist - float node, its current length
+ */
+const damageSpring = (springId, vertexIds, dist) => {
+  const material = springMaterialBuffer.element(springId); // damping, tear threshold, stiffness, rest length
+  const stretch = getStretchFraction(material, dist).toVar("springStretch");
+
+  If(tearingUniform.greaterThan(0).and(stretch.greaterThan(1.0)), () => {
+    // Mark the spring as permanently broken, and its vertices as having
+    // broken springs (used by the cloth shader to hide torn areas)
+    springStiffnessBuffer.element(springId).assign(0.0);
+    vertexBrokenBuffer.element(vertexIds.x).assign(uint(1));
+    vertexBrokenBuffer.element(vertexIds.y).assign(uint(1));
+    appendTearEvent(springId, vertexIds, dist, material);
+  }).Else(() => {
+    const damage = stretch.sub(damageOnsetUniform)
+      .div(float(1.0).sub(damageOnsetUniform).max(0.000001))
+      .clamp(0.0, 1.0);
+    const damagedStiffness = material.z.mul(mix(float(1.0), residualStiffnessUniform, damage));
+    const stiffness = springStiffnessBuffer.element(springId);
+    stiffness.assign(stiffness.min(damagedStiffness));
+
+    const restLength = springRestLengthBuffer.element(springId);
+    const yieldLength = material.w.mul(material.y.sub(1.0).mul(tearThresholdScaleUniform).mul(yieldPointUniform).add(1.0));
+    const plasticLength = material.w.add(dist.sub(yieldLength).max(0.0).mul(plasticityUniform));
+    restLength.assign(restLength.max(plasticLength));
+  });
+};
+
+/**
+ * Collides one step of a vertex, from its position along force, with every
+ * collider, the signed distance field and the world limits
+ *
+ * Used by computeVertexForces and, for XPBD, computeXPBDFinalize.
+ *
+ * @param {Object} position - vec3 node, vertex position at the start of the step
+ * @param {Object} force - vec3 node, the step (Verlet velocity)
+ * @returns {{newPos: Object, bounce: Object}} vec3 variables: the collided
+ *   end of the step, and the velocity to add for restitution
+ */
+const collideStep = (position, force) => {
+  // Collide the new position with every collider, one after the other,
+  // with each collider's friction and restitution (mirrors collidePoint
+  // in simulation/colliders). Bouncing off a collider makes the velocity
+  // differ from the step actually taken; the difference builds up in bounce.
+  const newPos = position.add(force).toVar("collidedPosition");
+  const bounce = vec3(0, 0, 0).toVar("contactBounce");
+
+  Loop(
+    { start: uint(0), end: colliderCountUniform, type: "uint", condition: "<" },
+    ({ i }) => {
+      const row = i.mul(uint(COLLIDER_STRIDE));
+      const header = colliderBuffer.element(row);
+      const rotation = colliderBuffer.element(row.add(uint(1))).toVar("colliderRotation");
+      const size = colliderBuffer.element(row.add(uint(2)));
+      const type = header.w;
+
+      // Collider-local position (rotate by the conjugate quaternion)
+      const inverseRotation = vec4(rotation.xyz.negate(), rotation.w);
+      const local = rotateByQuaternion(newPos.sub(header.xyz), inverseRotation).toVar("colliderLocal");
+      const push = vec3(0, 0, 0).toVar("colliderPush");
+      const signs = vec3(
+        select(local.x.lessThan(0), -1.0, 1.0),
+        select(local.y.lessThan(0), -1.0, 1.0),
+        select(local.z.lessThan(0), -1.0, 1.0),
+      );
+
+      If(type.equal(float(COLLIDER_TYPE.BOX)), () => {
+        // Box: out through the nearest face
+        const depth = size.xyz.sub(local.abs()).toVar("boxDepth");
+        If(depth.x.greaterThan(0).and(depth.y.greaterThan(0)).and(depth.z.greaterThan(0)), () => {
+          If(depth.x.lessThanEqual(depth.y).and(depth.x.lessThanEqual(depth.z)), () => {
+            push.x.assign(signs.x.mul(depth.x));
+          }).ElseIf(depth.y.lessThanEqual(depth.z), () => {
+            push.y.assign(signs.y.mul(depth.y));
+          }).Else(() => {
+            push.z.assign(signs.z.mul(depth.z));
+          });
+        });
+      }).ElseIf(type.equal(float(COLLIDER_TYPE.CYLINDER)), () => {
+        // Cylinder: out radially or through the nearest cap
+        const radial = vec3(local.x, 0, local.z);
+        const radialLength = radial.length();
+        const radialDepth = size.x.sub(radialLength);
+        const capDepth = size.y.sub(local.y.abs());
+        If(radialDepth.greaterThan(0).and(capDepth.greaterThan(0)), () => {
+          If(radialDepth.lessThan(capDepth), () => {
+            push.assign(radial.mul(radialDepth.div(radialLength.max(0.000001))));
+          }).Else(() => {
+            push.y.assign(signs.y.mul(capDepth));
+          });
+        });
+      }).Else(() => {
+        // Sphere / capsule: away from the nearest point on the axis segment
+        // (spheres have a zero-length segment)
+        const delta = local.sub(vec3(0, local.y.clamp(size.y.negate(), size.y), 0)).toVar("capsuleDelta");
+        const distance = delta.length();
+        const penetration = size.x.sub(distance);
+        If(penetration.greaterThan(0), () => {
+          push.assign(delta.mul(penetration.div(distance.max(0.000001))));
+        });
+      });
+
+      const worldPush = rotateByQuaternion(push, rotation).toVar("colliderWorldPush");
+      newPos.addAssign(worldPush);
+
+      // Contact response relative to the collider's motion this step
+      const depth = worldPush.length().toVar("contactDepth");
+      If(depth.greaterThan(0), () => {
+        const contact = colliderBuffer.element(row.add(uint(3))); // staticFriction, kineticFriction, restitution
+        const colliderVelocity = colliderBuffer.element(row.add(uint(4))).xyz.toVar("colliderVelocity");
+        const normal = worldPush.div(depth).toVar("contactNormal");
+
+        const relative = newPos.sub(position).sub(colliderVelocity).toVar("contactRelative");
+        const relativeNormal = relative.dot(normal).toVar("contactRelativeNormal");
+        const tangent = relative.sub(normal.mul(relativeNormal)).toVar("contactTangent");
+        const tangentLength = tangent.length().toVar("contactTangentLength");
+
+        // Coulomb friction, with the push as the normal impulse
+        If(tangentLength.lessThanEqual(contact.x.mul(depth)), () => {
+          tangent.assign(vec3(0, 0, 0));
+        }).Else(() => {
+          tangent.mulAssign(float(1.0).sub(contact.y.mul(depth).div(tangentLength)).max(0.0));
+        });
+        newPos.assign(position.add(colliderVelocity).add(normal.mul(relativeNormal)).add(tangent));
+
+        // Restitution: leave at a fraction of the approach speed
+        const incoming = force.sub(colliderVelocity).dot(normal);
+        const bounceSpeed = incoming.negate().max(0.0).mul(contact.z);
+        bounce.addAssign(normal.mul(bounceSpeed.sub(relativeNormal).max(0.0)));
+      });
+    },
+  );
+
+  // Signed distance field: stop at the thickness from the surface, out
+  // along the gradient, with friction (mirrors collideSDF in simulation/sdf)
+  If(sdfUniform.greaterThan(0), () => {
+    const n = SDF_CONFIG.resolution;
+    const grid = newPos.sub(sdfOriginUniform).div(sdfCellSizeUniform).toVar("sdfGrid");
+    const insideVolume = grid.x.greaterThanEqual(0).and(grid.x.lessThanEqual(n - 1))
+      .and(grid.y.greaterThanEqual(0)).and(grid.y.lessThanEqual(n - 1))
+      .and(grid.z.greaterThanEqual(0)).and(grid.z.lessThanEqual(n - 1));
+
+    If(insideVolume, () => {
+      const cell = grid.floor().min(float(n - 2)).toVar("sdfCell");
+      const f = grid.sub(cell);
+      const base = uint(cell.x).add(uint(cell.y).mul(uint(n))).add(uint(cell.z).mul(uint(n * n))).toVar("sdfBase");
+      const sdfBuffer = getSDFBuffer();
+      const at = (dx, dy, dz) => sdfBuffer.element(base.add(uint(dx + n * (dy + n * dz))));
+      const sample = mix(
+        mix(mix(at(0, 0, 0), at(1, 0, 0), f.x), mix(at(0, 1, 0), at(1, 1, 0), f.x), f.y),
+        mix(mix(at(0, 0, 1), at(1, 0, 1), f.x), mix(at(0, 1, 1), at(1, 1, 1), f.x), f.y),
+        f.z,
+      ).toVar("sdfSample");
+
+      const penetration = sdfThicknessUniform.sub(sample.w);
+      If(penetration.greaterThan(0), () => {
+        const normal = sample.xyz.div(sample.xyz.length().max(0.000001)).toVar("sdfNormal");
+        const displacement = newPos.add(normal.mul(penetration)).sub(position).toVar("sdfDisplacement");
+        const normalPart = normal.mul(displacement.dot(normal));
+        const tangentPart = displacement.sub(normalPart).mul(float(1.0).sub(sdfFrictionUniform));
+        newPos.assign(position.add(normalPart).add(tangentPart));
+      });
+    });
+  });
+
+  // Ground plane and world box: clamp to the limits, and remove part of
+  // the sliding along every face touched (mirrors collideWorld in
+  // simulation/world)
+  const hasBox = worldBoundsUniform.greaterThan(0);
+  const lower = select(hasBox, worldBoundsMinUniform, vec3(-NO_LIMIT, -NO_LIMIT, -NO_LIMIT)).toVar("worldLower");
+  const upper = select(hasBox, worldBoundsMaxUniform, vec3(NO_LIMIT, NO_LIMIT, NO_LIMIT));
+  If(groundUniform.greaterThan(0), () => {
+    lower.y.assign(lower.y.max(groundHeightUniform));
+  });
+  const clamped = newPos.clamp(lower, upper).toVar("worldClamped");
+  const slide = float(1.0).sub(groundFrictionUniform);
+  const touchedX = select(clamped.x.notEqual(newPos.x), slide, 1.0);
+  const touchedY = select(clamped.y.notEqual(newPos.y), slide, 1.0);
+  const touchedZ = select(clamped.z.notEqual(newPos.z), slide, 1.0);
+  const slideScale = vec3(touchedY.mul(touchedZ), touchedX.mul(touchedZ), touchedX.mul(touchedY));
+  newPos.assign(position.add(clamped.sub(position).mul(slideScale)));
+
+  return { newPos, bounce };
+};
+
+/**
+ * Grid cell of a position (cells are one self-collision radius wide)
+ * @param {Object} position - vec3 node
+ * @returns {Object} ivec3 node
+ */
+const getGridCell = (position) => ivec3(position.div(selfCollisionRadiusUniform).floor());
+
+/**
+ * Spatial hash bucket of a grid cell (mirrors hashGridCell in compute/cpuSolver)
+ * @param {Object} cell - ivec3 node
+ * @returns {Object} uint node in [0, SELF_COLLISION_CONFIG.hashSize)
+ */
+const hashGridCell = (cell) => {
+  const [p0, p1, p2] = SPATIAL_HASH_PRIMES;
+  return uint(cell.x).mul(uint(p0))
+    .bitXor(uint(cell.y).mul(uint(p1)))
+    .bitXor(uint(cell.z).mul(uint(p2)))
+    .bitAnd(uint(SELF_COLLISION_CONFIG.hashSize - 1));
+};
+
+/**
+ * Gets the self-collision compute passes in dispatch order
+ * @returns {Array<Object>} The compute shaders to run after computeVertexForces
+ */
+export function getSelfCollisionPasses() {
+  return [
+    computeClearSpatialHash,
+    computeBuildSpatialHash,
+    computeSelfCollision,
+    computeApplySelfCollision,
+  ];
+}
+
+/**
+ * Gets the XPBD compute passes of one step in dispatch order
+ * @param {number} iterations - Passes over every constraint batch
+ * @returns {Array<Object>} The compute shaders replacing computeSpringForces
+ *   and computeVertexForces
+ */
+export function getXPBDPasses(iterations) {
+  const passes = [computeXPBDReset, computeXPBDPredict];
+  for (let i = 0; i < iterations; i++) passes.push(...constraintBatchPasses);
+  passes.push(computeXPBDFinalize);
+  return passes;
+}
+
+/**
+ * Releases the compute shaders so the renderer can free their pipelines
+ * and bindings (called before the cloth is rebuilt)
+ */
+export function disposeComputeShaders() {
+  if (computeSpringForces) computeSpringForces.dispose();
+  if (computeVertexForces) computeVertexForces.dispose();
+  if (computeVertexSplits) computeVertexSplits.dispose();
+  if (computeStiffnessRescale) computeStiffnessRescale.dispose();
+  for (const pass of [...getSelfCollisionPasses(), ...getXPBDPasses(1)]) {
+    if (pass) pass.dispose();
+  }
+  computeSpringForces = null;
+  computeVertexForces = null;
+  computeVertexSplits = null;
+  computeStiffnessRescale = null;
+  computeClearSpatialHash = null;
+  computeBuildSpatialHash = null;
+  computeSelfCollision = null;
+  computeApplySelfCollision = null;
+  computeXPBDReset = null;
+  computeXPBDPredict = null;
+  constraintBatchPasses = [];
+  computeXPBDFinalize = null;
 }
 
 /**
@@ -136,41 +816,83 @@ export function setUniforms(uniforms) {
  *
  * 1. computeSpringForces:
  *    - Runs once per spring (both in-plane and Z-springs combined)
- *    - Each spring has its own stiffness value stored in springStiffnessBuffer
- *    - Calculates force using Hooke's law: F = k * (distance - restLength)
+ *    - Each spring has its own stiffness (N/m) stored in springStiffnessBuffer
+ *    - Calculates force using Hooke's law: F = k * (distance - restLength),
+ *      in newtons, plus the damping of the spring (N·s/m, from
+ *      springMaterialBuffer) times the rate at which it stretches
+ *    - Tears, weakens and lengthens springs by how far they are stretched
+ *      beyond their original rest length (see damageSpring), appending an
+ *      event for every tear to tearEventBuffer; bending
+ *      springs never tear on their own, they break together with either of
+ *      the structural springs they span
  *
  * 2. computeVertexForces:
- *    - Accumulates all spring forces, gravity, and collision
+ *    - Moves the dragged vertex (if any) straight to its target
+ *    - Accumulates all spring forces and wind, converts them to a step
+ *      through the vertex mass (F * dt² / m), and adds gravity (g * dt²)
+ *    - Pushes the new position out of every collider in the collider buffer,
+ *      with Coulomb friction and restitution relative to the collider's
+ *      motion, and out of the signed distance field, if one is loaded
  *    - Updates vertex positions using Verlet integration
  *
+ * 3. Self-collision (four passes, only dispatched while enabled):
+ *    - computeClearSpatialHash empties every hash bucket
+ *    - computeBuildSpatialHash appends each vertex to the bucket of its grid
+ *      cell (vertices beyond the bucket capacity are left out)
+ *    - computeSelfCollision looks through the 27 cells around each vertex
+ *      and pushes it half the overlap away from every vertex closer than
+ *      the radius that it shares no spring with
+ *    - computeApplySelfCollision moves the vertices by those displacements,
+ *      adding them to the Verlet velocity like collider pushes
+ *
+ * 4. XPBD (dispatched instead of 1 and 2 with the XPBD integrator):
+ *    - computeXPBDReset clears the multiplier of every constraint and
+ *      weakens and lengthens the springs like computeSpringForces
+ *    - computeXPBDPredict stores each position, then moves the vertex by its
+ *      damped velocity, gravity and wind
+ *    - One pass per constraint batch moves the vertices of each constraint
+ *      toward its rest value (the rest length of a distance constraint,
+ *      the rest bend of a bending constraint, then the rest thickness
+ *      under a Z-spring), in inverse proportion to their masses and as far
+ *      as its compliance (1 / stiffness) and damping allow; the batches are
+ *      run once per iteration
+ *    - computeXPBDFinalize collides the solved positions like
+ *      computeVertexForces and stores the step taken as the velocity
+ *
+ * 5. computeVertexSplits (dispatched after vertices were split, see
+ *    verlet/fracture):
+ *    - Gives every new vertex copy the position, previous step and broken
+ *      flag of the vertex it was split from
+ *
+ * 6. computeStiffnessRescale (dispatched after the material maps were
+ *    applied, see updateMaterialBuffers):
+ *    - Multiplies the stiffness of every spring by the change of its
+ *      undamaged stiffness, so torn springs stay torn and damaged springs
+ *      keep their share
+ *
+ * The vertex passes are sized for every vertex the cloth can have (see
+ * getVertexCapacity) and skip those beyond vertexCountUniform; the spring
+ * passes are sized for every spring it can have (see getSpringCapacity)
+ * and skip those beyond springCountUniform.
+ *
  * @throws {Error} If shaders cannot be compiled
  */
 export function setupComputeShaders() {
-  const vertexCount = getVertexCount();
-  const springCount = getSpringCount();
+  const vertexCapacity = getVertexCapacity();
+  const springCapacity = getSpringCapacity();
+  const timeStepSquared = 1 / (STEPS_PER_SECOND * STEPS_PER_SECOND);
 
   // ========================================================================
   // 1. Spring Forces Compute Shader (handles all springs: in-plane + Z-springs)
   // ========================================================================
   computeSpringForces = Fn(() => {
-    If(instanceIndex.greaterThanEqual(uint(springCount)), () => {
+    If(instanceIndex.greaterThanEqual(springCountUniform), () => {
       Return();
     });
 
     const vertexIds = springVertexIdBuffer.element(instanceIndex);
-    const restLength = springRestLengthBuffer.element(instanceIndex);
-    const baseStiffness = springStiffnessBuffer.element(instanceIndex).toVar();
-    const springType = springTypeBuffer.element(instanceIndex); // 0 = in-plane, 1 = Z-spring
-
-    // Apply stiffness multiplier based on spring type
-    // springType == 1 means Z-spring, use zSpringStiffnessUniform
-    // springType == 0 means in-plane spring, use inPlaneStiffnessUniform
-    const stiffnessMultiplier = select(
-      springType.equal(uint(1)),
-      zSpringStiffnessUniform,
-      inPlaneStiffnessUniform
-    );
-    const stiffness = baseStiffness.mul(stiffnessMultiplier).toVar();
+    const springType = springTypeBuffer.element(instanceIndex); // see SPRING_TYPE
+    const isBendingSpring = springType.equal(uint(SPRING_TYPE.BENDING));
 
     const vertex0Position = vertexPositionBuffer.element(vertexIds.x);
     const vertex1Position = vertexPositionBuffer.element(vertexIds.y);
@@ -178,33 +900,51 @@ export function setupComputeShaders() {
     const delta = vertex1Position.sub(vertex0Position).toVar();
     const dist = delta.length().max(0.000001).toVar();
 
-    // Check if spring should break (applies to ALL springs: in-plane and Z-springs)
-    // Spring breaks when stretched beyond SPRING_BREAK_THRESHOLD times its rest length
-    // Breaking is only enabled if SPRING_BREAK_ENABLED is true
-    const stretchRatio = dist.div(restLength);
-    If(stretchRatio.greaterThan(float(SPRING_BREAK_ENABLED ? SPRING_BREAK_THRESHOLD : 999999)), () => {
-      // Mark spring as permanently broken by setting stiffness to 0
-      springStiffnessBuffer.element(instanceIndex).assign(0.0);
-      stiffness.assign(0.0);
-      
-      // Mark both connected vertices as having broken springs
-      // This is used by the cloth shader to hide torn areas
-      vertexBrokenBuffer.element(vertexIds.x).assign(uint(1));
-      vertexBrokenBuffer.element(vertexIds.y).assign(uint(1));
+    // In-plane and Z-springs tear, weaken and lengthen when overstretched
+    If(isBendingSpring.not().and(springStiffnessBuffer.element(instanceIndex).notEqual(0.0)), () => {
+      damageSpring(instanceIndex, vertexIds, dist);
     });
 
-    // Hooke's law: F = k * (x - x0) * direction
+    // Bending springs break when a structural spring they span has broken
+    If(isBendingSpring, () => {
+      const neighborIds = springNeighborBuffer.element(instanceIndex);
+      const neighborBroken = springStiffnessBuffer.element(neighborIds.x).equal(0.0)
+        .or(springStiffnessBuffer.element(neighborIds.y).equal(0.0));
+      If(neighborBroken, () => {
+        springStiffnessBuffer.element(instanceIndex).assign(0.0);
+      });
+    });
+
+    // Apply stiffness multiplier based on spring type (to the stiffness and
+    // rest length left after any damage)
+    const stiffnessMultiplier = select(
+      springType.equal(uint(SPRING_TYPE.Z_SPRING)),
+      zSpringStiffnessUniform,
+      select(isBendingSpring, bendingStiffnessUniform, inPlaneStiffnessUniform)
+    );
+    const baseStiffness = springStiffnessBuffer.element(instanceIndex).toVar();
+    const stiffness = baseStiffness.mul(stiffnessMultiplier).toVar();
+    const restLength = springRestLengthBuffer.element(instanceIndex).toVar();
+
+    // Damping: the spring resists the rate at which it stretches, taken
+    // from the previous steps of its vertices (torn springs are not damped)
+    const material = springMaterialBuffer.element(instanceIndex); // damping, tear threshold, stiffness, rest length
+    const direction = delta.div(dist);
+    const relativeStep = vertexForceBuffer.element(vertexIds.y).sub(vertexForceBuffer.element(vertexIds.x));
+    const damping = select(baseStiffness.equal(0.0), 0.0, material.x);
+    const dampingForce = damping.mul(relativeStep.dot(direction)).mul(STEPS_PER_SECOND);
+
+    // Hooke's law: F = k * (x - x0) * direction, in newtons
     // Each spring uses its own stiffness (in-plane vs Z-spring)
     const force = dist
       .sub(restLength)
       .mul(stiffness)
-      .mul(delta)
-      .mul(0.5)
-      .div(dist);
+      .add(dampingForce)
+      .mul(direction);
 
     springForceBuffer.element(instanceIndex).assign(force);
   })()
-    .compute(Math.max(springCount, 1))
+    .compute(Math.max(springCapacity, 1))
     .setName("Spring Forces");
 
   // ========================================================================
@@ -212,7 +952,7 @@ export function setupComputeShaders() {
   // ========================================================================
   // Accumulates forces from all springs and updates vertex positions
   computeVertexForces = Fn(() => {
-    If(instanceIndex.greaterThanEqual(uint(vertexCount)), () => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
       Return();
     });
 
@@ -222,23 +962,39 @@ export function setupComputeShaders() {
     const numSprings = params.y;
     const springPointer = params.z;
 
-    // Skip force calculation if the vertex is immovable
+    const position = vertexPositionBuffer
+      .element(instanceIndex)
+      .toVar("vertexPosition");
+
+    // A dragged vertex (pinned or not) snaps to the drag target. The
+    // displacement is stored as its velocity so it carries on when released.
+    If(dragUniform.greaterThan(0).and(instanceIndex.equal(dragVertexIndexUniform)), () => {
+      vertexForceBuffer.element(instanceIndex).assign(dragTargetUniform.sub(position));
+      vertexPositionBuffer.element(instanceIndex).assign(dragTargetUniform);
+      Return();
+    });
+
+    // Skip force calculation if the vertex is immovable (it has no
+    // velocity, which the damping of its springs relies on)
     If(isFixed, () => {
+      vertexForceBuffer.element(instanceIndex).assign(vec3(0, 0, 0));
       Return();
     });
 
-    const position = vertexPositionBuffer
-      .element(instanceIndex)
-      .toVar("vertexPosition");
     const force = vertexForceBuffer.element(instanceIndex).toVar("vertexForce");
+    const massProperties = vertexMassBuffer.element(instanceIndex); // mass, area
 
     // Apply dampening
     force.mulAssign(dampeningUniform);
 
-    // Accumulate all spring forces (both in-plane and Z-springs)
+    // Accumulate all spring forces (both in-plane and Z-springs), in newtons
+    const springForceSum = vec3(0, 0, 0).toVar("springForceSum");
     const ptrStart = springPointer.toVar("ptrStart");
     const ptrEnd = ptrStart.add(numSprings).toVar("ptrEnd");
 
+    // Local cloth normal, taken from the Z-spring(s) linking the two layers
+    const normal = vec3(0, 0, 0).toVar("clothNormal");
+
     Loop(
       { start: ptrStart, end: ptrEnd, type: "uint", condition: "<" },
       ({ i }) => {
@@ -246,75 +1002,436 @@ export function setupComputeShaders() {
         const springForce = springForceBuffer.element(springId);
         const springVertexIds = springVertexIdBuffer.element(springId);
 
-        const factor = select(
-          springVertexIds.x.equal(instanceIndex),
-          1.0,
-          -1.0,
+        const isVertex0 = springVertexIds.x.equal(instanceIndex);
+        const factor = select(isVertex0, 1.0, -1.0);
+
+        springForceSum.addAssign(springForce.mul(factor));
+
+        // Z-springs run across the cloth, so they point along its normal
+        If(springTypeBuffer.element(springId).equal(uint(SPRING_TYPE.Z_SPRING)), () => {
+          const otherId = select(isVertex0, springVertexIds.y, springVertexIds.x);
+          normal.addAssign(position.sub(vertexPositionBuffer.element(otherId)));
+        });
+      },
+    );
+
+    // Wind pressure on the vertex's area, along the local cloth normal
+    springForceSum.addAssign(getWindForce(position, normal).mul(massProperties.y));
+
+    // Forces move the vertex by F * dt² / m this step, gravity by g * dt²
+    force.addAssign(springForceSum.mul(float(timeStepSquared).div(massProperties.x.max(1e-9))));
+    force.y.subAssign(float(GRAVITY * timeStepSquared));
+
+    // Collide the new position with the colliders, the SDF shape and the
+    // world limits
+    const { newPos, bounce } = collideStep(position, force);
+
+    // Update the force buffer (the step plus any bounce) and move the vertex
+    // (Verlet integration)
+    vertexForceBuffer.element(instanceIndex).assign(newPos.sub(position).add(bounce));
+    vertexPositionBuffer.element(instanceIndex).assign(newPos);
+  })()
+    .compute(vertexCapacity)
+    .setName("Vertex Forces");
+
+  // ========================================================================
+  // 3. Self-Collision Compute Shaders
+  // ========================================================================
+  const { hashSize, bucketCapacity } = SELF_COLLISION_CONFIG;
+
+  computeClearSpatialHash = Fn(() => {
+    atomicStore(spatialHashCountBuffer.element(instanceIndex), uint(0));
+  })()
+    .compute(hashSize)
+    .setName(`${SELF_COLLISION_PASS_PREFIX} Clear`);
+
+  computeBuildSpatialHash = Fn(() => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
+      Return();
+    });
+
+    const position = vertexPositionBuffer.element(instanceIndex);
+    const bucket = hashGridCell(getGridCell(position)).toVar("hashBucket");
+    const slot = atomicAdd(spatialHashCountBuffer.element(bucket), uint(1)).toVar("hashSlot");
+    If(slot.lessThan(uint(bucketCapacity)), () => {
+      spatialHashEntryBuffer.element(bucket.mul(uint(bucketCapacity)).add(slot)).assign(instanceIndex);
+    });
+  })()
+    .compute(vertexCapacity)
+    .setName(`${SELF_COLLISION_PASS_PREFIX} Hash`);
+
+  computeSelfCollision = Fn(() => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
+      Return();
+    });
+
+    const params = vertexParamsBuffer.element(instanceIndex).toVar();
+    const ptrStart = params.z;
+    const ptrEnd = params.z.add(params.y);
+    const position = vertexPositionBuffer.element(instanceIndex).toVar("vertexPosition");
+    const cell = getGridCell(position).toVar("vertexCell");
+    const correction = vec3(0, 0, 0).toVar("selfCorrection");
+
+    Loop(
+      { start: int(-1), end: int(2), type: "int", condition: "<", name: "dz" },
+      { start: int(-1), end: int(2), type: "int", condition: "<", name: "dy" },
+      { start: int(-1), end: int(2), type: "int", condition: "<", name: "dx" },
+      ({ dx, dy, dz }) => {
+        const neighborCell = cell.add(ivec3(dx, dy, dz)).toVar("neighborCell");
+        const bucket = hashGridCell(neighborCell).toVar("neighborBucket");
+        const count = atomicLoad(spatialHashCountBuffer.element(bucket)).min(uint(bucketCapacity)).toVar("bucketCount");
+
+        Loop(
+          { start: uint(0), end: count, type: "uint", condition: "<", name: "slot" },
+          ({ slot }) => {
+            const otherId = spatialHashEntryBuffer.element(bucket.mul(uint(bucketCapacity)).add(slot)).toVar("otherId");
+            const otherPosition = vertexPositionBuffer.element(otherId).toVar("otherPosition");
+            const delta = position.sub(otherPosition).toVar("selfDelta");
+            const distance = delta.length().toVar("selfDistance");
+
+            // Skip itself, coincident vertices and vertices of other cells
+            // sharing the bucket (they are visited through their own cell)
+            const otherCell = getGridCell(otherPosition);
+            const sameCell = otherCell.x.equal(neighborCell.x)
+              .and(otherCell.y.equal(neighborCell.y))
+              .and(otherCell.z.equal(neighborCell.z));
+            If(otherId.notEqual(instanceIndex)
+              .and(sameCell)
+              .and(distance.greaterThan(0.000001))
+              .and(distance.lessThan(selfCollisionRadiusUniform)), () => {
+              // Vertices joined by a spring are kept apart by the spring
+              const connected = uint(0).toVar("springConnected");
+              Loop(
+                { start: ptrStart, end: ptrEnd, type: "uint", condition: "<", name: "p" },
+                ({ p }) => {
+                  const springVertexIds = springVertexIdBuffer.element(springListBuffer.element(p));
+                  If(springVertexIds.x.equal(otherId).or(springVertexIds.y.equal(otherId)), () => {
+                    connected.assign(uint(1));
+                  });
+                },
+              );
+
+              If(connected.equal(uint(0)), () => {
+                correction.addAssign(delta.mul(selfCollisionRadiusUniform.sub(distance).mul(0.5).div(distance)));
+              });
+            });
+          },
         );
+      },
+    );
+
+    selfCollisionCorrectionBuffer.element(instanceIndex).assign(correction);
+  })()
+    .compute(vertexCapacity)
+    .setName(`${SELF_COLLISION_PASS_PREFIX} Repulsion`);
+
+  computeApplySelfCollision = Fn(() => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
+      Return();
+    });
+
+    // Pinned and dragged vertices stay where they are
+    const isDragged = dragUniform.greaterThan(0).and(instanceIndex.equal(dragVertexIndexUniform));
+    If(vertexParamsBuffer.element(instanceIndex).x.equal(uint(0)).and(isDragged.not()), () => {
+      const correction = selfCollisionCorrectionBuffer.element(instanceIndex);
+      vertexForceBuffer.element(instanceIndex).addAssign(correction);
+      vertexPositionBuffer.element(instanceIndex).addAssign(correction);
+    });
+  })()
+    .compute(vertexCapacity)
+    .setName(`${SELF_COLLISION_PASS_PREFIX} Apply`);
+
+  // ========================================================================
+  // 4. XPBD Compute Shaders
+  // ========================================================================
+  // A dragged vertex is moved by the drag only, like a pinned one
+  const isPinnedOrDragged = (id) => vertexParamsBuffer.element(id).x.equal(uint(1))
+    .or(dragUniform.greaterThan(0).and(id.equal(dragVertexIndexUniform)));
+
+  // Inverse masses (pinned and dragged vertices are immovable)
+  const getInverseMass = (id) =>
+    select(isPinnedOrDragged(id), 0.0, float(1.0).div(vertexMassBuffer.element(id).x.max(1e-9)));
+
+  // One XPBD update of a bending or thickness constraint, from its value C
+  // and its gradient at each of its four vertices (the same update as a
+  // distance constraint, whose gradients are -direction and direction):
+  // delta lambda = (-C - alpha * lambda - gamma * dC) / ((1 + gamma) * sum(w * |grad|²) + alpha)
+  // where dC is how much C has changed since the step began
+  const solveStencilConstraint = (vertexIds, gradients, constraint, lambda, compliance, damping) => {
+    const inverseMasses = vertexIds.map((id) => getInverseMass(id).toVar());
+    const weightSum = gradients
+      .reduce((sum, gradient, i) => sum.add(gradient.dot(gradient).mul(inverseMasses[i])), float(0.0))
+      .toVar("stencilWeightSum");
+    If(weightSum.greaterThan(0.0), () => {
+      const alpha = compliance.div(timeStepSquared);
+      const gamma = compliance.mul(damping).mul(STEPS_PER_SECOND).toVar("stencilGamma");
+      const constraintStep = gradients.reduce((sum, gradient, i) => sum.add(gradient.dot(
+        vertexPositionBuffer.element(vertexIds[i]).sub(previousPositionBuffer.element(vertexIds[i]))
+      )), float(0.0));
+      const deltaLambda = constraint.negate().sub(alpha.mul(lambda)).sub(gamma.mul(constraintStep))
+        .div(gamma.add(1.0).mul(weightSum).add(alpha)).toVar("stencilDeltaLambda");
+      lambda.addAssign(deltaLambda);
+      vertexIds.forEach((id, i) => {
+        vertexPositionBuffer.element(id).addAssign(gradients[i].mul(inverseMasses[i].mul(deltaLambda)));
+      });
+    });
+  };
+
+  computeXPBDReset = Fn(() => {
+    If(instanceIndex.greaterThanEqual(springCountUniform), () => {
+      Return();
+    });
+    constraintLambdaBuffer.element(instanceIndex).assign(0.0);
+    constraintLambdaBuffer.element(instanceIndex.add(uint(springCapacity))).assign(0.0);
+
+    // Damage and plasticity, once per step from the lengths the last step
+    // solved (tearing is also checked during the iterations)
+    const isBendingSpring = springTypeBuffer.element(instanceIndex).equal(uint(SPRING_TYPE.BENDING));
+    If(isBendingSpring.not().and(springStiffnessBuffer.element(instanceIndex).notEqual(0.0)), () => {
+      const vertexIds = springVertexIdBuffer.element(instanceIndex);
+      const dist = vertexPositionBuffer.element(vertexIds.y).sub(vertexPositionBuffer.element(vertexIds.x))
+        .length().max(0.000001);
+      damageSpring(instanceIndex, vertexIds, dist);
+    });
+  })()
+    .compute(Math.max(springCapacity, 1))
+    .setName("XPBD Reset");
+
+  computeXPBDPredict = Fn(() => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
+      Return();
+    });
+
+    const params = vertexParamsBuffer.element(instanceIndex).toVar();
+    const position = vertexPositionBuffer.element(instanceIndex).toVar("vertexPosition");
+    previousPositionBuffer.element(instanceIndex).assign(position);
+
+    // A dragged vertex snaps to the drag target (as in computeVertexForces)
+    If(dragUniform.greaterThan(0).and(instanceIndex.equal(dragVertexIndexUniform)), () => {
+      vertexForceBuffer.element(instanceIndex).assign(dragTargetUniform.sub(position));
+      vertexPositionBuffer.element(instanceIndex).assign(dragTargetUniform);
+      Return();
+    });
+
+    If(params.x, () => {
+      Return();
+    });
+
+    const force = vertexForceBuffer.element(instanceIndex).mul(dampeningUniform).toVar("vertexForce");
 
-        force.addAssign(springForce.mul(factor));
+    // Local cloth normal, taken from the Z-spring(s) linking the two layers
+    const normal = vec3(0, 0, 0).toVar("clothNormal");
+    const ptrStart = params.z.toVar("ptrStart");
+    Loop(
+      { start: ptrStart, end: ptrStart.add(params.y), type: "uint", condition: "<" },
+      ({ i }) => {
+        const springId = springListBuffer.element(i).toVar("springId");
+        If(springTypeBuffer.element(springId).equal(uint(SPRING_TYPE.Z_SPRING)), () => {
+          const springVertexIds = springVertexIdBuffer.element(springId);
+          const otherId = select(springVertexIds.x.equal(instanceIndex), springVertexIds.y, springVertexIds.x);
+          normal.addAssign(position.sub(vertexPositionBuffer.element(otherId)));
+        });
       },
     );
 
-    // Add gravity force (reduced since cloth is under tension)
-    console.log(vertexCount)
-    force.y.subAssign(float(9.81).mul(float(0.024).div(float(vertexCount))));
-
-    // Handle collision with sphere or cylinder
-    // spherePositionUniform is the TOP of the cylinder (or center of sphere)
-    // Cylinder extends downward (negative Y) from this position
-    const cylinderTop = spherePositionUniform.y;
-    const cylinderBottom = cylinderTop.sub(cylinderHeightUniform);
-    const newPos = position.add(force);
-    
-    // Calculate horizontal distance from cylinder axis
-    const deltaXZ = vec2(newPos.x.sub(spherePositionUniform.x), newPos.z.sub(spherePositionUniform.z));
-    const distXZ = deltaXZ.length();
-    
-    // Check if within cylinder height range (between top and bottom)
-    const withinHeight = newPos.y.lessThanEqual(cylinderTop).and(newPos.y.greaterThanEqual(cylinderBottom));
-    
-    // Cylinder body collision: push outward horizontally
-    const cylinderPenetration = sphereRadiusUniform.sub(distXZ);
-    const cylinderCollision = withinHeight.and(cylinderPenetration.greaterThan(0)).and(cylinderHeightUniform.greaterThan(0));
-    
-    // Sphere collision at bottom cap
-    const deltaSphere = newPos.sub(vec3(spherePositionUniform.x, cylinderBottom, spherePositionUniform.z));
-    const distSphere = deltaSphere.length();
-    const spherePenetration = sphereRadiusUniform.sub(distSphere);
-    const sphereCollision = spherePenetration.greaterThan(0).and(newPos.y.lessThan(cylinderBottom));
-    
-    // Pure sphere mode (when cylinderHeight is 0)
-    const deltaPureSphere = newPos.sub(spherePositionUniform);
-    const distPureSphere = deltaPureSphere.length();
-    const pureSphereCollision = cylinderHeightUniform.lessThanEqual(0);
-    
-    // Calculate collision force
-    const collisionForce = vec3(0, 0, 0).toVar();
-    
-    // Cylinder body: push horizontally outward
-    If(cylinderCollision, () => {
-      const pushDir = vec3(deltaXZ.x, 0, deltaXZ.y).normalize();
-      collisionForce.assign(pushDir.mul(cylinderPenetration));
+    // Same gravity and wind as computeVertexForces
+    const massProperties = vertexMassBuffer.element(instanceIndex); // mass, area
+    const windForce = getWindForce(position, normal).mul(massProperties.y);
+    force.addAssign(windForce.mul(float(timeStepSquared).div(massProperties.x.max(1e-9))));
+    force.y.subAssign(float(GRAVITY * timeStepSquared));
+
+    vertexPositionBuffer.element(instanceIndex).assign(position.add(force));
+  })()
+    .compute(vertexCapacity)
+    .setName("XPBD Predict");
+
+  constraintBatchPasses = getConstraintBatches().map(({ offset, count }, batch) => Fn(() => {
+    If(instanceIndex.greaterThanEqual(uint(count)), () => {
+      Return();
+    });
+
+    const springId = constraintOrderBuffer.element(instanceIndex.add(uint(offset))).toVar("springId");
+    // Unused places in the stitch batches (see writeStitchBatches)
+    If(springId.greaterThanEqual(springCountUniform), () => {
+      Return();
+    });
+    const vertexIds = springVertexIdBuffer.element(springId).toVar("constraintVertexIds");
+    const restLength = springRestLengthBuffer.element(springId);
+    const springType = springTypeBuffer.element(springId).toVar("springType");
+    const isBendingSpring = springType.equal(uint(SPRING_TYPE.BENDING));
+    const stiffness = springStiffnessBuffer.element(springId).toVar("constraintStiffness");
+
+    // Torn constraints are skipped; bending constraints tear with either of
+    // the structural springs they span (as in computeSpringForces)
+    If(stiffness.equal(0.0), () => {
+      Return();
+    });
+    const neighborIds = springNeighborBuffer.element(springId).toVar("neighborIds");
+    const isNeighborTorn = springStiffnessBuffer.element(neighborIds.x).equal(0.0)
+      .or(springStiffnessBuffer.element(neighborIds.y).equal(0.0));
+    If(isBendingSpring.and(isNeighborTorn), () => {
+      springStiffnessBuffer.element(springId).assign(0.0);
+      Return();
+    });
+
+    // Compliance: the inverse of the spring stiffness, scaled by the
+    // stiffness multiplier of its type (mirrors getConstraintCompliance in
+    // verlet/constraints)
+    const stiffnessMultiplier = select(
+      springType.equal(uint(SPRING_TYPE.Z_SPRING)),
+      zSpringStiffnessUniform,
+      select(isBendingSpring, bendingStiffnessUniform, inPlaneStiffnessUniform),
+    );
+    const compliance = float(1.0).div(stiffness.mul(stiffnessMultiplier).max(0.000001)).toVar("constraintCompliance");
+    const material = springMaterialBuffer.element(springId); // damping, tear threshold, stiffness, rest length
+
+    // Other vertices and rest shape of a bending or thickness constraint
+    // (see writeConstraintStencils in verlet/constraints)
+    const stencilIds = springStencilBuffer.element(springId).toVar("stencilIds");
+    const shape = springStencilShapeBuffer.element(springId).toVar("stencilShape");
+    const hasStencil = stencilIds.x.notEqual(uint(UNUSED_CONSTRAINT));
+
+    // Bending constraint: the bend at the hinge, the sum of the stencil
+    // positions times their weights, kept at its rest length
+    If(isBendingSpring, () => {
+      If(hasStencil.not(), () => {
+        Return();
+      });
+      const stencil = [vertexIds.x, vertexIds.y, stencilIds.x, stencilIds.y];
+      const weights = [shape.x, shape.y, shape.z, shape.x.add(shape.y).add(shape.z).negate()];
+      const bend = stencil
+        .reduce((sum, id, i) => sum.add(vertexPositionBuffer.element(id).mul(weights[i])), vec3(0, 0, 0))
+        .toVar("bend");
+      const bendLength = bend.length().toVar("bendLength");
+      If(bendLength.lessThan(0.000001), () => {
+        Return();
+      });
+      const bendDirection = bend.div(bendLength).toVar("bendDirection");
+      solveStencilConstraint(
+        stencil,
+        weights.map((weight) => bendDirection.mul(weight)),
+        bendLength.sub(shape.w),
+        constraintLambdaBuffer.element(springId),
+        compliance,
+        material.x,
+      );
+      Return();
+    });
+
+    const position0 = vertexPositionBuffer.element(vertexIds.x).toVar("constraintPosition0");
+    const position1 = vertexPositionBuffer.element(vertexIds.y).toVar("constraintPosition1");
+    const delta = position1.sub(position0).toVar("constraintDelta");
+    const dist = delta.length().max(0.000001).toVar("constraintLength");
+
+    // Tearing, at the same stretch as the mass-spring integrator
+    const isOverstretched = tearingUniform.greaterThan(0).and(getStretchFraction(material, dist).greaterThan(1.0));
+    If(isOverstretched, () => {
+      springStiffnessBuffer.element(springId).assign(0.0);
+      vertexBrokenBuffer.element(vertexIds.x).assign(uint(1));
+      vertexBrokenBuffer.element(vertexIds.y).assign(uint(1));
+      appendTearEvent(springId, vertexIds, dist, material);
+      Return();
+    });
+
+    const inverseMass0 = getInverseMass(vertexIds.x);
+    const inverseMass1 = getInverseMass(vertexIds.y);
+    const inverseMassSum = inverseMass0.add(inverseMass1).toVar("inverseMassSum");
+    If(inverseMassSum.equal(0.0), () => {
+      Return();
+    });
+
+    const alpha = compliance.div(timeStepSquared).toVar("constraintAlpha");
+
+    // Damping (mirrors the mass-spring damping): gamma = compliance * damping / dt,
+    // acting on how fast the constraint has stretched since the step began
+    const direction = delta.div(dist).toVar("constraintDirection");
+    const gamma = compliance.mul(material.x).mul(STEPS_PER_SECOND).toVar("constraintGamma");
+    const step0 = position0.sub(previousPositionBuffer.element(vertexIds.x));
+    const step1 = position1.sub(previousPositionBuffer.element(vertexIds.y));
+    const stretchStep = step1.sub(step0).dot(direction);
+
+    // XPBD update:
+    // delta lambda = (-C - alpha * lambda - gamma * stretch) / ((1 + gamma) * (w0 + w1) + alpha)
+    const lambda = constraintLambdaBuffer.element(springId);
+    const constraint = dist.sub(restLength);
+    const deltaLambda = constraint.negate().sub(alpha.mul(lambda)).sub(gamma.mul(stretchStep))
+      .div(gamma.add(1.0).mul(inverseMassSum).add(alpha)).toVar("deltaLambda");
+    lambda.addAssign(deltaLambda);
+
+    const correction = direction.mul(deltaLambda).toVar("constraintCorrection");
+    vertexPositionBuffer.element(vertexIds.x).subAssign(correction.mul(inverseMass0));
+    vertexPositionBuffer.element(vertexIds.y).addAssign(correction.mul(inverseMass1));
+
+    // Thickness constraint of a Z-spring, unless a spring of its base has
+    // torn: six times the volume of the tetrahedron (the bottom vertex's
+    // height over the base) over the base's rest area, kept at its rest value
+    If(springType.equal(uint(SPRING_TYPE.Z_SPRING)).and(hasStencil).and(isNeighborTorn.not()), () => {
+      const top = vertexPositionBuffer.element(vertexIds.x).toVar("thicknessTop");
+      const edgeA = vertexPositionBuffer.element(stencilIds.x).sub(top).toVar("thicknessEdgeA");
+      const edgeB = vertexPositionBuffer.element(stencilIds.y).sub(top).toVar("thicknessEdgeB");
+      const height = vertexPositionBuffer.element(vertexIds.y).sub(top).toVar("thicknessHeight");
+      const gradientBottom = cross(edgeA, edgeB).mul(shape.x).toVar("thicknessGradientBottom");
+      const gradientA = cross(edgeB, height).mul(shape.x).toVar("thicknessGradientA");
+      const gradientB = cross(height, edgeA).mul(shape.x).toVar("thicknessGradientB");
+      solveStencilConstraint(
+        [vertexIds.x, vertexIds.y, stencilIds.x, stencilIds.y],
+        [gradientBottom.add(gradientA).add(gradientB).negate(), gradientBottom, gradientA, gradientB],
+        gradientBottom.dot(height).sub(shape.y),
+        constraintLambdaBuffer.element(springId.add(uint(springCapacity))),
+        compliance,
+        material.x,
+      );
     });
-    
-    // Sphere cap at bottom: push radially outward
-    If(sphereCollision.and(cylinderHeightUniform.greaterThan(0)), () => {
-      collisionForce.assign(deltaSphere.normalize().mul(spherePenetration));
+  })()
+    .compute(Math.max(count, 1))
+    .setName(`XPBD Constraints ${batch}`));
+
+  computeXPBDFinalize = Fn(() => {
+    If(instanceIndex.greaterThanEqual(vertexCountUniform), () => {
+      Return();
     });
-    
-    // Pure sphere mode
-    If(pureSphereCollision, () => {
-      const purePenetration = sphereRadiusUniform.sub(distPureSphere).max(0);
-      collisionForce.assign(deltaPureSphere.normalize().mul(purePenetration));
+    If(isPinnedOrDragged(instanceIndex), () => {
+      Return();
     });
-    
-    force.addAssign(collisionForce.mul(sphereUniform));
 
-    // Update the force buffer and apply force to position (Verlet integration)
-    vertexForceBuffer.element(instanceIndex).assign(force);
-    vertexPositionBuffer.element(instanceIndex).addAssign(force);
+    // The solved step is collided exactly like a mass-spring step
+    const previous = previousPositionBuffer.element(instanceIndex).toVar("previousPosition");
+    const solvedStep = vertexPositionBuffer.element(instanceIndex).sub(previous).toVar("solvedStep");
+    const { newPos, bounce } = collideStep(previous, solvedStep);
+
+    vertexForceBuffer.element(instanceIndex).assign(newPos.sub(previous).add(bounce));
+    vertexPositionBuffer.element(instanceIndex).assign(newPos);
   })()
-    .compute(vertexCount)
-    .setName("Vertex Forces");
+    .compute(vertexCapacity)
+    .setName("XPBD Finalize");
+
+  // ========================================================================
+  // 5. Vertex Splits Compute Shader
+  // ========================================================================
+  computeVertexSplits = Fn(() => {
+    const source = vertexSplitSourceBuffer.element(instanceIndex).toVar("splitSource");
+    If(instanceIndex.greaterThanEqual(vertexCountUniform).or(source.equal(uint(0))), () => {
+      Return();
+    });
+
+    const sourceId = source.sub(uint(1));
+    vertexPositionBuffer.element(instanceIndex).assign(vertexPositionBuffer.element(sourceId));
+    vertexForceBuffer.element(instanceIndex).assign(vertexForceBuffer.element(sourceId));
+    vertexBrokenBuffer.element(instanceIndex).assign(vertexBrokenBuffer.element(sourceId));
+  })()
+    .compute(vertexCapacity)
+    .setName("Vertex Splits");
+
+  // ========================================================================
+  // 6. Stiffness Rescale Compute Shader
+  // ========================================================================
+  computeStiffnessRescale = Fn(() => {
+    If(instanceIndex.greaterThanEqual(springCountUniform), () => {
+      Return();
+    });
+
+    springStiffnessBuffer.element(instanceIndex).mulAssign(springStiffnessScaleBuffer.element(instanceIndex));
+  })()
+    .compute(Math.max(springCapacity, 1))
+    .setName("Stiffness Rescale");
 }
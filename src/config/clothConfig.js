@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Live cloth dimensions, resolution and fabric
+ * @module config/clothConfig
+ *
+ * The cloth size, segment counts and fabric start from the defaults in
+ * config/constants.js but can be changed at runtime. Every quantity that
+ * depends on them (vertex masses, spring stiffnesses, tear thresholds) is
+ * derived from the live configuration, so a rebuild through setupCloth picks
+ * up the new values everywhere.
+ */
+
+import {
+  CLOTH_WIDTH,
+  CLOTH_HEIGHT,
+  CLOTH_NUM_SEGMENTS_X,
+  CLOTH_NUM_SEGMENTS_Y,
+  FABRIC_CONFIG,
+} from "./constants.js";
+import { createFabricPreset } from "./fabricPresets.js";
+
+/**
+ * Limits for runtime cloth configuration
+ */
+export const CLOTH_CONFIG_LIMITS = {
+  minSize: 0.1,
+  maxSize: 10,
+  minSegments: 2,
+  maxSegments: 256,
+};
+
+/**
+ * The live cloth configuration
+ * @type {{width: number, height: number, segmentsX: number, segmentsY: number}}
+ */
+const clothConfig = {
+  width: CLOTH_WIDTH,
+  height: CLOTH_HEIGHT,
+  segmentsX: CLOTH_NUM_SEGMENTS_X,
+  segmentsY: CLOTH_NUM_SEGMENTS_Y,
+};
+
+/**
+ * The live fabric material (see FABRIC_CONFIG and config/fabricPresets.js)
+ * @type {Object}
+ */
+let fabricConfig = createFabricPreset(FABRIC_CONFIG);
+
+/**
+ * Gets the live cloth configuration
+ * @returns {{width: number, height: number, segmentsX: number, segmentsY: number}}
+ *   The cloth configuration (do not mutate, use setClothConfig)
+ */
+export function getClothConfig() {
+  return clothConfig;
+}
+
+/**
+ * Updates the cloth configuration
+ *
+ * Values are clamped to CLOTH_CONFIG_LIMITS and segment counts are rounded.
+ * The change takes effect the next time the cloth is built (setupCloth).
+ *
+ * @param {Object} config - Fields to change
+ * @param {number} [config.width] - Cloth width in world units
+ * @param {number} [config.height] - Cloth height (depth along Z) in world units
+ * @param {number} [config.segmentsX] - Number of segments along X
+ * @param {number} [config.segmentsY] - Number of segments along Y (Z in world space)
+ * @throws {Error} If a value is not a finite number
+ */
+export function setClothConfig(config) {
+  const clampSize = (value) =>
+    Math.min(Math.max(value, CLOTH_CONFIG_LIMITS.minSize), CLOTH_CONFIG_LIMITS.maxSize);
+  const clampSegments = (value) =>
+    Math.min(Math.max(Math.round(value), CLOTH_CONFIG_LIMITS.minSegments), CLOTH_CONFIG_LIMITS.maxSegments);
+
+  for (const [key, value] of Object.entries(config)) {
+    if (value === undefined) continue;
+    if (!(key in clothConfig)) {
+      throw new Error(`Unknown cloth config field: ${key}`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid value for cloth config field ${key}: ${value}`);
+    }
+  }
+
+  if (config.width !== undefined) clothConfig.width = clampSize(config.width);
+  if (config.height !== undefined) clothConfig.height = clampSize(config.height);
+  if (config.segmentsX !== undefined) clothConfig.segmentsX = clampSegments(config.segmentsX);
+  if (config.segmentsY !== undefined) clothConfig.segmentsY = clampSegments(config.segmentsY);
+}
+
+/**
+ * Gets the live fabric material
+ * @returns {Object} Areal density (kg/m²), layer thickness (m), and the
+ *   stiffness (N/m), damping (N·s/m) and tear threshold of every spring
+ *   class, used when the cloth is built (do not mutate, use setFabricConfig)
+ */
+export function getFabricConfig() {
+  return fabricConfig;
+}
+
+/**
+ * Changes the fabric material
+ *
+ * Missing fields fall back to the default fabric (see createFabricPreset).
+ * The change takes effect the next time the cloth is built (setupCloth).
+ *
+ * @param {Object} preset - Fabric preset (see config/fabricPresets.js)
+ * @throws {Error} If the preset has unknown or invalid fields
+ */
+export function setFabricConfig(preset) {
+  fabricConfig = createFabricPreset(preset);
+}
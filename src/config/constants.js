@@ -4,7 +4,8 @@
  */
 
 /**
- * Cloth dimensions and segmentation
+ * Default cloth dimensions and segmentation
+ * The live values can be changed at runtime (see config/clothConfig.js)
  */
 export const CLOTH_WIDTH = 1.5;
 export const CLOTH_HEIGHT = 1.5;
@@ -16,21 +17,202 @@ export const CLOTH_NUM_SEGMENTS_Y = 50;
  */
 export const SPHERE_RADIUS = 0.12;
 
+/**
+ * Maximum number of simultaneous colliders (size of the collider buffer)
+ */
+export const MAX_COLLIDERS = 16;
+
+/**
+ * Default contact response of a collider (each collider can override it)
+ */
+export const COLLIDER_CONTACT = {
+  staticFriction: 0.5, // Cloth sticks while its sliding is below this times the push out
+  kineticFriction: 0.3, // Sliding removed per unit of push out once the cloth slips
+  restitution: 0.0, // Fraction of the approach speed the cloth bounces back with
+};
+
+/**
+ * Signed distance field collision configuration
+ */
+export const SDF_CONFIG = {
+  resolution: 32, // Grid samples along each axis of the (cubic) SDF volume
+  padding: 0.1, // Margin around the shape inside the SDF volume
+  thickness: 0.01, // Distance from the surface at which the cloth is stopped
+  friction: 0.5, // Fraction of tangential motion removed on contact (0 - 1)
+  bakeChunkTime: 12, // Milliseconds of mesh baking between frames (see bakeSDFInChunks)
+};
+
+/**
+ * Ground plane configuration
+ * Below the lowest point the ball pushes the cloth to, so it only catches
+ * cloth that falls (free pins, tears)
+ */
+export const GROUND_CONFIG = {
+  enabled: true,
+  height: -1.0, // Y of the floor
+  friction: 0.8, // Fraction of sliding removed on contact with the floor or the world box (0 - 1)
+};
+
+/**
+ * Axis-aligned world box the cloth is kept inside (off by default)
+ */
+export const WORLD_BOUNDS_CONFIG = {
+  enabled: false,
+  min: { x: -1.5, y: -1.0, z: -1.5 },
+  max: { x: 1.5, y: 1.5, z: 1.5 },
+};
+
+/**
+ * Self-collision configuration
+ * Vertices are hashed into a uniform grid whose cells are one radius wide,
+ * so only the 27 cells around a vertex can hold vertices within its radius
+ */
+export const SELF_COLLISION_CONFIG = {
+  enabled: false,
+  radius: 0.01, // Minimum distance kept between vertices not joined by a spring
+  hashSize: 32768, // Number of spatial hash buckets (power of two)
+  bucketCapacity: 8, // Vertices stored per bucket; further vertices are not collided
+};
+
+/**
+ * Primes of the spatial hash (cell coordinates are multiplied by them and XORed)
+ */
+export const SPATIAL_HASH_PRIMES = [73856093, 19349663, 83492791];
+
 /**
  * Cloth thickness parameters for volume preservation
  * The cloth is modeled as two layers connected by Z-springs
  */
-export const CLOTH_THICKNESS = 0.003; // Distance between top and bottom layers
-export const Z_SPRING_STIFFNESS = 0.8; // Stiffness of springs connecting layers (volume preservation)
-export const BENDING_STIFFNESS = 12000 / (CLOTH_NUM_SEGMENTS_X * CLOTH_NUM_SEGMENTS_Y); // Stiffness of torsional/bending springs
+export const CLOTH_THICKNESS = 0.003; // Default distance between top and bottom layers (see FABRIC_CONFIG)
+
+/**
+ * Physical units
+ * Lengths are in meters, masses in kilograms and time in seconds; every
+ * step advances the simulation by 1 / STEPS_PER_SECOND seconds
+ */
+export const GRAVITY = 9.81; // Gravitational acceleration (m/s²)
 
 /**
  * Cloth breaking/tearing parameters
- * Applies to all springs (both in-plane and Z-springs)
+ * SPRING_BREAK_THRESHOLD is the default tear threshold of the fabric's
+ * springs (see FABRIC_CONFIG); each spring class can override it.
+ * SPRING_BREAK_ENABLED is the default of the runtime tearing toggle.
  */
 export const SPRING_BREAK_THRESHOLD = 1.9; // Break at 190% of rest length
 export const SPRING_BREAK_ENABLED = true; // Toggle cloth tearing on/off
 
+/**
+ * Progressive damage and plasticity
+ * Fractions of a spring's stretch allowance (its tear threshold - 1, times
+ * thresholdScale): a spring with a 1.9 threshold starts to weaken at
+ * 1 + 0.9 * damageOnset of its original length. Every value but variation
+ * and seed can be changed at runtime (see utils/uniforms.js).
+ */
+export const TEAR_CONFIG = {
+  thresholdScale: 1.0, // Multiplier of every spring's stretch allowance
+  variation: 0.15, // Random spread of each spring's stretch allowance (± fraction)
+  seed: 1, // Seed of the random variation (the same seed gives the same rips)
+  damageOnset: 0.85, // Stretch (fraction of the allowance) beyond which a spring weakens for good
+  residualStiffness: 0.5, // Fraction of its stiffness a spring keeps just before tearing
+  yieldPoint: 0.8, // Stretch (fraction of the allowance) beyond which a spring lengthens for good
+  plasticity: 0.5, // Fraction of the largest stretch beyond the yield point kept as permanent length
+};
+
+/**
+ * Tear events (see simulation/tearEvents.js)
+ * The GPU appends every tear to a ring of this many events, read back once
+ * per frame; more tears than that between two readbacks lose the oldest
+ */
+export const TEAR_EVENT_CONFIG = {
+  capacity: 4096, // Events the ring holds
+};
+
+/**
+ * Topological tearing (see verlet/fracture.js)
+ * Vertices on a tear line are split into one copy per side of the tear; the
+ * vertex buffers are sized up front for the copies, so a cloth can split
+ * this fraction of its vertices
+ */
+export const FRACTURE_CONFIG = {
+  vertexReserve: 0.5, // Vertex copies available for splitting, as a fraction of the cloth's vertices
+};
+
+/**
+ * Stitch mode (see utils/stitching.js)
+ * Brushing over a tear mends the torn springs whose vertices are close
+ * enough again and can sew nearby border vertices together with new stitch
+ * springs; the spring buffers are sized up front for the stitches, so a
+ * cloth can add this fraction of its springs
+ */
+export const STITCH_CONFIG = {
+  brushRadius: 0.06, // Radius of the brush around the cloth under the cursor or controller (m)
+  maxStretch: 1.25, // A torn spring is mended while its vertices are at most this many times its original length apart
+  addStitches: false, // Whether the brush also sews border vertices together with new springs
+  stitchDistance: 0.04, // Border vertices closer than this are sewn together (m)
+  stitchesPerVertex: 4, // Most stitch springs at one vertex
+  springReserve: 0.05, // Stitch springs available, as a fraction of the cloth's springs
+};
+
+/**
+ * Fabric material (the default preset, see config/fabricPresets.js)
+ * The mass of each vertex is the areal density times the cloth area it
+ * stands for. Every spring class (see SPRING_CLASS in verlet/geometry.js)
+ * has its own stiffness and damping per unit width (N/m: the force per
+ * meter of width that would stretch the fabric to twice its length, and
+ * N·s/m: the force per meter of width resisting a stretch rate of one
+ * length per second); each spring gets stiffness * area / length² and
+ * damping * area / length², so the cloth has the same weight and stretch at
+ * any resolution (see verlet/geometry.js). A spring tears when stretched
+ * beyond tearThreshold times its rest length; bending springs tear with the
+ * structural springs they span instead. The mass-spring integrator is only
+ * stable up to a stiffness that falls with the resolution (see
+ * getStabilityRatio); XPBD has no such limit.
+ */
+export const FABRIC_CONFIG = {
+  name: 'Default',
+  arealDensity: 0.2, // kg/m²
+  thickness: CLOTH_THICKNESS, // Distance between the layers (m)
+  springs: {
+    horizontal: { stiffness: 5.0, damping: 0.0, tearThreshold: SPRING_BREAK_THRESHOLD }, // Along X (weft)
+    vertical: { stiffness: 5.0, damping: 0.0, tearThreshold: SPRING_BREAK_THRESHOLD }, // Along Z (warp)
+    diagonal: { stiffness: 5.0, damping: 0.0, tearThreshold: SPRING_BREAK_THRESHOLD }, // Shear
+    z: { stiffness: 0.05, damping: 0.0, tearThreshold: SPRING_BREAK_THRESHOLD }, // Between the layers
+    bending: { stiffness: 2.0, damping: 0.0 },
+  },
+};
+
+/**
+ * Painted material maps (see verlet/materialMaps.js)
+ * Stiffness, tear resistance and mass multipliers painted in texture space;
+ * each is stored as a byte where 128 is 1x, so a map holds 0 - 2x
+ */
+export const MATERIAL_MAP_CONFIG = {
+  resolution: 128, // Texels along each side of the maps
+  brushRadius: 0.05, // Brush radius in UV units
+  brushStrength: 0.5, // Fraction of the way to the painted value per dab at the brush center
+  overlayOpacity: 0.8, // Strength of the color overlay where the maps differ from 1x
+};
+
+/**
+ * Default cloth integrator (see INTEGRATORS in verlet/constraints.js)
+ * Overridden at startup by the ?integrator= URL parameter
+ */
+export const DEFAULT_INTEGRATOR = 'massSpring';
+
+/**
+ * XPBD integrator configuration
+ * The compliance of each constraint is the inverse of its spring's stiffness
+ */
+export const XPBD_CONFIG = {
+  iterations: 8, // Passes over every constraint batch per step
+};
+
+/**
+ * Default pinning mode (see PIN_MODES in verlet/pinning.js)
+ * 'allEdges' fixes every border vertex so the cloth acts like a trampoline
+ */
+export const DEFAULT_PIN_MODE = 'allEdges';
+
 /**
  * Default simulation parameters
  */
@@ -40,6 +222,31 @@ export const DEFAULT_PARAMS = {
   wind: 0.0,
 };
 
+/**
+ * Wind force field configuration
+ * The wind strength itself is DEFAULT_PARAMS.wind; these shape the field
+ */
+export const WIND_CONFIG = {
+  direction: { x: 1.0, y: 0.0, z: -0.5 }, // Prevailing wind direction (normalized in the shader)
+  gustFrequency: 1.0, // Speed at which the noise field evolves over time
+  turbulenceScale: 2.0, // Spatial frequency of the turbulence noise
+  pressure: 2.5, // Pressure on the cloth at wind strength 1 (N/m²)
+};
+
+/**
+ * Wind noise normalization
+ * triNoise3D returns roughly [0, 0.57] with a mean around 0.29; it is
+ * re-centered and scaled to roughly [-1, 1]. Each turbulence axis samples
+ * the noise at a different offset so the components are decorrelated.
+ */
+export const WIND_NOISE_MEAN = 0.29;
+export const WIND_NOISE_GAIN = 1 / WIND_NOISE_MEAN;
+export const WIND_NOISE_OFFSETS = [
+  [17.3, 0.0, 0.0],
+  [0.0, 31.7, 0.0],
+  [0.0, 0.0, 47.1],
+];
+
 /**
  * Default material colors (sRGB)
  */
@@ -75,6 +282,26 @@ export const CONTROLS_CONFIG = {
   },
 };
 
+/**
+ * WebXR configuration (distances in meters)
+ */
+export const XR_CONFIG = {
+  // Where the cloth origin appears in the user's floor-level space:
+  // about waist height, with its near edge a step in front of the user
+  clothPosition: {
+    x: 0,
+    y: 0.9,
+    z: -1.0,
+  },
+  colliderRadius: 0.05, // Radius of the controller sphere/cylinder collider
+  cylinderLength: 0.3, // Length of the cylinder collider below the controller
+  grabRadius: 0.08, // Maximum distance from the controller to grab a vertex
+  // Most grid segments along each side in XR, where the physics runs on the
+  // CPU solver: a 20 × 20 mass-spring cloth steps in about 1.7 ms, under the
+  // 2.8 ms each step stands for (50 × 50 takes about 8 ms)
+  maxSegments: 20,
+};
+
 /**
  * Scene background color
  */
@@ -82,6 +309,7 @@ export const BACKGROUND_COLOR = 0x333337;
 
 /**
  * Simulation time step configuration
+ * The time step is 1 / STEPS_PER_SECOND seconds
  */
 export const STEPS_PER_SECOND = 360;
 export const MAX_DELTA_TIME = 1 / 60;
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Fabric material presets
+ * @module config/fabricPresets
+ *
+ * A fabric preset has the same shape as FABRIC_CONFIG: an areal density,
+ * the distance between the two layers, and a stiffness, damping and tear
+ * threshold for every spring class (horizontal, vertical, diagonal, z and
+ * bending, see SPRING_CLASS in verlet/geometry). Woven fabrics differ between
+ * the warp (vertical, along Z) and the weft (horizontal, along X) and resist
+ * shear (diagonal) much less than either.
+ *
+ * The thickness is one value for the whole fabric rather than one per
+ * class: it is the rest length of the z springs (and of the XPBD thickness
+ * constraint), the only springs that cross between the layers. The other
+ * classes lie within a layer, so their rest lengths come from the grid, and
+ * how much thickness stiffens a fabric against bending is already its
+ * bending stiffness.
+ *
+ * The built-in presets keep the stiffnesses within reach of the mass-spring
+ * integrator at the default resolution; real fabrics are stiffer still and
+ * need XPBD (see getStabilityRatio in verlet/geometry). Presets can also be
+ * written to and read from a versioned JSON file:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Canvas",
+ *     "arealDensity": 0.35,
+ *     "thickness": 0.004,
+ *     "springs": {
+ *       "horizontal": { "stiffness": 8, "damping": 0.0005, "tearThreshold": 1.3 },
+ *       "vertical": { "stiffness": 10 },
+ *       "bending": { "stiffness": 5 }
+ *     }
+ *   }
+ *
+ * Every field but the name is optional and falls back to the default fabric.
+ */
+
+import { FABRIC_CONFIG } from "./constants.js";
+
+/**
+ * Version of the fabric preset file format
+ */
+export const FABRIC_PRESET_VERSION = 1;
+
+/**
+ * Built-in presets, by name (Default is FABRIC_CONFIG)
+ * Stiffnesses in N/m, damping in N·s/m (per unit width), density in kg/m²
+ */
+export const FABRIC_PRESETS = {
+  Default: FABRIC_CONFIG,
+  Denim: {
+    name: "Denim",
+    arealDensity: 0.4,
+    thickness: 0.004,
+    springs: {
+      horizontal: { stiffness: 7.0, damping: 0.001, tearThreshold: 1.7 },
+      vertical: { stiffness: 10.0, damping: 0.001, tearThreshold: 1.75 },
+      diagonal: { stiffness: 2.0, damping: 0.0005, tearThreshold: 1.9 },
+      z: { stiffness: 0.1, damping: 0.0, tearThreshold: 1.9 },
+      bending: { stiffness: 6.0, damping: 0.001 },
+    },
+  },
+  Silk: {
+    name: "Silk",
+    arealDensity: 0.06,
+    thickness: 0.001,
+    springs: {
+      horizontal: { stiffness: 1.2, damping: 0.0, tearThreshold: 1.8 },
+      vertical: { stiffness: 1.5, damping: 0.0, tearThreshold: 1.8 },
+      diagonal: { stiffness: 0.4, damping: 0.0, tearThreshold: 2.0 },
+      z: { stiffness: 0.002, damping: 0.0, tearThreshold: 1.9 },
+      bending: { stiffness: 0.05, damping: 0.0 },
+    },
+  },
+  "Knit Jersey": {
+    name: "Knit Jersey",
+    arealDensity: 0.15,
+    thickness: 0.002,
+    springs: {
+      horizontal: { stiffness: 0.6, damping: 0.0002, tearThreshold: 2.6 },
+      vertical: { stiffness: 2.5, damping: 0.0002, tearThreshold: 2.0 },
+      diagonal: { stiffness: 0.5, damping: 0.0001, tearThreshold: 2.6 },
+      z: { stiffness: 0.03, damping: 0.0, tearThreshold: 2.6 },
+      bending: { stiffness: 0.4, damping: 0.0 },
+    },
+  },
+  Leather: {
+    name: "Leather",
+    arealDensity: 0.9,
+    thickness: 0.006,
+    springs: {
+      horizontal: { stiffness: 16.0, damping: 0.003, tearThreshold: 1.6 },
+      vertical: { stiffness: 18.0, damping: 0.003, tearThreshold: 1.6 },
+      diagonal: { stiffness: 10.0, damping: 0.002, tearThreshold: 1.7 },
+      z: { stiffness: 0.3, damping: 0.0, tearThreshold: 1.9 },
+      bending: { stiffness: 30.0, damping: 0.003 },
+    },
+  },
+  "Rubber Sheet": {
+    name: "Rubber Sheet",
+    arealDensity: 0.6,
+    thickness: 0.003,
+    springs: {
+      horizontal: { stiffness: 3.0, damping: 0.0002, tearThreshold: 3.5 },
+      vertical: { stiffness: 3.0, damping: 0.0002, tearThreshold: 3.5 },
+      diagonal: { stiffness: 3.0, damping: 0.0002, tearThreshold: 3.5 },
+      z: { stiffness: 0.1, damping: 0.0, tearThreshold: 3.5 },
+      bending: { stiffness: 1.0, damping: 0.0 },
+    },
+  },
+};
+
+/**
+ * Presets by name: the built-in ones and any loaded from files
+ * @type {Map<string, Object>}
+ */
+const presets = new Map(Object.entries(FABRIC_PRESETS));
+
+/**
+ * Stores a preset under its name, replacing any preset of that name
+ * @param {Object} preset - A complete preset (see parseFabricPreset)
+ */
+export function storeFabricPreset(preset) {
+  presets.set(preset.name, preset);
+}
+
+/**
+ * Gets a preset by name
+ * @param {string} name - Preset name
+ * @returns {Object|undefined} The preset, if any
+ */
+export function getFabricPreset(name) {
+  return presets.get(name);
+}
+
+/**
+ * Lists the names of all presets, built-in ones first
+ * @returns {Array<string>} Preset names
+ */
+export function listFabricPresets() {
+  return [...presets.keys()];
+}
+
+/**
+ * Checks that a preset value is a finite number within bounds
+ *
+ * @param {*} value - The value to check
+ * @param {string} field - Field path, for the error message
+ * @param {number} min - Smallest allowed value
+ * @param {boolean} [exclusive=false] - Whether min itself is excluded
+ * @returns {number} The value
+ * @throws {Error} If the value is not a number or out of bounds
+ */
+function checkNumber(value, field, min, exclusive = false) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || (exclusive && value === min)) {
+    throw new Error(`Invalid fabric preset field ${field}: ${value} (expected a number ${exclusive ? ">" : ">="} ${min})`);
+  }
+  return value;
+}
+
+/**
+ * Builds a complete preset from a partial description, filling missing
+ * fields from the default fabric
+ *
+ * @param {Object} data - Preset fields (see the file format above)
+ * @returns {Object} A complete preset
+ * @throws {Error} If the name is missing or a field is unknown or invalid
+ */
+export function createFabricPreset(data) {
+  if (!data || typeof data !== "object" || typeof data.name !== "string" || data.name.trim() === "") {
+    throw new Error("Fabric preset is missing a name");
+  }
+  for (const key of Object.keys(data)) {
+    if (key !== "version" && !(key in FABRIC_CONFIG)) {
+      throw new Error(`Unknown fabric preset field: ${key}`);
+    }
+  }
+
+  const springs = {};
+  const springData = data.springs || {};
+  for (const key of Object.keys(springData)) {
+    if (!(key in FABRIC_CONFIG.springs)) {
+      throw new Error(`Unknown spring class in fabric preset: ${key}`);
+    }
+  }
+  for (const [springClass, defaults] of Object.entries(FABRIC_CONFIG.springs)) {
+    const values = springData[springClass] || {};
+    springs[springClass] = {};
+    for (const [field, defaultValue] of Object.entries(defaults)) {
+      const value = values[field] !== undefined ? values[field] : defaultValue;
+      const path = `springs.${springClass}.${field}`;
+      springs[springClass][field] = field === "tearThreshold" ? checkNumber(value, path, 1, true) : checkNumber(value, path, 0);
+    }
+    for (const field of Object.keys(values)) {
+      if (!(field in defaults)) {
+        throw new Error(`Unknown fabric preset field: springs.${springClass}.${field}`);
+      }
+    }
+  }
+
+  return {
+    name: data.name.trim(),
+    arealDensity: checkNumber(
+      data.arealDensity !== undefined ? data.arealDensity : FABRIC_CONFIG.arealDensity, "arealDensity", 0, true
+    ),
+    thickness: checkNumber(data.thickness !== undefined ? data.thickness : FABRIC_CONFIG.thickness, "thickness", 0, true),
+    springs,
+  };
+}
+
+/**
+ * Serializes a preset to the versioned JSON file format
+ *
+ * @param {Object} preset - The preset to serialize
+ * @returns {string} JSON text
+ */
+export function serializeFabricPreset(preset) {
+  return JSON.stringify({ version: FABRIC_PRESET_VERSION, ...preset }, null, 2);
+}
+
+/**
+ * Parses a preset file written by serializeFabricPreset (or by hand)
+ *
+ * @param {string} text - JSON text
+ * @returns {Object} A complete preset (see createFabricPreset)
+ * @throws {Error} If the text is not a valid preset of a supported version
+ */
+export function parseFabricPreset(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a fabric preset file: ${error.message}`);
+  }
+
+  if (data && data.version !== undefined && data.version !== FABRIC_PRESET_VERSION) {
+    throw new Error(`Unsupported fabric preset version ${data.version} (expected ${FABRIC_PRESET_VERSION})`);
+  }
+  return createFabricPreset(data);
+}
@@ -18,46 +18,226 @@ import {
   initCamera,
   initControls,
   setupSceneBackground,
+  updateFloor,
+  setFloorShadowOnly,
   onWindowResize,
   getRenderer,
   getScene,
   getCamera,
   getControls,
 } from "./scene/setup.js";
-import { setupCloth } from "./simulation/cloth.js";
+import { getSupportedXRModes, setupXR, createXRInteraction } from "./scene/xr.js";
+import { setupCloth, getColliderManager } from "./simulation/cloth.js";
+import { COLLIDER_TYPE } from "./simulation/colliders.js";
+import {
+  SDF_SHAPES,
+  bakeShapeSDF,
+  bakeSDFInChunks,
+  createMeshDistanceFunction,
+  placeMeshBelowCloth,
+  setActiveSDF,
+} from "./simulation/sdf.js";
+import {
+  captureUniformValues,
+  applyUniformValues,
+  createSnapshot,
+  validateSnapshot,
+  serializeSnapshot,
+  parseSnapshot,
+  diffSnapshots,
+  storeSnapshot,
+  getSnapshot,
+  listSnapshots,
+} from "./simulation/snapshots.js";
+import {
+  createTraceRecorder,
+  createTracePlayer,
+  validateTrace,
+  findEditMismatch,
+  serializeTrace,
+  parseTrace,
+} from "./simulation/recording.js";
 import {
   getStiffnessUniform,
-  getSphereUniform,
   getWindUniform,
-  getSpherePositionUniform,
+  getWindDirectionUniform,
+  getWindGustFrequencyUniform,
+  getWindTurbulenceScaleUniform,
+  getTimeUniform,
+  getDragUniform,
+  getDragVertexIndexUniform,
+  getDragTargetUniform,
   getZSpringStiffnessUniform,
   getInPlaneStiffnessUniform,
-  getSphereRadiusUniform,
-  getCylinderHeightUniform,
+  getBendingStiffnessUniform,
+  getSDFThicknessUniform,
+  getSDFFrictionUniform,
+  getSelfCollisionUniform,
+  getSelfCollisionRadiusUniform,
+  getGroundUniform,
+  getGroundHeightUniform,
+  getGroundFrictionUniform,
+  getWorldBoundsUniform,
+  getWorldBoundsMinUniform,
+  getWorldBoundsMaxUniform,
+  getXPBDIterationsUniform,
+  getTearingUniform,
+  getTearThresholdScaleUniform,
+  getDamageOnsetUniform,
+  getResidualStiffnessUniform,
+  getYieldPointUniform,
+  getPlasticityUniform,
 } from "./utils/uniforms.js";
-import { getClothMesh, getClothMaterial } from "./objects/cloth.js";
+import { getComputePassTimings } from "./utils/profiling.js";
+import { getClothMesh, getClothMaterial, setMaterialMapOverlay, updateClothTopology } from "./objects/cloth.js";
 import { getSphere, updateSphere } from "./objects/sphere.js";
 import {
   getVertexWireframeObject,
   getSpringWireframeObject,
+  updateWireframeTopology,
 } from "./objects/wireframe.js";
-import { computeSpringForces, computeVertexForces } from "./compute/shaders.js";
-import { resetSimulationBuffers } from "./verlet/buffers.js";
+import { setupColliderWireframes, updateColliderWireframes } from "./objects/colliders.js";
+import {
+  setupSDFShape,
+  setSDFShapeGeometry,
+  createPrimitiveGeometry,
+  createTriangleGeometry,
+} from "./objects/sdfShape.js";
+import {
+  computeSpringForces,
+  computeVertexForces,
+  computeVertexSplits,
+  computeStiffnessRescale,
+  getSelfCollisionPasses,
+  getXPBDPasses,
+  SELF_COLLISION_PASS_PREFIX,
+} from "./compute/shaders.js";
+import { createCpuSolver } from "./compute/cpuSolver.js";
+import {
+  resetSimulationBuffers,
+  vertexPositionBuffer,
+  springStiffnessBuffer,
+  setVertexFixed,
+  isVertexFixed,
+  readStorageBuffer,
+  readSimulationState,
+  writeSimulationState,
+  updateMaterialBuffers,
+  updateTopologyBuffers,
+  cutSprings,
+  mendSprings,
+  tearEventBuffer,
+  tearEventCountBuffer,
+} from "./verlet/buffers.js";
+import { findNearestVertex } from "./utils/picking.js";
+import { findCutSprings } from "./utils/cutting.js";
+import { findMendableSprings, findStitchPairs } from "./utils/stitching.js";
+import {
+  verletVertices,
+  verletSprings,
+  verletFaces,
+  setImportedMesh,
+  getStabilityRatio,
+  applyMaterialMaps,
+  getBaseVertexCount,
+  getVertexCapacity,
+  getBaseSpringCount,
+  getSpringCapacity,
+  getFaceCornerCount,
+  getTopology,
+  addStitchSpring,
+  SPRING_TYPE,
+} from "./verlet/geometry.js";
+import {
+  resetFracture,
+  restoreFracture,
+  splitTornVertices,
+  mendFracture,
+  getTearStatistics,
+} from "./verlet/fracture.js";
+import {
+  emitTearEvents,
+  readTearEventRing,
+  resetTearEvents,
+  getTearEvents,
+  serializeTearEventsCSV,
+} from "./simulation/tearEvents.js";
+import {
+  MATERIAL_MAP_CHANNELS,
+  MATERIAL_MAP_CHANNEL_LABELS,
+  MAX_MATERIAL_MULTIPLIER,
+  paintMaterialMap,
+  clearMaterialMaps,
+  encodeMaterialMapsPNG,
+  loadMaterialMapsImage,
+} from "./verlet/materialMaps.js";
+import {
+  MESH_FILE_EXTENSIONS,
+  loadMeshFile,
+  prepareClothMesh,
+} from "./verlet/meshImport.js";
+import {
+  EXPORT_FORMATS,
+  buildFaceExportMesh,
+  getExportFaces,
+  serializeMesh,
+} from "./utils/meshExport.js";
+import {
+  PIN_MODES,
+  PIN_MODE_LABELS,
+  getPinConfig,
+  setPinConfig,
+} from "./verlet/pinning.js";
 import {
   DEFAULT_PARAMS,
   DEFAULT_COLORS,
   STEPS_PER_SECOND,
   MAX_DELTA_TIME,
-  CLOTH_WIDTH,
-  CLOTH_NUM_SEGMENTS_X,
   SPHERE_RADIUS,
+  COLLIDER_CONTACT,
+  XR_CONFIG,
+  DEFAULT_INTEGRATOR,
+  MATERIAL_MAP_CONFIG,
+  STITCH_CONFIG,
 } from "./config/constants.js";
+import { INTEGRATORS, INTEGRATOR_LABELS } from "./verlet/constraints.js";
+import {
+  CLOTH_CONFIG_LIMITS,
+  getClothConfig,
+  setClothConfig,
+  getFabricConfig,
+  setFabricConfig,
+} from "./config/clothConfig.js";
+import {
+  listFabricPresets,
+  getFabricPreset,
+  storeFabricPreset,
+  parseFabricPreset,
+  serializeFabricPreset,
+} from "./config/fabricPresets.js";
 
-// Calculate mouse cylinder radius based on quad size
-const MOUSE_CYLINDER_RADIUS = (CLOTH_WIDTH / CLOTH_NUM_SEGMENTS_X) * 1.5;
 const MOUSE_CYLINDER_MAX_HEIGHT = 0.8;
 const MOUSE_DEPTH_SPEED = 0.003; // Slowed down extension
 
+/**
+ * Calculates the mouse cylinder radius based on the current quad size
+ * @returns {number} The cylinder radius
+ */
+function getMouseCylinderRadius() {
+  const { width, segmentsX } = getClothConfig();
+  return (width / segmentsX) * 1.5;
+}
+
+/**
+ * Maximum distance from the cursor ray at which a vertex can be grabbed,
+ * based on the current quad size
+ * @returns {number} The pick radius
+ */
+function getGrabPickRadius() {
+  const { width, segmentsX } = getClothConfig();
+  return (width / segmentsX) * 2;
+}
+
 /**
  * FPS tracking variables
  */
@@ -65,6 +245,20 @@ let frameCount = 0;
 let lastFpsUpdate = 0;
 let currentFps = 0;
 
+/**
+ * CPU solver timings at the last FPS update, to measure the cost of the CPU
+ * solver over the following second
+ * @type {{total: number, selfCollision: number, steps: number}|null}
+ */
+let lastSolverTimings = null;
+
+/**
+ * Whether the CPU solver was already reported as too slow for real time
+ * (once per cloth, see warnIfSolverTooSlow)
+ * @type {boolean}
+ */
+let warnedSolverTooSlow = false;
+
 /**
  * Simulation parameters that can be modified through UI
  * @type {Object}
@@ -72,7 +266,8 @@ let currentFps = 0;
 const params = { ...DEFAULT_PARAMS };
 
 /**
- * Interaction mode: 'ball', 'mouse', or 'tablet'
+ * Interaction mode: 'ball', 'mouse', 'tablet', 'grab', 'paint', 'scissors',
+ * 'stitch', or 'xr' (set while an immersive session is running)
  * @type {string}
  */
 let interactionMode = 'ball';
@@ -97,6 +292,47 @@ const penState = {
   targetPosition: new THREE.Vector3(0, 10, 0),
 };
 
+/**
+ * Grab (vertex drag / pin toggle) interaction state
+ */
+const grabState = {
+  isPressed: false,
+  isDragging: false,
+  vertexIndex: -1,
+  plane: new THREE.Plane(), // Camera-facing plane through the grabbed vertex
+};
+
+/**
+ * Material map painting state (brush settings come from the control panel)
+ */
+const paintState = {
+  isPressed: false,
+  pendingDab: null, // Promise of the dab being picked (one readback at a time)
+  channel: MATERIAL_MAP_CHANNELS.STIFFNESS,
+  multiplier: 2,
+  radius: MATERIAL_MAP_CONFIG.brushRadius,
+};
+
+/**
+ * Scissors (cut stroke) interaction state
+ */
+const cutState = {
+  isPressed: false,
+  pendingCut: null, // Promise of the stroke piece being cut (one readback at a time)
+  lastRay: new THREE.Ray(), // Cursor ray where the cut so far ends
+  currentRay: new THREE.Ray(), // Latest cursor ray
+};
+
+/**
+ * Stitch (mending brush) interaction state
+ */
+const stitchState = {
+  isPressed: false,
+  pendingDab: null, // Promise of the dab being stitched (one readback at a time)
+  addStitches: STITCH_CONFIG.addStitches, // Whether dabs also sew new stitch springs
+  warnedCapacity: false, // Whether running out of stitch springs was reported
+};
+
 /**
  * Mouse cylinder mesh for mouse interaction mode
  * @type {THREE.Mesh|null}
@@ -142,11 +378,118 @@ let timeSinceLastStep = 0;
  */
 let timestamp = 0;
 
+/**
+ * Interaction trace recorder (null when not recording)
+ * @type {Object|null}
+ */
+let traceRecorder = null;
+
+/**
+ * Last recorded or loaded interaction trace
+ * @type {Object|null}
+ */
+let currentTrace = null;
+
+/**
+ * Trace playback state (null when not replaying)
+ * @type {{player: Object, isPaused: boolean, speed: number, pendingSteps: number,
+ *   previousMode: string, editStiffness: Float32Array|null, editReadback: Promise|null}|null}
+ */
+let playback = null;
+
+/**
+ * CPU reference solver used as a fallback backend when WebGPU is unavailable
+ * (null when the GPU compute shaders are used)
+ * @type {Object|null}
+ */
+let cpuSolver = null;
+
+/**
+ * Spring stiffness readback in flight, looking for new tears on the GPU
+ * (see updateFracture)
+ * @type {Promise|null}
+ */
+let fractureReadback = null;
+
+/**
+ * Whether springs tore or were cut since the last fracture readback started,
+ * so the GPU stiffness is only read back when there is something to split
+ * (see updateFracture)
+ * @type {boolean}
+ */
+let fracturePending = false;
+
+/**
+ * Tear event readback in flight (see updateTearEvents)
+ * @type {Promise|null}
+ */
+let tearEventReadback = null;
+
+/**
+ * Incremented whenever the simulation state is reset, rebuilt or restored,
+ * or its vertices are split or joined, so a readback started before is not
+ * applied to it
+ * @type {number}
+ */
+let stateGeneration = 0;
+
+/**
+ * Cloth integrator, chosen at startup (see getStartupIntegrator)
+ * @type {string}
+ */
+let integrator = DEFAULT_INTEGRATOR;
+
+/**
+ * Uniforms shared by the compute shaders (kept across cloth rebuilds)
+ * @type {Object|null}
+ */
+let simulationUniforms = null;
+
+/**
+ * IDs of the colliders driven by the interaction modes: the ball, the
+ * mouse/pen cylinder and one per XR controller (created in init)
+ * @type {{ball: number, pointer: number, xr: Array<number>}|null}
+ */
+let interactionColliders = null;
+
+/**
+ * Contact response given to every collider (changed in the Inspector)
+ * @type {{staticFriction: number, kineticFriction: number, restitution: number}}
+ */
+const contactSettings = { ...COLLIDER_CONTACT };
+
+/**
+ * XR controller interaction (null unless WebXR is enabled, see isXRRequested)
+ * @type {Object|null}
+ */
+let xrInteraction = null;
+
+/**
+ * Bake of a loaded collision mesh in progress (null when none)
+ * @type {AbortController|null}
+ */
+let shapeBake = null;
+
+/**
+ * Interaction mode to return to when the immersive session ends
+ * @type {string|null}
+ */
+let modeBeforeXR = null;
+
+/**
+ * Immersive modes the browser supports, and whether XR was turned on for
+ * this page load (see isXRRequested)
+ * @type {{modes: {vr: boolean, ar: boolean}, enabled: boolean}}
+ */
+const xrStartup = { modes: { vr: false, ar: false }, enabled: false };
+
 /**
  * Initializes the application
  *
  * This function performs the following initialization steps:
- * 1. Checks for WebGPU support
+ * 1. Reads the integrator (?integrator= URL parameter) and checks for WebGPU
+ *    support (falls back to the CPU solver without it, or when WebXR was
+ *    turned on with ?xr, which also limits the cloth, see limitXRSimulation)
  * 2. Initializes renderer, scene, camera, and controls
  * 3. Loads HDR environment texture
  * 4. Sets up the cloth simulation
@@ -155,17 +498,41 @@ let timestamp = 0;
  * 7. Starts the render loop
  *
  * @async
- * @throws {Error} If WebGPU is not supported or initialization fails
+ * @throws {Error} If initialization fails
  */
 async function init() {
-  // Check for WebGPU support
-  if (WebGPU.isAvailable() === false) {
-    document.body.appendChild(WebGPU.getErrorMessage());
-    throw new Error("No WebGPU support");
+  integrator = getStartupIntegrator();
+
+  // WebXR sessions need the renderer's WebGL backend, and the backend is
+  // picked once for the page, so physics then runs on the CPU solver like
+  // it does without WebGPU. XR is only turned on when asked for (?xr).
+  const xrModes = await getSupportedXRModes();
+  xrStartup.modes = xrModes;
+  const useXR = isXRRequested() && (xrModes.vr || xrModes.ar);
+  xrStartup.enabled = useXR;
+  if (isXRRequested() && !useXR) {
+    console.warn("WebXR was requested (?xr) but this browser supports no immersive session");
   }
 
+  // Check for WebGPU support; without it, physics runs on the CPU and the
+  // renderer falls back to its WebGL backend
+  const useCpuSolver = useXR || WebGPU.isAvailable() === false;
+  if (useXR) {
+    console.warn("WebXR enabled, using the WebGL backend and the CPU solver");
+    limitXRSimulation();
+  } else if (useCpuSolver) {
+    console.warn("No WebGPU support, falling back to the CPU solver");
+  }
+
+  // The simulation passes read more storage buffers than the WebGPU
+  // default of 8 per shader stage, so ask for as many as the adapter allows
+  const adapter = useCpuSolver ? null : await navigator.gpu.requestAdapter();
+  const requiredLimits = adapter
+    ? { maxStorageBuffersPerShaderStage: adapter.limits.maxStorageBuffersPerShaderStage }
+    : undefined;
+
   // Initialize renderer
-  const renderer = initRenderer();
+  const renderer = initRenderer({ forceWebGL: useXR, requiredLimits });
 
   // Initialize scene
   const scene = initScene();
@@ -180,7 +547,19 @@ async function init() {
   setupSceneBackground(scene);
 
   // Setup the complete cloth simulation
-  setupCloth(scene);
+  simulationUniforms = setupCloth(scene);
+  warnIfUnstable();
+  if (useCpuSolver) {
+    cpuSolver = createCpuSolver({
+      vertices: verletVertices,
+      springs: verletSprings,
+      uniforms: simulationUniforms,
+      colliders: getColliderManager(),
+      integrator,
+    });
+  }
+  setupInteractionColliders(scene);
+  setupSDFShape(scene);
 
   // Create UI controls using the Inspector
   setupUI(renderer);
@@ -194,15 +573,111 @@ async function init() {
   // Setup mouse event listeners
   setupMouseEvents(renderer.domElement);
 
+  // Setup immersive mode and XR controllers
+  if (useXR) {
+    setupXRInteraction(renderer, scene, xrModes);
+  }
+
   // Start the render loop
   renderer.setAnimationLoop(render);
 }
 
+/**
+ * Keeps the cloth within what the CPU solver can step in real time in XR:
+ * the mass-spring integrator, since XPBD takes about ten times as long per
+ * step, and at most XR_CONFIG.maxSegments along each side of the grid
+ */
+function limitXRSimulation() {
+  if (integrator === INTEGRATORS.XPBD) {
+    console.warn('XPBD is too slow on the CPU solver for XR, using the mass-spring integrator');
+    integrator = INTEGRATORS.MASS_SPRING;
+  }
+
+  const { segmentsX, segmentsY } = getClothConfig();
+  const { maxSegments } = XR_CONFIG;
+  if (segmentsX > maxSegments || segmentsY > maxSegments) {
+    setClothConfig({ segmentsX: Math.min(segmentsX, maxSegments), segmentsY: Math.min(segmentsY, maxSegments) });
+    const { segmentsX: x, segmentsY: y } = getClothConfig();
+    console.warn(`Lowered the cloth to ${x} × ${y} segments, the most the CPU solver steps in real time in XR`);
+  }
+}
+
+/**
+ * Warns once per cloth when the CPU solver takes longer per step than the
+ * simulated time a step stands for, so the cloth moves slower than real
+ * time
+ *
+ * @param {{total: number, steps: number}} timings - Time spent stepping (ms)
+ *   and steps taken over the last second
+ */
+function warnIfSolverTooSlow({ total, steps }) {
+  if (warnedSolverTooSlow || steps === 0) return;
+  const timePerStep = total / steps;
+  const realTimePerStep = 1000 / STEPS_PER_SECOND;
+  if (timePerStep <= realTimePerStep) return;
+
+  warnedSolverTooSlow = true;
+  console.warn(
+    `The CPU solver takes ${timePerStep.toFixed(1)} ms per step, more than the ` +
+    `${realTimePerStep.toFixed(1)} ms a step stands for, so the cloth moves slower than real time; ` +
+    `use fewer segments${integrator === INTEGRATORS.XPBD ? ' or the mass-spring integrator' : ''}`
+  );
+}
+
+/**
+ * Warns when the mass-spring integrator cannot step the current cloth
+ * stably (see getStabilityRatio); XPBD has no such limit
+ */
+function warnIfUnstable() {
+  if (integrator !== INTEGRATORS.MASS_SPRING) return;
+  const ratio = getStabilityRatio();
+  if (ratio > 1) {
+    console.warn(
+      `The fabric may be too stiff for the mass-spring integrator at this resolution ` +
+      `(stability ratio ${ratio.toFixed(2)}); use fewer segments or the XPBD integrator`
+    );
+  }
+}
+
+/**
+ * Reads the cloth integrator from the ?integrator= URL parameter
+ *
+ * @returns {string} One of INTEGRATORS (DEFAULT_INTEGRATOR when the
+ *   parameter is missing or unknown)
+ */
+function getStartupIntegrator() {
+  const requested = new URLSearchParams(window.location.search).get('integrator');
+  if (requested === null) return DEFAULT_INTEGRATOR;
+  if (!Object.values(INTEGRATORS).includes(requested)) {
+    console.warn(`Unknown integrator "${requested}", using ${DEFAULT_INTEGRATOR}`);
+    return DEFAULT_INTEGRATOR;
+  }
+  return requested;
+}
+
+/**
+ * Checks whether WebXR was turned on with the ?xr URL parameter
+ *
+ * Entering VR/AR needs the WebGL backend and the CPU solver for the whole
+ * page load, so XR-capable browsers keep GPU physics unless asked.
+ *
+ * @returns {boolean} True if the parameter is present
+ */
+function isXRRequested() {
+  return new URLSearchParams(window.location.search).has('xr');
+}
+
 /**
  * Sets up the UI controls
  *
  * Creates an Inspector panel with controls for:
- * - Simulation parameters (stiffness, wireframe, sphere, wind)
+ * - Simulation parameters (stiffness, wireframe, sphere)
+ * - Wind (direction, strength, gust frequency, turbulence scale)
+ * - Self-collision (enabled, radius)
+ * - Collider contact (friction, restitution)
+ * - Ground plane and world box
+ * - Tearing (enabled, threshold scale, damage and plasticity)
+ * - XPBD iterations and compliances (XPBD integrator only)
  * - Material properties (color, roughness, sheen)
  *
  * @param {THREE.WebGPURenderer} renderer - The renderer with Inspector
@@ -211,6 +686,11 @@ function setupUI(renderer) {
   const stiffnessUniform = getStiffnessUniform();
   const zSpringStiffnessUniform = getZSpringStiffnessUniform();
   const inPlaneStiffnessUniform = getInPlaneStiffnessUniform();
+  const bendingStiffnessUniform = getBendingStiffnessUniform();
+  const windUniform = getWindUniform();
+  const windDirectionUniform = getWindDirectionUniform();
+  const windGustFrequencyUniform = getWindGustFrequencyUniform();
+  const windTurbulenceScaleUniform = getWindTurbulenceScaleUniform();
   const clothMaterial = getClothMaterial();
 
   // Create custom top-right control panel
@@ -224,6 +704,109 @@ function setupUI(renderer) {
   simFolder.add(stiffnessUniform, "value", 0.1, 0.5, 0.01).name("Stiffness");
   simFolder.add(zSpringStiffnessUniform, "value", 0.0, 3.0, 0.1).name("Z-spring Stiffness");
   simFolder.add(inPlaneStiffnessUniform, "value", 0.0, 3.0, 0.1).name("In-plane Stiffness");
+  simFolder.add(bendingStiffnessUniform, "value", 0.0, 3.0, 0.1).name("Bending Stiffness");
+
+  // Create wind settings folder
+  const windFolder = gui.addFolder("Wind");
+  windFolder.add(windUniform, "value", 0.0, 5.0, 0.1).name("Strength");
+  windFolder.add(windDirectionUniform.value, "x", -1.0, 1.0, 0.05).name("Direction X");
+  windFolder.add(windDirectionUniform.value, "y", -1.0, 1.0, 0.05).name("Direction Y");
+  windFolder.add(windDirectionUniform.value, "z", -1.0, 1.0, 0.05).name("Direction Z");
+  windFolder.add(windGustFrequencyUniform, "value", 0.0, 5.0, 0.1).name("Gust Frequency");
+  windFolder.add(windTurbulenceScaleUniform, "value", 0.1, 10.0, 0.1).name("Turbulence Scale");
+
+  // Create SDF collision settings folder
+  const sdfFolder = gui.addFolder("Shape Collision");
+  sdfFolder.add(getSDFThicknessUniform(), "value", 0.0, 0.05, 0.001).name("Thickness");
+  sdfFolder.add(getSDFFrictionUniform(), "value", 0.0, 1.0, 0.01).name("Friction");
+
+  // Create self-collision settings folder (the cost is shown under the FPS)
+  const selfCollisionUniform = getSelfCollisionUniform();
+  const selfCollisionSettings = {
+    get enabled() {
+      return selfCollisionUniform.value > 0;
+    },
+    set enabled(value) {
+      selfCollisionUniform.value = value ? 1.0 : 0.0;
+    },
+  };
+  const selfCollisionFolder = gui.addFolder("Self Collision");
+  selfCollisionFolder.add(selfCollisionSettings, "enabled").name("Enabled");
+  selfCollisionFolder.add(getSelfCollisionRadiusUniform(), "value", 0.002, 0.03, 0.001).name("Radius");
+
+  // Create collider contact settings folder (applies to every collider)
+  const contactFolder = gui.addFolder("Collider Contact");
+  contactFolder.add(contactSettings, "staticFriction", 0.0, 2.0, 0.01).name("Static Friction").onChange(applyContactSettings);
+  contactFolder.add(contactSettings, "kineticFriction", 0.0, 2.0, 0.01).name("Kinetic Friction").onChange(applyContactSettings);
+  contactFolder.add(contactSettings, "restitution", 0.0, 1.0, 0.01).name("Restitution").onChange(applyContactSettings);
+
+  // Create ground plane and world box settings folder
+  const groundUniform = getGroundUniform();
+  const worldBoundsUniform = getWorldBoundsUniform();
+  const worldBoundsMin = getWorldBoundsMinUniform().value;
+  const worldBoundsMax = getWorldBoundsMaxUniform().value;
+  const groundSettings = {
+    get enabled() {
+      return groundUniform.value > 0;
+    },
+    set enabled(value) {
+      groundUniform.value = value ? 1.0 : 0.0;
+    },
+    get worldBox() {
+      return worldBoundsUniform.value > 0;
+    },
+    set worldBox(value) {
+      worldBoundsUniform.value = value ? 1.0 : 0.0;
+    },
+    // The box is edited as a footprint centered on the origin plus its bottom and top
+    get halfWidth() {
+      return worldBoundsMax.x;
+    },
+    set halfWidth(value) {
+      worldBoundsMin.x = -value;
+      worldBoundsMax.x = value;
+    },
+    get halfDepth() {
+      return worldBoundsMax.z;
+    },
+    set halfDepth(value) {
+      worldBoundsMin.z = -value;
+      worldBoundsMax.z = value;
+    },
+  };
+  const groundFolder = gui.addFolder("Ground");
+  groundFolder.add(groundSettings, "enabled").name("Enabled");
+  groundFolder.add(getGroundHeightUniform(), "value", -2.0, 0.5, 0.01).name("Height");
+  groundFolder.add(getGroundFrictionUniform(), "value", 0.0, 1.0, 0.01).name("Friction");
+  groundFolder.add(groundSettings, "worldBox").name("World Box");
+  groundFolder.add(groundSettings, "halfWidth", 0.1, 3.0, 0.05).name("Box Half Width");
+  groundFolder.add(groundSettings, "halfDepth", 0.1, 3.0, 0.05).name("Box Half Depth");
+  groundFolder.add(worldBoundsMin, "y", -2.0, 0.5, 0.05).name("Box Bottom");
+  groundFolder.add(worldBoundsMax, "y", -0.5, 3.0, 0.05).name("Box Top");
+
+  // Create tearing settings folder (fractions of each spring's stretch allowance)
+  const tearingUniform = getTearingUniform();
+  const tearingSettings = {
+    get enabled() {
+      return tearingUniform.value > 0;
+    },
+    set enabled(value) {
+      tearingUniform.value = value ? 1.0 : 0.0;
+    },
+  };
+  const tearingFolder = gui.addFolder("Tearing");
+  tearingFolder.add(tearingSettings, "enabled").name("Enabled");
+  tearingFolder.add(getTearThresholdScaleUniform(), "value", 0.1, 3.0, 0.05).name("Threshold Scale");
+  tearingFolder.add(getDamageOnsetUniform(), "value", 0.0, 1.0, 0.05).name("Damage Onset");
+  tearingFolder.add(getResidualStiffnessUniform(), "value", 0.0, 1.0, 0.05).name("Residual Stiffness");
+  tearingFolder.add(getYieldPointUniform(), "value", 0.0, 1.0, 0.05).name("Yield Point");
+  tearingFolder.add(getPlasticityUniform(), "value", 0.0, 1.0, 0.05).name("Plasticity");
+
+  // Create XPBD settings folder (the compliances follow the fabric stiffness)
+  if (integrator === INTEGRATORS.XPBD) {
+    const xpbdFolder = gui.addFolder("XPBD");
+    xpbdFolder.add(getXPBDIterationsUniform(), "value", 1, 32, 1).name("Iterations");
+  }
 
   // Create material controls folder
   const materialFolder = gui.addFolder("Material");
@@ -238,10 +821,68 @@ function setupUI(renderer) {
 }
 
 /**
- * Resets the entire cloth simulation by rebuilding geometry and buffers
+ * Gets the CPU solver's timings since the last call (see lastSolverTimings)
+ *
+ * @returns {{total: number, selfCollision: number, steps: number}|null} Time
+ *   spent stepping and in self-collision (ms) and steps taken, or null on
+ *   the first call for a solver
  */
-function resetClothSimulation() {
-  // Reset interaction states
+function takeSolverTimings() {
+  const solverTimings = cpuSolver.getTimings();
+  const previous = lastSolverTimings;
+  lastSolverTimings = solverTimings;
+  if (!previous) return null;
+  return {
+    total: solverTimings.total - previous.total,
+    selfCollision: solverTimings.selfCollision - previous.selfCollision,
+    steps: solverTimings.steps - previous.steps,
+  };
+}
+
+/**
+ * Shows the time spent in self-collision per frame and its share of the
+ * simulation time (GPU time from the Inspector's timestamp queries, or the
+ * CPU solver's own timings); called once per FPS update
+ *
+ * @param {THREE.WebGPURenderer} renderer - The renderer with Inspector
+ * @param {Object|null} solverTimings - CPU solver timings over the last
+ *   second (see takeSolverTimings), null without them
+ */
+function updateSelfCollisionCost(renderer, solverTimings) {
+  const display = document.getElementById('self-collision-cost');
+  if (!display) return;
+
+  const frames = currentFps;
+  let timings = null;
+  if (cpuSolver) {
+    if (solverTimings && frames > 0) {
+      timings = {
+        matched: solverTimings.selfCollision / frames,
+        total: solverTimings.total / frames,
+      };
+    }
+  } else {
+    timings = getComputePassTimings(renderer.inspector, SELF_COLLISION_PASS_PREFIX);
+  }
+
+  display.style.display = simulationUniforms.selfCollision.value > 0 ? 'block' : 'none';
+  if (!timings) {
+    display.textContent = 'Self-collision: n/a';
+  } else {
+    const share = timings.total > 0 ? (timings.matched / timings.total) * 100 : 0;
+    display.textContent = `Self-collision: ${timings.matched.toFixed(2)} ms (${share.toFixed(0)}%)`;
+  }
+}
+
+/**
+ * Releases any active mouse/pen interaction and re-enables camera controls
+ */
+function resetInteractionState() {
+  releaseGrab();
+  if (xrInteraction) xrInteraction.releaseGrab();
+  paintState.isPressed = false;
+  cutState.isPressed = false;
+  stitchState.isPressed = false;
   mouseState.isPressed = false;
   mouseState.depth = 0;
   mouseState.position.set(0, 10, 0);
@@ -252,9 +893,573 @@ function resetClothSimulation() {
   // Re-enable controls if they were disabled
   const controls = getControls();
   if (controls) controls.enabled = true;
+}
+
+/**
+ * Resets the entire cloth simulation by rebuilding geometry and buffers
+ */
+function resetClothSimulation() {
+  resetInteractionState();
 
-  // Rebuild geometry and buffers
+  // Join the vertices split along tears, then rebuild geometry and buffers
+  resetFracture();
+  resetTearEvents();
+  stateGeneration++;
   resetSimulationBuffers();
+  if (cpuSolver) cpuSolver.reset();
+  refreshClothTopology();
+  getColliderManager().resetVelocities();
+}
+
+/**
+ * Tears the faces and splits the vertices that new tears have cut apart
+ * (see verlet/fracture)
+ *
+ * The CPU solver's stiffness is checked right away, after every step. On
+ * the GPU it is read back with the positions without waiting for them, one
+ * readback at a time, and only once the tear event counter moved or springs
+ * were cut (see fracturePending), so the cloth comes apart a few frames
+ * after it tore; a readback that finishes after a reset, rebuild, restore
+ * or stitch is dropped. A failed readback is reported, and the next tear or
+ * cut splits what it missed.
+ */
+function updateFracture() {
+  if (cpuSolver) {
+    applyFracture(splitTornVertices(cpuSolver.getSpringStiffness(), cpuSolver.getPositions()));
+    return;
+  }
+  if (fractureReadback || !fracturePending) return;
+  fracturePending = false;
+
+  const generation = stateGeneration;
+  const renderer = getRenderer();
+  fractureReadback = Promise.all([
+    readStorageBuffer(renderer, springStiffnessBuffer, 1, Float32Array),
+    readStorageBuffer(renderer, vertexPositionBuffer, 3, Float32Array),
+  ])
+    .then(([stiffness, positions]) => {
+      if (generation === stateGeneration) applyFracture(splitTornVertices(stiffness, positions));
+    })
+    .catch((error) => console.warn(`Cloth tearing: could not read back the spring stiffness: ${error.message}`))
+    .finally(() => {
+      fractureReadback = null;
+    });
+}
+
+/**
+ * Cuts and mends the springs a tear was moved by, hands vertex splits to
+ * the solver, and splits and torn faces to the meshes drawing the cloth
+ *
+ * @param {Object} fracture - Result of splitTornVertices
+ */
+function applyFracture({ splits, tornFaces, cutSpringIds, mendedSpringIds, mendedVertexIds }) {
+  const edited = cutSpringIds.length > 0 || mendedSpringIds.length > 0;
+  if (splits.length > 0 || edited) {
+    // A stitch dab read back before the split no longer matches the vertices
+    stateGeneration++;
+  }
+  if (splits.length > 0) {
+    updateTopologyBuffers(splits);
+    if (cpuSolver) {
+      cpuSolver.updateTopology(splits);
+    } else {
+      getRenderer().compute(computeVertexSplits);
+    }
+  }
+  // After the split, so copies don't take the old broken flags
+  if (edited) {
+    cutSprings(cutSpringIds);
+    mendSprings(mendedSpringIds, mendedVertexIds);
+    if (cpuSolver) {
+      cpuSolver.cutSprings(cutSpringIds);
+      cpuSolver.mendSprings(mendedSpringIds, mendedVertexIds);
+    }
+  }
+  if (splits.length > 0 || tornFaces > 0 || edited) refreshClothTopology();
+}
+
+/**
+ * Points the cloth mesh and wireframe at the current topology and updates
+ * the tear counter
+ */
+function refreshClothTopology() {
+  updateClothTopology();
+  updateWireframeTopology();
+  updateTearCounter();
+}
+
+/**
+ * Shows how much of the cloth has torn in the control panel
+ */
+function updateTearCounter() {
+  const counter = document.getElementById('tear-counter');
+  if (counter) counter.textContent = formatTearStatistics();
+}
+
+/**
+ * Describes how much of the cloth has torn
+ * @returns {string} Torn springs and torn area
+ */
+function formatTearStatistics() {
+  const { tornSprings, tornArea } = getTearStatistics();
+  return `Torn: ${tornSprings} springs / ${(tornArea * 100).toFixed(1)}% area`;
+}
+
+/**
+ * Passes the tears since the last frame to the tear event stream (see
+ * simulation/tearEvents)
+ *
+ * Like updateFracture, the GPU ring is read back without waiting for it,
+ * one readback at a time. A readback that finishes after the state changed
+ * (see stateGeneration) is dropped; its events are read again by the next
+ * one unless the ring was cleared, and so are those of a failed readback
+ * (logged). New events start a fracture readback (see fracturePending).
+ */
+function updateTearEvents() {
+  if (cpuSolver) {
+    emitTearEvents(cpuSolver.takeTearEvents());
+    return;
+  }
+  if (tearEventReadback) return;
+
+  const generation = stateGeneration;
+  const renderer = getRenderer();
+  tearEventReadback = Promise.all([
+    readStorageBuffer(renderer, tearEventCountBuffer, 1, Uint32Array),
+    readStorageBuffer(renderer, tearEventBuffer, 1, Float32Array),
+  ])
+    .then(([count, ring]) => {
+      if (generation === stateGeneration && readTearEventRing(count[0], ring) > 0) fracturePending = true;
+    })
+    .catch((error) => console.warn(`Tear events: could not read back the event ring: ${error.message}`))
+    .finally(() => {
+      tearEventReadback = null;
+    });
+}
+
+/**
+ * Rebuilds the cloth from scratch (geometry, buffers, shaders, meshes)
+ *
+ * Used when a structural setting such as the pin configuration or the
+ * cloth size/resolution changes.
+ * Uniform values and material settings are preserved.
+ */
+function rebuildClothSimulation() {
+  // Traces only apply to the cloth they were recorded on
+  if (traceRecorder) stopRecording();
+  if (playback) stopPlayback();
+  resetInteractionState();
+
+  const uniforms = setupCloth(getScene());
+  resetFracture();
+  resetTearEvents();
+  updateTearCounter();
+  stateGeneration++;
+  warnIfUnstable();
+
+  // The mouse cylinder radius follows the quad size
+  if (mouseCylinder) {
+    mouseCylinder.geometry.dispose();
+    mouseCylinder.geometry = createMouseCylinderGeometry();
+  }
+
+  if (cpuSolver) {
+    cpuSolver = createCpuSolver({
+      vertices: verletVertices,
+      springs: verletSprings,
+      uniforms,
+      colliders: getColliderManager(),
+      integrator,
+    });
+    lastSolverTimings = null;
+    warnedSolverTooSlow = false;
+  }
+}
+
+/**
+ * Loads a mesh file and rebuilds the cloth from it
+ *
+ * The mesh is scaled so its largest dimension matches the cloth width.
+ * Errors (unsupported format, no triangles) are reported and leave the
+ * current cloth untouched.
+ *
+ * @async
+ * @param {File} file - OBJ, glTF or GLB file chosen or dropped by the user
+ */
+async function importClothMesh(file) {
+  try {
+    const mesh = await loadMeshFile(file);
+    setImportedMesh(prepareClothMesh(mesh, getClothConfig().width));
+  } catch (error) {
+    console.warn(`Could not import ${file.name}: ${error.message}`);
+    return;
+  }
+  rebuildClothSimulation();
+}
+
+/**
+ * Sets the static shape the cloth collides with through the signed
+ * distance field
+ *
+ * @param {string|null} name - Key of SDF_SHAPES, or null for no shape
+ */
+function loadSDFShape(name) {
+  cancelShapeBake();
+  if (!name) {
+    setActiveSDF(null, simulationUniforms);
+    setSDFShapeGeometry(null);
+    return;
+  }
+  setActiveSDF(bakeShapeSDF(name), simulationUniforms);
+  setSDFShapeGeometry(createPrimitiveGeometry(SDF_SHAPES[name].primitives));
+}
+
+/**
+ * Stops baking a loaded mesh, if one is being baked
+ */
+function cancelShapeBake() {
+  if (!shapeBake) return;
+  shapeBake.abort();
+  shapeBake = null;
+}
+
+/**
+ * Loads a closed mesh file as the static shape the cloth collides with
+ *
+ * The mesh is scaled to the cloth width and placed just below the cloth,
+ * then baked into a signed distance field. Baking takes a while for large
+ * meshes, so it runs in chunks between frames; picking another shape
+ * meanwhile cancels it.
+ *
+ * @async
+ * @param {File} file - OBJ, glTF or GLB file chosen by the user
+ * @param {Function} [onProgress] - Called with the fraction baked (0 - 1)
+ * @returns {Promise<boolean>} Whether the shape was loaded
+ */
+async function loadSDFMeshFile(file, onProgress) {
+  cancelShapeBake();
+  const bake = new AbortController();
+  shapeBake = bake;
+
+  try {
+    const mesh = await loadMeshFile(file);
+    const { positions, bounds } = placeMeshBelowCloth(mesh.positions, getClothConfig().width * 0.6, -0.1);
+    const sdf = await bakeSDFInChunks(createMeshDistanceFunction(positions, mesh.indices), bounds, {
+      onProgress,
+      signal: bake.signal,
+    });
+    bake.signal.throwIfAborted();
+    setActiveSDF(sdf, simulationUniforms);
+    setSDFShapeGeometry(createTriangleGeometry({ positions, indices: mesh.indices }));
+    return true;
+  } catch (error) {
+    if (!bake.signal.aborted) {
+      console.warn(`Could not load ${file.name} as a collision shape: ${error.message}`);
+    }
+    return false;
+  } finally {
+    if (shapeBake === bake) shapeBake = null;
+  }
+}
+
+/**
+ * Exports the current (deformed) cloth and downloads it
+ *
+ * Grid cloth is exported with both layers, imported meshes with their own
+ * triangles; torn faces are left out, torn quads keeping a triangle half
+ * come out as that triangle and pieces torn off come out as separate parts
+ * (see getExportFaces). Errors, a failed readback included, are logged, so
+ * the returned promise never rejects.
+ *
+ * @async
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ */
+async function exportClothMesh(format) {
+  try {
+    const positions = await readVertexPositions();
+    const mesh = buildFaceExportMesh(positions, getExportFaces(verletFaces));
+    const data = serializeMesh(mesh, format);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(data, mimeType, `cloth.${extension}`);
+  } catch (error) {
+    console.warn(`Could not export the cloth: ${error.message}`);
+  }
+}
+
+/**
+ * Captures the current simulation state as a snapshot
+ *
+ * The topology is taken before the GPU state is read back, so a split made
+ * meanwhile only leaves an unused vertex slot in the snapshot.
+ *
+ * @async
+ * @param {string} name - Snapshot name
+ * @returns {Promise<Object>} The snapshot
+ */
+async function captureSnapshot(name) {
+  const topology = getTopology();
+  const state = cpuSolver
+    ? {
+        positions: cpuSolver.getPositions(),
+        forces: cpuSolver.getForces(),
+        springStiffness: cpuSolver.getSpringStiffness(),
+        springRestLengths: cpuSolver.getSpringRestLengths(),
+        vertexBroken: cpuSolver.getVertexBroken(),
+        pinned: cpuSolver.getPinFlags(),
+      }
+    : await readSimulationState(getRenderer());
+
+  return createSnapshot(name, { ...state, ...topology }, captureUniformValues(simulationUniforms));
+}
+
+/**
+ * Loads a snapshot into the running simulation
+ *
+ * @param {Object} snapshot - The snapshot to load
+ * @throws {Error} If the snapshot does not match the current geometry
+ */
+function restoreSnapshot(snapshot) {
+  validateSnapshot(snapshot, getVertexCapacity(), getSpringCapacity(), getFaceCornerCount());
+
+  const unknown = applyUniformValues(simulationUniforms, snapshot.uniforms);
+  if (unknown.length > 0) {
+    console.warn(`Snapshot "${snapshot.name}" has unknown uniforms: ${unknown.join(', ')}`);
+  }
+  // Continue the time-varying forces from the saved time
+  timestamp = getTimeUniform().value;
+
+  // Drops any drag restored with the uniforms
+  resetInteractionState();
+
+  restoreFracture(snapshot.state);
+  stateGeneration++;
+  writeSimulationState(snapshot.state);
+  if (cpuSolver) {
+    cpuSolver.loadState(snapshot.state);
+    cpuSolver.updateTopology();
+  }
+  refreshClothTopology();
+}
+
+/**
+ * Describes the changes between a snapshot and the current state for the
+ * control panel
+ *
+ * @param {string} name - Name of the earlier snapshot
+ * @param {Object} diff - Result of diffSnapshots
+ * @returns {string} One change per line
+ */
+function formatSnapshotDiff(name, diff) {
+  const lines = [
+    `Since "${name}":`,
+    `Moved: ${diff.movedVertices} vertices (max ${diff.maxDisplacement.toFixed(3)} m, mean ${diff.meanDisplacement.toFixed(3)} m)`,
+    `Torn: ${diff.tornSprings} springs, repaired: ${diff.repairedSprings}`,
+    `Pinned: ${diff.pinned}, unpinned: ${diff.unpinned}`,
+  ];
+  if (diff.uniforms.length === 0) lines.push('Uniforms: unchanged');
+  for (const { name: uniform, from, to } of diff.uniforms) {
+    lines.push(`${uniform}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Starts recording the interaction from a reset cloth
+ */
+function startRecording() {
+  resetClothSimulation();
+  timeSinceLastStep = 0;
+  traceRecorder = createTraceRecorder({
+    startTime: timestamp,
+    vertexCount: getBaseVertexCount(),
+    springCount: getBaseSpringCount(),
+  });
+}
+
+/**
+ * Stops recording and keeps the trace for replay or download
+ */
+function stopRecording() {
+  currentTrace = traceRecorder.finish();
+  traceRecorder = null;
+}
+
+/**
+ * Replays a trace against a reset cloth
+ *
+ * @param {Object} trace - The trace to replay
+ * @param {number} speed - Playback speed (1 = real time)
+ * @throws {Error} If the trace does not match the current cloth
+ */
+function startPlayback(trace, speed) {
+  validateTrace(trace, getBaseVertexCount(), getBaseSpringCount());
+
+  const previousMode = playback ? playback.previousMode : interactionMode;
+  resetClothSimulation();
+  timestamp = trace.startTime;
+  timeSinceLastStep = 0;
+  playback = {
+    player: createTracePlayer(trace),
+    isPaused: false,
+    speed,
+    pendingSteps: 0,
+    previousMode,
+    editStiffness: null,
+    editReadback: null,
+  };
+}
+
+/**
+ * Stops the replay and returns to live interaction
+ */
+function stopPlayback() {
+  interactionMode = playback.previousMode;
+  playback = null;
+  timeSinceLastStep = 0;
+  resetInteractionState();
+}
+
+/**
+ * Applies the recorded inputs of one simulation step
+ *
+ * @param {Object} step - Step inputs from the trace player
+ */
+function applyTraceStep(step) {
+  if (step.edits.length > 0) {
+    const stiffness = cpuSolver ? Float32Array.from(cpuSolver.getSpringStiffness()) : playback.editStiffness;
+    playback.editStiffness = null;
+    applyTraceEdits(step.edits, stiffness);
+  }
+
+  interactionMode = step.mode;
+  timestamp = step.time;
+
+  for (const [state, values] of [[mouseState, step.mouse], [penState, step.pen]]) {
+    for (const [key, value] of Object.entries(values)) {
+      if (state[key] && state[key].isVector3) {
+        state[key].fromArray(value);
+      } else {
+        state[key] = value;
+      }
+    }
+  }
+
+  applyUniformValues(simulationUniforms, step.uniforms);
+  getColliderManager().setState(step.colliders);
+  getSphere().position.fromArray(getColliderManager().get(interactionColliders.ball).position);
+
+  // Update cylinder visual (the colliders come from the trace)
+  const activeState = step.mode === 'mouse' ? mouseState : step.mode === 'tablet' ? penState : null;
+  if (activeState && activeState.isPressed && mouseCylinder) {
+    const depth = step.mode === 'mouse'
+      ? mouseState.depth
+      : penState.pressure * MOUSE_CYLINDER_MAX_HEIGHT;
+    mouseCylinder.position.copy(activeState.position);
+    mouseCylinder.scale.y = Math.max(depth, 0.01);
+  }
+}
+
+/**
+ * Applies recorded edits of the cloth (see simulation/recording)
+ *
+ * An edit naming a vertex or spring the cloth doesn't have (yet) is skipped
+ * with a warning (see findEditMismatch).
+ *
+ * @param {Array<Object>} edits - The edits, in the order they were made
+ * @param {Float32Array|null} stiffness - Current stiffness of every spring
+ *   slot, needed by stitch edits (changed)
+ */
+function applyTraceEdits(edits, stiffness) {
+  for (const edit of edits) {
+    const mismatch = findEditMismatch(edit, verletVertices.length, verletSprings.length);
+    if (mismatch) {
+      console.warn(`Replay: skipped a ${edit.type} edit naming ${mismatch}`);
+      continue;
+    }
+
+    if (edit.type === 'pin') {
+      pinVertex(edit.vertexId, edit.fixed);
+    } else if (edit.type === 'cut') {
+      cutClothSprings(edit.springIds);
+      if (stiffness) for (const id of edit.springIds) stiffness[id] = 0;
+    } else if (edit.type === 'stitch') {
+      const pairs = edit.stitches.map(([vertex0Id, vertex1Id, restLength, templateId]) => ({
+        vertex0: verletVertices[vertex0Id],
+        vertex1: verletVertices[vertex1Id],
+        restLength,
+        template: verletSprings[templateId],
+      }));
+      stitchCloth(edit.springIds, pairs, stiffness);
+    }
+  }
+}
+
+/**
+ * Gets ready for the edits before the next replayed step
+ *
+ * Replayed stitches mend against the current spring stiffness. The CPU
+ * solver has it at hand; on the GPU it is read back first, and the replay
+ * waits for it.
+ *
+ * @returns {boolean} Whether the next step can run
+ */
+function prepareTraceEdits() {
+  if (cpuSolver || playback.editStiffness) return true;
+  if (!playback.player.nextEdits.some(({ type }) => type === 'stitch')) return true;
+  if (playback.editReadback) return false;
+
+  // Dropped if the cloth was split or restored meanwhile, then read again
+  const current = playback;
+  const generation = stateGeneration;
+  current.editReadback = readStorageBuffer(getRenderer(), springStiffnessBuffer, 1, Float32Array)
+    .then((stiffness) => {
+      if (generation === stateGeneration) current.editStiffness = stiffness;
+    })
+    .catch((error) => {
+      console.warn(`Replay: could not read back the spring stiffness: ${error.message}`);
+    })
+    .finally(() => {
+      current.editReadback = null;
+    });
+  return false;
+}
+
+/**
+ * Records an edit of the cloth in the trace being recorded, if any
+ * @param {Object} edit - The edit (see simulation/recording)
+ */
+function recordEdit(edit) {
+  if (traceRecorder) traceRecorder.recordEdit(edit);
+}
+
+/**
+ * Describes the recording/playback state for the control panel
+ * @returns {string} Status text
+ */
+function getTraceStatus() {
+  if (traceRecorder) return `Recording: ${traceRecorder.stepCount} steps`;
+  if (playback) {
+    const { player, isPaused } = playback;
+    const state = player.isFinished ? 'Finished' : isPaused ? 'Paused' : 'Playing';
+    return `${state}: step ${player.step} / ${player.stepCount}`;
+  }
+  if (currentTrace) return `Trace: ${currentTrace.frames.length} steps`;
+  return 'No trace';
+}
+
+/**
+ * Triggers a browser download
+ * @param {BlobPart} data - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} fileName - Name of the downloaded file
+ */
+function downloadFile(data, mimeType, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
 /**
@@ -296,6 +1501,18 @@ function setupControlPanel() {
   fpsDisplay.textContent = 'FPS: --';
   panel.appendChild(fpsDisplay);
 
+  // Self-collision cost (shown while self-collision is enabled)
+  const selfCollisionCost = document.createElement('div');
+  selfCollisionCost.id = 'self-collision-cost';
+  selfCollisionCost.style.cssText = `
+    display: none;
+    font-size: 12px;
+    color: #aaa;
+    text-align: center;
+    margin-top: -6px;
+  `;
+  panel.appendChild(selfCollisionCost);
+
   // Mode selector
   const modeContainer = document.createElement('div');
   modeContainer.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
@@ -315,7 +1532,7 @@ function setupControlPanel() {
     cursor: pointer;
     outline: none;
   `;
-  ['ball', 'mouse', 'tablet'].forEach(mode => {
+  ['ball', 'mouse', 'tablet', 'grab', 'paint', 'scissors', 'stitch'].forEach(mode => {
     const option = document.createElement('option');
     option.value = mode;
     option.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
@@ -326,16 +1543,719 @@ function setupControlPanel() {
   modeSelect.addEventListener('change', (e) => {
     interactionMode = e.target.value;
     // Reset states when changing modes
-    mouseState.isPressed = false;
-    mouseState.depth = 0;
-    mouseState.position.set(0, 10, 0);
-    penState.isPressed = false;
-    penState.pressure = 0;
-    penState.position.set(0, 10, 0);
+    resetInteractionState();
   });
   modeContainer.appendChild(modeSelect);
   panel.appendChild(modeContainer);
 
+  // Pinning selector
+  const pinContainer = document.createElement('div');
+  pinContainer.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+
+  const pinLabel = document.createElement('label');
+  pinLabel.textContent = 'Pinning';
+  pinLabel.style.cssText = 'font-size: 12px; color: #aaa;';
+  pinContainer.appendChild(pinLabel);
+
+  const pinSelect = document.createElement('select');
+  pinSelect.style.cssText = modeSelect.style.cssText;
+  [PIN_MODES.ALL_EDGES, PIN_MODES.TOP_EDGE, PIN_MODES.TWO_CORNERS, PIN_MODES.NONE].forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = PIN_MODE_LABELS[mode];
+    option.style.background = '#333';
+    pinSelect.appendChild(option);
+  });
+  // Custom configurations can only be set programmatically (setPinConfig);
+  // remember one if active so it can be re-selected after trying a preset
+  const customPinConfig = getPinConfig().mode === PIN_MODES.CUSTOM ? getPinConfig() : null;
+  if (customPinConfig) {
+    const option = document.createElement('option');
+    option.value = PIN_MODES.CUSTOM;
+    option.textContent = PIN_MODE_LABELS[PIN_MODES.CUSTOM];
+    option.style.background = '#333';
+    pinSelect.appendChild(option);
+  }
+  pinSelect.value = getPinConfig().mode;
+  pinSelect.addEventListener('change', (e) => {
+    setPinConfig(e.target.value === PIN_MODES.CUSTOM ? customPinConfig : e.target.value);
+    rebuildClothSimulation();
+  });
+  pinContainer.appendChild(pinSelect);
+  panel.appendChild(pinContainer);
+
+  // Integrator selector (chosen at startup, so changing it reloads the page)
+  const integratorContainer = document.createElement('div');
+  integratorContainer.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+
+  const integratorLabel = document.createElement('label');
+  integratorLabel.textContent = 'Integrator';
+  integratorLabel.style.cssText = 'font-size: 12px; color: #aaa;';
+  integratorContainer.appendChild(integratorLabel);
+
+  const integratorSelect = document.createElement('select');
+  integratorSelect.style.cssText = modeSelect.style.cssText;
+  integratorSelect.title = 'Restarts the simulation';
+  Object.values(INTEGRATORS).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = INTEGRATOR_LABELS[value];
+    option.style.background = '#333';
+    // Too slow on the CPU solver for XR (see limitXRSimulation)
+    option.disabled = xrStartup.enabled && value === INTEGRATORS.XPBD;
+    integratorSelect.appendChild(option);
+  });
+  integratorSelect.value = integrator;
+  integratorSelect.addEventListener('change', (e) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('integrator', e.target.value);
+    window.location.assign(url);
+  });
+  integratorContainer.appendChild(integratorSelect);
+  panel.appendChild(integratorContainer);
+
+  // WebXR toggle (picks the backend at startup, so it reloads the page)
+  if (xrStartup.modes.vr || xrStartup.modes.ar) {
+    const xrContainer = document.createElement('div');
+    xrContainer.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+    const xrCheckbox = document.createElement('input');
+    xrCheckbox.type = 'checkbox';
+    xrCheckbox.id = 'xr-toggle';
+    xrCheckbox.checked = xrStartup.enabled;
+    xrCheckbox.style.cssText = 'cursor: pointer; width: 16px; height: 16px;';
+    xrCheckbox.addEventListener('change', (e) => {
+      const url = new URL(window.location.href);
+      if (e.target.checked) {
+        url.searchParams.set('xr', '1');
+      } else {
+        url.searchParams.delete('xr');
+      }
+      window.location.assign(url);
+    });
+
+    const xrLabel = document.createElement('label');
+    xrLabel.htmlFor = 'xr-toggle';
+    xrLabel.textContent = 'WebXR (CPU physics)';
+    xrLabel.title = 'Reloads with VR/AR enabled; XR needs the WebGL backend, so physics runs on the CPU solver';
+    xrLabel.style.cssText = 'cursor: pointer;';
+
+    xrContainer.appendChild(xrCheckbox);
+    xrContainer.appendChild(xrLabel);
+    panel.appendChild(xrContainer);
+  }
+
+  // Fabric presets (built-in, or loaded from a JSON file)
+  const fabricContainer = document.createElement('div');
+  fabricContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const fabricLabel = document.createElement('label');
+  fabricLabel.textContent = 'Fabric';
+  fabricLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  fabricContainer.appendChild(fabricLabel);
+
+  const fabricSelect = document.createElement('select');
+  fabricSelect.style.cssText = modeSelect.style.cssText;
+  fabricSelect.style.gridColumn = '1 / -1';
+  fabricSelect.title = 'Rebuilds the cloth';
+  fabricContainer.appendChild(fabricSelect);
+
+  const refreshFabricSelect = () => {
+    fabricSelect.replaceChildren();
+    for (const name of listFabricPresets()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.style.background = '#333';
+      fabricSelect.appendChild(option);
+    }
+    fabricSelect.value = getFabricConfig().name;
+  };
+  refreshFabricSelect();
+
+  const applyFabricPreset = (preset) => {
+    setFabricConfig(preset);
+    rebuildClothSimulation();
+  };
+  fabricSelect.addEventListener('change', (e) => applyFabricPreset(getFabricPreset(e.target.value)));
+
+  const fabricFileInput = document.createElement('input');
+  fabricFileInput.type = 'file';
+  fabricFileInput.accept = '.json';
+  fabricFileInput.style.display = 'none';
+  fabricFileInput.addEventListener('change', async () => {
+    const file = fabricFileInput.files[0];
+    fabricFileInput.value = '';
+    if (!file) return;
+    try {
+      const preset = parseFabricPreset(await file.text());
+      storeFabricPreset(preset);
+      applyFabricPreset(preset);
+      refreshFabricSelect();
+    } catch (error) {
+      console.warn(`Could not load ${file.name}: ${error.message}`);
+      alert(error.message);
+    }
+  });
+  fabricContainer.appendChild(fabricFileInput);
+  panel.appendChild(fabricContainer);
+
+  // Cloth size and resolution
+  const sizeContainer = document.createElement('div');
+  sizeContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const sizeLabel = document.createElement('label');
+  sizeLabel.textContent = 'Cloth Size / Segments';
+  sizeLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  sizeContainer.appendChild(sizeLabel);
+
+  const clothConfig = getClothConfig();
+  const sizeInputs = {};
+  [
+    ['width', 'W', CLOTH_CONFIG_LIMITS.minSize, CLOTH_CONFIG_LIMITS.maxSize, 0.1],
+    ['height', 'H', CLOTH_CONFIG_LIMITS.minSize, CLOTH_CONFIG_LIMITS.maxSize, 0.1],
+    ['segmentsX', 'X', CLOTH_CONFIG_LIMITS.minSegments, CLOTH_CONFIG_LIMITS.maxSegments, 1],
+    ['segmentsY', 'Y', CLOTH_CONFIG_LIMITS.minSegments, CLOTH_CONFIG_LIMITS.maxSegments, 1],
+  ].forEach(([key, label, min, max, step]) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = clothConfig[key];
+    input.title = key;
+    input.placeholder = label;
+    input.style.cssText = `
+      background: rgba(255,255,255,0.1);
+      border: 1px solid rgba(255,255,255,0.2);
+      border-radius: 4px;
+      color: white;
+      padding: 4px 6px;
+      width: 100%;
+      box-sizing: border-box;
+    `;
+    sizeInputs[key] = input;
+    sizeContainer.appendChild(input);
+  });
+
+  const rebuildButton = document.createElement('button');
+  rebuildButton.textContent = 'Rebuild Cloth';
+  rebuildButton.style.cssText = `
+    background: #3b82f6;
+    border: none;
+    border-radius: 4px;
+    color: white;
+    padding: 6px 12px;
+    cursor: pointer;
+    font-weight: bold;
+    grid-column: 1 / -1;
+  `;
+  [
+    ['Load Fabric', () => fabricFileInput.click()],
+    ['Save Fabric', () => {
+      const preset = getFabricConfig();
+      downloadFile(serializeFabricPreset(preset), 'application/json', `${preset.name}.json`);
+    }],
+  ].forEach(([label, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = rebuildButton.style.cssText;
+    button.style.gridColumn = 'auto';
+    button.addEventListener('click', onClick);
+    fabricContainer.appendChild(button);
+  });
+
+  rebuildButton.addEventListener('click', () => {
+    try {
+      setClothConfig({
+        width: parseFloat(sizeInputs.width.value),
+        height: parseFloat(sizeInputs.height.value),
+        segmentsX: parseInt(sizeInputs.segmentsX.value, 10),
+        segmentsY: parseInt(sizeInputs.segmentsY.value, 10),
+      });
+    } catch (error) {
+      console.warn(error.message);
+    }
+    if (xrStartup.enabled) limitXRSimulation();
+    // Show the clamped values actually used
+    for (const key of Object.keys(sizeInputs)) {
+      sizeInputs[key].value = getClothConfig()[key];
+    }
+    // Rebuilding from size/segments always goes back to the grid
+    setImportedMesh(null);
+    rebuildClothSimulation();
+  });
+  sizeContainer.appendChild(rebuildButton);
+
+  // Mesh import (file picker, or drop a file anywhere on the page)
+  const meshInput = document.createElement('input');
+  meshInput.type = 'file';
+  meshInput.accept = MESH_FILE_EXTENSIONS.join(',');
+  meshInput.style.display = 'none';
+  meshInput.addEventListener('change', () => {
+    if (meshInput.files.length > 0) importClothMesh(meshInput.files[0]);
+    meshInput.value = '';
+  });
+
+  const importButton = document.createElement('button');
+  importButton.textContent = 'Import Mesh';
+  importButton.title = `Load ${MESH_FILE_EXTENSIONS.join(' / ')} as cloth (or drop a file)`;
+  importButton.style.cssText = rebuildButton.style.cssText;
+  importButton.addEventListener('click', () => meshInput.click());
+  sizeContainer.appendChild(importButton);
+  sizeContainer.appendChild(meshInput);
+  panel.appendChild(sizeContainer);
+
+  // Material maps (painted in 'paint' mode, saved and loaded as PNG)
+  const mapContainer = document.createElement('div');
+  mapContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const mapLabel = document.createElement('label');
+  mapLabel.textContent = 'Material Map (Paint Mode)';
+  mapLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  mapContainer.appendChild(mapLabel);
+
+  const channelSelect = document.createElement('select');
+  channelSelect.style.cssText = modeSelect.style.cssText;
+  channelSelect.style.gridColumn = '1 / -1';
+  for (const channel of Object.values(MATERIAL_MAP_CHANNELS)) {
+    const option = document.createElement('option');
+    option.value = channel;
+    option.textContent = MATERIAL_MAP_CHANNEL_LABELS[channel];
+    option.style.background = '#333';
+    channelSelect.appendChild(option);
+  }
+  channelSelect.value = paintState.channel;
+  channelSelect.addEventListener('change', (e) => {
+    paintState.channel = parseInt(e.target.value, 10);
+  });
+  mapContainer.appendChild(channelSelect);
+
+  [
+    ['multiplier', 'Multiplier painted by the brush (1 = unchanged)', 0, MAX_MATERIAL_MULTIPLIER, 0.1],
+    ['radius', 'Brush radius (fraction of the cloth)', 0.01, 0.5, 0.01],
+  ].forEach(([key, title, min, max, step]) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = paintState[key];
+    input.title = title;
+    input.style.cssText = sizeInputs.width.style.cssText;
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (Number.isFinite(value)) paintState[key] = Math.min(Math.max(value, min), max);
+      input.value = paintState[key];
+    });
+    mapContainer.appendChild(input);
+  });
+
+  const mapFileInput = document.createElement('input');
+  mapFileInput.type = 'file';
+  mapFileInput.accept = 'image/png';
+  mapFileInput.style.display = 'none';
+  mapFileInput.addEventListener('change', async () => {
+    const file = mapFileInput.files[0];
+    mapFileInput.value = '';
+    if (!file) return;
+    try {
+      await loadMaterialMapsImage(file);
+    } catch (error) {
+      console.warn(`Could not load ${file.name}: ${error.message}`);
+      alert(error.message);
+      return;
+    }
+    applyPaintedMaterials();
+  });
+  mapContainer.appendChild(mapFileInput);
+
+  [
+    ['Load PNG', () => mapFileInput.click()],
+    ['Save PNG', async () => {
+      downloadFile(await encodeMaterialMapsPNG(), 'image/png', 'material-map.png');
+    }],
+  ].forEach(([label, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = rebuildButton.style.cssText;
+    button.style.gridColumn = 'auto';
+    button.addEventListener('click', onClick);
+    mapContainer.appendChild(button);
+  });
+
+  const clearMapButton = document.createElement('button');
+  clearMapButton.textContent = 'Clear Map';
+  clearMapButton.style.cssText = rebuildButton.style.cssText;
+  clearMapButton.addEventListener('click', () => {
+    clearMaterialMaps();
+    applyPaintedMaterials();
+  });
+  mapContainer.appendChild(clearMapButton);
+
+  const overlayContainer = document.createElement('div');
+  overlayContainer.style.cssText = 'display: flex; align-items: center; gap: 8px; grid-column: 1 / -1;';
+
+  const overlayCheckbox = document.createElement('input');
+  overlayCheckbox.type = 'checkbox';
+  overlayCheckbox.id = 'material-map-overlay-toggle';
+  overlayCheckbox.style.cssText = 'cursor: pointer; width: 16px; height: 16px;';
+  overlayCheckbox.addEventListener('change', (e) => {
+    setMaterialMapOverlay(e.target.checked);
+  });
+
+  const overlayLabel = document.createElement('label');
+  overlayLabel.htmlFor = 'material-map-overlay-toggle';
+  overlayLabel.textContent = 'Show Map Overlay';
+  overlayLabel.style.cssText = 'cursor: pointer;';
+
+  overlayContainer.appendChild(overlayCheckbox);
+  overlayContainer.appendChild(overlayLabel);
+  mapContainer.appendChild(overlayContainer);
+  panel.appendChild(mapContainer);
+
+  // Stitch mode: whether dabs also sew nearby border vertices together
+  const stitchContainer = document.createElement('div');
+  stitchContainer.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+  const stitchCheckbox = document.createElement('input');
+  stitchCheckbox.type = 'checkbox';
+  stitchCheckbox.id = 'add-stitches-toggle';
+  stitchCheckbox.checked = stitchState.addStitches;
+  stitchCheckbox.style.cssText = 'cursor: pointer; width: 16px; height: 16px;';
+  stitchCheckbox.addEventListener('change', (e) => {
+    stitchState.addStitches = e.target.checked;
+  });
+
+  const stitchLabel = document.createElement('label');
+  stitchLabel.htmlFor = 'add-stitches-toggle';
+  stitchLabel.textContent = 'Add Stitches (Stitch Mode)';
+  stitchLabel.title = 'Sew nearby torn edges together with new springs';
+  stitchLabel.style.cssText = 'cursor: pointer;';
+
+  stitchContainer.appendChild(stitchCheckbox);
+  stitchContainer.appendChild(stitchLabel);
+  panel.appendChild(stitchContainer);
+
+  // Mesh export
+  const exportContainer = document.createElement('div');
+  exportContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const exportSelect = document.createElement('select');
+  exportSelect.style.cssText = modeSelect.style.cssText;
+  for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    option.style.background = '#333';
+    exportSelect.appendChild(option);
+  }
+  exportContainer.appendChild(exportSelect);
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export Mesh';
+  exportButton.style.cssText = rebuildButton.style.cssText;
+  exportButton.style.gridColumn = 'auto';
+  exportButton.addEventListener('click', () => exportClothMesh(exportSelect.value));
+  exportContainer.appendChild(exportButton);
+  panel.appendChild(exportContainer);
+
+  // Tear statistics and events
+  const tearContainer = document.createElement('div');
+  tearContainer.style.cssText = 'display: grid; grid-template-columns: 1fr; gap: 4px;';
+
+  const tearCounter = document.createElement('div');
+  tearCounter.id = 'tear-counter';
+  tearCounter.textContent = formatTearStatistics();
+  tearCounter.style.cssText = 'font-size: 12px; color: #aaa;';
+  tearContainer.appendChild(tearCounter);
+
+  const tearEventsButton = document.createElement('button');
+  tearEventsButton.textContent = 'Download Tear Events (CSV)';
+  tearEventsButton.style.cssText = rebuildButton.style.cssText;
+  tearEventsButton.style.gridColumn = 'auto';
+  tearEventsButton.addEventListener('click', () => {
+    downloadFile(serializeTearEventsCSV(getTearEvents()), 'text/csv', 'tear-events.csv');
+  });
+  tearContainer.appendChild(tearEventsButton);
+  panel.appendChild(tearContainer);
+
+  // Snapshots
+  const snapshotContainer = document.createElement('div');
+  snapshotContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const snapshotLabel = document.createElement('label');
+  snapshotLabel.textContent = 'Snapshots';
+  snapshotLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  snapshotContainer.appendChild(snapshotLabel);
+
+  const snapshotSelect = document.createElement('select');
+  snapshotSelect.style.cssText = modeSelect.style.cssText;
+  snapshotSelect.style.gridColumn = '1 / -1';
+  snapshotContainer.appendChild(snapshotSelect);
+
+  const refreshSnapshotSelect = (selected) => {
+    snapshotSelect.replaceChildren();
+    for (const name of listSnapshots()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.style.background = '#333';
+      snapshotSelect.appendChild(option);
+    }
+    if (selected !== undefined) snapshotSelect.value = selected;
+  };
+
+  const snapshotFileInput = document.createElement('input');
+  snapshotFileInput.type = 'file';
+  snapshotFileInput.accept = '.json';
+  snapshotFileInput.style.display = 'none';
+  snapshotFileInput.addEventListener('change', async () => {
+    const file = snapshotFileInput.files[0];
+    snapshotFileInput.value = '';
+    if (!file) return;
+    try {
+      const snapshot = parseSnapshot(await file.text());
+      restoreSnapshot(snapshot);
+      storeSnapshot(snapshot);
+      refreshSnapshotSelect(snapshot.name);
+    } catch (error) {
+      console.warn(`Could not load ${file.name}: ${error.message}`);
+      alert(error.message);
+    }
+  });
+  snapshotContainer.appendChild(snapshotFileInput);
+
+  const snapshotDiff = document.createElement('div');
+
+  // Reports errors of a snapshot or trace action
+  const reportErrors = (action) => async () => {
+    try {
+      await action();
+    } catch (error) {
+      console.warn(error.message);
+      alert(error.message);
+    }
+  };
+
+  // Runs a snapshot action on the selected snapshot, reporting errors
+  const withSelectedSnapshot = (action) => reportErrors(async () => {
+    const snapshot = getSnapshot(snapshotSelect.value);
+    if (snapshot) await action(snapshot);
+  });
+
+  [
+    ['Save', reportErrors(async () => {
+      const name = `Snapshot ${listSnapshots().length + 1}`;
+      storeSnapshot(await captureSnapshot(name));
+      refreshSnapshotSelect(name);
+    })],
+    ['Restore', withSelectedSnapshot(restoreSnapshot)],
+    ['Diff', withSelectedSnapshot(async (snapshot) => {
+      const current = await captureSnapshot('Current');
+      snapshotDiff.textContent = formatSnapshotDiff(snapshot.name, diffSnapshots(snapshot, current));
+    })],
+    ['Download', withSelectedSnapshot((snapshot) => {
+      downloadFile(serializeSnapshot(snapshot), 'application/json', `${snapshot.name}.json`);
+    })],
+    ['Load File', () => snapshotFileInput.click()],
+  ].forEach(([label, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = rebuildButton.style.cssText;
+    button.style.gridColumn = 'auto';
+    button.addEventListener('click', onClick);
+    snapshotContainer.appendChild(button);
+  });
+
+  // Result of the last Diff
+  snapshotDiff.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1; white-space: pre-line; overflow-wrap: anywhere;';
+  snapshotContainer.appendChild(snapshotDiff);
+  panel.appendChild(snapshotContainer);
+
+  // Interaction recording and replay
+  const traceContainer = document.createElement('div');
+  traceContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const traceLabel = document.createElement('label');
+  traceLabel.textContent = 'Recording';
+  traceLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  traceContainer.appendChild(traceLabel);
+
+  const traceStatus = document.createElement('div');
+  traceStatus.id = 'trace-status';
+  traceStatus.style.cssText = 'font-size: 12px; grid-column: 1 / -1;';
+  traceStatus.textContent = getTraceStatus();
+  traceContainer.appendChild(traceStatus);
+
+  const speedSelect = document.createElement('select');
+  speedSelect.style.cssText = modeSelect.style.cssText;
+  speedSelect.style.gridColumn = '1 / -1';
+  speedSelect.title = 'Replay speed';
+  [0.1, 0.25, 0.5, 1, 2, 4].forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}x`;
+    option.style.background = '#333';
+    speedSelect.appendChild(option);
+  });
+  speedSelect.value = '1';
+  speedSelect.addEventListener('change', () => {
+    if (playback) playback.speed = parseFloat(speedSelect.value);
+  });
+
+  const traceFileInput = document.createElement('input');
+  traceFileInput.type = 'file';
+  traceFileInput.accept = '.json';
+  traceFileInput.style.display = 'none';
+  traceFileInput.addEventListener('change', async () => {
+    const file = traceFileInput.files[0];
+    traceFileInput.value = '';
+    if (!file) return;
+    try {
+      currentTrace = parseTrace(await file.text());
+    } catch (error) {
+      console.warn(`Could not load ${file.name}: ${error.message}`);
+      alert(error.message);
+    }
+  });
+  traceContainer.appendChild(traceFileInput);
+
+  [
+    ['Record / Stop', () => {
+      if (traceRecorder) {
+        stopRecording();
+      } else {
+        if (playback) stopPlayback();
+        startRecording();
+      }
+    }],
+    ['Replay / Stop', reportErrors(() => {
+      if (playback) {
+        stopPlayback();
+      } else if (currentTrace) {
+        if (traceRecorder) stopRecording();
+        startPlayback(currentTrace, parseFloat(speedSelect.value));
+      }
+    })],
+    ['Pause / Resume', () => {
+      if (!playback) return;
+      playback.isPaused = !playback.isPaused;
+      timeSinceLastStep = 0;
+    }],
+    ['Step', () => {
+      if (!playback) return;
+      playback.isPaused = true;
+      playback.pendingSteps++;
+    }],
+    ['Save Trace', () => {
+      if (currentTrace) downloadFile(serializeTrace(currentTrace), 'application/json', 'trace.json');
+    }],
+    ['Load Trace', () => traceFileInput.click()],
+  ].forEach(([label, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = rebuildButton.style.cssText;
+    button.style.gridColumn = 'auto';
+    button.addEventListener('click', onClick);
+    traceContainer.appendChild(button);
+  });
+  traceContainer.appendChild(speedSelect);
+  panel.appendChild(traceContainer);
+
+  // Prop colliders for the cloth to drape over
+  const colliderContainer = document.createElement('div');
+  colliderContainer.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+
+  const colliderLabel = document.createElement('label');
+  colliderLabel.textContent = 'Colliders';
+  colliderLabel.style.cssText = 'font-size: 12px; color: #aaa; grid-column: 1 / -1;';
+  colliderContainer.appendChild(colliderLabel);
+
+  const colliderSelect = document.createElement('select');
+  colliderSelect.style.cssText = modeSelect.style.cssText;
+  colliderSelect.style.gridColumn = '1 / -1';
+  for (const shape of Object.keys(PROP_COLLIDERS)) {
+    const option = document.createElement('option');
+    option.value = shape;
+    option.textContent = shape;
+    option.style.background = '#333';
+    colliderSelect.appendChild(option);
+  }
+  colliderContainer.appendChild(colliderSelect);
+
+  [
+    ['Add Prop', () => addPropCollider(colliderSelect.value)],
+    ['Clear Props', clearPropColliders],
+  ].forEach(([label, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = rebuildButton.style.cssText;
+    button.style.gridColumn = 'auto';
+    button.addEventListener('click', onClick);
+    colliderContainer.appendChild(button);
+  });
+
+  // Static collision shape (signed distance field)
+  const shapeSelect = document.createElement('select');
+  shapeSelect.style.cssText = modeSelect.style.cssText;
+  shapeSelect.title = 'Static shape the cloth collides with';
+  const shapeOptions = [['', 'No Shape'], ...Object.entries(SDF_SHAPES).map(([name, { label }]) => [name, label])];
+  for (const [value, label] of shapeOptions) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.style.background = '#333';
+    shapeSelect.appendChild(option);
+  }
+  const customShapeOption = document.createElement('option');
+  customShapeOption.value = 'custom';
+  customShapeOption.textContent = 'Loaded Mesh';
+  customShapeOption.style.background = '#333';
+  customShapeOption.hidden = true;
+  shapeSelect.appendChild(customShapeOption);
+  shapeSelect.addEventListener('change', () => {
+    if (shapeSelect.value !== 'custom') loadSDFShape(shapeSelect.value || null);
+  });
+  colliderContainer.appendChild(shapeSelect);
+
+  const shapeInput = document.createElement('input');
+  shapeInput.type = 'file';
+  shapeInput.accept = MESH_FILE_EXTENSIONS.join(',');
+  shapeInput.style.display = 'none';
+  shapeInput.addEventListener('change', async () => {
+    const file = shapeInput.files[0];
+    shapeInput.value = '';
+    if (!file) return;
+
+    shapeButton.disabled = true;
+    const loaded = await loadSDFMeshFile(file, (fraction) => {
+      shapeButton.textContent = `Baking ${Math.round(fraction * 100)}%`;
+    });
+    shapeButton.disabled = false;
+    shapeButton.textContent = 'Load Shape';
+    if (loaded) {
+      customShapeOption.hidden = false;
+      shapeSelect.value = 'custom';
+    }
+  });
+  colliderContainer.appendChild(shapeInput);
+
+  const shapeButton = document.createElement('button');
+  shapeButton.textContent = 'Load Shape';
+  shapeButton.title = `Collide with a closed ${MESH_FILE_EXTENSIONS.join(' / ')} mesh`;
+  shapeButton.style.cssText = rebuildButton.style.cssText;
+  shapeButton.style.gridColumn = 'auto';
+  shapeButton.addEventListener('click', () => shapeInput.click());
+  colliderContainer.appendChild(shapeButton);
+  panel.appendChild(colliderContainer);
+
+  window.addEventListener('dragover', (e) => e.preventDefault());
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (e.dataTransfer.files.length > 0) importClothMesh(e.dataTransfer.files[0]);
+  });
+
   // Wireframe toggle
   const wireframeContainer = document.createElement('div');
   wireframeContainer.style.cssText = 'display: flex; align-items: center; gap: 8px;';
@@ -358,30 +2278,234 @@ function setupControlPanel() {
   wireframeContainer.appendChild(wireframeLabel);
   panel.appendChild(wireframeContainer);
 
-  // Reset button
-  const resetButton = document.createElement('button');
-  resetButton.textContent = 'Reset Mesh';
-  resetButton.style.cssText = `
-    background: #ef4444;
-    border: none;
-    border-radius: 4px;
-    color: white;
-    padding: 8px 12px;
-    cursor: pointer;
-    font-weight: bold;
-    transition: background 0.2s;
-    margin-top: 4px;
-  `;
-  resetButton.addEventListener('mouseenter', () => {
-    resetButton.style.background = '#dc2626';
+  // Reset button
+  const resetButton = document.createElement('button');
+  resetButton.textContent = 'Reset Mesh';
+  resetButton.style.cssText = `
+    background: #ef4444;
+    border: none;
+    border-radius: 4px;
+    color: white;
+    padding: 8px 12px;
+    cursor: pointer;
+    font-weight: bold;
+    transition: background 0.2s;
+    margin-top: 4px;
+  `;
+  resetButton.addEventListener('mouseenter', () => {
+    resetButton.style.background = '#dc2626';
+  });
+  resetButton.addEventListener('mouseleave', () => {
+    resetButton.style.background = '#ef4444';
+  });
+  resetButton.addEventListener('click', resetClothSimulation);
+  panel.appendChild(resetButton);
+
+  document.body.appendChild(panel);
+}
+
+/**
+ * Sets up immersive sessions and the XR controllers
+ *
+ * While a session runs, the interaction mode is 'xr': each controller is a
+ * collider (trigger switches sphere/cylinder) and a grab tool (squeeze).
+ * The ground plane moves to the room floor for the session. In AR the scene
+ * background is cleared so the room shows through, and the floor mesh only
+ * draws the shadows.
+ *
+ * @param {THREE.WebGPURenderer} renderer - The renderer
+ * @param {THREE.Scene} scene - The scene to add the controllers to
+ * @param {{vr: boolean, ar: boolean}} modes - Supported immersive modes
+ */
+function setupXRInteraction(renderer, scene, modes) {
+  const controllers = [renderer.xr.getController(0), renderer.xr.getController(1)];
+  scene.add(...controllers);
+
+  xrInteraction = createXRInteraction({
+    controllers,
+    readPositions: readVertexPositions,
+  });
+  scene.add(...xrInteraction.visuals);
+
+  let background = null;
+  let groundBeforeXR = null;
+  setupXR(renderer, {
+    modes,
+    onSessionStart: () => {
+      modeBeforeXR = interactionMode;
+      interactionMode = 'xr';
+      resetInteractionState();
+
+      // The ground plane moves to the room's floor (the cloth origin is
+      // XR_CONFIG.clothPosition above it)
+      groundBeforeXR = {
+        enabled: simulationUniforms.ground.value,
+        height: simulationUniforms.groundHeight.value,
+      };
+      simulationUniforms.ground.value = 1.0;
+      simulationUniforms.groundHeight.value = -XR_CONFIG.clothPosition.y;
+
+      if (renderer.xr.getEnvironmentBlendMode() !== 'opaque') {
+        background = scene.background;
+        scene.background = null;
+        setFloorShadowOnly(true);
+      }
+    },
+    onSessionEnd: () => {
+      interactionMode = modeBeforeXR;
+      resetInteractionState();
+      simulationUniforms.ground.value = groundBeforeXR.enabled;
+      simulationUniforms.groundHeight.value = groundBeforeXR.height;
+      if (background) {
+        scene.background = background;
+        background = null;
+        setFloorShadowOnly(false);
+      }
+    },
+  });
+}
+
+/**
+ * Drives the drag uniforms from the XR controllers (their colliders are
+ * set by updateInteractionColliders)
+ */
+function applyXRInteraction() {
+  xrInteraction.update();
+
+  const grab = xrInteraction.getGrab();
+  getDragUniform().value = grab ? 1 : 0;
+  if (grab) {
+    getDragVertexIndexUniform().value = grab.vertexIndex;
+    getDragTargetUniform().value.copy(grab.target);
+  }
+
+  // Stitch brushes mend the tears around them (one dab at a time)
+  for (const position of xrInteraction.getStitchBrushes()) {
+    const center = position.toArray();
+    stitchDab(() => center);
+  }
+}
+
+/**
+ * Creates the (disabled) colliders driven by the interaction modes and the
+ * collider wireframes
+ *
+ * @param {THREE.Scene} scene - The scene to add the wireframes to
+ */
+function setupInteractionColliders(scene) {
+  const colliders = getColliderManager();
+  interactionColliders = {
+    ball: colliders.add({ type: COLLIDER_TYPE.SPHERE, radius: SPHERE_RADIUS, ...contactSettings, enabled: false }),
+    pointer: colliders.add({ type: COLLIDER_TYPE.CAPSULE, ...contactSettings, enabled: false }),
+    xr: [0, 1].map(() => colliders.add({ type: COLLIDER_TYPE.CAPSULE, ...contactSettings, enabled: false })),
+  };
+  setupColliderWireframes(scene);
+}
+
+/**
+ * Sets a collider to a sphere at the top of a downward cylinder of the
+ * given length (the mouse, pen and XR cylinder tools)
+ *
+ * @param {number} id - Collider ID
+ * @param {THREE.Vector3} top - Top of the cylinder (sphere center for length 0)
+ * @param {number} radius - Cylinder radius
+ * @param {number} length - Cylinder length; its bottom is rounded
+ */
+function setHangingCapsule(id, top, radius, length) {
+  getColliderManager().update(id, {
+    enabled: true,
+    position: [top.x, top.y - length / 2, top.z],
+    radius,
+    halfHeight: length / 2,
+  });
+}
+
+/**
+ * Updates the colliders driven by the interaction modes for the current
+ * step (only the active mode's colliders are enabled)
+ */
+function updateInteractionColliders() {
+  const colliders = getColliderManager();
+  const { ball, pointer, xr } = interactionColliders;
+
+  colliders.update(ball, {
+    enabled: interactionMode === 'ball',
+    position: getSphere().position,
   });
-  resetButton.addEventListener('mouseleave', () => {
-    resetButton.style.background = '#ef4444';
+
+  if (interactionMode === 'mouse' && mouseState.isPressed) {
+    setHangingCapsule(pointer, mouseState.position, getMouseCylinderRadius(), mouseState.depth);
+  } else if (interactionMode === 'tablet' && penState.isPressed) {
+    const penDepth = penState.pressure * MOUSE_CYLINDER_MAX_HEIGHT;
+    setHangingCapsule(pointer, penState.position, getMouseCylinderRadius(), penDepth);
+  } else {
+    colliders.update(pointer, { enabled: false });
+  }
+
+  // Every controller collides, so both hands can push the cloth at once
+  const controllerColliders = interactionMode === 'xr' && xrInteraction
+    ? xrInteraction.getColliders()
+    : [];
+  xr.forEach((id, i) => {
+    const controller = controllerColliders[i];
+    if (controller && controller.active) {
+      setHangingCapsule(id, controller.position, controller.radius, controller.height);
+    } else {
+      colliders.update(id, { enabled: false });
+    }
   });
-  resetButton.addEventListener('click', resetClothSimulation);
-  panel.appendChild(resetButton);
+}
 
-  document.body.appendChild(panel);
+/**
+ * Default prop shapes added from the control panel
+ */
+const PROP_COLLIDERS = {
+  Sphere: { type: COLLIDER_TYPE.SPHERE, radius: 0.15 },
+  Capsule: { type: COLLIDER_TYPE.CAPSULE, radius: 0.08, halfHeight: 0.15, rotation: [0, 0, Math.SQRT1_2, Math.SQRT1_2] },
+  Cylinder: { type: COLLIDER_TYPE.CYLINDER, radius: 0.12, halfHeight: 0.1 },
+  Box: { type: COLLIDER_TYPE.BOX, halfExtents: [0.15, 0.1, 0.15] },
+};
+
+/**
+ * Adds a static prop collider below the cloth for it to drape over
+ *
+ * Props are placed side by side along X, so several of them build up a
+ * multi-part obstacle.
+ *
+ * @param {string} shape - Key of PROP_COLLIDERS
+ */
+function addPropCollider(shape) {
+  const colliders = getColliderManager();
+  const propCount = colliders.size - 2 - interactionColliders.xr.length;
+  const x = ((propCount % 5) - 2) * 0.3;
+
+  try {
+    colliders.add({ ...PROP_COLLIDERS[shape], ...contactSettings, position: [x, -0.35, 0] });
+  } catch (error) {
+    console.warn(error.message);
+  }
+}
+
+/**
+ * Gives every collider the contact response from the Inspector
+ */
+function applyContactSettings() {
+  const colliders = getColliderManager();
+  for (const { id } of colliders.list()) {
+    colliders.update(id, contactSettings);
+  }
+}
+
+/**
+ * Removes every collider that is not driven by an interaction mode
+ */
+function clearPropColliders() {
+  const colliders = getColliderManager();
+  const { ball, pointer, xr } = interactionColliders;
+  const keep = [ball, pointer, ...xr];
+  for (const { id } of colliders.list()) {
+    if (!keep.includes(id)) colliders.remove(id);
+  }
 }
 
 /**
@@ -390,20 +2514,31 @@ function setupControlPanel() {
  * @param {THREE.Scene} scene - The scene to add the cylinder to
  */
 function setupMouseCylinder(scene) {
+  const material = new THREE.MeshBasicNodeMaterial({ color: 0xff6b6b });
+  mouseCylinder = new THREE.Mesh(createMouseCylinderGeometry(), material);
+  mouseCylinder.visible = false;
+  scene.add(mouseCylinder);
+}
+
+/**
+ * Creates the mouse cylinder geometry for the current cloth resolution
+ *
+ * @returns {THREE.CylinderGeometry} Unit-height cylinder with its top at the origin
+ */
+function createMouseCylinderGeometry() {
+  const radius = getMouseCylinderRadius();
+
   // Create cylinder pointing downward (along -Y axis)
   const geometry = new THREE.CylinderGeometry(
-    MOUSE_CYLINDER_RADIUS,  // radiusTop
-    MOUSE_CYLINDER_RADIUS,  // radiusBottom
-    1,                       // height (will be scaled)
-    16                       // radialSegments
+    radius,  // radiusTop
+    radius,  // radiusBottom
+    1,       // height (will be scaled)
+    16       // radialSegments
   );
   // Shift geometry so top is at origin (cylinder extends downward)
   geometry.translate(0, -0.5, 0);
-  
-  const material = new THREE.MeshBasicNodeMaterial({ color: 0xff6b6b });
-  mouseCylinder = new THREE.Mesh(geometry, material);
-  mouseCylinder.visible = false;
-  scene.add(mouseCylinder);
+
+  return geometry;
 }
 
 /**
@@ -432,6 +2567,24 @@ function setupMouseEvents(domElement) {
  * @param {MouseEvent} event - The mouse event
  */
 function onMouseDown(event) {
+  // Replays take their input from the trace
+  if (playback) return;
+  if (interactionMode === 'grab' && event.button === 0) {
+    onGrabStart(event);
+    return;
+  }
+  if (interactionMode === 'paint' && event.button === 0) {
+    onPaintStart(event);
+    return;
+  }
+  if (interactionMode === 'scissors' && event.button === 0) {
+    onCutStart(event);
+    return;
+  }
+  if (interactionMode === 'stitch' && event.button === 0) {
+    onStitchStart(event);
+    return;
+  }
   if (interactionMode !== 'mouse' || event.button !== 0) return;
   
   // Disable orbit controls during interaction
@@ -447,6 +2600,11 @@ function onMouseDown(event) {
  * Handles mouse up event
  */
 function onMouseUp() {
+  releaseGrab();
+  finishPainting();
+  finishCut();
+  stitchState.isPressed = false;
+
   // Re-enable orbit controls
   const controls = getControls();
   if (controls) controls.enabled = true;
@@ -462,16 +2620,465 @@ function onMouseUp() {
  * @param {MouseEvent} event - The mouse event
  */
 function onMouseMove(event) {
+  if (interactionMode === 'grab') {
+    updateGrabTarget(event);
+    return;
+  }
+  if (interactionMode === 'paint') {
+    if (paintState.isPressed) paintDab(event);
+    return;
+  }
+  if (interactionMode === 'scissors') {
+    if (cutState.isPressed) continueCut(event);
+    return;
+  }
+  if (interactionMode === 'stitch') {
+    if (stitchState.isPressed) stitchAtCursor(event);
+    return;
+  }
   if (interactionMode !== 'mouse') return;
   updateMousePosition(event);
 }
 
+/**
+ * Sets the raycaster from a mouse/pointer event
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function setRaycasterFromEvent(event) {
+  const camera = getCamera();
+  const renderer = getRenderer();
+
+  const rect = renderer.domElement.getBoundingClientRect();
+  mouseNDC.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  mouseNDC.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(mouseNDC, camera);
+}
+
+/**
+ * Reads back the current Verlet vertex positions
+ *
+ * @async
+ * @returns {Promise<Float32Array>} Vertex positions (xyz per vertex)
+ */
+async function readVertexPositions() {
+  const positions = cpuSolver
+    ? cpuSolver.getPositions()
+    : await readStorageBuffer(getRenderer(), vertexPositionBuffer, 3, Float32Array);
+
+  // The buffers have room for vertex copies not made yet (see verlet/fracture)
+  return positions.subarray(0, verletVertices.length * 3);
+}
+
+/**
+ * Starts a grab interaction: picks the vertex under the cursor from the
+ * current simulated positions, then either toggles its pin (Shift+click)
+ * or starts dragging it along a camera-facing plane
+ *
+ * @async
+ * @param {MouseEvent} event - The mouse event
+ */
+async function onGrabStart(event) {
+  const controls = getControls();
+  if (controls) controls.enabled = false;
+  grabState.isPressed = true;
+
+  setRaycasterFromEvent(event);
+  const ray = raycaster.ray.clone();
+  const generation = stateGeneration;
+  const positions = await readVertexPositions();
+
+  // Vertex IDs read back before the cloth was split, reset or restored may
+  // no longer be the same vertices
+  const hit = generation === stateGeneration ? findNearestVertex(positions, ray, getGrabPickRadius()) : null;
+
+  // Nothing picked, or the button was released while reading back
+  if (!hit || !grabState.isPressed) {
+    if (controls && !grabState.isPressed) controls.enabled = true;
+    return;
+  }
+
+  const vertexPosition = new THREE.Vector3().fromArray(positions, hit.index * 3);
+
+  if (event.shiftKey) {
+    // Toggle the pin; the vertex stays where it currently is
+    const isFixed = !isVertexFixed(hit.index);
+    pinVertex(hit.index, isFixed);
+    return;
+  }
+
+  // Drag along the plane facing the camera through the picked vertex
+  const cameraDirection = new THREE.Vector3();
+  getCamera().getWorldDirection(cameraDirection);
+  grabState.plane.setFromNormalAndCoplanarPoint(cameraDirection, vertexPosition);
+  grabState.isDragging = true;
+  grabState.vertexIndex = hit.index;
+
+  getDragTargetUniform().value.copy(vertexPosition);
+  getDragVertexIndexUniform().value = hit.index;
+  getDragUniform().value = 1;
+}
+
+/**
+ * Pins or frees a vertex of the running cloth
+ *
+ * @param {number} vertexId - ID of the vertex
+ * @param {boolean} isFixed - Whether the vertex is pinned
+ */
+function pinVertex(vertexId, isFixed) {
+  setVertexFixed(vertexId, isFixed);
+  if (cpuSolver) cpuSolver.setVertexFixed(vertexId, isFixed);
+  recordEdit({ type: 'pin', vertexId, fixed: isFixed });
+}
+
+/**
+ * Moves the drag target to where the cursor ray meets the drag plane
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function updateGrabTarget(event) {
+  if (!grabState.isDragging) return;
+
+  setRaycasterFromEvent(event);
+  const intersection = new THREE.Vector3();
+  if (raycaster.ray.intersectPlane(grabState.plane, intersection)) {
+    getDragTargetUniform().value.copy(intersection);
+  }
+}
+
+/**
+ * Ends any grab interaction and releases the dragged vertex
+ */
+function releaseGrab() {
+  grabState.isPressed = false;
+  grabState.isDragging = false;
+  grabState.vertexIndex = -1;
+
+  const dragUniform = getDragUniform();
+  if (dragUniform) dragUniform.value = 0;
+}
+
+/**
+ * Starts a paint stroke on the material maps
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function onPaintStart(event) {
+  const controls = getControls();
+  if (controls) controls.enabled = false;
+  paintState.isPressed = true;
+  paintDab(event);
+}
+
+/**
+ * Paints one dab of the brush at the UV of the vertex under the cursor
+ *
+ * Picking reads the simulated positions back, so moves arriving while a
+ * dab is still being picked are skipped; a dab read back before the cloth
+ * was split, reset or restored is dropped.
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function paintDab(event) {
+  if (paintState.pendingDab) return;
+
+  setRaycasterFromEvent(event);
+  const ray = raycaster.ray.clone();
+  const generation = stateGeneration;
+  paintState.pendingDab = readVertexPositions()
+    .then((positions) => {
+      if (generation !== stateGeneration) return;
+      const hit = findNearestVertex(positions, ray, getGrabPickRadius());
+      if (!hit) return;
+      const { uv } = verletVertices[hit.index];
+      paintMaterialMap(uv.x, uv.y, paintState.channel, paintState.multiplier, paintState.radius);
+    })
+    .catch((error) => {
+      console.warn(`Paint: could not read back the vertex positions: ${error.message}`);
+    })
+    .finally(() => {
+      paintState.pendingDab = null;
+    });
+}
+
+/**
+ * Ends a paint stroke and applies the painted maps to the cloth
+ *
+ * @async
+ */
+async function finishPainting() {
+  if (!paintState.isPressed) return;
+  paintState.isPressed = false;
+  if (paintState.pendingDab) await paintState.pendingDab;
+  applyPaintedMaterials();
+}
+
+/**
+ * Applies the material maps to the running cloth: recomputes the vertex
+ * masses and spring materials and uploads them, keeping torn springs torn
+ */
+function applyPaintedMaterials() {
+  applyMaterialMaps();
+  if (cpuSolver) {
+    cpuSolver.updateMaterials();
+  } else {
+    updateMaterialBuffers();
+    getRenderer().compute(computeStiffnessRescale);
+  }
+  warnIfUnstable();
+}
+
+/**
+ * Starts a scissors stroke at the cursor
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function onCutStart(event) {
+  const controls = getControls();
+  if (controls) controls.enabled = false;
+  cutState.isPressed = true;
+
+  setRaycasterFromEvent(event);
+  cutState.lastRay.copy(raycaster.ray);
+  cutState.currentRay.copy(raycaster.ray);
+}
+
+/**
+ * Extends the scissors stroke to the cursor and cuts along it
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function continueCut(event) {
+  setRaycasterFromEvent(event);
+  cutState.currentRay.copy(raycaster.ray);
+  cutStroke();
+}
+
+/**
+ * Cuts every spring crossed by the stroke since the last cut
+ *
+ * Cutting reads the simulated positions back, so moves arriving while a
+ * piece is still being cut are skipped; the next piece starts where the
+ * last one ended, so the cut has no gaps. A piece read back before the
+ * cloth was split, reset or restored is dropped and cut again with the
+ * next one. The returned promise never rejects, so callers need not wait
+ * for it.
+ *
+ * @returns {Promise} The pending cut
+ */
+function cutStroke() {
+  if (cutState.pendingCut) return cutState.pendingCut;
+
+  const startRay = cutState.lastRay.clone();
+  const endRay = cutState.currentRay.clone();
+  cutState.lastRay.copy(endRay);
+  const generation = stateGeneration;
+  cutState.pendingCut = readVertexPositions()
+    .then((positions) => {
+      if (generation !== stateGeneration) {
+        cutState.lastRay.copy(startRay);
+        return;
+      }
+      const springIds = findCutSprings(positions, verletSprings, startRay, endRay, getCamera().far);
+      if (springIds.length > 0) cutClothSprings(springIds);
+    })
+    .catch((error) => {
+      console.warn(`Cut: could not read back the vertex positions: ${error.message}`);
+    })
+    .finally(() => {
+      cutState.pendingCut = null;
+    });
+  return cutState.pendingCut;
+}
+
+/**
+ * Cuts springs of the running cloth
+ * @param {Array<number>} springIds - IDs of the springs to cut
+ */
+function cutClothSprings(springIds) {
+  cutSprings(springIds);
+  if (cpuSolver) cpuSolver.cutSprings(springIds);
+  fracturePending = true;
+  recordEdit({ type: 'cut', springIds: Array.from(springIds) });
+}
+
+/**
+ * Ends a scissors stroke, cutting up to where the button was released
+ *
+ * @async
+ */
+async function finishCut() {
+  if (!cutState.isPressed) return;
+  cutState.isPressed = false;
+  if (cutState.pendingCut) await cutState.pendingCut;
+  await cutStroke();
+}
+
+/**
+ * Starts a stitch stroke at the cursor
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function onStitchStart(event) {
+  const controls = getControls();
+  if (controls) controls.enabled = false;
+  stitchState.isPressed = true;
+  stitchAtCursor(event);
+}
+
+/**
+ * Stitches around the vertex under the cursor
+ *
+ * @param {MouseEvent} event - The mouse event
+ */
+function stitchAtCursor(event) {
+  setRaycasterFromEvent(event);
+  const ray = raycaster.ray.clone();
+  stitchDab((positions) => {
+    const hit = findNearestVertex(positions, ray, STITCH_CONFIG.brushRadius);
+    return hit ? Array.from(positions.subarray(hit.index * 3, hit.index * 3 + 3)) : null;
+  });
+}
+
+/**
+ * Mends the tears within the brush, and sews nearby border vertices
+ * together if stitches are enabled (see utils/stitching)
+ *
+ * The positions and spring stiffness are read back first, so dabs arriving
+ * while one is still being stitched are skipped; a dab read back before the
+ * cloth was split, reset or restored is dropped.
+ *
+ * @param {Function} getCenter - Gets the brush center [x, y, z] from the
+ *   vertex positions, or null for no dab
+ */
+function stitchDab(getCenter) {
+  if (stitchState.pendingDab) return;
+
+  const generation = stateGeneration;
+  stitchState.pendingDab = readStitchInputs()
+    .then(({ positions, stiffness }) => {
+      if (generation !== stateGeneration) return;
+      const center = getCenter(positions);
+      if (center) applyStitches(positions, stiffness, center);
+    })
+    .catch((error) => {
+      console.warn(`Stitch: could not read back the vertex positions and spring stiffness: ${error.message}`);
+    })
+    .finally(() => {
+      stitchState.pendingDab = null;
+    });
+}
+
+/**
+ * Reads back the vertex positions and spring stiffness for a stitch dab
+ *
+ * Both are read in the same tick, so they hold the same step.
+ *
+ * @async
+ * @returns {Promise<{positions: Float32Array, stiffness: Float32Array}>}
+ *   Positions of the vertices in use and stiffness of every spring slot
+ */
+async function readStitchInputs() {
+  const [positions, stiffness] = await Promise.all([
+    readVertexPositions(),
+    cpuSolver
+      ? Float32Array.from(cpuSolver.getSpringStiffness())
+      : readStorageBuffer(getRenderer(), springStiffnessBuffer, 1, Float32Array),
+  ]);
+  return { positions, stiffness };
+}
+
+/**
+ * Finds the springs to mend and the stitches to make for one dab, and
+ * applies them (see stitchCloth)
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {Float32Array} stiffness - Stiffness of every spring slot (changed)
+ * @param {Array<number>} center - Brush center (xyz)
+ */
+function applyStitches(positions, stiffness, center) {
+  const springIds = findMendableSprings(positions, stiffness, verletSprings, center);
+  for (const id of springIds) stiffness[id] = verletSprings[id].stiffness;
+
+  const pairs = stitchState.addStitches
+    ? findStitchPairs(positions, stiffness, verletVertices, verletSprings, center)
+    : [];
+  stitchCloth(springIds, pairs, stiffness);
+}
+
+/**
+ * Mends springs and makes stitches, then joins the vertices the mended
+ * springs hold together again (see mendFracture)
+ *
+ * @param {Array<number>} springIds - IDs of the torn springs to mend
+ * @param {Array<{vertex0: Object, vertex1: Object, restLength: number, template: Object}>} pairs
+ *   The stitches to make (see findStitchPairs)
+ * @param {Float32Array} stiffness - Stiffness of every spring slot (changed)
+ */
+function stitchCloth(springIds, pairs, stiffness) {
+  if (springIds.length === 0 && pairs.length === 0) return;
+  recordEdit({
+    type: 'stitch',
+    springIds: Array.from(springIds),
+    stitches: pairs.map(({ vertex0, vertex1, restLength, template }) => [vertex0.id, vertex1.id, restLength, template.id]),
+  });
+  for (const id of springIds) stiffness[id] = verletSprings[id].stiffness;
+
+  const stitchIds = [];
+  for (const { vertex0, vertex1, restLength, template } of pairs) {
+    const stitch = addStitchSpring(vertex0, vertex1, restLength, template);
+    if (!stitch) {
+      if (!stitchState.warnedCapacity) {
+        console.warn('Stitch mode: every reserved spring is in use, no more stitches can be made (see STITCH_CONFIG)');
+        stitchState.warnedCapacity = true;
+      }
+      break;
+    }
+    stiffness[stitch.id] = stitch.stiffness;
+    stitchIds.push(stitch.id);
+  }
+  if (springIds.length === 0 && stitchIds.length === 0) return;
+
+  const { moves, removedVertices } = mendFracture(springIds, stiffness);
+
+  // Vertices whose structural, shear and Z-springs all hold again are no
+  // longer broken
+  const mendedVertices = new Set();
+  for (const id of springIds) {
+    mendedVertices.add(verletSprings[id].vertex0);
+    mendedVertices.add(verletSprings[id].vertex1);
+  }
+  const vertexIds = [...mendedVertices]
+    .filter((vertex) => vertex.springIds.every(({ id, type }) => type === SPRING_TYPE.BENDING || stiffness[id] > 0))
+    .map((vertex) => vertex.id);
+
+  // Moved vertices take their state along before the broken flags are cleared
+  const mendedSpringIds = [...springIds, ...stitchIds];
+  updateTopologyBuffers([], moves);
+  if (cpuSolver) {
+    cpuSolver.updateTopology([], moves);
+    cpuSolver.mendSprings(mendedSpringIds, vertexIds);
+  } else {
+    getRenderer().compute(computeVertexSplits);
+    mendSprings(mendedSpringIds, vertexIds);
+  }
+
+  // Joining vertices renumbers them, so grabs let go
+  if (moves.length > 0 || removedVertices > 0) {
+    releaseGrab();
+    if (xrInteraction) xrInteraction.releaseGrab();
+  }
+  stateGeneration++;
+  refreshClothTopology();
+}
+
 /**
  * Handles pointer down event (for tablet/pen)
  * 
  * @param {PointerEvent} event - The pointer event
  */
 function onPointerDown(event) {
+  if (playback) return;
   if (interactionMode !== 'tablet') return;
   // Only respond to pen input, not mouse/touch in tablet mode
   if (event.pointerType !== 'pen') return;
@@ -539,9 +3146,11 @@ function updatePenPosition(event) {
   
   if (raycaster.ray.intersectPlane(clothPlane, intersection)) {
     // Clamp to cloth bounds
-    const halfWidth = CLOTH_WIDTH / 2;
+    const { width, height } = getClothConfig();
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
     intersection.x = Math.max(-halfWidth, Math.min(halfWidth, intersection.x));
-    intersection.z = Math.max(-halfWidth, Math.min(halfWidth, intersection.z));
+    intersection.z = Math.max(-halfHeight, Math.min(halfHeight, intersection.z));
     
     penState.targetPosition.copy(intersection);
   }
@@ -570,9 +3179,11 @@ function updateMousePosition(event) {
   
   if (raycaster.ray.intersectPlane(clothPlane, intersection)) {
     // Clamp to cloth bounds
-    const halfWidth = CLOTH_WIDTH / 2;
+    const { width, height } = getClothConfig();
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
     intersection.x = Math.max(-halfWidth, Math.min(halfWidth, intersection.x));
-    intersection.z = Math.max(-halfWidth, Math.min(halfWidth, intersection.z));
+    intersection.z = Math.max(-halfHeight, Math.min(halfHeight, intersection.z));
     
     mouseState.targetPosition.copy(intersection);
   }
@@ -648,11 +3259,8 @@ async function render() {
   const clothMesh = getClothMesh();
   const vertexWireframe = getVertexWireframeObject();
   const springWireframe = getSpringWireframeObject();
-  const sphereUniform = getSphereUniform();
-  const windUniform = getWindUniform();
-  const spherePositionUniform = getSpherePositionUniform();
-  const sphereRadiusUniform = getSphereRadiusUniform();
-  const cylinderHeightUniform = getCylinderHeightUniform();
+  const timeUniform = getTimeUniform();
+  const colliders = getColliderManager();
 
   // Update object visibility based on interaction mode
   const useBallMode = interactionMode === 'ball';
@@ -665,35 +3273,18 @@ async function render() {
   // Mouse/tablet cylinder visibility and collision
   mouseCylinder.visible = (useMouseMode && mouseState.isPressed) || (useTabletMode && penState.isPressed);
   
-  // Set collision uniforms based on active interaction
-  if (useBallMode) {
-    sphereUniform.value = 1;
-    sphereRadiusUniform.value = SPHERE_RADIUS;
-    cylinderHeightUniform.value = 0; // Sphere mode
-  } else if (useMouseMode && mouseState.isPressed) {
-    sphereUniform.value = 1;
-    sphereRadiusUniform.value = MOUSE_CYLINDER_RADIUS;
-    cylinderHeightUniform.value = mouseState.depth; // Cylinder extends downward
-    // Position is the TOP of the cylinder (at cloth surface level)
-    spherePositionUniform.value.copy(mouseState.position);
-    spherePositionUniform.value.y = 0; // Top of cylinder at y=0
-  } else if (useTabletMode && penState.isPressed) {
-    sphereUniform.value = 1;
-    sphereRadiusUniform.value = MOUSE_CYLINDER_RADIUS;
-    // Cylinder height based on pen pressure
-    const penDepth = penState.pressure * MOUSE_CYLINDER_MAX_HEIGHT;
-    cylinderHeightUniform.value = penDepth;
-    // Position is the TOP of the cylinder
-    spherePositionUniform.value.copy(penState.position);
-    spherePositionUniform.value.y = 0;
-  } else {
-    sphereUniform.value = 0;
-    cylinderHeightUniform.value = 0;
+  // XR controllers drive the drag uniforms (their colliders are set per step)
+  if (interactionMode === 'xr' && !playback) {
+    applyXRInteraction();
   }
   
+  // Floor mesh follows the ground plane
+  updateFloor(simulationUniforms.ground.value > 0, simulationUniforms.groundHeight.value);
+
   clothMesh.visible = !params.wireframe;
   vertexWireframe.visible = params.wireframe;
   springWireframe.visible = params.wireframe;
+  updateColliderWireframes(colliders, params.wireframe);
 
   // Calculate time delta, capped to avoid large jumps (e.g., when window is out of focus)
   const deltaTime = Math.min(clock.getDelta(), MAX_DELTA_TIME);
@@ -701,33 +3292,98 @@ async function render() {
   // Fixed time step for consistent physics across all systems
   const timePerStep = 1 / STEPS_PER_SECOND;
 
-  // Accumulate time
-  timeSinceLastStep += deltaTime;
+  // Accumulate time (a replay runs at its own speed, or step by step while paused)
+  if (!playback) {
+    timeSinceLastStep += deltaTime;
+  } else if (!playback.isPaused) {
+    timeSinceLastStep += deltaTime * playback.speed;
+  } else {
+    timeSinceLastStep += timePerStep * playback.pendingSteps;
+    playback.pendingSteps = 0;
+  }
 
   // Run simulation steps at fixed intervals
   while (timeSinceLastStep >= timePerStep) {
+    if (playback && playback.player.isFinished) {
+      timeSinceLastStep = 0;
+      break;
+    }
+
+    // A replayed stitch may have to wait for the spring stiffness
+    if (playback && !prepareTraceEdits()) break;
+
     // Advance simulation time
     timestamp += timePerStep;
     timeSinceLastStep -= timePerStep;
 
-    // Update sphere position for collision based on interaction mode
-    if (interactionMode === 'ball') {
-      updateSphere(timestamp, spherePositionUniform);
-    } else if (interactionMode === 'mouse') {
-      updateMouseCylinder();
-    } else if (interactionMode === 'tablet') {
-      updatePenCylinder();
+    if (playback) {
+      // Replayed steps take all their inputs from the trace
+      applyTraceStep(playback.player.next());
+    } else {
+      if (interactionMode === 'ball') {
+        // Update sphere position for collision based on interaction mode
+        updateSphere(timestamp);
+      } else if (interactionMode === 'mouse') {
+        updateMouseCylinder();
+      } else if (interactionMode === 'tablet') {
+        updatePenCylinder();
+      }
+      updateInteractionColliders();
     }
+    timeUniform.value = timestamp;
+
+    if (traceRecorder) {
+      traceRecorder.recordStep({
+        mode: interactionMode,
+        mouseState,
+        penState,
+        uniformValues: captureUniformValues(simulationUniforms),
+        colliders: colliders.getState(),
+      });
+    }
+
+    // Upload collider changes of this step
+    colliders.sync();
 
     // Execute compute shaders for physics simulation
     // First calculate all spring forces, then apply them to vertices
-    renderer.compute(computeSpringForces);
-    renderer.compute(computeVertexForces);
+    if (cpuSolver) {
+      cpuSolver.step(1);
+      // Split right after the step that tore, so replays match at any frame rate
+      updateFracture();
+    } else {
+      if (integrator === INTEGRATORS.XPBD) {
+        for (const pass of getXPBDPasses(simulationUniforms.xpbdIterations.value)) renderer.compute(pass);
+      } else {
+        renderer.compute(computeSpringForces);
+        renderer.compute(computeVertexForces);
+      }
+      if (simulationUniforms.selfCollision.value > 0) {
+        for (const pass of getSelfCollisionPasses()) renderer.compute(pass);
+      }
+    }
+  }
+
+  // Split the vertices new tears have cut apart (the CPU solver did after
+  // each step), and report the tears
+  if (!cpuSolver) updateFracture();
+  updateTearEvents();
+
+  // Upload CPU solver positions so the mesh and wireframe can render them
+  if (cpuSolver) {
+    vertexPositionBuffer.value.array.set(cpuSolver.getPositions());
+    vertexPositionBuffer.value.needsUpdate = true;
   }
 
   // Render the scene
   renderer.render(scene, camera);
 
+  const traceStatus = document.getElementById('trace-status');
+  if (traceStatus) {
+    const status = getTraceStatus();
+    if (traceStatus.textContent !== status) traceStatus.textContent = status;
+  }
+
   // Update FPS counter
   frameCount++;
   const now = performance.now();
@@ -739,6 +3395,9 @@ async function render() {
     if (fpsDisplay) {
       fpsDisplay.textContent = `FPS: ${currentFps}`;
     }
+    const solverTimings = cpuSolver ? takeSolverTimings() : null;
+    updateSelfCollisionCost(renderer, solverTimings);
+    if (solverTimings) warnIfSolverTooSlow(solverTimings);
   }
 }
 
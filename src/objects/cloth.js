@@ -3,29 +3,37 @@
  * @module objects/cloth
  *
  * This module handles the creation of the visual cloth mesh that is rendered
- * on screen. The mesh vertices are positioned based on the Verlet simulation
- * data, with each mesh vertex centered between 4 Verlet vertices.
+ * on screen. The mesh is built from the faces of the Verlet geometry: every
+ * grid quad and every imported triangle gets its own render vertices, which
+ * follow the Verlet vertices at its corners. When the cloth tears apart and
+ * a vertex is split (see verlet/fracture), the faces moved to the copy are
+ * pointed at it (see updateClothTopology), so the tear opens with clean
+ * borders; faces torn across are collapsed to a point, or a quad to the
+ * triangle half it keeps.
+ *
+ * Where the painted material maps (see verlet/materialMaps) differ from 1x,
+ * their colors can be overlaid on the cloth.
  */
 
 import * as THREE from "three/webgpu";
-import { Fn, attribute, transformNormalToView, cross, float, vec3, select, uint } from "three/tsl";
-import { vertexPositionBuffer } from "../verlet/buffers.js";
-import { verletVertexColumns, verletVertexColumnsBottom } from "../verlet/geometry.js";
 import {
-  CLOTH_NUM_SEGMENTS_X,
-  CLOTH_NUM_SEGMENTS_Y,
-  CLOTH_WIDTH,
-  CLOTH_HEIGHT,
-  DEFAULT_COLORS,
-  SPRING_BREAK_THRESHOLD,
-} from "../config/constants.js";
-
-// Calculate max edge length before considering it broken (same as wireframe)
-const REST_LENGTH = Math.max(
-  CLOTH_WIDTH / CLOTH_NUM_SEGMENTS_X,
-  CLOTH_HEIGHT / CLOTH_NUM_SEGMENTS_Y
-);
-const MAX_EDGE_LENGTH = REST_LENGTH * SPRING_BREAK_THRESHOLD;
+  Fn,
+  attribute,
+  transformNormalToView,
+  cross,
+  vec3,
+  select,
+  uint,
+  uniform,
+  texture,
+  uv,
+  mix,
+  materialColor,
+} from "three/tsl";
+import { vertexPositionBuffer } from "../verlet/buffers.js";
+import { verletFaces, getImportedMesh } from "../verlet/geometry.js";
+import { getMaterialMapTexture } from "../verlet/materialMaps.js";
+import { DEFAULT_COLORS, MATERIAL_MAP_CONFIG } from "../config/constants.js";
 
 /**
  * The cloth mesh object
@@ -39,94 +47,79 @@ export let clothMesh = null;
  */
 export let clothMaterial = null;
 
+/**
+ * Opacity of the material map overlay (0 hides it)
+ * @type {Object}
+ */
+const materialMapOverlayUniform = uniform(0);
+
+/**
+ * Corner of a grid quad that each corner collapses onto when a torn quad
+ * keeps the triangle half without it, so that one render triangle, (0, 1, 2)
+ * or (1, 3, 2), folds to a line and the other becomes the kept half
+ * @type {Array<number>}
+ */
+const COLLAPSED_CORNERS = [1, 0, 0, 1];
+
 /**
  * Sets up the cloth mesh for rendering
  *
  * This function generates a Three.js Geometry and Mesh to render the cloth
- * based on the Verlet system's position data. It creates a plane mesh where
- * each vertex is centered between 4 Verlet vertices.
+ * based on the Verlet system's position data. Every quad face of the two
+ * grid layers (see verletFaces) gets 4 render vertices of its own.
  *
  * The mesh uses a custom position node that:
- * - Reads the positions of 4 surrounding Verlet vertices
- * - Calculates the center position
+ * - Reads the positions of the 4 Verlet vertices at the corners of the quad
+ * - Places the render vertex at its corner
  * - Computes surface normal from tangent and bitangent vectors
  *
  * The material uses physical-based rendering with sheen effect for
  * realistic cloth appearance.
  *
+ * When a mesh has been imported (see setImportedMesh), its triangles are
+ * rendered instead (see setupImportedClothMesh).
+ *
  * @param {THREE.Scene} scene - The Three.js scene to add the mesh to
  * @throws {Error} If the mesh cannot be created or added to the scene
  */
 export function setupClothMesh(scene) {
+  if (getImportedMesh()) {
+    setupImportedClothMesh(scene);
+    return;
+  }
+
   // Each Verlet quad gets its own 4 vertices in the mesh (not shared)
   // This makes each quad independent - no triangles span across quads
-  // We render both TOP and BOTTOM layers for thickness
-  const quadsPerLayer = CLOTH_NUM_SEGMENTS_X * CLOTH_NUM_SEGMENTS_Y;
-  const quadCount = quadsPerLayer * 2; // Top + Bottom layers
+  // Both TOP and BOTTOM layer quads are rendered for thickness
+  const quadCount = verletFaces.length;
   const vertexCount = quadCount * 4; // 4 vertices per quad
   const geometry = new THREE.BufferGeometry();
 
-  // Each vertex stores the 4 Verlet vertex IDs of its parent quad
+  // Each vertex stores the 4 Verlet vertex IDs of its parent quad (see
+  // updateClothTopology)
   const verletVertexIdArray = new Uint32Array(vertexCount * 4);
   // Store which corner of the quad this vertex represents (0-3)
   const cornerIndexArray = new Uint32Array(vertexCount);
+  // Texture coordinates of the corner (as in the exported mesh)
+  const uvArray = new Float32Array(vertexCount * 2);
   const indices = [];
 
   // Build the mesh geometry - each quad is independent
-  let vertexIndex = 0;
-  
-  // ========== TOP LAYER ==========
-  for (let x = 0; x < CLOTH_NUM_SEGMENTS_X; x++) {
-    for (let y = 0; y < CLOTH_NUM_SEGMENTS_Y; y++) {
-      // Get the 4 Verlet vertex IDs for this quad (TOP layer)
-      const v0id = verletVertexColumns[x][y].id;
-      const v1id = verletVertexColumns[x + 1][y].id;
-      const v2id = verletVertexColumns[x][y + 1].id;
-      const v3id = verletVertexColumns[x + 1][y + 1].id;
-
-      // Create 4 mesh vertices for this quad
-      for (let corner = 0; corner < 4; corner++) {
-        const idx = vertexIndex * 4;
-        verletVertexIdArray[idx] = v0id;
-        verletVertexIdArray[idx + 1] = v1id;
-        verletVertexIdArray[idx + 2] = v2id;
-        verletVertexIdArray[idx + 3] = v3id;
-        cornerIndexArray[vertexIndex] = corner;
-        vertexIndex++;
-      }
-
-      // Create 2 triangles for this quad (front-facing for top layer)
-      const baseIndex = (x * CLOTH_NUM_SEGMENTS_Y + y) * 4;
-      indices.push(baseIndex + 0, baseIndex + 1, baseIndex + 2);
-      indices.push(baseIndex + 1, baseIndex + 3, baseIndex + 2);
+  for (const face of verletFaces) {
+    const baseIndex = face.id * 4;
+    for (let corner = 0; corner < 4; corner++) {
+      cornerIndexArray[baseIndex + corner] = corner;
+      uvArray[(baseIndex + corner) * 2] = face.uvs[corner * 2];
+      uvArray[(baseIndex + corner) * 2 + 1] = face.uvs[corner * 2 + 1];
     }
-  }
-  
-  // ========== BOTTOM LAYER ==========
-  const bottomLayerOffset = quadsPerLayer * 4;
-  for (let x = 0; x < CLOTH_NUM_SEGMENTS_X; x++) {
-    for (let y = 0; y < CLOTH_NUM_SEGMENTS_Y; y++) {
-      // Get the 4 Verlet vertex IDs for this quad (BOTTOM layer)
-      const v0id = verletVertexColumnsBottom[x][y].id;
-      const v1id = verletVertexColumnsBottom[x + 1][y].id;
-      const v2id = verletVertexColumnsBottom[x][y + 1].id;
-      const v3id = verletVertexColumnsBottom[x + 1][y + 1].id;
-
-      // Create 4 mesh vertices for this quad
-      for (let corner = 0; corner < 4; corner++) {
-        const idx = vertexIndex * 4;
-        verletVertexIdArray[idx] = v0id;
-        verletVertexIdArray[idx + 1] = v1id;
-        verletVertexIdArray[idx + 2] = v2id;
-        verletVertexIdArray[idx + 3] = v3id;
-        cornerIndexArray[vertexIndex] = corner;
-        vertexIndex++;
-      }
 
-      // Create 2 triangles for this quad (reverse winding for bottom layer)
-      const baseIndex = bottomLayerOffset + (x * CLOTH_NUM_SEGMENTS_Y + y) * 4;
+    if (face.layer === "bottom") {
+      // Reverse winding for the bottom layer
       indices.push(baseIndex + 0, baseIndex + 2, baseIndex + 1);
       indices.push(baseIndex + 1, baseIndex + 2, baseIndex + 3);
+    } else {
+      indices.push(baseIndex + 0, baseIndex + 1, baseIndex + 2);
+      indices.push(baseIndex + 1, baseIndex + 3, baseIndex + 2);
     }
   }
 
@@ -140,19 +133,12 @@ export function setupClothMesh(scene) {
   geometry.setAttribute("cornerIndex", new THREE.BufferAttribute(
     cornerIndexArray, 1, false
   ));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uvArray, 2, false));
   geometry.setIndex(indices);
+  writeFaceVertexIds(geometry);
 
-  // Create material with physical properties for realistic cloth rendering
-  clothMaterial = new THREE.MeshStandardNodeMaterial({
-    color: new THREE.Color().setHex(DEFAULT_COLORS.color),
-    side: THREE.DoubleSide,
-    transparent: true,
-    opacity: 0.95,
-    roughness: 0.4,
-    metalness: 0.4,
-    emissive: new THREE.Color().setHex(DEFAULT_COLORS.color),
-    emissiveIntensity: 0.2,
-  });
+  createClothMaterial();
+  clothMaterial.flatShading = false;
 
   // Custom position node that calculates vertex position and normal
   // Each vertex is positioned at one of the 4 corners of its Verlet quad
@@ -168,35 +154,18 @@ export function setupClothMesh(scene) {
     const v2 = vertexPositionBuffer.element(vertexIds.z).toVar();
     const v3 = vertexPositionBuffer.element(vertexIds.w).toVar();
     
-    // Check if any edge of this quad is broken (too long)
-    // Quad edges: v0-v1 (top), v2-v3 (bottom), v0-v2 (left), v1-v3 (right)
-    const edge01 = v1.sub(v0).length();
-    const edge23 = v3.sub(v2).length();
-    const edge02 = v2.sub(v0).length();
-    const edge13 = v3.sub(v1).length();
-    
-    const maxEdgeThreshold = float(MAX_EDGE_LENGTH);
-    const isQuadBroken = edge01.greaterThan(maxEdgeThreshold)
-      .or(edge23.greaterThan(maxEdgeThreshold))
-      .or(edge02.greaterThan(maxEdgeThreshold))
-      .or(edge13.greaterThan(maxEdgeThreshold));
-    
     // Select position based on corner index
     // Corner 0 = v0, Corner 1 = v1, Corner 2 = v2, Corner 3 = v3
     const isCorner0 = cornerIndex.equal(uint(0));
     const isCorner1 = cornerIndex.equal(uint(1));
     const isCorner2 = cornerIndex.equal(uint(2));
     
-    const cornerPosition = select(isCorner0, v0,
+    const position = select(isCorner0, v0,
       select(isCorner1, v1,
         select(isCorner2, v2, v3)
       )
     );
     
-    // If quad is broken, collapse ALL vertices to the same point (v0)
-    // This makes both triangles degenerate (zero area) and invisible
-    const position = select(isQuadBroken, v0, cornerPosition);
-    
     // Calculate edge midpoints for normal calculation
     const top = v0.add(v1); // Top edge
     const right = v1.add(v3); // Right edge
@@ -215,13 +184,155 @@ export function setupClothMesh(scene) {
     
     return position;
   })();
+  clothMaterial.needsUpdate = true;
 
   // Create and add the mesh to the scene
   clothMesh = new THREE.Mesh(geometry, clothMaterial);
   clothMesh.frustumCulled = false; // Don't cull to avoid flickering
+  clothMesh.castShadow = true; // The shadow pass uses the same position node
   scene.add(clothMesh);
 }
 
+/**
+ * Creates the cloth material on first use
+ *
+ * The material survives rebuilds so UI bindings to it stay valid; only its
+ * position node (which references the current buffers) is replaced.
+ */
+function createClothMaterial() {
+  if (clothMaterial) return;
+
+  // Create material with physical properties for realistic cloth rendering
+  clothMaterial = new THREE.MeshStandardNodeMaterial({
+    color: new THREE.Color().setHex(DEFAULT_COLORS.color),
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0.95,
+    roughness: 0.4,
+    metalness: 0.4,
+    emissive: new THREE.Color().setHex(DEFAULT_COLORS.color),
+    emissiveIntensity: 0.2,
+  });
+
+  // Material map overlay: the map colors (red: stiffness, green: tear
+  // resistance, blue: mass; 0.5 is 1x) blended in where they differ from 1x
+  const mapColor = texture(getMaterialMapTexture(), uv()).rgb;
+  const deviation = mapColor.sub(0.5).abs();
+  const overlay = deviation.x.max(deviation.y).max(deviation.z).mul(4).clamp(0, 1)
+    .mul(materialMapOverlayUniform);
+  clothMaterial.colorNode = mix(materialColor, mapColor, overlay);
+}
+
+/**
+ * Shows or hides the material map overlay on the cloth
+ * @param {boolean} visible - Whether to show the overlay
+ */
+export function setMaterialMapOverlay(visible) {
+  materialMapOverlayUniform.value = visible ? MATERIAL_MAP_CONFIG.overlayOpacity : 0;
+}
+
+/**
+ * Sets up the cloth mesh for an imported triangle mesh
+ *
+ * Every triangle face (see verletFaces) gets its own 3 render vertices,
+ * with the UVs of the imported mesh. Each render vertex stores the id of the
+ * Verlet vertex at its corner, so vertices split at UV seams move together.
+ * Normals are derived per face (flat shading), as the mesh has no quad
+ * structure to build tangents from.
+ *
+ * @param {THREE.Scene} scene - The Three.js scene to add the mesh to
+ */
+function setupImportedClothMesh(scene) {
+  const vertexCount = verletFaces.length * 3;
+  const geometry = new THREE.BufferGeometry();
+
+  const uvArray = new Float32Array(vertexCount * 2);
+  for (const face of verletFaces) uvArray.set(face.uvs, face.id * 6);
+
+  geometry.setAttribute("position", new THREE.BufferAttribute(
+    new Float32Array(vertexCount * 3), 3, false
+  ));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uvArray, 2, false));
+  geometry.setAttribute("verletId", new THREE.BufferAttribute(
+    new Uint32Array(vertexCount), 1, false
+  ));
+  writeFaceVertexIds(geometry);
+
+  createClothMaterial();
+  clothMaterial.normalNode = null;
+  clothMaterial.flatShading = true;
+  clothMaterial.positionNode = vertexPositionBuffer.element(attribute("verletId"));
+  clothMaterial.needsUpdate = true;
+
+  clothMesh = new THREE.Mesh(geometry, clothMaterial);
+  clothMesh.frustumCulled = false; // Don't cull to avoid flickering
+  clothMesh.castShadow = true; // The shadow pass uses the same position node
+  scene.add(clothMesh);
+}
+
+/**
+ * Writes the Verlet vertices at the corners of every face into the render
+ * vertices of a cloth geometry (the 4 corner IDs of its quad for a grid
+ * render vertex, the ID of its corner for an imported mesh one)
+ *
+ * Every corner of a torn face gets its first corner, so the face collapses
+ * to a point and is not drawn. A torn quad keeping a triangle half (see
+ * verlet/fracture) instead gives its other corner the ID of a corner of
+ * that half (see COLLAPSED_CORNERS), so only the half is drawn.
+ *
+ * @param {THREE.BufferGeometry} geometry - Cloth geometry
+ */
+function writeFaceVertexIds(geometry) {
+  const cornerId = (face, corner) => {
+    if (!face.torn) return face.vertices[corner].id;
+    if (!face.keptTriangle) return face.vertices[0].id;
+    return face.vertices[face.keptTriangle.includes(corner) ? corner : COLLAPSED_CORNERS[corner]].id;
+  };
+
+  const quadAttribute = geometry.getAttribute("vertexIds");
+  if (quadAttribute) {
+    for (const face of verletFaces) {
+      const ids = face.vertices.map((vertex, corner) => cornerId(face, corner));
+      for (let corner = 0; corner < 4; corner++) {
+        quadAttribute.array.set(ids, (face.id * 4 + corner) * 4);
+      }
+    }
+    quadAttribute.needsUpdate = true;
+    return;
+  }
+
+  const cornerAttribute = geometry.getAttribute("verletId");
+  for (const face of verletFaces) {
+    face.vertices.forEach((vertex, corner) => {
+      cornerAttribute.array[face.id * 3 + corner] = cornerId(face, corner);
+    });
+  }
+  cornerAttribute.needsUpdate = true;
+}
+
+/**
+ * Points the cloth mesh at the current corners of its faces, after vertices
+ * were split, faces torn or both undone (see verlet/fracture)
+ */
+export function updateClothTopology() {
+  if (clothMesh) writeFaceVertexIds(clothMesh.geometry);
+}
+
+/**
+ * Removes the cloth mesh from the scene and releases its geometry
+ *
+ * The material is kept so it can be reused by the next setupClothMesh call.
+ *
+ * @param {THREE.Scene} scene - The Three.js scene containing the mesh
+ */
+export function disposeClothMesh(scene) {
+  if (!clothMesh) return;
+
+  scene.remove(clothMesh);
+  clothMesh.geometry.dispose();
+  clothMesh = null;
+}
+
 /**
  * Gets the cloth mesh object
  * @returns {THREE.Mesh|null} The cloth mesh
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Wireframe visualization of the colliders
+ * @module objects/colliders
+ *
+ * This module draws every enabled collider of the collider manager as a
+ * wireframe, so the shapes the cloth actually collides with can be checked
+ * against their visual meshes (or seen at all, for colliders without one).
+ */
+
+import * as THREE from "three/webgpu";
+import { COLLIDER_TYPE } from "../simulation/colliders.js";
+
+const COLLIDER_COLOR = 0x4fc3f7;
+
+/**
+ * Group holding one wireframe per collider
+ * @type {THREE.Group|null}
+ */
+let colliderGroup = null;
+
+/**
+ * Wireframes by collider ID
+ * @type {Map<number, THREE.LineSegments>}
+ */
+const wireframes = new Map();
+
+/**
+ * Material shared by the collider wireframes
+ * @type {THREE.LineBasicNodeMaterial|null}
+ */
+let material = null;
+
+/**
+ * Describes the shape of a collider (a new geometry is built when it changes)
+ * @param {Object} collider - Collider from the manager
+ * @returns {string} Shape key
+ */
+function getShapeKey(collider) {
+  switch (collider.type) {
+    case COLLIDER_TYPE.BOX:
+      return `box:${collider.halfExtents.join(",")}`;
+    case COLLIDER_TYPE.SPHERE:
+      return `sphere:${collider.radius}`;
+    default:
+      return `${collider.type}:${collider.radius}:${collider.halfHeight}`;
+  }
+}
+
+/**
+ * Creates the wireframe geometry of a collider
+ * @param {Object} collider - Collider from the manager
+ * @returns {THREE.WireframeGeometry} Geometry centered on the collider, axis along Y
+ */
+function createColliderGeometry(collider) {
+  const { radius, halfHeight, halfExtents } = collider;
+  let geometry;
+
+  switch (collider.type) {
+    case COLLIDER_TYPE.BOX:
+      geometry = new THREE.BoxGeometry(halfExtents[0] * 2, halfExtents[1] * 2, halfExtents[2] * 2);
+      break;
+    case COLLIDER_TYPE.CAPSULE:
+      geometry = new THREE.CapsuleGeometry(radius, halfHeight * 2, 4, 12);
+      break;
+    case COLLIDER_TYPE.CYLINDER:
+      geometry = new THREE.CylinderGeometry(radius, radius, halfHeight * 2, 16);
+      break;
+    default:
+      geometry = new THREE.SphereGeometry(radius, 16, 8);
+      break;
+  }
+
+  const wireframe = new THREE.WireframeGeometry(geometry);
+  geometry.dispose();
+  return wireframe;
+}
+
+/**
+ * Sets up the collider wireframes
+ *
+ * @param {THREE.Scene} scene - The Three.js scene to add the wireframes to
+ */
+export function setupColliderWireframes(scene) {
+  material = new THREE.LineBasicNodeMaterial({
+    color: COLLIDER_COLOR,
+    transparent: true,
+    opacity: 0.6,
+  });
+  colliderGroup = new THREE.Group();
+  colliderGroup.visible = false;
+  scene.add(colliderGroup);
+}
+
+/**
+ * Matches the wireframes to the current colliders (call once per frame)
+ *
+ * @param {Object} colliders - Collider manager
+ * @param {boolean} visible - Whether the wireframes are shown
+ */
+export function updateColliderWireframes(colliders, visible) {
+  if (!colliderGroup) return;
+  colliderGroup.visible = visible;
+  if (!visible) return;
+
+  const seen = new Set();
+  for (const { id, collider } of colliders.list()) {
+    seen.add(id);
+
+    let wireframe = wireframes.get(id);
+    const shapeKey = getShapeKey(collider);
+    if (!wireframe) {
+      wireframe = new THREE.LineSegments(createColliderGeometry(collider), material);
+      wireframe.userData.shapeKey = shapeKey;
+      wireframes.set(id, wireframe);
+      colliderGroup.add(wireframe);
+    } else if (wireframe.userData.shapeKey !== shapeKey) {
+      wireframe.geometry.dispose();
+      wireframe.geometry = createColliderGeometry(collider);
+      wireframe.userData.shapeKey = shapeKey;
+    }
+
+    wireframe.visible = collider.enabled;
+    wireframe.position.fromArray(collider.position);
+    wireframe.quaternion.fromArray(collider.rotation).normalize();
+  }
+
+  // Drop the wireframes of removed colliders
+  for (const [id, wireframe] of wireframes) {
+    if (seen.has(id)) continue;
+    wireframe.geometry.dispose();
+    colliderGroup.remove(wireframe);
+    wireframes.delete(id);
+  }
+}
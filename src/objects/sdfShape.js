@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Visual mesh of the signed distance field shape
+ * @module objects/sdfShape
+ *
+ * This module shows the static obstacle the cloth collides with through the
+ * signed distance field: the loaded mesh, or the boxes and capsules of a
+ * built-in shape.
+ */
+
+import * as THREE from "three/webgpu";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+
+/**
+ * The shape mesh object
+ * @type {THREE.Mesh|null}
+ */
+let shapeMesh = null;
+
+/**
+ * Sets up the (initially hidden) shape mesh
+ *
+ * @param {THREE.Scene} scene - The Three.js scene to add the mesh to
+ */
+export function setupSDFShape(scene) {
+  const material = new THREE.MeshStandardNodeMaterial({
+    color: 0x8a7f72,
+    roughness: 0.8,
+  });
+  shapeMesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  shapeMesh.visible = false;
+  shapeMesh.castShadow = true;
+  scene.add(shapeMesh);
+}
+
+/**
+ * Replaces the displayed shape
+ *
+ * @param {THREE.BufferGeometry|null} geometry - Shape geometry, or null to hide it
+ */
+export function setSDFShapeGeometry(geometry) {
+  if (!shapeMesh) return;
+  shapeMesh.geometry.dispose();
+  shapeMesh.geometry = geometry || new THREE.BufferGeometry();
+  shapeMesh.visible = geometry !== null;
+}
+
+/**
+ * Builds the geometry of a union of primitives
+ *
+ * @param {Array<Object>} primitives - Boxes and capsules (see SDF_SHAPES)
+ * @returns {THREE.BufferGeometry} Merged geometry
+ */
+export function createPrimitiveGeometry(primitives) {
+  const up = new THREE.Vector3(0, 1, 0);
+  const geometries = primitives.map((primitive) => {
+    if (primitive.type === "box") {
+      const [hx, hy, hz] = primitive.halfExtents;
+      const box = new THREE.BoxGeometry(hx * 2, hy * 2, hz * 2);
+      box.translate(...primitive.center);
+      return box;
+    }
+
+    const start = new THREE.Vector3(...primitive.start);
+    const end = new THREE.Vector3(...primitive.end);
+    const axis = end.clone().sub(start);
+    const length = axis.length();
+    const capsule = new THREE.CapsuleGeometry(primitive.radius, length, 8, 16);
+    if (length > 0) {
+      capsule.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(up, axis.normalize()));
+    }
+    capsule.translate(...start.add(end).multiplyScalar(0.5).toArray());
+    return capsule;
+  });
+
+  const merged = mergeGeometries(geometries);
+  geometries.forEach((geometry) => geometry.dispose());
+  return merged;
+}
+
+/**
+ * Builds the geometry of a loaded triangle mesh
+ *
+ * @param {{positions: Float32Array, indices: Uint32Array}} mesh - Triangle mesh
+ * @returns {THREE.BufferGeometry} Indexed geometry with computed normals
+ */
+export function createTriangleGeometry(mesh) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(mesh.positions, 3));
+  geometry.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -34,6 +34,7 @@ export function setupSphere(scene) {
   const material = new THREE.MeshBasicNodeMaterial({ color: 0x808080 });
 
   sphere = new THREE.Mesh(geometry, material);
+  sphere.castShadow = true;
   scene.add(sphere);
 }
 
@@ -44,10 +45,10 @@ export function setupSphere(scene) {
  * creating a deformation effect.
  *
  * @param {number} timestamp - Current simulation timestamp
- * @param {Object} spherePositionUniform - Uniform to update with new position
+ * @returns {THREE.Vector3|null} The new sphere position (drives its collider)
  */
-export function updateSphere(timestamp, spherePositionUniform) {
-  if (!sphere) return;
+export function updateSphere(timestamp) {
+  if (!sphere) return null;
 
   // Create vertical motion - sphere moves down into cloth and back up
   // Use sine wave to create smooth oscillation between +0.8 (above) and -0.3 (below/through cloth)
@@ -59,8 +60,7 @@ export function updateSphere(timestamp, spherePositionUniform) {
     0, // Z: centered
   );
 
-  // Update the uniform used by the compute shader
-  spherePositionUniform.value.copy(sphere.position);
+  return sphere.position;
 }
 
 /**
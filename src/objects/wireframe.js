@@ -14,27 +14,22 @@ import {
   attribute,
   select,
   float,
+  uint,
+  vec3,
 } from 'three/tsl';
 import {
   vertexPositionBuffer,
+  vertexParamsBuffer,
   springVertexIdBuffer,
   springStiffnessBuffer,
 } from '../verlet/buffers.js';
+import { getDragUniform, getDragVertexIndexUniform } from '../utils/uniforms.js';
 import { verletVertices, verletSprings } from '../verlet/geometry.js';
-import {
-  CLOTH_WIDTH,
-  CLOTH_HEIGHT,
-  CLOTH_NUM_SEGMENTS_X,
-  CLOTH_NUM_SEGMENTS_Y,
-  SPRING_BREAK_THRESHOLD,
-} from '../config/constants.js';
-
-// Calculate the max edge length for tear detection (same as cloth.js)
-const REST_LENGTH = Math.max(
-  CLOTH_WIDTH / CLOTH_NUM_SEGMENTS_X,
-  CLOTH_HEIGHT / CLOTH_NUM_SEGMENTS_Y
-);
-const MAX_EDGE_LENGTH = REST_LENGTH * SPRING_BREAK_THRESHOLD;
+
+// Vertex highlight colors
+const VERTEX_COLOR = vec3(1.0, 1.0, 1.0);
+const PINNED_VERTEX_COLOR = vec3(1.0, 0.3, 0.3);
+const DRAGGED_VERTEX_COLOR = vec3(1.0, 0.85, 0.2);
 
 /**
  * Mesh object for visualizing Verlet vertices
@@ -53,6 +48,7 @@ export let springWireframeObject = null;
  *
  * Creates visual helpers to display the underlying Verlet system structure:
  * 1. Vertex visualizer - Small sprites at each Verlet vertex position
+ *    (pinned vertices in red, the dragged vertex in yellow)
  * 2. Spring visualizer - Lines connecting vertices that have springs between them
  *
  * These visualizations are useful for debugging and understanding the
@@ -71,6 +67,17 @@ export function setupWireframe(scene) {
   vertexWireframeMaterial.positionNode =
     vertexPositionBuffer.element(instanceIndex);
 
+  // Highlight pinned vertices (isFixed flag) and the vertex being dragged
+  const dragUniform = getDragUniform();
+  const dragVertexIndexUniform = getDragVertexIndexUniform();
+  const isPinned = vertexParamsBuffer.element(instanceIndex).x.equal(uint(1));
+  const isDragged = dragUniform.greaterThan(0).and(instanceIndex.equal(dragVertexIndexUniform));
+  vertexWireframeMaterial.colorNode = select(
+    isDragged,
+    DRAGGED_VERTEX_COLOR,
+    select(isPinned, PINNED_VERTEX_COLOR, VERTEX_COLOR)
+  );
+
   vertexWireframeObject = new THREE.Mesh(
     new THREE.PlaneGeometry(0.01, 0.01),
     vertexWireframeMaterial
@@ -105,15 +112,8 @@ export function setupWireframe(scene) {
     // Get the two vertex IDs connected by this spring
     const vertexIds = springVertexIdBuffer.element(instanceIndex);
     
-    // Get both vertex positions
-    const pos0 = vertexPositionBuffer.element(vertexIds.x);
-    const pos1 = vertexPositionBuffer.element(vertexIds.y);
-    
-    // Calculate the spring length
-    const springLength = pos1.sub(pos0).length();
-    
-    // Check if spring is broken (stretched beyond threshold)
-    const isBroken = springLength.greaterThan(float(MAX_EDGE_LENGTH));
+    // Check if the compute shader has torn the spring (stiffness 0)
+    const isBroken = springStiffnessBuffer.element(instanceIndex).equal(0.0);
 
     // Select which vertex position to use based on which end of the line
     // we're rendering (determined by the vertexIndex attribute)
@@ -154,6 +154,36 @@ export function setupWireframe(scene) {
   scene.add(springWireframeObject);
 }
 
+/**
+ * Shows a vertex sprite for every vertex in use and a line for every spring
+ * in use, after vertices were split or joined, stitches were made, or both
+ * were undone (see verlet/fracture)
+ */
+export function updateWireframeTopology() {
+  if (vertexWireframeObject) vertexWireframeObject.count = verletVertices.length;
+  if (springWireframeObject) {
+    springWireframeObject.geometry.instanceCount = verletSprings.length;
+    springWireframeObject.count = verletSprings.length;
+  }
+}
+
+/**
+ * Removes the wireframe objects from the scene and releases their resources
+ *
+ * @param {THREE.Scene} scene - The Three.js scene containing the wireframes
+ */
+export function disposeWireframe(scene) {
+  for (const object of [vertexWireframeObject, springWireframeObject]) {
+    if (!object) continue;
+    scene.remove(object);
+    object.geometry.dispose();
+    object.material.dispose();
+  }
+
+  vertexWireframeObject = null;
+  springWireframeObject = null;
+}
+
 /**
  * Gets the vertex wireframe object
  * @returns {THREE.Mesh|null} The vertex wireframe mesh
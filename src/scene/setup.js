@@ -13,6 +13,7 @@ import {
   CAMERA_CONFIG,
   CONTROLS_CONFIG,
   BACKGROUND_COLOR,
+  GROUND_CONFIG,
 } from "../config/constants.js";
 
 /**
@@ -39,6 +40,23 @@ export let camera = null;
  */
 export let controls = null;
 
+/**
+ * The floor mesh showing the ground plane
+ * @type {THREE.Mesh|null}
+ */
+export let floor = null;
+
+/**
+ * Side length of the (square) floor mesh
+ */
+const FLOOR_SIZE = 10;
+
+/**
+ * Half size of the key light's shadow camera, enough to cover the cloth and
+ * everything it falls onto around the origin
+ */
+const SHADOW_CAMERA_EXTENT = 2;
+
 /**
  * Initializes the Three.js renderer
  *
@@ -46,15 +64,21 @@ export let controls = null;
  * tone mapping for HDR rendering. Also attaches the Inspector
  * for debugging purposes.
  *
+ * @param {Object} [options] - Renderer options
+ * @param {boolean} [options.forceWebGL=false] - Use the WebGL backend
+ *   (required for WebXR sessions, which the WebGPU backend does not support yet)
+ * @param {Object} [options.requiredLimits] - WebGPU device limits to request
+ *   beyond the defaults
  * @returns {THREE.WebGPURenderer} The initialized renderer
  * @throws {Error} If renderer cannot be created
  */
-export function initRenderer() {
-  renderer = new THREE.WebGPURenderer({ antialias: true });
+export function initRenderer({ forceWebGL = false, requiredLimits } = {}) {
+  renderer = new THREE.WebGPURenderer({ antialias: true, forceWebGL, requiredLimits });
   renderer.setPixelRatio(window.devicePixelRatio);
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.toneMapping = THREE.NeutralToneMapping;
   renderer.toneMappingExposure = 1;
+  renderer.shadowMap.enabled = true;
   renderer.inspector = new Inspector();
   document.body.appendChild(renderer.domElement);
 
@@ -128,7 +152,9 @@ export function initControls(cam, domElement) {
  * Sets up the scene background and lighting
  *
  * Applies a simple background color to the scene and adds
- * ambient and directional lighting for proper visibility.
+ * ambient and directional lighting for proper visibility. The key light
+ * casts shadows onto the floor mesh, which shows the ground plane
+ * (see updateFloor).
  *
  * @param {THREE.Scene} sceneObj - The scene to apply the background to
  */
@@ -147,6 +173,14 @@ export function setupSceneBackground(sceneObj) {
   // Strong key light from above-front-right (main light source)
   const keyLight = new THREE.DirectionalLight(0xffffff, 1.8);
   keyLight.position.set(5, 12, 5);
+  keyLight.castShadow = true;
+  keyLight.shadow.mapSize.set(2048, 2048);
+  keyLight.shadow.camera.left = -SHADOW_CAMERA_EXTENT;
+  keyLight.shadow.camera.right = SHADOW_CAMERA_EXTENT;
+  keyLight.shadow.camera.top = SHADOW_CAMERA_EXTENT;
+  keyLight.shadow.camera.bottom = -SHADOW_CAMERA_EXTENT;
+  keyLight.shadow.camera.far = 30;
+  keyLight.shadow.bias = -0.0005;
   sceneObj.add(keyLight);
 
   // Fill light from left side (much softer than key)
@@ -163,6 +197,51 @@ export function setupSceneBackground(sceneObj) {
   const bottomLight = new THREE.DirectionalLight(0xffffff, 0.15);
   bottomLight.position.set(0, -5, 0);
   sceneObj.add(bottomLight);
+
+  // Floor at the ground plane, receiving the shadows of the cloth and the colliders
+  floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(FLOOR_SIZE, FLOOR_SIZE),
+    new THREE.MeshStandardNodeMaterial({ color: 0x4a4a50, roughness: 1.0 }),
+  );
+  floor.rotation.x = -Math.PI / 2;
+  floor.receiveShadow = true;
+  floor.userData.material = floor.material;
+  sceneObj.add(floor);
+  updateFloor(GROUND_CONFIG.enabled, GROUND_CONFIG.height);
+}
+
+/**
+ * Shows the floor mesh at the ground plane height
+ *
+ * The mesh sits slightly below the plane so cloth resting on the ground
+ * does not z-fight with it.
+ *
+ * @param {boolean} visible - Whether the ground plane is enabled
+ * @param {number} height - Y of the ground plane
+ */
+export function updateFloor(visible, height) {
+  if (!floor) return;
+  floor.visible = visible;
+  floor.position.y = height - 0.001;
+}
+
+/**
+ * Switches the floor between its opaque material and a shadow-only one
+ *
+ * In AR the real floor is seen through, so only the shadows are drawn.
+ *
+ * @param {boolean} shadowOnly - Draw only the shadows received by the floor
+ */
+export function setFloorShadowOnly(shadowOnly) {
+  if (!floor) return;
+  if (shadowOnly) {
+    if (!floor.userData.shadowMaterial) {
+      floor.userData.shadowMaterial = new THREE.ShadowNodeMaterial({ opacity: 0.4 });
+    }
+    floor.material = floor.userData.shadowMaterial;
+  } else {
+    floor.material = floor.userData.material;
+  }
 }
 
 /**
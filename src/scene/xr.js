@@ -0,0 +1,337 @@
+/**
+ * @fileoverview WebXR immersive mode and controller interaction
+ * @module scene/xr
+ *
+ * This module adds immersive VR/AR sessions to the renderer and turns each
+ * XR controller into a cloth manipulation tool:
+ * - A collider (sphere, or cylinder hanging below the controller) added to
+ *   the collider list, so both hands collide at the same time
+ * - A grab tool (squeeze) that drags the nearest vertex through the drag
+ *   uniforms, like grab mode does with the mouse
+ * - A stitch brush, used instead of the collider, that mends the tears
+ *   around it like stitch mode does with the mouse (so one hand can hold
+ *   the torn edges together while the other sews them)
+ *
+ * The cloth stays at the world origin; the XR reference space is offset so
+ * the origin appears at XR_CONFIG.clothPosition in the user's room.
+ *
+ * Everything works on event dispatchers and plain objects (the navigator.xr
+ * object, XRRigidTransform and controllers are injectable), so it can be
+ * driven with a mocked XR session and input sources.
+ */
+
+import * as THREE from "three/webgpu";
+import { VRButton } from "three/addons/webxr/VRButton.js";
+import { ARButton } from "three/addons/webxr/ARButton.js";
+import { XR_CONFIG, STITCH_CONFIG } from "../config/constants.js";
+import { findNearestVertex } from "../utils/picking.js";
+
+/**
+ * Tools an XR controller can use: a collider shape or the stitch brush
+ * @enum {string}
+ */
+export const XR_TOOLS = {
+  SPHERE: "sphere",
+  CYLINDER: "cylinder",
+  STITCH: "stitch",
+};
+
+/**
+ * Tool each tool switches to when the trigger is pressed
+ */
+const NEXT_TOOL = {
+  [XR_TOOLS.SPHERE]: XR_TOOLS.CYLINDER,
+  [XR_TOOLS.CYLINDER]: XR_TOOLS.STITCH,
+  [XR_TOOLS.STITCH]: XR_TOOLS.SPHERE,
+};
+
+/**
+ * Checks which immersive session modes the browser supports
+ *
+ * @async
+ * @param {XRSystem} [xr=navigator.xr] - The WebXR system (injectable for mocks)
+ * @returns {Promise<{vr: boolean, ar: boolean}>} Supported immersive modes
+ */
+export async function getSupportedXRModes(xr = globalThis.navigator?.xr) {
+  if (!xr) return { vr: false, ar: false };
+
+  const isSupported = async (mode) => {
+    try {
+      return await xr.isSessionSupported(mode);
+    } catch {
+      return false;
+    }
+  };
+
+  return {
+    vr: await isSupported("immersive-vr"),
+    ar: await isSupported("immersive-ar"),
+  };
+}
+
+/**
+ * Creates a reference space whose origin sits at the cloth position
+ *
+ * @param {XRReferenceSpace} baseSpace - The session's floor-level reference space
+ * @param {Function} [RigidTransform=XRRigidTransform] - XRRigidTransform constructor (injectable for mocks)
+ * @returns {XRReferenceSpace} The offset reference space
+ */
+export function createClothReferenceSpace(baseSpace, RigidTransform = globalThis.XRRigidTransform) {
+  const { x, y, z } = XR_CONFIG.clothPosition;
+  return baseSpace.getOffsetReferenceSpace(new RigidTransform({ x, y, z }));
+}
+
+/**
+ * Enables XR on the renderer and adds the Enter VR / Enter AR buttons
+ *
+ * XR needs the renderer's WebGL backend (see initRenderer).
+ *
+ * @param {THREE.WebGPURenderer} renderer - The renderer
+ * @param {Object} options - XR options
+ * @param {{vr: boolean, ar: boolean}} options.modes - Supported modes (from getSupportedXRModes)
+ * @param {Function} [options.onSessionStart] - Called when a session starts
+ * @param {Function} [options.onSessionEnd] - Called when a session ends
+ * @returns {Array<HTMLElement>} The buttons added to the page
+ */
+export function setupXR(renderer, { modes, onSessionStart, onSessionEnd }) {
+  renderer.xr.enabled = true;
+  renderer.xr.setReferenceSpaceType("local-floor");
+
+  renderer.xr.addEventListener("sessionstart", () => {
+    // Offset the session's own reference space, not a previous custom one
+    renderer.xr.setReferenceSpace(null);
+    renderer.xr.setReferenceSpace(createClothReferenceSpace(renderer.xr.getReferenceSpace()));
+    if (onSessionStart) onSessionStart();
+  });
+  renderer.xr.addEventListener("sessionend", () => {
+    if (onSessionEnd) onSessionEnd();
+  });
+
+  const buttons = [];
+  if (modes.vr) buttons.push(VRButton.createButton(renderer));
+  if (modes.ar) buttons.push(ARButton.createButton(renderer));
+
+  // Both buttons center themselves at the bottom; place them side by side
+  buttons.forEach((button, i) => {
+    if (buttons.length > 1) button.style.left = `calc(50% ${i === 0 ? "-" : "+"} 60px - 50px)`;
+    document.body.appendChild(button);
+  });
+
+  return buttons;
+}
+
+/**
+ * Creates the visual of a controller's tool (world-aligned, not parented to
+ * the controller, since the cylinder always hangs straight down)
+ * @returns {THREE.Group} Group with a sphere, a cylinder and a stitch brush mesh
+ */
+function createColliderVisual() {
+  const material = new THREE.MeshStandardNodeMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.35,
+  });
+
+  const sphere = new THREE.Mesh(
+    new THREE.SphereGeometry(XR_CONFIG.colliderRadius, 24, 16),
+    material
+  );
+
+  // Origin at the top of the cylinder, extending downward
+  const cylinderGeometry = new THREE.CylinderGeometry(
+    XR_CONFIG.colliderRadius,
+    XR_CONFIG.colliderRadius,
+    XR_CONFIG.cylinderLength,
+    24
+  );
+  cylinderGeometry.translate(0, -XR_CONFIG.cylinderLength / 2, 0);
+  const cylinder = new THREE.Mesh(cylinderGeometry, material);
+
+  const brush = new THREE.Mesh(
+    new THREE.SphereGeometry(STITCH_CONFIG.brushRadius, 16, 12),
+    new THREE.MeshStandardNodeMaterial({ color: 0xffcc33, transparent: true, opacity: 0.35 })
+  );
+
+  const visual = new THREE.Group();
+  visual.add(sphere, cylinder, brush);
+  visual.userData = { sphere, cylinder, brush };
+  visual.visible = false;
+  return visual;
+}
+
+/**
+ * Creates the cloth interaction for a set of XR controllers
+ *
+ * Controller events (as dispatched by renderer.xr.getController(i)):
+ * - connected / disconnected: the controller (event.data is the input source)
+ * - selectstart (trigger): switch to the next tool (sphere collider,
+ *   cylinder collider, stitch brush)
+ * - squeezestart / squeezeend (grip): grab / release the nearest vertex
+ *
+ * A controller that is grabbing or holds the stitch brush does not collide.
+ *
+ * @param {Object} options - Interaction options
+ * @param {Array<THREE.Object3D>} options.controllers - XR controller spaces
+ * @param {Function} options.readPositions - Async function returning the
+ *   current vertex positions (xyz per vertex), used to pick grabbed vertices
+ * @returns {Object} The interaction, with update(), getColliders(),
+ *   getStitchBrushes(), getGrab(), releaseGrab(), visuals and dispose()
+ */
+export function createXRInteraction({ controllers, readPositions }) {
+  const states = controllers.map((controller, index) => ({
+    index,
+    controller,
+    connected: false,
+    handedness: "none",
+    tool: XR_TOOLS.SPHERE,
+    position: new THREE.Vector3(),
+    visual: createColliderVisual(),
+  }));
+
+  let grab = null;
+
+  /**
+   * Starts grabbing the vertex nearest to a controller
+   * @param {Object} state - Controller state
+   */
+  async function startGrab(state) {
+    state.controller.updateMatrixWorld(true);
+    state.controller.getWorldPosition(state.position);
+    const requested = { state };
+    grab = requested;
+
+    // A zero-length ray finds the nearest vertex within the grab radius
+    const positions = await readPositions();
+    const ray = new THREE.Ray(state.position.clone(), new THREE.Vector3());
+    const hit = findNearestVertex(positions, ray, XR_CONFIG.grabRadius);
+
+    // Released (or replaced by another grab) while reading back
+    if (grab !== requested) return;
+    if (!hit) {
+      grab = null;
+      return;
+    }
+    grab = { state, vertexIndex: hit.index };
+  }
+
+  /**
+   * Ends a grab held by a controller
+   * @param {Object} state - Controller state
+   */
+  function endGrab(state) {
+    if (grab && grab.state === state) grab = null;
+  }
+
+  const listeners = states.map((state) => {
+    const handlers = {
+      connected: (event) => {
+        state.connected = true;
+        state.handedness = (event.data && event.data.handedness) || "none";
+      },
+      disconnected: () => {
+        state.connected = false;
+        state.visual.visible = false;
+        endGrab(state);
+      },
+      selectstart: () => {
+        state.tool = NEXT_TOOL[state.tool];
+      },
+      squeezestart: () => {
+        startGrab(state);
+      },
+      squeezeend: () => {
+        endGrab(state);
+      },
+    };
+    for (const [type, handler] of Object.entries(handlers)) {
+      state.controller.addEventListener(type, handler);
+    }
+    return handlers;
+  });
+
+  /**
+   * Reads the controller poses and updates the tool visuals
+   * (call once per frame)
+   */
+  function update() {
+    for (const state of states) {
+      if (!state.connected) continue;
+      state.controller.getWorldPosition(state.position);
+
+      const { sphere, cylinder, brush } = state.visual.userData;
+      state.visual.visible = !(grab && grab.state === state);
+      state.visual.position.copy(state.position);
+      sphere.visible = state.tool === XR_TOOLS.SPHERE;
+      cylinder.visible = state.tool === XR_TOOLS.CYLINDER;
+      brush.visible = state.tool === XR_TOOLS.STITCH;
+    }
+  }
+
+  /**
+   * Gets the collider of every controller
+   * @returns {Array<{index: number, active: boolean, position: THREE.Vector3,
+   *   radius: number, height: number}>} Per controller: whether it collides
+   *   (connected, not grabbing and not holding the stitch brush), its
+   *   position (sphere center or cylinder top), radius and cylinder height
+   *   (0 for a sphere)
+   */
+  function getColliders() {
+    return states.map((state) => ({
+      index: state.index,
+      active: state.connected && !(grab && grab.state === state) && state.tool !== XR_TOOLS.STITCH,
+      position: state.position,
+      radius: XR_CONFIG.colliderRadius,
+      height: state.tool === XR_TOOLS.CYLINDER ? XR_CONFIG.cylinderLength : 0,
+    }));
+  }
+
+  /**
+   * Gets where the stitch brushes are
+   * @returns {Array<THREE.Vector3>} Position of every connected controller
+   *   holding the stitch brush and not grabbing
+   */
+  function getStitchBrushes() {
+    return states
+      .filter((state) => state.connected && state.tool === XR_TOOLS.STITCH && !(grab && grab.state === state))
+      .map((state) => state.position);
+  }
+
+  /**
+   * Gets the active grab
+   * @returns {{vertexIndex: number, target: THREE.Vector3}|null} The grabbed
+   *   vertex and where it should be dragged, or null
+   */
+  function getGrab() {
+    if (!grab || grab.vertexIndex === undefined) return null;
+    return { vertexIndex: grab.vertexIndex, target: grab.state.position };
+  }
+
+  /**
+   * Releases any grab (e.g. when the cloth is reset)
+   */
+  function releaseGrab() {
+    grab = null;
+  }
+
+  /**
+   * Removes the controller event listeners
+   */
+  function dispose() {
+    states.forEach((state, i) => {
+      for (const [type, handler] of Object.entries(listeners[i])) {
+        state.controller.removeEventListener(type, handler);
+      }
+    });
+  }
+
+  return {
+    states,
+    visuals: states.map((state) => state.visual),
+    update,
+    getColliders,
+    getStitchBrushes,
+    getGrab,
+    releaseGrab,
+    dispose,
+  };
+}
@@ -3,7 +3,7 @@
  * @module simulation/cloth
  *
  * This module coordinates the setup and initialization of all components
- * needed for the volume-preserving thick cloth simulation, including 
+ * needed for the volume-preserving thick cloth simulation, including
  * dual-layer geometry, buffers, compute shaders, and visual objects.
  */
 
@@ -11,12 +11,35 @@ import { setupVerletGeometry } from "../verlet/geometry.js";
 import {
   setupVerletVertexBuffers,
   setupVerletSpringBuffers,
+  setupSelfCollisionBuffers,
+  setupXPBDBuffers,
+  setupTearEventBuffers,
+  disposeVerletBuffers,
 } from "../verlet/buffers.js";
 import { setupUniforms } from "../utils/uniforms.js";
-import { setupComputeShaders, setUniforms } from "../compute/shaders.js";
-import { setupWireframe } from "../objects/wireframe.js";
+import {
+  setupComputeShaders,
+  setUniforms,
+  setColliders,
+  disposeComputeShaders,
+} from "../compute/shaders.js";
+import { createColliderManager } from "./colliders.js";
+import { setupWireframe, disposeWireframe } from "../objects/wireframe.js";
 import { setupSphere } from "../objects/sphere.js";
-import { setupClothMesh } from "../objects/cloth.js";
+import { setupClothMesh, disposeClothMesh } from "../objects/cloth.js";
+
+/**
+ * Uniforms shared by the compute shaders, created on the first setup and
+ * kept across rebuilds so UI controls bound to them stay valid
+ * @type {Object|null}
+ */
+let uniforms = null;
+
+/**
+ * Colliders the cloth collides with, kept across rebuilds like the uniforms
+ * @type {Object|null}
+ */
+let colliders = null;
 
 /**
  * Sets up the complete cloth simulation with volume-preserving thickness
@@ -26,17 +49,37 @@ import { setupClothMesh } from "../objects/cloth.js";
  *
  * 1. Setup Verlet geometry (dual-layer vertices, all springs unified)
  * 2. Setup vertex buffers (position, force, parameters for both layers)
- * 3. Setup spring buffers (all springs with per-spring stiffness)
- * 4. Setup uniforms (simulation parameters)
- * 5. Setup compute shaders (spring and vertex physics)
+ * 3. Setup spring buffers (all springs with per-spring stiffness), the
+ *    self-collision buffers (spatial hash), the XPBD buffers (constraint
+ *    batches) and the tear event buffers
+ * 4. Setup uniforms (simulation parameters) and the collider manager
+ * 5. Setup compute shaders (spring and vertex physics, XPBD, self-collision)
  * 6. Setup wireframe visualization (debug helpers)
  * 7. Setup collision sphere
  * 8. Setup cloth mesh (visual representation - top layer)
  *
+ * Calling it again rebuilds the cloth in place (e.g. after changing the pin
+ * configuration or the cloth size/resolution): the previous compute shaders,
+ * wireframes, cloth mesh and buffers are released first, while the uniforms,
+ * colliders, collision sphere and cloth material are reused. Everything
+ * derived from the cloth size and fabric (vertex masses, spring stiffnesses,
+ * tear edge length) is recomputed from the live configuration.
+ *
  * @param {THREE.Scene} scene - The Three.js scene to add objects to
+ * @returns {Object} The uniforms object shared by the compute shaders
  * @throws {Error} If any component fails to initialize
  */
 export function setupCloth(scene) {
+  const isRebuild = uniforms !== null;
+
+  // Release objects built from the previous geometry
+  if (isRebuild) {
+    disposeComputeShaders();
+    disposeWireframe(scene);
+    disposeClothMesh(scene);
+    disposeVerletBuffers();
+  }
+
   // Step 1: Create the Verlet system geometry (dual-layer with springs)
   setupVerletGeometry();
 
@@ -45,20 +88,39 @@ export function setupCloth(scene) {
 
   // Step 3: Create GPU buffers for spring data (unified in-plane + Z-springs)
   setupVerletSpringBuffers();
+  setupSelfCollisionBuffers();
+  setupXPBDBuffers();
+  setupTearEventBuffers();
 
   // Step 4: Initialize uniform variables for shader parameters
-  const uniforms = setupUniforms();
+  if (!isRebuild) {
+    uniforms = setupUniforms();
+    colliders = createColliderManager();
+  }
 
-  // Step 5: Set up compute shaders and pass uniforms to them
+  // Step 5: Set up compute shaders and pass uniforms and colliders to them
   setUniforms(uniforms);
+  setColliders(colliders);
   setupComputeShaders();
 
   // Step 6: Create wireframe visualization helpers
   setupWireframe(scene);
 
   // Step 7: Create the collision sphere
-  setupSphere(scene);
+  if (!isRebuild) {
+    setupSphere(scene);
+  }
 
   // Step 8: Create the visual cloth mesh (renders top layer)
   setupClothMesh(scene);
+
+  return uniforms;
+}
+
+/**
+ * Gets the collider manager shared by the compute shaders
+ * @returns {Object|null} The collider manager (null before setupCloth)
+ */
+export function getColliderManager() {
+  return colliders;
 }
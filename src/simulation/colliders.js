@@ -0,0 +1,519 @@
+/**
+ * @fileoverview Collider list shared by the compute shaders and the CPU solver
+ * @module simulation/colliders
+ *
+ * The cloth collides with any number (up to MAX_COLLIDERS) of rigid shapes:
+ * spheres, capsules, cylinders and boxes. Each collider has a position, a
+ * rotation (quaternion) and a size:
+ * - SPHERE: radius
+ * - CAPSULE: radius and halfHeight (segment along the local Y axis)
+ * - CYLINDER: radius and halfHeight (flat caps, along the local Y axis)
+ * - BOX: halfExtents
+ *
+ * Each collider also has its own contact response: Coulomb static and
+ * kinetic friction against the cloth sliding over it, and restitution. Both
+ * act on the cloth's motion relative to the collider, whose velocity is the
+ * distance it moved since the previous step (see sync).
+ *
+ * The collider manager keeps the list on the JS side (add / update / remove)
+ * and packs the enabled colliders into a storage buffer the vertex shader
+ * iterates over, five vec4 per collider:
+ * - [0] position.xyz, type
+ * - [1] rotation quaternion (x, y, z, w)
+ * - [2] radius or halfExtents.x, halfHeight or halfExtents.y, halfExtents.z, 0
+ * - [3] staticFriction, kineticFriction, restitution, 0
+ * - [4] velocity.xyz (per step), 0
+ *
+ * collidePoint resolves a point against one packed collider; the CPU solver
+ * uses it directly and computeVertexForces implements the same math in TSL.
+ */
+
+import { instancedArray, uniform } from "three/tsl";
+import { MAX_COLLIDERS, COLLIDER_CONTACT } from "../config/constants.js";
+
+/**
+ * Collider shapes (stored as floats in the collider buffer)
+ * @enum {number}
+ */
+export const COLLIDER_TYPE = {
+  SPHERE: 0,
+  CAPSULE: 1,
+  CYLINDER: 2,
+  BOX: 3,
+};
+
+/**
+ * Number of vec4 rows per collider in the collider buffer
+ */
+export const COLLIDER_STRIDE = 5;
+
+/**
+ * Converts a vector-like value to an array
+ * @param {THREE.Vector3|THREE.Quaternion|Array<number>} value - Vector, quaternion or array
+ * @returns {Array<number>} Components as an array
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value.slice() : value.toArray();
+}
+
+/**
+ * Builds a complete collider from a (partial) description
+ *
+ * @param {Object} description - Collider fields (see createColliderManager)
+ * @param {Object} [base] - Collider whose fields are kept when not given
+ * @returns {Object} The collider, with plain arrays for vectors
+ * @throws {Error} If the type is unknown
+ */
+function normalizeCollider(description, base = null) {
+  const collider = {
+    type: COLLIDER_TYPE.SPHERE,
+    position: [0, 0, 0],
+    rotation: [0, 0, 0, 1],
+    radius: 0.1,
+    halfHeight: 0,
+    halfExtents: [0.1, 0.1, 0.1],
+    ...COLLIDER_CONTACT,
+    enabled: true,
+    ...base,
+  };
+
+  for (const [key, value] of Object.entries(description)) {
+    if (value === undefined) continue;
+    collider[key] = key === "position" || key === "rotation" || key === "halfExtents"
+      ? toArray(value)
+      : value;
+  }
+
+  if (!Object.values(COLLIDER_TYPE).includes(collider.type)) {
+    throw new Error(`Unknown collider type: ${collider.type}`);
+  }
+  return collider;
+}
+
+/**
+ * Packs colliders into the collider buffer layout
+ *
+ * @param {Array<Object>} colliders - Colliders to pack, in order (a
+ *   collider's velocity field, if any, is its per-step velocity)
+ * @param {Float32Array} [target] - Array to write to (20 floats per collider)
+ * @returns {Float32Array} The packed data
+ */
+export function packColliders(colliders, target = new Float32Array(colliders.length * COLLIDER_STRIDE * 4)) {
+  colliders.forEach((collider, i) => {
+    const o = i * COLLIDER_STRIDE * 4;
+    const isBox = collider.type === COLLIDER_TYPE.BOX;
+    const [qx, qy, qz, qw] = collider.rotation;
+    const length = Math.hypot(qx, qy, qz, qw) || 1;
+
+    target.set(collider.position, o);
+    target[o + 3] = collider.type;
+    target.set([qx / length, qy / length, qz / length, qw / length], o + 4);
+    target[o + 8] = isBox ? collider.halfExtents[0] : collider.radius;
+    target[o + 9] = isBox
+      ? collider.halfExtents[1]
+      : collider.type === COLLIDER_TYPE.SPHERE ? 0 : collider.halfHeight;
+    target[o + 10] = isBox ? collider.halfExtents[2] : 0;
+    target[o + 11] = 0;
+    target[o + 12] = collider.staticFriction;
+    target[o + 13] = collider.kineticFriction;
+    target[o + 14] = collider.restitution;
+    target[o + 15] = 0;
+    target.set(collider.velocity || [0, 0, 0], o + 16);
+    target[o + 19] = 0;
+  });
+  return target;
+}
+
+/**
+ * Rotates a vector by a quaternion (in place)
+ * @param {Array<number>} v - Vector [x, y, z]
+ * @param {number} qx - Quaternion x
+ * @param {number} qy - Quaternion y
+ * @param {number} qz - Quaternion z
+ * @param {number} qw - Quaternion w
+ */
+function rotate(v, qx, qy, qz, qw) {
+  // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+  const tx = 2 * (qy * v[2] - qz * v[1]);
+  const ty = 2 * (qz * v[0] - qx * v[2]);
+  const tz = 2 * (qx * v[1] - qy * v[0]);
+  const x = v[0] + qw * tx + (qy * tz - qz * ty);
+  const y = v[1] + qw * ty + (qz * tx - qx * tz);
+  const z = v[2] + qw * tz + (qx * ty - qy * tx);
+  v[0] = x;
+  v[1] = y;
+  v[2] = z;
+}
+
+/**
+ * Pushes a point out of a packed collider (mirrors the collider loop in
+ * computeVertexForces)
+ *
+ * The point is moved to the collider's surface along the shortest way out:
+ * - SPHERE / CAPSULE: away from the center / nearest point on the axis segment
+ * - CYLINDER: radially, or through the nearest cap
+ * - BOX: through the nearest face
+ *
+ * With a contact, the point is the end of a vertex's step and the push is
+ * followed by the collider's contact response, relative to its velocity:
+ * - Friction: the sliding along the surface stops if it is at most
+ *   staticFriction times the push, and is otherwise reduced by
+ *   kineticFriction times the push
+ * - Restitution: the vertex leaves the surface at restitution times the
+ *   speed it approached it with; the difference to the step it actually
+ *   took is added to contact.bounce (the vertex's velocity is the step plus
+ *   the bounce)
+ *
+ * @param {Float32Array} data - Packed colliders (from packColliders)
+ * @param {number} index - Collider index in data
+ * @param {Array<number>} point - Point [x, y, z], updated in place
+ * @param {Object} [contact] - Vertex step, for the contact response
+ * @param {Array<number>} contact.position - Vertex position at the start of the step
+ * @param {Array<number>} contact.velocity - Vertex velocity before any collision
+ * @param {Array<number>} contact.bounce - Velocity correction, added to in place
+ * @returns {boolean} Whether the point was inside the collider
+ */
+export function collidePoint(data, index, point, contact = null) {
+  const o = index * COLLIDER_STRIDE * 4;
+  const type = data[o + 3];
+  const qx = data[o + 4];
+  const qy = data[o + 5];
+  const qz = data[o + 6];
+  const qw = data[o + 7];
+  const sizeX = data[o + 8];
+  const sizeY = data[o + 9];
+  const sizeZ = data[o + 10];
+
+  // Collider-local point (rotate by the conjugate quaternion)
+  const local = [point[0] - data[o], point[1] - data[o + 1], point[2] - data[o + 2]];
+  rotate(local, -qx, -qy, -qz, qw);
+
+  const push = [0, 0, 0];
+  let isInside = false;
+
+  if (type === COLLIDER_TYPE.BOX) {
+    const depthX = sizeX - Math.abs(local[0]);
+    const depthY = sizeY - Math.abs(local[1]);
+    const depthZ = sizeZ - Math.abs(local[2]);
+    if (depthX > 0 && depthY > 0 && depthZ > 0) {
+      isInside = true;
+      if (depthX <= depthY && depthX <= depthZ) {
+        push[0] = local[0] < 0 ? -depthX : depthX;
+      } else if (depthY <= depthZ) {
+        push[1] = local[1] < 0 ? -depthY : depthY;
+      } else {
+        push[2] = local[2] < 0 ? -depthZ : depthZ;
+      }
+    }
+  } else if (type === COLLIDER_TYPE.CYLINDER) {
+    const radial = Math.hypot(local[0], local[2]);
+    const radialDepth = sizeX - radial;
+    const capDepth = sizeY - Math.abs(local[1]);
+    if (radialDepth > 0 && capDepth > 0) {
+      isInside = true;
+      if (radialDepth < capDepth) {
+        const scale = radialDepth / Math.max(radial, 0.000001);
+        push[0] = local[0] * scale;
+        push[2] = local[2] * scale;
+      } else {
+        push[1] = local[1] < 0 ? -capDepth : capDepth;
+      }
+    }
+  } else {
+    // Spheres are capsules with a zero-length segment
+    const axisY = Math.min(Math.max(local[1], -sizeY), sizeY);
+    const dx = local[0];
+    const dy = local[1] - axisY;
+    const dz = local[2];
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const penetration = sizeX - distance;
+    if (penetration > 0) {
+      isInside = true;
+      const scale = penetration / Math.max(distance, 0.000001);
+      push[0] = dx * scale;
+      push[1] = dy * scale;
+      push[2] = dz * scale;
+    }
+  }
+
+  if (isInside) {
+    rotate(push, qx, qy, qz, qw);
+    point[0] += push[0];
+    point[1] += push[1];
+    point[2] += push[2];
+  }
+
+  const depth = Math.hypot(push[0], push[1], push[2]);
+  if (contact && depth > 0) {
+    const { position, velocity, bounce } = contact;
+    const staticFriction = data[o + 12];
+    const kineticFriction = data[o + 13];
+    const restitution = data[o + 14];
+    const colliderVelocity = [data[o + 16], data[o + 17], data[o + 18]];
+    const normal = push.map((v) => v / depth);
+
+    // Step relative to the collider, split along the surface normal
+    const relative = [0, 1, 2].map((k) => point[k] - position[k] - colliderVelocity[k]);
+    const relativeNormal = relative[0] * normal[0] + relative[1] * normal[1] + relative[2] * normal[2];
+    const tangent = [0, 1, 2].map((k) => relative[k] - normal[k] * relativeNormal);
+    const tangentLength = Math.hypot(tangent[0], tangent[1], tangent[2]);
+
+    // Coulomb friction, with the push as the normal impulse
+    const tangentScale = tangentLength <= staticFriction * depth
+      ? 0
+      : Math.max(1 - (kineticFriction * depth) / tangentLength, 0);
+
+    // Restitution: leave at a fraction of the approach speed
+    const incoming =
+      (velocity[0] - colliderVelocity[0]) * normal[0] +
+      (velocity[1] - colliderVelocity[1]) * normal[1] +
+      (velocity[2] - colliderVelocity[2]) * normal[2];
+    const bounceSpeed = Math.max(-incoming, 0) * restitution;
+    const bounceCorrection = Math.max(bounceSpeed - relativeNormal, 0);
+
+    for (let k = 0; k < 3; k++) {
+      point[k] = position[k] + colliderVelocity[k] + normal[k] * relativeNormal + tangent[k] * tangentScale;
+      bounce[k] += normal[k] * bounceCorrection;
+    }
+  }
+  return isInside;
+}
+
+/**
+ * Creates a collider manager (ColliderManager)
+ *
+ * Colliders are described by plain objects; vectors may be THREE vectors
+ * or arrays:
+ * - type: one of COLLIDER_TYPE (default SPHERE)
+ * - position: center (default origin)
+ * - rotation: quaternion (default identity)
+ * - radius: SPHERE / CAPSULE / CYLINDER radius
+ * - halfHeight: CAPSULE / CYLINDER half length along the local Y axis
+ * - halfExtents: BOX half size along each local axis
+ * - staticFriction, kineticFriction, restitution: contact response
+ *   (default COLLIDER_CONTACT)
+ * - enabled: disabled colliders are kept but ignored (default true)
+ *
+ * Changes are packed lazily; call sync() once per simulation step, before
+ * running the compute shaders, to update the collider velocities and upload
+ * the changes to the collider buffer.
+ *
+ * @param {Object} [options] - Manager options
+ * @param {number} [options.capacity=MAX_COLLIDERS] - Maximum number of colliders
+ * @returns {Object} The manager, with add(), update(), remove(), get(), list(),
+ *   clear(), getPacked(), sync(), getState(), setState(), resetVelocities(),
+ *   buffer and countUniform
+ */
+export function createColliderManager({ capacity = MAX_COLLIDERS } = {}) {
+  const colliders = new Map();
+  const packed = new Float32Array(capacity * COLLIDER_STRIDE * 4);
+  let nextId = 1;
+  let packedCount = 0;
+  let isDirty = true;
+  let isUploaded = false;
+
+  // Per-step velocity of each collider, from its position at the previous sync
+  const velocities = new Map();
+  const previousPositions = new Map();
+
+  // Created on first use so the manager also works without a renderer
+  let buffer = null;
+  let countUniform = null;
+
+  /**
+   * Creates the collider buffer and count uniform used by the shaders
+   */
+  function createBuffer() {
+    if (buffer) return;
+    buffer = instancedArray(packed.length / 4, "vec4");
+    countUniform = uniform(0, "uint");
+    isUploaded = false;
+  }
+
+  /**
+   * Adds a collider
+   * @param {Object} description - Collider fields
+   * @returns {number} The collider ID
+   * @throws {Error} If the manager is full or the type is unknown
+   */
+  function add(description) {
+    if (colliders.size >= capacity) {
+      throw new Error(`Cannot add collider: the limit of ${capacity} colliders is reached`);
+    }
+    const id = nextId++;
+    colliders.set(id, normalizeCollider(description));
+    isDirty = true;
+    return id;
+  }
+
+  /**
+   * Changes fields of a collider (fields not given are kept)
+   * @param {number} id - Collider ID
+   * @param {Object} changes - Collider fields to change
+   * @throws {Error} If there is no collider with that ID
+   */
+  function update(id, changes) {
+    const collider = colliders.get(id);
+    if (!collider) throw new Error(`Unknown collider: ${id}`);
+    colliders.set(id, normalizeCollider(changes, collider));
+    isDirty = true;
+  }
+
+  /**
+   * Removes a collider
+   * @param {number} id - Collider ID
+   * @returns {boolean} Whether a collider was removed
+   */
+  function remove(id) {
+    const removed = colliders.delete(id);
+    if (removed) isDirty = true;
+    return removed;
+  }
+
+  /**
+   * Removes every collider
+   */
+  function clear() {
+    colliders.clear();
+    isDirty = true;
+  }
+
+  /**
+   * Gets a collider
+   * @param {number} id - Collider ID
+   * @returns {Object|undefined} The collider (do not modify; use update)
+   */
+  function get(id) {
+    return colliders.get(id);
+  }
+
+  /**
+   * Lists the colliders in the order they are packed
+   * @returns {Array<{id: number, collider: Object}>} All colliders
+   */
+  function list() {
+    return [...colliders].map(([id, collider]) => ({ id, collider }));
+  }
+
+  /**
+   * Gets the enabled colliders in the collider buffer layout
+   * @returns {{data: Float32Array, count: number}} Packed data and collider count
+   */
+  function getPacked() {
+    if (isDirty) {
+      const enabled = [...colliders]
+        .filter(([, collider]) => collider.enabled)
+        .map(([id, collider]) => ({ ...collider, velocity: velocities.get(id) }));
+      packed.fill(0);
+      packColliders(enabled, packed);
+      packedCount = enabled.length;
+      isDirty = false;
+      isUploaded = false;
+    }
+    return { data: packed, count: packedCount };
+  }
+
+  /**
+   * Updates the collider velocities for a new step and uploads pending
+   * changes to the collider buffer and count uniform
+   *
+   * A collider's velocity is the distance it moved since the previous call.
+   * It is zero when the collider was just added or enabled, so colliders
+   * that appear somewhere do not fling the cloth.
+   */
+  function sync() {
+    for (const [id, collider] of colliders) {
+      const previous = previousPositions.get(id);
+      const velocity = previous && collider.enabled
+        ? collider.position.map((value, k) => value - previous[k])
+        : [0, 0, 0];
+      const current = velocities.get(id);
+      if (!current || velocity.some((value, k) => value !== current[k])) {
+        velocities.set(id, velocity);
+        isDirty = true;
+      }
+      if (collider.enabled) {
+        previousPositions.set(id, collider.position.slice());
+      } else {
+        previousPositions.delete(id);
+      }
+    }
+    for (const id of velocities.keys()) {
+      if (!colliders.has(id)) {
+        velocities.delete(id);
+        previousPositions.delete(id);
+      }
+    }
+
+    const { count } = getPacked();
+    if (isUploaded || !buffer) return;
+    buffer.value.array.set(packed);
+    buffer.value.needsUpdate = true;
+    countUniform.value = count;
+    isUploaded = true;
+  }
+
+  /**
+   * Forgets the collider motion, so every collider starts at rest at the
+   * next sync (called when the cloth is reset, so recordings and replays
+   * start from the same state)
+   */
+  function resetVelocities() {
+    velocities.clear();
+    previousPositions.clear();
+    isDirty = true;
+  }
+
+  /**
+   * Gets every collider as plain data (for recording)
+   * @returns {Array<Object>} Colliders with their IDs
+   */
+  function getState() {
+    return list().map(({ id, collider }) => ({
+      id,
+      ...collider,
+      position: collider.position.slice(),
+      rotation: collider.rotation.slice(),
+      halfExtents: collider.halfExtents.slice(),
+    }));
+  }
+
+  /**
+   * Replaces every collider with data from getState
+   * @param {Array<Object>} state - Colliders with their IDs
+   */
+  function setState(state) {
+    colliders.clear();
+    for (const { id, ...description } of state) {
+      colliders.set(id, normalizeCollider(description));
+      nextId = Math.max(nextId, id + 1);
+    }
+    isDirty = true;
+  }
+
+  return {
+    add,
+    update,
+    remove,
+    clear,
+    get,
+    list,
+    getPacked,
+    sync,
+    getState,
+    setState,
+    resetVelocities,
+    capacity,
+    get size() {
+      return colliders.size;
+    },
+    get buffer() {
+      createBuffer();
+      return buffer;
+    },
+    get countUniform() {
+      createBuffer();
+      return countUniform;
+    },
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Deterministic interaction recording and replay
+ * @module simulation/recording
+ *
+ * A trace captures, for every fixed simulation step, everything the render
+ * loop feeds into the compute shaders: the interaction mode, the mouse and
+ * pen state, the colliders, and the value of every uniform. Replaying a trace against a
+ * reset cloth with the same timestep reproduces the run step for step,
+ * including collisions and tears.
+ *
+ * Edits of the cloth made between steps (pins toggled in grab mode, cuts,
+ * stitches) are recorded as they were applied, with the vertex and spring
+ * IDs they touched, and replayed right before the step that followed them:
+ * - { type: "pin", vertexId, fixed }
+ * - { type: "cut", springIds }
+ * - { type: "stitch", springIds, stitches: [[vertex0Id, vertex1Id, restLength, templateId]] }
+ * On the GPU a replay may split vertices on another step than the recording
+ * did, so an edit can name a vertex or spring the cloth doesn't have yet;
+ * such edits are skipped (see findEditMismatch).
+ *
+ * Frames are delta-encoded: each frame only holds the fields (and uniforms)
+ * that changed since the previous step; the collider list is stored whole
+ * whenever any collider changed, so idle stretches cost a few bytes
+ * per step.
+ */
+
+import { STEPS_PER_SECOND } from "../config/constants.js";
+
+/**
+ * Version of the trace file format
+ */
+export const TRACE_VERSION = 3;
+
+/**
+ * Uniforms not stored in frames because they are derived from the step
+ * number (see createTracePlayer)
+ */
+const DERIVED_UNIFORMS = ["time"];
+
+/**
+ * Converts mouse/pen state to plain values
+ * @param {Object} state - mouseState or penState
+ * @returns {Object} Copy with vectors as [x, y, z] arrays
+ */
+function toPlainState(state) {
+  const plain = {};
+  for (const [key, value] of Object.entries(state)) {
+    plain[key] = value && value.isVector3 ? value.toArray() : value;
+  }
+  return plain;
+}
+
+/**
+ * Creates a recorder for a new trace
+ *
+ * Call recordStep once per fixed simulation step, after the interaction
+ * state has been advanced and right before the compute shaders run, and
+ * recordEdit whenever the cloth is edited; edits are stored with the next
+ * step.
+ *
+ * @param {Object} options - Recording options
+ * @param {number} options.startTime - Simulation time at the start of the recording
+ * @param {number} options.vertexCount - Number of vertices of the recorded cloth
+ * @param {number} options.springCount - Number of springs of the recorded cloth
+ * @returns {{recordStep: Function, recordEdit: Function, finish: Function, stepCount: number}}
+ *   The recorder
+ */
+export function createTraceRecorder({ startTime, vertexCount, springCount }) {
+  const frames = [];
+  let previous = { mode: null, mouse: null, pen: null, colliders: null, uniforms: {} };
+  let edits = [];
+
+  /**
+   * Records an edit of the cloth, applied before the next step
+   * @param {Object} edit - The edit (see the module description)
+   */
+  function recordEdit(edit) {
+    edits.push(edit);
+  }
+
+  /**
+   * Records one simulation step
+   * @param {Object} step - Inputs of the step
+   * @param {string} step.mode - Interaction mode
+   * @param {Object} step.mouseState - Mouse interaction state
+   * @param {Object} step.penState - Pen/tablet interaction state
+   * @param {Object} step.uniformValues - Values from captureUniformValues
+   * @param {Array<Object>} step.colliders - Collider list from the collider manager's getState
+   */
+  function recordStep({ mode, mouseState, penState, uniformValues, colliders }) {
+    const frame = {};
+    const mouse = JSON.stringify(toPlainState(mouseState));
+    const pen = JSON.stringify(toPlainState(penState));
+    const colliderList = JSON.stringify(colliders);
+
+    if (mode !== previous.mode) frame.mode = mode;
+    if (mouse !== previous.mouse) frame.mouse = JSON.parse(mouse);
+    if (pen !== previous.pen) frame.pen = JSON.parse(pen);
+    if (colliderList !== previous.colliders) frame.colliders = JSON.parse(colliderList);
+
+    const uniforms = {};
+    for (const [name, value] of Object.entries(uniformValues)) {
+      if (DERIVED_UNIFORMS.includes(name)) continue;
+      const encoded = JSON.stringify(value);
+      if (encoded !== previous.uniforms[name]) {
+        uniforms[name] = value;
+        previous.uniforms[name] = encoded;
+      }
+    }
+    if (Object.keys(uniforms).length > 0) frame.uniforms = uniforms;
+    if (edits.length > 0) {
+      frame.edits = edits;
+      edits = [];
+    }
+
+    previous = { ...previous, mode, mouse, pen, colliders: colliderList };
+    frames.push(frame);
+  }
+
+  /**
+   * Ends the recording
+   * @returns {Object} The trace
+   */
+  function finish() {
+    return {
+      version: TRACE_VERSION,
+      createdAt: new Date().toISOString(),
+      stepsPerSecond: STEPS_PER_SECOND,
+      startTime,
+      vertexCount,
+      springCount,
+      frames: frames.slice(),
+    };
+  }
+
+  return {
+    recordStep,
+    recordEdit,
+    finish,
+    get stepCount() {
+      return frames.length;
+    },
+  };
+}
+
+/**
+ * Checks that a trace can be replayed on the current cloth
+ *
+ * @param {Object} trace - The trace to check
+ * @param {number} vertexCount - Number of vertices of the current cloth
+ * @param {number} springCount - Number of springs of the current cloth
+ * @throws {Error} Describing every mismatch if the trace does not fit
+ */
+export function validateTrace(trace, vertexCount, springCount) {
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${trace.version} (expected ${TRACE_VERSION})`);
+  }
+
+  const problems = [];
+  if (trace.stepsPerSecond !== STEPS_PER_SECOND) {
+    problems.push(`it was recorded at ${trace.stepsPerSecond} steps/s, the simulation runs at ${STEPS_PER_SECOND}`);
+  }
+  if (trace.vertexCount !== vertexCount) {
+    problems.push(`it has ${trace.vertexCount} vertices, the current cloth has ${vertexCount}`);
+  }
+  if (trace.springCount !== springCount) {
+    problems.push(`it has ${trace.springCount} springs, the current cloth has ${springCount}`);
+  }
+  if (!Array.isArray(trace.frames)) {
+    problems.push("it has no frames");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Trace cannot be replayed on the current cloth: ${problems.join("; ")}.`
+    );
+  }
+}
+
+/**
+ * Finds what a recorded edit names that the current cloth doesn't have
+ *
+ * Vertex copies made by splits and stitch springs take the next free IDs,
+ * so the IDs an edit was recorded with only exist once the replay has made
+ * as many.
+ *
+ * @param {Object} edit - A recorded edit
+ * @param {number} vertexCount - Number of vertices of the current cloth
+ * @param {number} springCount - Number of springs of the current cloth
+ * @returns {string|null} The missing vertices and springs, or null if the
+ *   edit fits the cloth (an unknown edit type never does)
+ */
+export function findEditMismatch(edit, vertexCount, springCount) {
+  let vertexIds = [];
+  let springIds = [];
+  if (edit.type === "pin") {
+    vertexIds = [edit.vertexId];
+  } else if (edit.type === "cut") {
+    springIds = edit.springIds;
+  } else if (edit.type === "stitch") {
+    vertexIds = edit.stitches.flatMap(([vertex0Id, vertex1Id]) => [vertex0Id, vertex1Id]);
+    springIds = [...edit.springIds, ...edit.stitches.map(([, , , templateId]) => templateId)];
+  } else {
+    return `unknown edit type ${edit.type}`;
+  }
+
+  const isMissing = (count) => (id) => !Number.isInteger(id) || id < 0 || id >= count;
+  const missingVertices = vertexIds.filter(isMissing(vertexCount));
+  const missingSprings = springIds.filter(isMissing(springCount));
+  const problems = [];
+  if (missingVertices.length > 0) {
+    problems.push(`vertices ${missingVertices.join(", ")} (the cloth has ${vertexCount})`);
+  }
+  if (missingSprings.length > 0) {
+    problems.push(`springs ${missingSprings.join(", ")} (the cloth has ${springCount})`);
+  }
+  return problems.length > 0 ? problems.join(" and ") : null;
+}
+
+/**
+ * Serializes a trace to JSON
+ * @param {Object} trace - The trace (from finish)
+ * @returns {string} JSON text
+ */
+export function serializeTrace(trace) {
+  return JSON.stringify(trace);
+}
+
+/**
+ * Parses a trace file written by serializeTrace
+ *
+ * @param {string} text - JSON text
+ * @returns {Object} The trace
+ * @throws {Error} If the text is not a trace file
+ */
+export function parseTrace(text) {
+  let trace;
+  try {
+    trace = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a trace file: ${error.message}`);
+  }
+  if (!trace || typeof trace.version !== "number" || !Array.isArray(trace.frames)) {
+    throw new Error("Not a trace file: missing version or frames");
+  }
+  return trace;
+}
+
+/**
+ * Creates a player that steps through a trace
+ *
+ * next() returns the complete inputs of the next step (delta frames are
+ * accumulated), with the simulation time of that step and the edits to
+ * apply before it. Uniforms derived from the step number (the simulation
+ * time) are recomputed here.
+ *
+ * @param {Object} trace - The trace to replay
+ * @returns {{next: Function, rewind: Function, nextEdits: Array<Object>, step: number,
+ *   stepCount: number, isFinished: boolean}} The player
+ */
+export function createTracePlayer(trace) {
+  const timePerStep = 1 / trace.stepsPerSecond;
+  let index = 0;
+  let current = null;
+  let time = 0;
+
+  /**
+   * Restarts the replay from the first step
+   */
+  function rewind() {
+    index = 0;
+    current = { mode: null, mouse: null, pen: null, colliders: [], uniforms: {} };
+    time = trace.startTime;
+  }
+
+  /**
+   * Advances to the next step
+   * @returns {{mode: string, mouse: Object, pen: Object, colliders: Array<Object>,
+   *   uniforms: Object, time: number, edits: Array<Object>}|null}
+   *   Inputs of the step, or null once the trace is finished
+   */
+  function next() {
+    if (index >= trace.frames.length) return null;
+
+    const frame = trace.frames[index++];
+    current = {
+      mode: frame.mode !== undefined ? frame.mode : current.mode,
+      mouse: frame.mouse || current.mouse,
+      pen: frame.pen || current.pen,
+      colliders: frame.colliders || current.colliders,
+      uniforms: frame.uniforms ? { ...current.uniforms, ...frame.uniforms } : current.uniforms,
+    };
+
+    // Accumulated exactly like the render loop advances its timestamp
+    time += timePerStep;
+
+    return { ...current, time, edits: frame.edits || [] };
+  }
+
+  rewind();
+
+  return {
+    next,
+    rewind,
+    /**
+     * Edits applied before the next step (none once finished)
+     * @type {Array<Object>}
+     */
+    get nextEdits() {
+      return index < trace.frames.length ? trace.frames[index].edits || [] : [];
+    },
+    get step() {
+      return index;
+    },
+    get stepCount() {
+      return trace.frames.length;
+    },
+    get isFinished() {
+      return index >= trace.frames.length;
+    },
+  };
+}
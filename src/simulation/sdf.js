@@ -0,0 +1,564 @@
+/**
+ * @fileoverview Signed distance field collision shapes
+ * @module simulation/sdf
+ *
+ * Static obstacles of any shape are baked on the CPU into a signed distance
+ * field: a cubic grid of SDF_CONFIG.resolution³ samples, each holding the
+ * distance gradient and the signed distance (vec4: gx, gy, gz, d), negative
+ * inside the shape. computeVertexForces samples the field trilinearly and
+ * pushes vertices closer than the thickness out along the gradient.
+ *
+ * Fields are baked from distance functions: analytic ones for the built-in
+ * shapes (boxes and capsules, see SDF_SHAPES) or one computed from a closed
+ * triangle mesh (createMeshDistanceFunction). Meshes are slow to bake, so
+ * bakeSDFInChunks bakes them a little at a time between frames.
+ *
+ * The active field is uploaded to a storage buffer shared by the compute
+ * shaders; sampleSDF and collideSDF mirror the shader for the CPU solver.
+ */
+
+import { instancedArray } from "three/tsl";
+import { SDF_CONFIG } from "../config/constants.js";
+
+/**
+ * Built-in shapes, as unions of boxes ({center, halfExtents}) and capsules
+ * ({start, end, radius}; a sphere when start equals end), placed below the
+ * cloth
+ */
+export const SDF_SHAPES = {
+  table: {
+    label: "Table",
+    primitives: [
+      { type: "box", center: [0, -0.2, 0], halfExtents: [0.45, 0.025, 0.3] },
+      { type: "box", center: [-0.4, -0.55, -0.25], halfExtents: [0.025, 0.325, 0.025] },
+      { type: "box", center: [0.4, -0.55, -0.25], halfExtents: [0.025, 0.325, 0.025] },
+      { type: "box", center: [-0.4, -0.55, 0.25], halfExtents: [0.025, 0.325, 0.025] },
+      { type: "box", center: [0.4, -0.55, 0.25], halfExtents: [0.025, 0.325, 0.025] },
+    ],
+  },
+  mannequin: {
+    label: "Mannequin",
+    primitives: [
+      { type: "capsule", start: [0, -0.1, 0], end: [0, -0.1, 0], radius: 0.08 }, // Head
+      { type: "capsule", start: [0, -0.22, 0], end: [0, -0.16, 0], radius: 0.04 }, // Neck
+      { type: "capsule", start: [-0.2, -0.28, 0], end: [0.2, -0.28, 0], radius: 0.06 }, // Shoulders
+      { type: "capsule", start: [0, -0.34, 0], end: [0, -0.62, 0], radius: 0.14 }, // Torso
+      { type: "capsule", start: [-0.1, -0.72, 0], end: [0.1, -0.72, 0], radius: 0.1 }, // Hips
+      { type: "capsule", start: [-0.26, -0.3, 0], end: [-0.3, -0.62, 0], radius: 0.045 }, // Left arm
+      { type: "capsule", start: [0.26, -0.3, 0], end: [0.3, -0.62, 0], radius: 0.045 }, // Right arm
+      { type: "capsule", start: [-0.09, -0.8, 0], end: [-0.09, -1.2, 0], radius: 0.06 }, // Left leg
+      { type: "capsule", start: [0.09, -0.8, 0], end: [0.09, -1.2, 0], radius: 0.06 }, // Right leg
+    ],
+  },
+};
+
+/**
+ * Signed distance from a point to a box
+ *
+ * @param {Array<number>} p - Point [x, y, z]
+ * @param {Array<number>} center - Box center
+ * @param {Array<number>} halfExtents - Box half size along each axis
+ * @returns {number} Signed distance (negative inside)
+ */
+export function sdBox(p, center, halfExtents) {
+  let outside = 0;
+  let inside = -Infinity;
+  for (let k = 0; k < 3; k++) {
+    const q = Math.abs(p[k] - center[k]) - halfExtents[k];
+    outside += Math.max(q, 0) ** 2;
+    inside = Math.max(inside, q);
+  }
+  return Math.sqrt(outside) + Math.min(inside, 0);
+}
+
+/**
+ * Signed distance from a point to a capsule
+ *
+ * @param {Array<number>} p - Point [x, y, z]
+ * @param {Array<number>} start - First end of the capsule segment
+ * @param {Array<number>} end - Second end of the capsule segment
+ * @param {number} radius - Capsule radius
+ * @returns {number} Signed distance (negative inside)
+ */
+export function sdCapsule(p, start, end, radius) {
+  const ab = [end[0] - start[0], end[1] - start[1], end[2] - start[2]];
+  const ap = [p[0] - start[0], p[1] - start[1], p[2] - start[2]];
+  const lengthSq = ab[0] * ab[0] + ab[1] * ab[1] + ab[2] * ab[2];
+  const t = lengthSq > 0
+    ? Math.min(Math.max((ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / lengthSq, 0), 1)
+    : 0;
+  return Math.hypot(ap[0] - ab[0] * t, ap[1] - ab[1] * t, ap[2] - ab[2] * t) - radius;
+}
+
+/**
+ * Creates the distance function of a union of primitives
+ *
+ * @param {Array<Object>} primitives - Boxes and capsules (see SDF_SHAPES)
+ * @returns {Function} (point) => signed distance
+ */
+export function createPrimitiveDistanceFunction(primitives) {
+  return (p) => {
+    let distance = Infinity;
+    for (const primitive of primitives) {
+      const d = primitive.type === "box"
+        ? sdBox(p, primitive.center, primitive.halfExtents)
+        : sdCapsule(p, primitive.start, primitive.end, primitive.radius);
+      distance = Math.min(distance, d);
+    }
+    return distance;
+  };
+}
+
+/**
+ * Gets the bounding box of a union of primitives
+ * @param {Array<Object>} primitives - Boxes and capsules (see SDF_SHAPES)
+ * @returns {{min: Array<number>, max: Array<number>}} The bounds
+ */
+export function getPrimitiveBounds(primitives) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const primitive of primitives) {
+    for (let k = 0; k < 3; k++) {
+      const [low, high] = primitive.type === "box"
+        ? [primitive.center[k] - primitive.halfExtents[k], primitive.center[k] + primitive.halfExtents[k]]
+        : [
+            Math.min(primitive.start[k], primitive.end[k]) - primitive.radius,
+            Math.max(primitive.start[k], primitive.end[k]) + primitive.radius,
+          ];
+      min[k] = Math.min(min[k], low);
+      max[k] = Math.max(max[k], high);
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Squared distance from a point to a triangle (closest point by Voronoi
+ * region, after Ericson's Real-Time Collision Detection)
+ *
+ * @param {Array<number>} p - Point
+ * @param {Float32Array} v - Vertex positions (xyz per vertex)
+ * @param {number} a - Index of the first vertex
+ * @param {number} b - Index of the second vertex
+ * @param {number} c - Index of the third vertex
+ * @returns {number} Squared distance
+ */
+function pointTriangleDistanceSq(p, v, a, b, c) {
+  const ax = v[a * 3], ay = v[a * 3 + 1], az = v[a * 3 + 2];
+  const abx = v[b * 3] - ax, aby = v[b * 3 + 1] - ay, abz = v[b * 3 + 2] - az;
+  const acx = v[c * 3] - ax, acy = v[c * 3 + 1] - ay, acz = v[c * 3 + 2] - az;
+  const apx = p[0] - ax, apy = p[1] - ay, apz = p[2] - az;
+
+  const dot = (x0, y0, z0, x1, y1, z1) => x0 * x1 + y0 * y1 + z0 * z1;
+  const distanceTo = (s, t) => {
+    const dx = apx - abx * s - acx * t;
+    const dy = apy - aby * s - acy * t;
+    const dz = apz - abz * s - acz * t;
+    return dx * dx + dy * dy + dz * dz;
+  };
+
+  const d1 = dot(abx, aby, abz, apx, apy, apz);
+  const d2 = dot(acx, acy, acz, apx, apy, apz);
+  if (d1 <= 0 && d2 <= 0) return distanceTo(0, 0);
+
+  const bpx = apx - abx, bpy = apy - aby, bpz = apz - abz;
+  const d3 = dot(abx, aby, abz, bpx, bpy, bpz);
+  const d4 = dot(acx, acy, acz, bpx, bpy, bpz);
+  if (d3 >= 0 && d4 <= d3) return distanceTo(1, 0);
+
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) return distanceTo(d1 / (d1 - d3), 0);
+
+  const cpx = apx - acx, cpy = apy - acy, cpz = apz - acz;
+  const d5 = dot(abx, aby, abz, cpx, cpy, cpz);
+  const d6 = dot(acx, acy, acz, cpx, cpy, cpz);
+  if (d6 >= 0 && d5 <= d6) return distanceTo(0, 1);
+
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) return distanceTo(0, d2 / (d2 - d6));
+
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    const w = (d4 - d3) / (d4 - d3 + (d5 - d6));
+    return distanceTo(1 - w, w);
+  }
+
+  const denominator = 1 / (va + vb + vc);
+  return distanceTo(vb * denominator, vc * denominator);
+}
+
+/**
+ * Counts how often a ray along +X from a point crosses the mesh
+ *
+ * @param {Array<number>} p - Ray origin
+ * @param {Float32Array} v - Vertex positions (xyz per vertex)
+ * @param {Uint32Array} indices - Triangle vertex indices
+ * @returns {number} Number of crossings
+ */
+function countCrossings(p, v, indices) {
+  // Nudge the ray off vertices and edges shared by neighboring triangles
+  const y = p[1] + 1.234e-7;
+  const z = p[2] + 2.345e-7;
+  let crossings = 0;
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t] * 3;
+    const b = indices[t + 1] * 3;
+    const c = indices[t + 2] * 3;
+
+    // Barycentric coordinates of (y, z) in the triangle's YZ projection
+    const y0 = v[a + 1], z0 = v[a + 2];
+    const y1 = v[b + 1] - y0, z1 = v[b + 2] - z0;
+    const y2 = v[c + 1] - y0, z2 = v[c + 2] - z0;
+    const area = y1 * z2 - y2 * z1;
+    if (area === 0) continue;
+
+    const s = ((y - y0) * z2 - y2 * (z - z0)) / area;
+    const u = (y1 * (z - z0) - (y - y0) * z1) / area;
+    if (s < 0 || u < 0 || s + u > 1) continue;
+
+    const x = v[a] + (v[b] - v[a]) * s + (v[c] - v[a]) * u;
+    if (x > p[0]) crossings++;
+  }
+  return crossings;
+}
+
+/**
+ * Creates the distance function of a closed triangle mesh
+ *
+ * The distance is exact (nearest triangle); the sign comes from the parity
+ * of a ray cast along +X, so the mesh must be closed (watertight) for the
+ * inside to be found. Cost grows with the number of triangles.
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {Uint32Array} indices - Triangle vertex indices (3 per triangle)
+ * @returns {Function} (point) => signed distance
+ */
+export function createMeshDistanceFunction(positions, indices) {
+  return (p) => {
+    let distanceSq = Infinity;
+    for (let t = 0; t < indices.length; t += 3) {
+      distanceSq = Math.min(
+        distanceSq,
+        pointTriangleDistanceSq(p, positions, indices[t], indices[t + 1], indices[t + 2])
+      );
+    }
+    const isInside = countCrossings(p, positions, indices) % 2 === 1;
+    return isInside ? -Math.sqrt(distanceSq) : Math.sqrt(distanceSq);
+  };
+}
+
+/**
+ * Scales and moves a loaded mesh so it sits below the cloth
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {number} targetSize - Size of the largest dimension after scaling
+ * @param {number} top - Height of the mesh's highest point after moving
+ * @returns {{positions: Float32Array, bounds: {min: Array<number>, max: Array<number>}}}
+ *   Moved positions (centered in X and Z) and their bounds
+ */
+export function placeMeshBelowCloth(positions, targetSize, top) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], positions[i]);
+    max[i % 3] = Math.max(max[i % 3], positions[i]);
+  }
+
+  const scale = targetSize / Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2], Number.EPSILON);
+  const offset = [-(min[0] + max[0]) / 2, -max[1], -(min[2] + max[2]) / 2];
+  const placed = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i++) {
+    placed[i] = (positions[i] + offset[i % 3]) * scale + (i % 3 === 1 ? top : 0);
+  }
+
+  return {
+    positions: placed,
+    bounds: {
+      min: [0, 1, 2].map((k) => (min[k] + offset[k]) * scale + (k === 1 ? top : 0)),
+      max: [0, 1, 2].map((k) => (max[k] + offset[k]) * scale + (k === 1 ? top : 0)),
+    },
+  };
+}
+
+/**
+ * Lays out the sample grid of a field: a cube around the bounds (plus
+ * padding) with resolution samples per axis
+ *
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds of the shape
+ * @param {number} resolution - Samples per axis
+ * @param {number} padding - Margin around the bounds
+ * @returns {{resolution: number, origin: Array<number>, cellSize: number}} The grid
+ */
+function createSampleGrid(bounds, resolution, padding) {
+  const size = Math.max(
+    bounds.max[0] - bounds.min[0],
+    bounds.max[1] - bounds.min[1],
+    bounds.max[2] - bounds.min[2],
+  ) + padding * 2;
+  const cellSize = size / (resolution - 1);
+  const origin = [0, 1, 2].map((k) => (bounds.min[k] + bounds.max[k]) / 2 - size / 2);
+  return { resolution, origin, cellSize };
+}
+
+/**
+ * Samples a distance function on a grid, one row of samples at a time
+ *
+ * @param {Function} distance - (point) => signed distance
+ * @param {Object} grid - The grid (see createSampleGrid)
+ * @param {Float32Array} distances - Receives the distances, x fastest, then
+ *   y, then z
+ * @yields {number} Fraction of the samples taken, after each row
+ */
+function* sampleDistances(distance, grid, distances) {
+  const { resolution: n, origin, cellSize } = grid;
+  const point = [0, 0, 0];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        point[0] = origin[0] + x * cellSize;
+        point[1] = origin[1] + y * cellSize;
+        point[2] = origin[2] + z * cellSize;
+        distances[x + n * (y + n * z)] = distance(point);
+      }
+      yield (z * n + y + 1) / (n * n);
+    }
+  }
+}
+
+/**
+ * Packs sampled distances into a field, with gradients from central
+ * differences (one-sided at the border)
+ *
+ * @param {Object} grid - The grid (see createSampleGrid)
+ * @param {Float32Array} distances - Distance of every sample
+ * @returns {{resolution: number, origin: Array<number>, cellSize: number, data: Float32Array}}
+ *   The field (see bakeSDF)
+ */
+function createField(grid, distances) {
+  const { resolution: n, cellSize } = grid;
+  const data = new Float32Array(n * n * n * 4);
+  const strides = [1, n, n * n];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const index = x + n * (y + n * z);
+        const cell = [x, y, z];
+        for (let k = 0; k < 3; k++) {
+          const lower = cell[k] > 0 ? index - strides[k] : index;
+          const upper = cell[k] < n - 1 ? index + strides[k] : index;
+          const span = (cell[k] > 0 ? 1 : 0) + (cell[k] < n - 1 ? 1 : 0);
+          data[index * 4 + k] = (distances[upper] - distances[lower]) / (span * cellSize);
+        }
+        data[index * 4 + 3] = distances[index];
+      }
+    }
+  }
+
+  return { ...grid, data };
+}
+
+/**
+ * Bakes a distance function into a signed distance field
+ *
+ * The grid is a cube around the bounds (plus padding) with resolution
+ * samples per axis. Gradients are central differences of the sampled
+ * distances (one-sided at the border).
+ *
+ * @param {Function} distance - (point) => signed distance
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds of the shape
+ * @param {Object} [options] - Baking options
+ * @param {number} [options.resolution=SDF_CONFIG.resolution] - Samples per axis
+ * @param {number} [options.padding=SDF_CONFIG.padding] - Margin around the bounds
+ * @returns {{resolution: number, origin: Array<number>, cellSize: number, data: Float32Array}}
+ *   The field: gradient and distance (vec4) per sample, x fastest, then y, then z
+ */
+export function bakeSDF(distance, bounds, { resolution = SDF_CONFIG.resolution, padding = SDF_CONFIG.padding } = {}) {
+  const grid = createSampleGrid(bounds, resolution, padding);
+  const distances = new Float32Array(resolution ** 3);
+  const samples = sampleDistances(distance, grid, distances);
+  while (!samples.next().done);
+  return createField(grid, distances);
+}
+
+/**
+ * Bakes a distance function into a signed distance field without blocking
+ * the page (see bakeSDF)
+ *
+ * Samples are taken in chunks of about SDF_CONFIG.bakeChunkTime
+ * milliseconds, yielding to the event loop after each, so slow distance
+ * functions (large meshes) can be baked while the page keeps running.
+ *
+ * @async
+ * @param {Function} distance - (point) => signed distance
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds of the shape
+ * @param {Object} [options] - Baking options
+ * @param {number} [options.resolution=SDF_CONFIG.resolution] - Samples per axis
+ * @param {number} [options.padding=SDF_CONFIG.padding] - Margin around the bounds
+ * @param {Function} [options.onProgress] - Called after each chunk with the
+ *   fraction of samples taken (0 - 1)
+ * @param {AbortSignal} [options.signal] - Stops the bake
+ * @returns {Promise<Object>} The field (see bakeSDF)
+ * @throws {Error} The signal's reason if the bake was aborted
+ */
+export async function bakeSDFInChunks(distance, bounds, {
+  resolution = SDF_CONFIG.resolution,
+  padding = SDF_CONFIG.padding,
+  onProgress,
+  signal,
+} = {}) {
+  const grid = createSampleGrid(bounds, resolution, padding);
+  const distances = new Float32Array(resolution ** 3);
+
+  let chunkStart = performance.now();
+  for (const progress of sampleDistances(distance, grid, distances)) {
+    if (performance.now() - chunkStart < SDF_CONFIG.bakeChunkTime) continue;
+    if (onProgress) onProgress(progress);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (signal) signal.throwIfAborted();
+    chunkStart = performance.now();
+  }
+
+  if (onProgress) onProgress(1);
+  return createField(grid, distances);
+}
+
+/**
+ * Bakes one of the built-in shapes
+ * @param {string} name - Key of SDF_SHAPES
+ * @returns {Object} The field (see bakeSDF)
+ */
+export function bakeShapeSDF(name) {
+  const { primitives } = SDF_SHAPES[name];
+  return bakeSDF(createPrimitiveDistanceFunction(primitives), getPrimitiveBounds(primitives));
+}
+
+/**
+ * Samples a field with trilinear interpolation (mirrors the SDF lookup in
+ * computeVertexForces)
+ *
+ * @param {Object} sdf - The field (see bakeSDF)
+ * @param {Array<number>} p - Point [x, y, z]
+ * @param {Float32Array|Array<number>} out - Receives gradient and distance (4 values)
+ * @returns {boolean} False if the point is outside the field's volume
+ */
+export function sampleSDF(sdf, p, out) {
+  const n = sdf.resolution;
+  const grid = [0, 1, 2].map((k) => (p[k] - sdf.origin[k]) / sdf.cellSize);
+  if (grid.some((g) => !(g >= 0 && g <= n - 1))) return false;
+
+  const cell = grid.map((g) => Math.min(Math.floor(g), n - 2));
+  const [fx, fy, fz] = grid.map((g, k) => g - cell[k]);
+  const base = cell[0] + n * (cell[1] + n * cell[2]);
+
+  for (let c = 0; c < 4; c++) {
+    const at = (dx, dy, dz) => sdf.data[(base + dx + n * (dy + n * dz)) * 4 + c];
+    const x00 = at(0, 0, 0) + (at(1, 0, 0) - at(0, 0, 0)) * fx;
+    const x10 = at(0, 1, 0) + (at(1, 1, 0) - at(0, 1, 0)) * fx;
+    const x01 = at(0, 0, 1) + (at(1, 0, 1) - at(0, 0, 1)) * fx;
+    const x11 = at(0, 1, 1) + (at(1, 1, 1) - at(0, 1, 1)) * fx;
+    const y0 = x00 + (x10 - x00) * fy;
+    const y1 = x01 + (x11 - x01) * fy;
+    out[c] = y0 + (y1 - y0) * fz;
+  }
+  return true;
+}
+
+/**
+ * Pushes a vertex's new position out of a field (mirrors the SDF block in
+ * computeVertexForces)
+ *
+ * A point closer to the surface than the thickness is moved out along the
+ * gradient; friction then removes part of the step's motion tangential to
+ * the surface.
+ *
+ * @param {Object} sdf - The field (see bakeSDF)
+ * @param {Array<number>} position - Position at the start of the step
+ * @param {Array<number>} point - New position, updated in place
+ * @param {number} thickness - Contact distance from the surface
+ * @param {number} friction - Fraction of tangential motion removed on contact
+ * @returns {boolean} Whether the point was in contact
+ */
+export function collideSDF(sdf, position, point, thickness, friction) {
+  const sample = [0, 0, 0, 0];
+  if (!sampleSDF(sdf, point, sample)) return false;
+
+  const penetration = thickness - sample[3];
+  if (penetration <= 0) return false;
+
+  const length = Math.max(Math.hypot(sample[0], sample[1], sample[2]), 0.000001);
+  const nx = sample[0] / length;
+  const ny = sample[1] / length;
+  const nz = sample[2] / length;
+
+  const dx = point[0] + nx * penetration - position[0];
+  const dy = point[1] + ny * penetration - position[1];
+  const dz = point[2] + nz * penetration - position[2];
+  const normal = dx * nx + dy * ny + dz * nz;
+  const keep = 1 - friction;
+
+  point[0] = position[0] + nx * normal + (dx - nx * normal) * keep;
+  point[1] = position[1] + ny * normal + (dy - ny * normal) * keep;
+  point[2] = position[2] + nz * normal + (dz - nz * normal) * keep;
+  return true;
+}
+
+/**
+ * The active field (null when no SDF shape is loaded)
+ * @type {Object|null}
+ */
+let activeSDF = null;
+
+/**
+ * Storage buffer holding the active field for the compute shaders
+ * @type {Object|null}
+ */
+let sdfBuffer = null;
+
+/**
+ * Gets the storage buffer the compute shaders sample (created on first use)
+ * @returns {Object} The SDF storage buffer (vec4 per sample)
+ */
+export function getSDFBuffer() {
+  if (!sdfBuffer) {
+    sdfBuffer = instancedArray(SDF_CONFIG.resolution ** 3, "vec4");
+  }
+  return sdfBuffer;
+}
+
+/**
+ * Makes a field the one the cloth collides with
+ *
+ * Uploads it to the SDF buffer and sets the SDF uniforms. Passing null
+ * disables SDF collision.
+ *
+ * @param {Object|null} sdf - The field (see bakeSDF)
+ * @param {Object} uniforms - Uniforms object (from setupUniforms)
+ * @throws {Error} If the field's resolution differs from SDF_CONFIG.resolution
+ */
+export function setActiveSDF(sdf, uniforms) {
+  if (sdf && sdf.resolution !== SDF_CONFIG.resolution) {
+    throw new Error(
+      `SDF resolution ${sdf.resolution} does not match the SDF buffer (${SDF_CONFIG.resolution})`
+    );
+  }
+
+  activeSDF = sdf;
+  uniforms.sdf.value = sdf ? 1 : 0;
+  if (!sdf) return;
+
+  uniforms.sdfOrigin.value.fromArray(sdf.origin);
+  uniforms.sdfCellSize.value = sdf.cellSize;
+
+  const buffer = getSDFBuffer();
+  buffer.value.array.set(sdf.data);
+  buffer.value.needsUpdate = true;
+}
+
+/**
+ * Gets the active field
+ * @returns {Object|null} The field, or null when SDF collision is off
+ */
+export function getActiveSDF() {
+  return activeSDF;
+}
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Simulation state snapshots
+ * @module simulation/snapshots
+ *
+ * A snapshot holds the complete dynamic state of the cloth: vertex
+ * positions, the previous-step forces, per-spring stiffness (which encodes
+ * tears and damage) and rest length (which encodes plastic stretch), broken
+ * and pin flags, the topology left by vertices split along tears and by
+ * stitches (see getTopology in verlet/geometry) and the value of every
+ * uniform. Per-vertex arrays cover every vertex slot the cloth has room
+ * for, split copies included (see getVertexCapacity), and per-spring arrays
+ * every spring slot, stitches included (see getSpringCapacity). Snapshots can
+ * be kept in memory under a name, written to a versioned JSON file and read
+ * back, and compared with each other.
+ *
+ * Reading and writing the GPU buffers is done by readSimulationState and
+ * writeSimulationState in verlet/buffers; this module only deals with plain
+ * typed arrays, so it can be used without a browser.
+ */
+
+/**
+ * Version of the snapshot file format
+ * Version 2 stores spring stiffness in N/m (see verlet/geometry)
+ * Version 3 adds the spring rest lengths (changed by plasticity)
+ * Version 4 adds the topology (vertices split along tears)
+ * Version 5 adds the stitch springs to the topology
+ */
+export const SNAPSHOT_VERSION = 5;
+
+/**
+ * Per-vertex and per-spring arrays stored in a snapshot
+ * (name, typed array constructor, values per vertex/spring/face corner,
+ * counted by)
+ */
+const STATE_ARRAYS = [
+  { name: "positions", type: Float32Array, components: 3, per: "vertex" },
+  { name: "forces", type: Float32Array, components: 3, per: "vertex" },
+  { name: "springStiffness", type: Float32Array, components: 1, per: "spring" },
+  { name: "springRestLengths", type: Float32Array, components: 1, per: "spring" },
+  { name: "vertexBroken", type: Uint32Array, components: 1, per: "vertex" },
+  { name: "pinned", type: Uint8Array, components: 1, per: "vertex" },
+  { name: "vertexSources", type: Int32Array, components: 1, per: "vertex" },
+  { name: "springSources", type: Int32Array, components: 1, per: "spring" },
+  { name: "springVertexIds", type: Uint32Array, components: 2, per: "spring" },
+  { name: "stitchRestLengths", type: Float32Array, components: 1, per: "spring" },
+  { name: "faceVertexIds", type: Uint32Array, components: 1, per: "corner" },
+];
+
+/**
+ * Named in-memory snapshots
+ * @type {Map<string, Object>}
+ */
+const snapshots = new Map();
+
+/**
+ * Reads the current value of every uniform
+ *
+ * @param {Object} uniforms - Uniforms object (from setupUniforms)
+ * @returns {Object} Plain values by uniform name (numbers, or [x, y, z] for vectors)
+ */
+export function captureUniformValues(uniforms) {
+  const values = {};
+  for (const [name, node] of Object.entries(uniforms)) {
+    const value = node.value;
+    values[name] = value && value.isVector3 ? value.toArray() : value;
+  }
+  return values;
+}
+
+/**
+ * Restores uniform values captured with captureUniformValues
+ *
+ * @param {Object} uniforms - Uniforms object (from setupUniforms)
+ * @param {Object} values - Plain values by uniform name
+ * @returns {Array<string>} Names in values that match no uniform (ignored)
+ */
+export function applyUniformValues(uniforms, values) {
+  const unknown = [];
+  for (const [name, value] of Object.entries(values)) {
+    const node = uniforms[name];
+    if (!node) {
+      unknown.push(name);
+    } else if (node.value && node.value.isVector3) {
+      node.value.fromArray(value);
+    } else {
+      node.value = value;
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Creates a snapshot from a simulation state
+ *
+ * @param {string} name - Snapshot name
+ * @param {Object} state - State from readSimulationState (or the CPU solver),
+ *   merged with the topology from getTopology
+ * @param {Object} uniformValues - Values from captureUniformValues
+ * @returns {Object} The snapshot (arrays are copied)
+ */
+export function createSnapshot(name, state, uniformValues) {
+  const copy = {};
+  for (const { name: key, type } of STATE_ARRAYS) {
+    copy[key] = type.from(state[key]);
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    vertexCount: copy.pinned.length,
+    springCount: copy.springStiffness.length,
+    cornerCount: copy.faceVertexIds.length,
+    state: copy,
+    uniforms: { ...uniformValues },
+  };
+}
+
+/**
+ * Checks that a snapshot can be loaded into the current geometry
+ *
+ * @param {Object} snapshot - The snapshot to check
+ * @param {number} vertexCount - Number of vertex slots of the current cloth
+ *   (see getVertexCapacity)
+ * @param {number} springCount - Number of spring slots of the current cloth
+ *   (see getSpringCapacity)
+ * @param {number} cornerCount - Number of face corners of the current cloth
+ *   (see getFaceCornerCount)
+ * @throws {Error} Describing every mismatch if the snapshot does not fit
+ */
+export function validateSnapshot(snapshot, vertexCount, springCount, cornerCount) {
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`
+    );
+  }
+
+  const problems = [];
+  if (snapshot.vertexCount !== vertexCount) {
+    problems.push(`it has ${snapshot.vertexCount} vertices, the current cloth has ${vertexCount}`);
+  }
+  if (snapshot.springCount !== springCount) {
+    problems.push(`it has ${snapshot.springCount} springs, the current cloth has ${springCount}`);
+  }
+  if (snapshot.cornerCount !== cornerCount) {
+    problems.push(`it has ${snapshot.cornerCount} face corners, the current cloth has ${cornerCount}`);
+  }
+
+  const counts = { vertex: snapshot.vertexCount, spring: snapshot.springCount, corner: snapshot.cornerCount };
+  for (const { name, components, per } of STATE_ARRAYS) {
+    const array = snapshot.state[name];
+    const expected = counts[per] * components;
+    if (!array || array.length !== expected) {
+      problems.push(`"${name}" has ${array ? array.length : 0} values, expected ${expected}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Snapshot "${snapshot.name}" does not match the current cloth: ${problems.join("; ")}. ` +
+      "Rebuild the cloth with the size, segments or mesh it was saved with."
+    );
+  }
+}
+
+/**
+ * Encodes a typed array as base64
+ * @param {ArrayBufferView} array - The array to encode
+ * @returns {string} Base64 of the array bytes (little-endian)
+ */
+function encodeArray(array) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a typed array encoded with encodeArray
+ * @param {string} data - Base64 data
+ * @param {Function} ArrayType - Typed array constructor
+ * @returns {ArrayBufferView} The decoded array
+ */
+function decodeArray(data, ArrayType) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  if (bytes.length % ArrayType.BYTES_PER_ELEMENT !== 0) {
+    throw new Error(`Corrupt snapshot data for ${ArrayType.name}`);
+  }
+  return new ArrayType(bytes.buffer);
+}
+
+/**
+ * Serializes a snapshot to the versioned JSON file format
+ *
+ * @param {Object} snapshot - The snapshot to serialize
+ * @returns {string} JSON text (state arrays are base64 encoded)
+ */
+export function serializeSnapshot(snapshot) {
+  const state = {};
+  for (const { name } of STATE_ARRAYS) {
+    state[name] = encodeArray(snapshot.state[name]);
+  }
+  return JSON.stringify({ ...snapshot, state });
+}
+
+/**
+ * Parses a snapshot file written by serializeSnapshot
+ *
+ * @param {string} text - JSON text
+ * @returns {Object} The snapshot
+ * @throws {Error} If the text is not a snapshot file or its version is unsupported
+ */
+export function parseSnapshot(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a snapshot file: ${error.message}`);
+  }
+
+  if (!data || typeof data !== "object" || !data.state || typeof data.version !== "number") {
+    throw new Error("Not a snapshot file: missing version or state");
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${data.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  const state = {};
+  for (const { name, type } of STATE_ARRAYS) {
+    if (typeof data.state[name] !== "string") {
+      throw new Error(`Snapshot file is missing "${name}"`);
+    }
+    state[name] = decodeArray(data.state[name], type);
+  }
+
+  return { ...data, uniforms: data.uniforms || {}, state };
+}
+
+/**
+ * Compares two snapshots of the same cloth
+ *
+ * @param {Object} from - The earlier snapshot
+ * @param {Object} to - The later snapshot
+ * @param {number} [epsilon=1e-6] - Displacement below which a vertex counts as unmoved
+ * @returns {{maxDisplacement: number, meanDisplacement: number, movedVertices: number,
+ *   tornSprings: number, repairedSprings: number, pinned: number, unpinned: number,
+ *   uniforms: Array<{name: string, from: *, to: *}>}} Summary of the differences
+ * @throws {Error} If the snapshots have different vertex or spring counts
+ */
+export function diffSnapshots(from, to, epsilon = 1e-6) {
+  if (from.vertexCount !== to.vertexCount || from.springCount !== to.springCount) {
+    throw new Error(
+      `Cannot compare snapshots of different cloths ` +
+      `(${from.vertexCount}/${from.springCount} vs ${to.vertexCount}/${to.springCount} vertices/springs)`
+    );
+  }
+
+  const a = from.state;
+  const b = to.state;
+  let maxDisplacement = 0;
+  let totalDisplacement = 0;
+  let movedVertices = 0;
+  let pinned = 0;
+  let unpinned = 0;
+
+  for (let i = 0; i < from.vertexCount; i++) {
+    const displacement = Math.hypot(
+      b.positions[i * 3] - a.positions[i * 3],
+      b.positions[i * 3 + 1] - a.positions[i * 3 + 1],
+      b.positions[i * 3 + 2] - a.positions[i * 3 + 2]
+    );
+    maxDisplacement = Math.max(maxDisplacement, displacement);
+    totalDisplacement += displacement;
+    if (displacement > epsilon) movedVertices++;
+
+    if (!a.pinned[i] && b.pinned[i]) pinned++;
+    if (a.pinned[i] && !b.pinned[i]) unpinned++;
+  }
+
+  let tornSprings = 0;
+  let repairedSprings = 0;
+  for (let i = 0; i < from.springCount; i++) {
+    // Stitch slots unused in the earlier snapshot
+    if (a.springSources[i] < 0) continue;
+    const wasTorn = a.springStiffness[i] === 0;
+    const isTorn = b.springStiffness[i] === 0;
+    if (!wasTorn && isTorn) tornSprings++;
+    if (wasTorn && !isTorn) repairedSprings++;
+  }
+
+  const uniforms = [];
+  const names = new Set([...Object.keys(from.uniforms), ...Object.keys(to.uniforms)]);
+  for (const name of names) {
+    const fromValue = from.uniforms[name];
+    const toValue = to.uniforms[name];
+    if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+      uniforms.push({ name, from: fromValue, to: toValue });
+    }
+  }
+
+  return {
+    maxDisplacement,
+    meanDisplacement: from.vertexCount > 0 ? totalDisplacement / from.vertexCount : 0,
+    movedVertices,
+    tornSprings,
+    repairedSprings,
+    pinned,
+    unpinned,
+    uniforms,
+  };
+}
+
+/**
+ * Stores a snapshot in memory under its name (replacing any with that name)
+ * @param {Object} snapshot - The snapshot to keep
+ */
+export function storeSnapshot(snapshot) {
+  snapshots.set(snapshot.name, snapshot);
+}
+
+/**
+ * Gets an in-memory snapshot
+ * @param {string} name - Snapshot name
+ * @returns {Object|undefined} The snapshot, if stored
+ */
+export function getSnapshot(name) {
+  return snapshots.get(name);
+}
+
+/**
+ * Deletes an in-memory snapshot
+ * @param {string} name - Snapshot name
+ */
+export function deleteSnapshot(name) {
+  snapshots.delete(name);
+}
+
+/**
+ * Lists the names of the in-memory snapshots, oldest first
+ * @returns {Array<string>} Snapshot names
+ */
+export function listSnapshots() {
+  return [...snapshots.keys()];
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tear event stream
+ * @module simulation/tearEvents
+ *
+ * Every spring that tears (see damageSpring and the XPBD constraint passes
+ * in compute/shaders) produces a tear event: the spring and its two
+ * vertices, the world position of its midpoint, the simulation time and
+ * how far it was stretched. On the GPU the events are appended to a ring
+ * buffer through an atomic counter (see tearEventBuffer in verlet/buffers)
+ * that the render loop reads back once per frame; the CPU solver collects
+ * them in an array (see takeTearEvents). Either way they end up here, where
+ * they are logged and passed to the callbacks registered with onTear.
+ *
+ * Bending springs break with the structural springs they span and springs
+ * cut by the scissors are cut, not torn, so neither produces events.
+ *
+ * The log can be written as CSV. This module only deals with plain arrays,
+ * so it can be used without a browser.
+ */
+
+import { TEAR_EVENT_CONFIG } from "../config/constants.js";
+import { TEAR_EVENT_STRIDE } from "../verlet/buffers.js";
+
+/**
+ * Columns of the CSV file, in the order of the values of an event in the
+ * GPU ring (see TEAR_EVENT_STRIDE)
+ */
+const CSV_COLUMNS = ["spring_id", "vertex0_id", "vertex1_id", "x", "y", "z", "time", "stretch_ratio"];
+
+/**
+ * Callbacks registered with onTear
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Every tear event since the log was last cleared
+ * @type {Array<Object>}
+ */
+let events = [];
+
+/**
+ * Number of events read from the GPU ring so far (its counter value at the
+ * last readback)
+ * @type {number}
+ */
+let ringPosition = 0;
+
+/**
+ * Whether events lost to a full ring were already reported
+ * @type {boolean}
+ */
+let warnedDropped = false;
+
+/**
+ * Registers a callback called once for every tear, in the order they
+ * happened
+ *
+ * A tear event is an object with:
+ * - springId: ID of the torn spring
+ * - vertexIds: IDs of its two vertices [vertex0, vertex1]
+ * - position: World position [x, y, z] of its midpoint when it tore
+ * - time: Simulation time of the step it tore in (s)
+ * - stretch: Its length over its original rest length when it tore
+ *
+ * @param {Function} callback - Called with each tear event
+ * @returns {Function} Removes the callback
+ */
+export function onTear(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Logs tear events and passes them to the onTear callbacks
+ *
+ * @param {Array<Object>} newEvents - Tear events, oldest first
+ */
+export function emitTearEvents(newEvents) {
+  for (const event of newEvents) {
+    events.push(event);
+    for (const listener of listeners) listener(event);
+  }
+}
+
+/**
+ * Emits the events appended to the GPU ring since the last call
+ *
+ * If the ring overflowed in between, only the latest
+ * TEAR_EVENT_CONFIG.capacity events are left and the older ones are lost
+ * (reported once).
+ *
+ * @param {number} count - Value of the ring's counter (tearEventCountBuffer)
+ * @param {ArrayLike<number>} ring - Contents of tearEventBuffer, read back
+ *   together with the counter (with no simulation step in between)
+ * @returns {number} Number of events emitted
+ */
+export function readTearEventRing(count, ring) {
+  const { capacity } = TEAR_EVENT_CONFIG;
+  if (count - ringPosition > capacity) {
+    if (!warnedDropped) {
+      console.warn(`Tear events: ${count - ringPosition - capacity} events were lost, more tears than TEAR_EVENT_CONFIG.capacity in one frame`);
+      warnedDropped = true;
+    }
+    ringPosition = count - capacity;
+  }
+
+  const newEvents = [];
+  for (; ringPosition < count; ringPosition++) {
+    const offset = (ringPosition % capacity) * TEAR_EVENT_STRIDE;
+    newEvents.push({
+      springId: ring[offset],
+      vertexIds: [ring[offset + 1], ring[offset + 2]],
+      position: [ring[offset + 3], ring[offset + 4], ring[offset + 5]],
+      time: ring[offset + 6],
+      stretch: ring[offset + 7],
+    });
+  }
+  emitTearEvents(newEvents);
+  return newEvents.length;
+}
+
+/**
+ * Clears the log and starts reading the GPU ring from its start again
+ * (after its counter was cleared, see resetSimulationBuffers)
+ */
+export function resetTearEvents() {
+  events = [];
+  ringPosition = 0;
+  warnedDropped = false;
+}
+
+/**
+ * Gets every tear event since the log was last cleared
+ * @returns {Array<Object>} Tear events, oldest first (not to be modified)
+ */
+export function getTearEvents() {
+  return events;
+}
+
+/**
+ * Writes tear events as CSV, one row per event
+ *
+ * @param {Array<Object>} tearEvents - Tear events (see onTear)
+ * @returns {string} CSV text with a header row
+ */
+export function serializeTearEventsCSV(tearEvents) {
+  const rows = tearEvents.map(({ springId, vertexIds, position, time, stretch }) =>
+    [springId, ...vertexIds, ...position, time, stretch].join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
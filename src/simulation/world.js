@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Ground plane and world box collision
+ * @module simulation/world
+ *
+ * The cloth can be kept above a horizontal ground plane and inside an
+ * axis-aligned world box. Both reduce to per-axis lower and upper limits a
+ * vertex is clamped to; every face the vertex is clamped against removes
+ * part of its sliding along that face (the ground friction).
+ *
+ * computeVertexForces implements the same math in TSL; the CPU solver uses
+ * these functions directly.
+ */
+
+/**
+ * Stands in for "no limit" on an axis (kept finite so it also works in float32)
+ */
+export const NO_LIMIT = 1e9;
+
+/**
+ * Combines the ground plane and the world box into per-axis limits
+ *
+ * @param {Object} world - Uniform values
+ * @param {number} world.ground - Ground plane enable (0 or 1)
+ * @param {number} world.groundHeight - Y of the ground plane
+ * @param {number} world.worldBounds - World box enable (0 or 1)
+ * @param {{x: number, y: number, z: number}} world.worldBoundsMin - Lower box corner
+ * @param {{x: number, y: number, z: number}} world.worldBoundsMax - Upper box corner
+ * @returns {{lower: Array<number>, upper: Array<number>}} Limits per axis
+ */
+export function getWorldLimits({ ground, groundHeight, worldBounds, worldBoundsMin, worldBoundsMax }) {
+  const hasBox = worldBounds > 0;
+  const lower = hasBox
+    ? [worldBoundsMin.x, worldBoundsMin.y, worldBoundsMin.z]
+    : [-NO_LIMIT, -NO_LIMIT, -NO_LIMIT];
+  const upper = hasBox
+    ? [worldBoundsMax.x, worldBoundsMax.y, worldBoundsMax.z]
+    : [NO_LIMIT, NO_LIMIT, NO_LIMIT];
+  if (ground > 0) lower[1] = Math.max(lower[1], groundHeight);
+  return { lower, upper };
+}
+
+/**
+ * Keeps a vertex step within the world limits (mirrors the ground block in
+ * computeVertexForces)
+ *
+ * The end of the step is clamped to the limits. For every axis it was
+ * clamped on, the motion along the other two axes (sliding along that face)
+ * is scaled by 1 - friction.
+ *
+ * @param {{lower: Array<number>, upper: Array<number>}} limits - From getWorldLimits
+ * @param {Array<number>} position - Vertex position at the start of the step
+ * @param {Array<number>} point - End of the step [x, y, z], updated in place
+ * @param {number} friction - Fraction of sliding removed per face touched
+ * @returns {boolean} Whether the vertex touched a face
+ */
+export function collideWorld(limits, position, point, friction) {
+  const touched = [0, 1, 2].map((k) => {
+    const clamped = Math.min(Math.max(point[k], limits.lower[k]), limits.upper[k]);
+    const isTouched = clamped !== point[k];
+    point[k] = clamped;
+    return isTouched;
+  });
+
+  const slide = 1 - friction;
+  for (let k = 0; k < 3; k++) {
+    let scale = 1;
+    for (let other = 0; other < 3; other++) {
+      if (other !== k && touched[other]) scale *= slide;
+    }
+    point[k] = position[k] + (point[k] - position[k]) * scale;
+  }
+  return touched.some(Boolean);
+}
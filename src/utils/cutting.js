@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Cutting helpers for the scissors interaction mode
+ * @module utils/cutting
+ *
+ * A scissors stroke is drawn on the screen, so in the scene it is a surface:
+ * the rays through consecutive cursor positions sweep a strip from the
+ * camera into the scene. This module finds the springs whose segments pass
+ * through one piece of that strip. Like the picking helpers it works on a
+ * plain position array (a readback of vertexPositionBuffer or the CPU solver
+ * positions), so it cuts the deformed cloth and runs without a GPU.
+ */
+
+/**
+ * Tolerance below which a segment is treated as parallel to a triangle
+ */
+const PARALLEL_EPSILON = 1e-12;
+
+/**
+ * Checks whether a segment passes through a triangle (Möller-Trumbore)
+ *
+ * @param {Array<number>} p0 - Segment start (xyz)
+ * @param {Array<number>} p1 - Segment end (xyz)
+ * @param {Array<number>} a - First triangle corner (xyz)
+ * @param {Array<number>} edge1 - Second corner minus the first (xyz)
+ * @param {Array<number>} edge2 - Third corner minus the first (xyz)
+ * @returns {boolean} True if the segment crosses the triangle
+ */
+function segmentCrossesTriangle(p0, p1, a, edge1, edge2) {
+  const dx = p1[0] - p0[0];
+  const dy = p1[1] - p0[1];
+  const dz = p1[2] - p0[2];
+
+  // p = d x edge2
+  const px = dy * edge2[2] - dz * edge2[1];
+  const py = dz * edge2[0] - dx * edge2[2];
+  const pz = dx * edge2[1] - dy * edge2[0];
+  const det = edge1[0] * px + edge1[1] * py + edge1[2] * pz;
+  if (Math.abs(det) < PARALLEL_EPSILON) return false;
+  const inverseDet = 1 / det;
+
+  const tx = p0[0] - a[0];
+  const ty = p0[1] - a[1];
+  const tz = p0[2] - a[2];
+  const u = (tx * px + ty * py + tz * pz) * inverseDet;
+  if (u < 0 || u > 1) return false;
+
+  // q = t x edge1
+  const qx = ty * edge1[2] - tz * edge1[1];
+  const qy = tz * edge1[0] - tx * edge1[2];
+  const qz = tx * edge1[1] - ty * edge1[0];
+  const v = (dx * qx + dy * qy + dz * qz) * inverseDet;
+  if (v < 0 || u + v > 1) return false;
+
+  // Position of the crossing along the segment
+  const t = (edge2[0] * qx + edge2[1] * qy + edge2[2] * qz) * inverseDet;
+  return t >= 0 && t <= 1;
+}
+
+/**
+ * Finds the springs cut by one piece of a scissors stroke
+ *
+ * The piece is the surface swept between two cursor rays, from their
+ * origins to maxDepth along each (two triangles, so it works for
+ * perspective and orthographic cameras alike). A spring is cut when the
+ * segment between its two vertices passes through that surface.
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {Array<Object>} springs - Verlet springs (from setupVerletGeometry)
+ * @param {THREE.Ray} startRay - Cursor ray at the start of the piece
+ * @param {THREE.Ray} endRay - Cursor ray at the end of the piece
+ * @param {number} maxDepth - Distance along the rays the surface reaches
+ * @returns {Array<number>} IDs of the cut springs, in ascending order
+ */
+export function findCutSprings(positions, springs, startRay, endRay, maxDepth) {
+  const corner = (ray, depth) => [
+    ray.origin.x + ray.direction.x * depth,
+    ray.origin.y + ray.direction.y * depth,
+    ray.origin.z + ray.direction.z * depth,
+  ];
+  const subtract = (p, q) => [p[0] - q[0], p[1] - q[1], p[2] - q[2]];
+
+  const startNear = corner(startRay, 0);
+  const startFar = corner(startRay, maxDepth);
+  const endNear = corner(endRay, 0);
+  const endFar = corner(endRay, maxDepth);
+
+  // The strip as two triangles sharing the start-near/end-far diagonal (with
+  // a perspective camera the second one is degenerate and never crossed)
+  const triangles = [
+    [startNear, subtract(startFar, startNear), subtract(endFar, startNear)],
+    [startNear, subtract(endFar, startNear), subtract(endNear, startNear)],
+  ];
+
+  const cut = [];
+  const p0 = [0, 0, 0];
+  const p1 = [0, 0, 0];
+  for (const spring of springs) {
+    const id0 = spring.vertex0.id * 3;
+    const id1 = spring.vertex1.id * 3;
+    p0[0] = positions[id0];
+    p0[1] = positions[id0 + 1];
+    p0[2] = positions[id0 + 2];
+    p1[0] = positions[id1];
+    p1[1] = positions[id1 + 1];
+    p1[2] = positions[id1 + 2];
+
+    if (triangles.some(([a, edge1, edge2]) => segmentCrossesTriangle(p0, p1, a, edge1, edge2))) {
+      cut.push(spring.id);
+    }
+  }
+  return cut;
+}
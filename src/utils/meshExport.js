@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Export of the deformed cloth as OBJ, binary glTF or PLY
+ * @module utils/meshExport
+ *
+ * This module turns a snapshot of Verlet vertex positions into an indexed
+ * triangle mesh (positions, normals, UVs) and serializes it. The faces of
+ * the cloth are exported: both layers of grid cloth, or the triangles and
+ * UVs of an imported mesh; torn-off pieces come out as separate parts.
+ *
+ * Everything here works on plain typed arrays, so it can be exercised with
+ * synthetic positions without a browser or GPU.
+ */
+
+/**
+ * Supported export formats
+ * @enum {{label: string, extension: string, mimeType: string}}
+ */
+export const EXPORT_FORMATS = {
+  obj: { label: "OBJ", extension: "obj", mimeType: "text/plain" },
+  glb: { label: "glTF (binary)", extension: "glb", mimeType: "model/gltf-binary" },
+  ply: { label: "PLY", extension: "ply", mimeType: "text/plain" },
+};
+
+/**
+ * Gets the faces of the cloth to export (see buildFaceExportMesh)
+ *
+ * Torn faces are left out, but a torn quad keeping a triangle half gives
+ * that half, its corners wound like the quad's corners 0, 2, 1 (see
+ * verlet/fracture).
+ *
+ * @param {Array<Object>} faces - Verlet faces (verletFaces)
+ * @returns {Array<{vertexIds: Array<number>, uvs: Array<number>, flip: boolean}>}
+ *   The faces to export
+ */
+export function getExportFaces(faces) {
+  return faces
+    .filter((face) => !face.torn || face.keptTriangle)
+    .map((face) => {
+      const corners = face.torn ? face.keptTriangle : face.vertices.map((vertex, corner) => corner);
+      return {
+        vertexIds: corners.map((corner) => face.vertices[corner].id),
+        uvs: corners.flatMap((corner) => [face.uvs[corner * 2], face.uvs[corner * 2 + 1]]),
+        flip: face.layer === "bottom",
+      };
+    });
+}
+
+/**
+ * Builds the export mesh of the cloth faces
+ *
+ * Each face is a grid quad (4 Verlet vertex ids, in the order (x, y),
+ * (x + 1, y), (x, y + 1), (x + 1, y + 1)) or a triangle (3 ids), with a UV
+ * per corner. Quads are wound so that an unflipped layer faces +Y when its
+ * columns run along X and its rows along Z, triangles keep their winding;
+ * flipped faces face the opposite way. Corners sharing a Verlet vertex and
+ * a UV share an export vertex, so UV seams are kept; normals are averaged
+ * per Verlet vertex, so they stay smooth across UV seams. Pieces the cloth
+ * has torn off share no Verlet vertex (see verlet/fracture), so they come
+ * out as separate parts with their own borders.
+ *
+ * @param {Float32Array} positions - Verlet vertex positions (xyz per vertex)
+ * @param {Array<{vertexIds: Array<number>, uvs: ArrayLike<number>, flip: boolean}>} faces -
+ *   Faces to export
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}}
+ *   The export mesh
+ */
+export function buildFaceExportMesh(positions, faces) {
+  const sourceIds = [];
+  const uvs = [];
+  const indices = [];
+  // Export vertex index per Verlet vertex and UV, allocated on first use
+  const exportIds = new Map();
+
+  const exportVertex = (id, u, v) => {
+    const key = `${id}/${u}/${v}`;
+    let index = exportIds.get(key);
+    if (index === undefined) {
+      index = sourceIds.length;
+      exportIds.set(key, index);
+      sourceIds.push(id);
+      uvs.push(u, v);
+    }
+    return index;
+  };
+
+  for (const { vertexIds, uvs: faceUVs, flip } of faces) {
+    const corners = vertexIds.map((id, corner) => exportVertex(id, faceUVs[corner * 2], faceUVs[corner * 2 + 1]));
+
+    if (corners.length === 4) {
+      const [i0, i1, i2, i3] = corners;
+      if (flip) {
+        indices.push(i0, i1, i2, i1, i3, i2);
+      } else {
+        indices.push(i0, i2, i1, i1, i2, i3);
+      }
+    } else {
+      const [a, b, c] = corners;
+      if (flip) {
+        indices.push(a, c, b);
+      } else {
+        indices.push(a, b, c);
+      }
+    }
+  }
+
+  return finishExportMesh(positions, sourceIds, uvs, indices);
+}
+
+/**
+ * Gathers export vertex positions and computes area-weighted normals,
+ * averaged per Verlet vertex
+ *
+ * @param {Float32Array} positions - Verlet vertex positions (xyz per vertex)
+ * @param {ArrayLike<number>} sourceIds - Verlet vertex of each export vertex
+ * @param {ArrayLike<number>} uvs - UV per export vertex
+ * @param {ArrayLike<number>} indices - Triangle indices into the export vertices
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}}
+ *   The export mesh
+ */
+function finishExportMesh(positions, sourceIds, uvs, indices) {
+  const vertexCount = sourceIds.length;
+  const exportPositions = new Float32Array(vertexCount * 3);
+  for (let i = 0; i < vertexCount; i++) {
+    const id = sourceIds[i];
+    exportPositions[i * 3] = positions[id * 3];
+    exportPositions[i * 3 + 1] = positions[id * 3 + 1];
+    exportPositions[i * 3 + 2] = positions[id * 3 + 2];
+  }
+
+  // Accumulate unnormalized face normals (weighted by area) per Verlet vertex
+  const vertexNormals = new Map();
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    const a = indices[t] * 3;
+    const b = indices[t + 1] * 3;
+    const c = indices[t + 2] * 3;
+    const abx = exportPositions[b] - exportPositions[a];
+    const aby = exportPositions[b + 1] - exportPositions[a + 1];
+    const abz = exportPositions[b + 2] - exportPositions[a + 2];
+    const acx = exportPositions[c] - exportPositions[a];
+    const acy = exportPositions[c + 1] - exportPositions[a + 1];
+    const acz = exportPositions[c + 2] - exportPositions[a + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+
+    for (let k = 0; k < 3; k++) {
+      const id = sourceIds[indices[t + k]];
+      const normal = vertexNormals.get(id);
+      if (normal) {
+        normal[0] += nx;
+        normal[1] += ny;
+        normal[2] += nz;
+      } else {
+        vertexNormals.set(id, [nx, ny, nz]);
+      }
+    }
+  }
+
+  const normals = new Float32Array(vertexCount * 3);
+  for (let i = 0; i < vertexCount; i++) {
+    const [nx, ny, nz] = vertexNormals.get(sourceIds[i]) || [0, 0, 0];
+    const length = Math.hypot(nx, ny, nz);
+    if (length > 0) {
+      normals[i * 3] = nx / length;
+      normals[i * 3 + 1] = ny / length;
+      normals[i * 3 + 2] = nz / length;
+    } else {
+      normals[i * 3 + 1] = 1; // Unused or degenerate vertex
+    }
+  }
+
+  return {
+    positions: exportPositions,
+    normals,
+    uvs: Float32Array.from(uvs),
+    indices: Uint32Array.from(indices),
+  };
+}
+
+/**
+ * Formats a number for the text formats
+ * @param {number} value - The value to format
+ * @returns {string} The value with 6 decimals
+ */
+function formatNumber(value) {
+  return value.toFixed(6);
+}
+
+/**
+ * Serializes an export mesh as Wavefront OBJ
+ *
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} mesh -
+ *   The export mesh
+ * @returns {string} The OBJ file contents
+ */
+export function serializeOBJ(mesh) {
+  const { positions, normals, uvs, indices } = mesh;
+  const vertexCount = positions.length / 3;
+  const lines = ["# Exported cloth mesh", "o Cloth"];
+
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(`v ${formatNumber(positions[i * 3])} ${formatNumber(positions[i * 3 + 1])} ${formatNumber(positions[i * 3 + 2])}`);
+  }
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(`vt ${formatNumber(uvs[i * 2])} ${formatNumber(uvs[i * 2 + 1])}`);
+  }
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(`vn ${formatNumber(normals[i * 3])} ${formatNumber(normals[i * 3 + 1])} ${formatNumber(normals[i * 3 + 2])}`);
+  }
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    // OBJ indices are 1-based; position, UV and normal share the same index
+    const [a, b, c] = [indices[t] + 1, indices[t + 1] + 1, indices[t + 2] + 1];
+    lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serializes an export mesh as ASCII PLY
+ *
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} mesh -
+ *   The export mesh
+ * @returns {string} The PLY file contents
+ */
+export function serializePLY(mesh) {
+  const { positions, normals, uvs, indices } = mesh;
+  const vertexCount = positions.length / 3;
+  const faceCount = Math.floor(indices.length / 3);
+  const lines = [
+    "ply",
+    "format ascii 1.0",
+    "comment Exported cloth mesh",
+    `element vertex ${vertexCount}`,
+    "property float x",
+    "property float y",
+    "property float z",
+    "property float nx",
+    "property float ny",
+    "property float nz",
+    "property float s",
+    "property float t",
+    `element face ${faceCount}`,
+    "property list uchar int vertex_indices",
+    "end_header",
+  ];
+
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push([
+      positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2],
+      normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2],
+      uvs[i * 2], uvs[i * 2 + 1],
+    ].map(formatNumber).join(" "));
+  }
+  for (let t = 0; t < faceCount * 3; t += 3) {
+    lines.push(`3 ${indices[t]} ${indices[t + 1]} ${indices[t + 2]}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * glTF constants used by serializeGLB
+ */
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a; // "JSON"
+const GLB_CHUNK_BIN = 0x004e4942; // "BIN\0"
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Serializes an export mesh as binary glTF 2.0 (GLB)
+ *
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} mesh -
+ *   The export mesh
+ * @returns {ArrayBuffer} The GLB file contents
+ * @throws {Error} If the mesh has no faces (glTF accessors cannot be empty)
+ */
+export function serializeGLB(mesh) {
+  const { positions, normals, uvs, indices } = mesh;
+  const vertexCount = positions.length / 3;
+
+  if (indices.length === 0) {
+    throw new Error("Cannot export an empty mesh as glTF");
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertexCount; i++) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i * 3 + k]);
+      max[k] = Math.max(max[k], positions[i * 3 + k]);
+    }
+  }
+
+  // All arrays are 4-byte types, so they can be packed back to back
+  const arrays = [positions, normals, uvs, indices];
+  const bufferViews = [];
+  let byteOffset = 0;
+  for (const array of arrays) {
+    bufferViews.push({
+      buffer: 0,
+      byteOffset,
+      byteLength: array.byteLength,
+      target: array === indices ? GL_ELEMENT_ARRAY_BUFFER : GL_ARRAY_BUFFER,
+    });
+    byteOffset += array.byteLength;
+  }
+  const binLength = byteOffset;
+
+  const json = {
+    asset: { version: "2.0", generator: "arvr_mesh_manipulation" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: "Cloth" }],
+    meshes: [{
+      name: "Cloth",
+      primitives: [{
+        attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 },
+        indices: 3,
+        mode: 4,
+      }],
+    }],
+    buffers: [{ byteLength: binLength }],
+    bufferViews,
+    accessors: [
+      { bufferView: 0, componentType: GL_FLOAT, count: vertexCount, type: "VEC3", min, max },
+      { bufferView: 1, componentType: GL_FLOAT, count: vertexCount, type: "VEC3" },
+      { bufferView: 2, componentType: GL_FLOAT, count: vertexCount, type: "VEC2" },
+      { bufferView: 3, componentType: GL_UNSIGNED_INT, count: indices.length, type: "SCALAR" },
+    ],
+  };
+
+  // The JSON chunk is padded with spaces to a 4-byte boundary
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+  const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+
+  const glb = new ArrayBuffer(totalLength);
+  const view = new DataView(glb);
+  const bytes = new Uint8Array(glb);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  bytes.set(jsonBytes, 20);
+  bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+  const binStart = 20 + jsonLength;
+  view.setUint32(binStart, binLength, true);
+  view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+  for (let i = 0; i < arrays.length; i++) {
+    const array = arrays[i];
+    bytes.set(
+      new Uint8Array(array.buffer, array.byteOffset, array.byteLength),
+      binStart + 8 + bufferViews[i].byteOffset
+    );
+  }
+
+  return glb;
+}
+
+/**
+ * Serializes an export mesh in the given format
+ *
+ * @param {Object} mesh - The export mesh
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string|ArrayBuffer} The file contents
+ * @throws {Error} If the format is unknown
+ */
+export function serializeMesh(mesh, format) {
+  switch (format) {
+    case "obj":
+      return serializeOBJ(mesh);
+    case "glb":
+      return serializeGLB(mesh);
+    case "ply":
+      return serializePLY(mesh);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
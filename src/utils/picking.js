@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Vertex picking helpers
+ * @module utils/picking
+ *
+ * This module finds Verlet vertices under the cursor. It works on a plain
+ * position array (a readback of vertexPositionBuffer or the CPU solver
+ * positions), so picking follows the deformed cloth rather than its rest plane.
+ */
+
+/**
+ * Finds the vertex closest to a ray
+ *
+ * Vertices behind the ray origin are ignored. Among vertices within
+ * maxDistance of the ray, the one closest to the ray wins; ties are broken
+ * in favor of the vertex nearer to the ray origin.
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {THREE.Ray} ray - Picking ray (direction must be normalized)
+ * @param {number} maxDistance - Maximum distance from the ray to accept a vertex
+ * @returns {{index: number, distance: number, depth: number}|null} The picked
+ *   vertex, its distance from the ray and its distance along the ray, or null
+ */
+export function findNearestVertex(positions, ray, maxDistance) {
+  const { origin, direction } = ray;
+  const vertexCount = positions.length / 3;
+  const maxDistanceSq = maxDistance * maxDistance;
+
+  let best = null;
+  let bestDistanceSq = Infinity;
+  let bestDepth = Infinity;
+
+  for (let i = 0; i < vertexCount; i++) {
+    const dx = positions[i * 3] - origin.x;
+    const dy = positions[i * 3 + 1] - origin.y;
+    const dz = positions[i * 3 + 2] - origin.z;
+
+    // Distance along the ray
+    const depth = dx * direction.x + dy * direction.y + dz * direction.z;
+    if (depth < 0) continue;
+
+    // Squared distance from the ray
+    const distanceSq = dx * dx + dy * dy + dz * dz - depth * depth;
+    if (distanceSq > maxDistanceSq) continue;
+
+    const isCloser = distanceSq < bestDistanceSq - 1e-12;
+    const isTieButNearer = Math.abs(distanceSq - bestDistanceSq) <= 1e-12 && depth < bestDepth;
+
+    if (isCloser || isTieButNearer) {
+      best = i;
+      bestDistanceSq = distanceSq;
+      bestDepth = depth;
+    }
+  }
+
+  if (best === null) return null;
+
+  return {
+    index: best,
+    distance: Math.sqrt(Math.max(bestDistanceSq, 0)),
+    depth: bestDepth,
+  };
+}
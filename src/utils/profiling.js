@@ -0,0 +1,41 @@
+/**
+ * @fileoverview GPU timings of compute passes
+ * @module utils/profiling
+ *
+ * The Inspector enables GPU timestamp queries on the renderer and records the
+ * GPU time of every compute dispatch, by compute node name, in its frame
+ * history. This module reads that history back so the cost of individual
+ * simulation passes can be shown outside the Inspector's performance tab.
+ */
+
+/**
+ * Averages the GPU time of compute passes over the frames the Inspector
+ * has resolved timestamps for
+ *
+ * @param {Object} inspector - The renderer's Inspector
+ * @param {string} prefix - Name prefix of the passes to measure
+ * @returns {{matched: number, total: number}|null} Milliseconds per frame
+ *   spent in the matching passes and in all compute passes, or null when no
+ *   GPU timestamps are available (no timestamp-query support, or no frame
+ *   resolved yet)
+ */
+export function getComputePassTimings(inspector, prefix) {
+  const frames = (inspector && inspector.frames) || [];
+  let matched = 0;
+  let total = 0;
+  let frameCount = 0;
+
+  for (const frame of frames) {
+    if (!frame.resolvedCompute || frame.computes.length === 0) continue;
+    if (frame.computes.some((stats) => stats.gpuNotAvailable)) continue;
+
+    for (const stats of frame.computes) {
+      total += stats.gpu;
+      if (stats.name.startsWith(prefix)) matched += stats.gpu;
+    }
+    frameCount++;
+  }
+
+  if (frameCount === 0) return null;
+  return { matched: matched / frameCount, total: total / frameCount };
+}
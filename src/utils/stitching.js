@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Stitching helpers for the stitch interaction mode
+ * @module utils/stitching
+ *
+ * Brushing over a torn region mends it: torn springs within the brush get
+ * their original stiffness back, as long as their vertices have come close
+ * enough again (see STITCH_CONFIG.maxStretch), and optionally new stitch
+ * springs sew together border vertices that lie close to each other (see
+ * addStitchSpring in verlet/geometry). This module finds those springs and
+ * vertex pairs. Like the cutting helpers it works on plain arrays (a
+ * readback of the position and stiffness buffers or the CPU solver state),
+ * so it mends the deformed cloth and runs without a GPU.
+ */
+
+import { STITCH_CONFIG } from "../config/constants.js";
+import { SPRING_TYPE } from "../verlet/geometry.js";
+
+/**
+ * Squared distance between two vertices
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {number} id0 - First vertex ID
+ * @param {number} id1 - Second vertex ID
+ * @returns {number} Squared distance (m²)
+ */
+function distanceSquared(positions, id0, id1) {
+  const dx = positions[id1 * 3] - positions[id0 * 3];
+  const dy = positions[id1 * 3 + 1] - positions[id0 * 3 + 1];
+  const dz = positions[id1 * 3 + 2] - positions[id0 * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Checks whether a vertex lies within the brush
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {number} id - Vertex ID
+ * @param {Array<number>} center - Brush center (xyz)
+ * @returns {boolean} True if the vertex is within STITCH_CONFIG.brushRadius
+ */
+function isInBrush(positions, id, center) {
+  const dx = positions[id * 3] - center[0];
+  const dy = positions[id * 3 + 1] - center[1];
+  const dz = positions[id * 3 + 2] - center[2];
+  return dx * dx + dy * dy + dz * dz <= STITCH_CONFIG.brushRadius * STITCH_CONFIG.brushRadius;
+}
+
+/**
+ * Finds the torn springs a brush dab mends
+ *
+ * A torn structural, shear or Z-spring is mended when its midpoint lies
+ * within the brush and its vertices are no further apart than
+ * STITCH_CONFIG.maxStretch times its original rest length. A torn bending
+ * spring is mended along with them once both structural springs it spans
+ * are intact again.
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ *   (0 for torn springs)
+ * @param {Array<Object>} springs - Verlet springs
+ * @param {Array<number>} center - Brush center (xyz)
+ * @returns {Array<number>} IDs of the springs to mend, in ascending order
+ */
+export function findMendableSprings(positions, stiffness, springs, center) {
+  const { brushRadius, maxStretch } = STITCH_CONFIG;
+  const mended = new Set();
+
+  for (const spring of springs) {
+    if (stiffness[spring.id] > 0 || spring.type === SPRING_TYPE.BENDING) continue;
+    const id0 = spring.vertex0.id;
+    const id1 = spring.vertex1.id;
+
+    const dx = (positions[id0 * 3] + positions[id1 * 3]) / 2 - center[0];
+    const dy = (positions[id0 * 3 + 1] + positions[id1 * 3 + 1]) / 2 - center[1];
+    const dz = (positions[id0 * 3 + 2] + positions[id1 * 3 + 2]) / 2 - center[2];
+    if (dx * dx + dy * dy + dz * dz > brushRadius * brushRadius) continue;
+
+    const maxLength = maxStretch * spring.restLength;
+    if (distanceSquared(positions, id0, id1) <= maxLength * maxLength) mended.add(spring.id);
+  }
+
+  const isIntact = (spring) => stiffness[spring.id] > 0 || mended.has(spring.id);
+  const bending = springs.filter((spring) =>
+    spring.neighbors &&
+    stiffness[spring.id] <= 0 &&
+    spring.neighbors.some((neighbor) => mended.has(neighbor.id)) &&
+    spring.neighbors.every(isIntact)
+  );
+  for (const spring of bending) mended.add(spring.id);
+
+  return [...mended].sort((a, b) => a - b);
+}
+
+/**
+ * Finds the pairs of border vertices a brush dab sews together
+ *
+ * Border vertices are those with a torn structural, shear or Z-spring
+ * left. Two border vertices within the brush are sewn when they are closer
+ * than STITCH_CONFIG.stitchDistance, lie on the same layer, were not split
+ * from the same vertex and share no spring yet. Closest pairs are sewn
+ * first, and no vertex gets more than STITCH_CONFIG.stitchesPerVertex
+ * stitches.
+ *
+ * Each stitch takes its material from a torn in-plane spring at one of its
+ * vertices (its template, see addStitchSpring in verlet/geometry).
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {ArrayLike<number>} stiffness - Stiffness of every spring, with
+ *   the springs mended by the same dab already restored
+ * @param {Array<Object>} vertices - Verlet vertices
+ * @param {Array<Object>} springs - Verlet springs
+ * @param {Array<number>} center - Brush center (xyz)
+ * @returns {Array<{vertex0: Object, vertex1: Object, restLength: number, template: Object}>}
+ *   The stitches to make, closest first
+ */
+export function findStitchPairs(positions, stiffness, vertices, springs, center) {
+  const { stitchDistance, stitchesPerVertex } = STITCH_CONFIG;
+
+  const getTemplate = (vertex) => {
+    const ref = vertex.springIds.find(({ id, type }) => type === SPRING_TYPE.IN_PLANE && stiffness[id] <= 0);
+    return ref ? springs[ref.id] : null;
+  };
+  const countStitches = (vertex) => vertex.springIds.filter(({ id }) => springs[id].template).length;
+
+  const border = vertices.filter((vertex) =>
+    isInBrush(positions, vertex.id, center) &&
+    vertex.springIds.some(({ id, type }) => type !== SPRING_TYPE.BENDING && stiffness[id] <= 0)
+  );
+
+  const candidates = [];
+  for (let i = 0; i < border.length; i++) {
+    for (let j = i + 1; j < border.length; j++) {
+      const vertex0 = border[i];
+      const vertex1 = border[j];
+      if (vertex0.layer !== vertex1.layer || vertex0.sourceId === vertex1.sourceId) continue;
+
+      const lengthSquared = distanceSquared(positions, vertex0.id, vertex1.id);
+      if (lengthSquared >= stitchDistance * stitchDistance) continue;
+
+      const joined = vertex0.springIds.some(({ id }) => {
+        const spring = springs[id];
+        return spring.vertex0 === vertex1 || spring.vertex1 === vertex1;
+      });
+      if (!joined) candidates.push({ vertex0, vertex1, restLength: Math.sqrt(lengthSquared) });
+    }
+  }
+  candidates.sort((a, b) => a.restLength - b.restLength);
+
+  const stitchCounts = new Map(border.map((vertex) => [vertex, countStitches(vertex)]));
+  const stitches = [];
+  for (const candidate of candidates) {
+    const { vertex0, vertex1 } = candidate;
+    if (stitchCounts.get(vertex0) >= stitchesPerVertex || stitchCounts.get(vertex1) >= stitchesPerVertex) continue;
+
+    const template = getTemplate(vertex0) || getTemplate(vertex1);
+    if (!template) continue;
+
+    stitchCounts.set(vertex0, stitchCounts.get(vertex0) + 1);
+    stitchCounts.set(vertex1, stitchCounts.get(vertex1) + 1);
+    stitches.push({ ...candidate, template });
+  }
+  return stitches;
+}
@@ -9,6 +9,17 @@
 
 import * as THREE from 'three/webgpu';
 import { uniform } from 'three/tsl';
+import {
+  DEFAULT_PARAMS,
+  WIND_CONFIG,
+  SDF_CONFIG,
+  SELF_COLLISION_CONFIG,
+  GROUND_CONFIG,
+  WORLD_BOUNDS_CONFIG,
+  XPBD_CONFIG,
+  SPRING_BREAK_ENABLED,
+  TEAR_CONFIG,
+} from '../config/constants.js';
 
 /**
  * Uniform controlling dampening/friction coefficient
@@ -18,31 +29,43 @@ import { uniform } from 'three/tsl';
 export let dampeningUniform = null;
 
 /**
- * Uniform storing the sphere's current position in 3D space
+ * Uniform controlling spring stiffness coefficient
+ * Higher values make springs stiffer/more rigid
  * @type {Object|null}
  */
-export let spherePositionUniform = null;
+export let stiffnessUniform = null;
 
 /**
- * Uniform controlling spring stiffness coefficient
- * Higher values make springs stiffer/more rigid
+ * Uniform controlling wind force intensity
+ * Multiplier for the wind noise force applied to vertices
  * @type {Object|null}
  */
-export let stiffnessUniform = null;
+export let windUniform = null;
 
 /**
- * Uniform controlling sphere collision force multiplier
- * Set to 0 to disable sphere collision, 1 to enable
+ * Uniform storing the prevailing wind direction (normalized in the shader)
  * @type {Object|null}
  */
-export let sphereUniform = null;
+export let windDirectionUniform = null;
 
 /**
- * Uniform controlling wind force intensity
- * Multiplier for the wind noise force applied to vertices
+ * Uniform controlling how fast the wind noise field evolves (gusts)
  * @type {Object|null}
  */
-export let windUniform = null;
+export let windGustFrequencyUniform = null;
+
+/**
+ * Uniform controlling the spatial frequency of the wind turbulence noise
+ * @type {Object|null}
+ */
+export let windTurbulenceScaleUniform = null;
+
+/**
+ * Uniform storing the current simulation time in seconds
+ * Advanced once per fixed simulation step, drives time-varying forces
+ * @type {Object|null}
+ */
+export let timeUniform = null;
 
 /**
  * Uniform controlling Z-spring stiffness multiplier
@@ -59,18 +82,158 @@ export let zSpringStiffnessUniform = null;
 export let inPlaneStiffnessUniform = null;
 
 /**
- * Uniform controlling sphere collision radius
- * Affects the size of the collision sphere/cylinder
+ * Uniform controlling bending spring stiffness multiplier
+ * Affects skip-one springs resisting folding within each layer
+ * @type {Object|null}
+ */
+export let bendingStiffnessUniform = null;
+
+/**
+ * Uniform controlling whether a vertex is being dragged
+ * Set to 1 while dragging, 0 otherwise
+ * @type {Object|null}
+ */
+export let dragUniform = null;
+
+/**
+ * Uniform storing the ID of the vertex being dragged
+ * @type {Object|null}
+ */
+export let dragVertexIndexUniform = null;
+
+/**
+ * Uniform storing the world-space target position of the dragged vertex
+ * @type {Object|null}
+ */
+export let dragTargetUniform = null;
+
+/**
+ * Uniform controlling signed distance field collision
+ * Set to 1 while an SDF shape is loaded (see setActiveSDF), 0 otherwise
+ * @type {Object|null}
+ */
+export let sdfUniform = null;
+
+/**
+ * Uniform storing the world position of the first SDF sample
+ * @type {Object|null}
+ */
+export let sdfOriginUniform = null;
+
+/**
+ * Uniform storing the spacing between SDF samples
+ * @type {Object|null}
+ */
+export let sdfCellSizeUniform = null;
+
+/**
+ * Uniform controlling the distance from the SDF surface at which the cloth stops
+ * @type {Object|null}
+ */
+export let sdfThicknessUniform = null;
+
+/**
+ * Uniform controlling the fraction of tangential motion removed on SDF contact
+ * @type {Object|null}
+ */
+export let sdfFrictionUniform = null;
+
+/**
+ * Uniform controlling self-collision (0 or 1)
+ * The self-collision passes only run while it is set
+ * @type {Object|null}
+ */
+export let selfCollisionUniform = null;
+
+/**
+ * Uniform storing the minimum distance kept between vertices not joined by a spring
+ * @type {Object|null}
+ */
+export let selfCollisionRadiusUniform = null;
+
+/**
+ * Uniform controlling the ground plane (0 or 1)
+ * @type {Object|null}
+ */
+export let groundUniform = null;
+
+/**
+ * Uniform storing the Y of the ground plane
+ * @type {Object|null}
+ */
+export let groundHeightUniform = null;
+
+/**
+ * Uniform controlling the fraction of sliding removed on contact with the
+ * ground plane or the world box
+ * @type {Object|null}
+ */
+export let groundFrictionUniform = null;
+
+/**
+ * Uniform controlling the axis-aligned world box (0 or 1)
+ * @type {Object|null}
+ */
+export let worldBoundsUniform = null;
+
+/**
+ * Uniform storing the lower corner of the world box
+ * @type {Object|null}
+ */
+export let worldBoundsMinUniform = null;
+
+/**
+ * Uniform storing the upper corner of the world box
+ * @type {Object|null}
+ */
+export let worldBoundsMaxUniform = null;
+
+/**
+ * Uniform storing the number of XPBD iterations per step
+ * Read on the CPU to decide how many constraint passes to dispatch
+ * @type {Object|null}
+ */
+export let xpbdIterationsUniform = null;
+
+/**
+ * Uniform controlling tearing (0 or 1)
+ * While it is 0 springs still weaken and lengthen, but never tear
+ * @type {Object|null}
+ */
+export let tearingUniform = null;
+
+/**
+ * Uniform scaling the stretch allowance (tear threshold - 1) of every spring
+ * @type {Object|null}
+ */
+export let tearThresholdScaleUniform = null;
+
+/**
+ * Uniform storing the stretch, as a fraction of the allowance, beyond which
+ * a spring loses stiffness for good
+ * @type {Object|null}
+ */
+export let damageOnsetUniform = null;
+
+/**
+ * Uniform storing the fraction of its stiffness a spring keeps just before tearing
  * @type {Object|null}
  */
-export let sphereRadiusUniform = null;
+export let residualStiffnessUniform = null;
 
 /**
- * Uniform controlling cylinder collision height
- * When > 0, collision uses cylinder mode instead of sphere
+ * Uniform storing the stretch, as a fraction of the allowance, beyond which
+ * a spring's rest length grows for good
  * @type {Object|null}
  */
-export let cylinderHeightUniform = null;
+export let yieldPointUniform = null;
+
+/**
+ * Uniform storing the fraction of the largest stretch beyond the yield point
+ * kept as permanent length
+ * @type {Object|null}
+ */
+export let plasticityUniform = null;
 
 /**
  * Sets up all uniforms for the simulation
@@ -80,34 +243,101 @@ export let cylinderHeightUniform = null;
  *
  * Default values:
  * - dampening: 0.99 (minimal friction)
- * - spherePosition: (0, 0, 0) origin
- * - sphere: 1.0 (collision enabled)
- * - wind: 1.0 (normal wind strength)
+ * - wind: DEFAULT_PARAMS.wind (wind off by default)
+ * - windDirection/windGustFrequency/windTurbulenceScale: WIND_CONFIG
+ * - time: 0.0 (simulation start)
  * - stiffness: 0.2 (moderate spring stiffness)
+ * - sdf: 0.0 (no SDF shape), sdfThickness/sdfFriction: SDF_CONFIG
+ * - selfCollision/selfCollisionRadius: SELF_COLLISION_CONFIG
+ * - ground/groundHeight/groundFriction: GROUND_CONFIG
+ * - worldBounds/worldBoundsMin/worldBoundsMax: WORLD_BOUNDS_CONFIG
+ * - xpbdIterations: XPBD_CONFIG
+ * - tearing: SPRING_BREAK_ENABLED
+ * - tearThresholdScale/damageOnset/residualStiffness/yieldPoint/plasticity: TEAR_CONFIG
  *
  * @returns {Object} Object containing all uniforms
  */
 export function setupUniforms() {
   dampeningUniform = uniform(0.99);
-  spherePositionUniform = uniform(new THREE.Vector3(0, 0, 0));
-  sphereUniform = uniform(1.0);
-  windUniform = uniform(1.0);
+  windUniform = uniform(DEFAULT_PARAMS.wind);
+  windDirectionUniform = uniform(new THREE.Vector3(
+    WIND_CONFIG.direction.x,
+    WIND_CONFIG.direction.y,
+    WIND_CONFIG.direction.z
+  ));
+  windGustFrequencyUniform = uniform(WIND_CONFIG.gustFrequency);
+  windTurbulenceScaleUniform = uniform(WIND_CONFIG.turbulenceScale);
+  timeUniform = uniform(0.0);
   stiffnessUniform = uniform(0.2);
   zSpringStiffnessUniform = uniform(1.0);  // Multiplier for Z-spring stiffness
   inPlaneStiffnessUniform = uniform(1.0);  // Multiplier for in-plane spring stiffness
-  sphereRadiusUniform = uniform(0.12);     // Collision sphere/cylinder radius
-  cylinderHeightUniform = uniform(0.0);    // Cylinder height (0 = sphere mode)
+  bendingStiffnessUniform = uniform(1.0);  // Multiplier for bending spring stiffness
+  dragUniform = uniform(0.0);              // No vertex dragged
+  dragVertexIndexUniform = uniform(0, 'uint');
+  dragTargetUniform = uniform(new THREE.Vector3(0, 0, 0));
+  sdfUniform = uniform(0.0);
+  sdfOriginUniform = uniform(new THREE.Vector3(0, 0, 0));
+  sdfCellSizeUniform = uniform(1.0);
+  sdfThicknessUniform = uniform(SDF_CONFIG.thickness);
+  sdfFrictionUniform = uniform(SDF_CONFIG.friction);
+  selfCollisionUniform = uniform(SELF_COLLISION_CONFIG.enabled ? 1.0 : 0.0);
+  selfCollisionRadiusUniform = uniform(SELF_COLLISION_CONFIG.radius);
+  groundUniform = uniform(GROUND_CONFIG.enabled ? 1.0 : 0.0);
+  groundHeightUniform = uniform(GROUND_CONFIG.height);
+  groundFrictionUniform = uniform(GROUND_CONFIG.friction);
+  worldBoundsUniform = uniform(WORLD_BOUNDS_CONFIG.enabled ? 1.0 : 0.0);
+  worldBoundsMinUniform = uniform(new THREE.Vector3(
+    WORLD_BOUNDS_CONFIG.min.x,
+    WORLD_BOUNDS_CONFIG.min.y,
+    WORLD_BOUNDS_CONFIG.min.z
+  ));
+  worldBoundsMaxUniform = uniform(new THREE.Vector3(
+    WORLD_BOUNDS_CONFIG.max.x,
+    WORLD_BOUNDS_CONFIG.max.y,
+    WORLD_BOUNDS_CONFIG.max.z
+  ));
+  xpbdIterationsUniform = uniform(XPBD_CONFIG.iterations, 'uint');
+  tearingUniform = uniform(SPRING_BREAK_ENABLED ? 1.0 : 0.0);
+  tearThresholdScaleUniform = uniform(TEAR_CONFIG.thresholdScale);
+  damageOnsetUniform = uniform(TEAR_CONFIG.damageOnset);
+  residualStiffnessUniform = uniform(TEAR_CONFIG.residualStiffness);
+  yieldPointUniform = uniform(TEAR_CONFIG.yieldPoint);
+  plasticityUniform = uniform(TEAR_CONFIG.plasticity);
 
   return {
     dampening: dampeningUniform,
-    spherePosition: spherePositionUniform,
     stiffness: stiffnessUniform,
-    sphere: sphereUniform,
     wind: windUniform,
+    windDirection: windDirectionUniform,
+    windGustFrequency: windGustFrequencyUniform,
+    windTurbulenceScale: windTurbulenceScaleUniform,
+    time: timeUniform,
     zSpringStiffness: zSpringStiffnessUniform,
     inPlaneStiffness: inPlaneStiffnessUniform,
-    sphereRadius: sphereRadiusUniform,
-    cylinderHeight: cylinderHeightUniform,
+    bendingStiffness: bendingStiffnessUniform,
+    drag: dragUniform,
+    dragVertexIndex: dragVertexIndexUniform,
+    dragTarget: dragTargetUniform,
+    sdf: sdfUniform,
+    sdfOrigin: sdfOriginUniform,
+    sdfCellSize: sdfCellSizeUniform,
+    sdfThickness: sdfThicknessUniform,
+    sdfFriction: sdfFrictionUniform,
+    selfCollision: selfCollisionUniform,
+    selfCollisionRadius: selfCollisionRadiusUniform,
+    ground: groundUniform,
+    groundHeight: groundHeightUniform,
+    groundFriction: groundFrictionUniform,
+    worldBounds: worldBoundsUniform,
+    worldBoundsMin: worldBoundsMinUniform,
+    worldBoundsMax: worldBoundsMaxUniform,
+    xpbdIterations: xpbdIterationsUniform,
+    tearing: tearingUniform,
+    tearThresholdScale: tearThresholdScaleUniform,
+    damageOnset: damageOnsetUniform,
+    residualStiffness: residualStiffnessUniform,
+    yieldPoint: yieldPointUniform,
+    plasticity: plasticityUniform,
   };
 }
 
@@ -119,14 +349,6 @@ export function getDampeningUniform() {
   return dampeningUniform;
 }
 
-/**
- * Gets the sphere position uniform
- * @returns {Object|null} The sphere position uniform
- */
-export function getSpherePositionUniform() {
-  return spherePositionUniform;
-}
-
 /**
  * Gets the stiffness uniform
  * @returns {Object|null} The stiffness uniform
@@ -135,14 +357,6 @@ export function getStiffnessUniform() {
   return stiffnessUniform;
 }
 
-/**
- * Gets the sphere collision uniform
- * @returns {Object|null} The sphere uniform
- */
-export function getSphereUniform() {
-  return sphereUniform;
-}
-
 /**
  * Gets the wind uniform
  * @returns {Object|null} The wind uniform
@@ -151,6 +365,38 @@ export function getWindUniform() {
   return windUniform;
 }
 
+/**
+ * Gets the wind direction uniform
+ * @returns {Object|null} The wind direction uniform
+ */
+export function getWindDirectionUniform() {
+  return windDirectionUniform;
+}
+
+/**
+ * Gets the wind gust frequency uniform
+ * @returns {Object|null} The wind gust frequency uniform
+ */
+export function getWindGustFrequencyUniform() {
+  return windGustFrequencyUniform;
+}
+
+/**
+ * Gets the wind turbulence scale uniform
+ * @returns {Object|null} The wind turbulence scale uniform
+ */
+export function getWindTurbulenceScaleUniform() {
+  return windTurbulenceScaleUniform;
+}
+
+/**
+ * Gets the simulation time uniform
+ * @returns {Object|null} The time uniform
+ */
+export function getTimeUniform() {
+  return timeUniform;
+}
+
 /**
  * Gets the Z-spring stiffness multiplier uniform
  * @returns {Object|null} The Z-spring stiffness uniform
@@ -168,17 +414,169 @@ export function getInPlaneStiffnessUniform() {
 }
 
 /**
- * Gets the sphere collision radius uniform
- * @returns {Object|null} The sphere radius uniform
+ * Gets the bending spring stiffness multiplier uniform
+ * @returns {Object|null} The bending stiffness uniform
+ */
+export function getBendingStiffnessUniform() {
+  return bendingStiffnessUniform;
+}
+
+/**
+ * Gets the drag enable uniform
+ * @returns {Object|null} The drag uniform
+ */
+export function getDragUniform() {
+  return dragUniform;
+}
+
+/**
+ * Gets the dragged vertex index uniform
+ * @returns {Object|null} The drag vertex index uniform
+ */
+export function getDragVertexIndexUniform() {
+  return dragVertexIndexUniform;
+}
+
+/**
+ * Gets the drag target position uniform
+ * @returns {Object|null} The drag target uniform
+ */
+export function getDragTargetUniform() {
+  return dragTargetUniform;
+}
+
+/**
+ * Gets the SDF thickness uniform
+ * @returns {Object|null} The SDF thickness uniform
+ */
+export function getSDFThicknessUniform() {
+  return sdfThicknessUniform;
+}
+
+/**
+ * Gets the SDF friction uniform
+ * @returns {Object|null} The SDF friction uniform
+ */
+export function getSDFFrictionUniform() {
+  return sdfFrictionUniform;
+}
+
+/**
+ * Gets the self-collision enable uniform
+ * @returns {Object|null} The self-collision uniform
+ */
+export function getSelfCollisionUniform() {
+  return selfCollisionUniform;
+}
+
+/**
+ * Gets the self-collision radius uniform
+ * @returns {Object|null} The self-collision radius uniform
+ */
+export function getSelfCollisionRadiusUniform() {
+  return selfCollisionRadiusUniform;
+}
+
+/**
+ * Gets the ground plane enable uniform
+ * @returns {Object|null} The ground uniform
+ */
+export function getGroundUniform() {
+  return groundUniform;
+}
+
+/**
+ * Gets the ground height uniform
+ * @returns {Object|null} The ground height uniform
+ */
+export function getGroundHeightUniform() {
+  return groundHeightUniform;
+}
+
+/**
+ * Gets the ground friction uniform
+ * @returns {Object|null} The ground friction uniform
+ */
+export function getGroundFrictionUniform() {
+  return groundFrictionUniform;
+}
+
+/**
+ * Gets the world box enable uniform
+ * @returns {Object|null} The world bounds uniform
+ */
+export function getWorldBoundsUniform() {
+  return worldBoundsUniform;
+}
+
+/**
+ * Gets the world box lower corner uniform
+ * @returns {Object|null} The world bounds min uniform
+ */
+export function getWorldBoundsMinUniform() {
+  return worldBoundsMinUniform;
+}
+
+/**
+ * Gets the world box upper corner uniform
+ * @returns {Object|null} The world bounds max uniform
+ */
+export function getWorldBoundsMaxUniform() {
+  return worldBoundsMaxUniform;
+}
+
+/**
+ * Gets the XPBD iteration count uniform
+ * @returns {Object|null} The XPBD iterations uniform
+ */
+export function getXPBDIterationsUniform() {
+  return xpbdIterationsUniform;
+}
+
+/**
+ * Gets the tearing toggle uniform
+ * @returns {Object|null} The tearing uniform
+ */
+export function getTearingUniform() {
+  return tearingUniform;
+}
+
+/**
+ * Gets the tear threshold scale uniform
+ * @returns {Object|null} The tear threshold scale uniform
+ */
+export function getTearThresholdScaleUniform() {
+  return tearThresholdScaleUniform;
+}
+
+/**
+ * Gets the damage onset uniform
+ * @returns {Object|null} The damage onset uniform
+ */
+export function getDamageOnsetUniform() {
+  return damageOnsetUniform;
+}
+
+/**
+ * Gets the residual stiffness uniform
+ * @returns {Object|null} The residual stiffness uniform
+ */
+export function getResidualStiffnessUniform() {
+  return residualStiffnessUniform;
+}
+
+/**
+ * Gets the yield point uniform
+ * @returns {Object|null} The yield point uniform
  */
-export function getSphereRadiusUniform() {
-  return sphereRadiusUniform;
+export function getYieldPointUniform() {
+  return yieldPointUniform;
 }
 
 /**
- * Gets the cylinder height uniform
- * @returns {Object|null} The cylinder height uniform
+ * Gets the plasticity uniform
+ * @returns {Object|null} The plasticity uniform
  */
-export function getCylinderHeightUniform() {
-  return cylinderHeightUniform;
+export function getPlasticityUniform() {
+  return plasticityUniform;
 }
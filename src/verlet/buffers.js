@@ -5,10 +5,38 @@
  * This module manages the creation and configuration of GPU buffers
  * that store vertex and spring data for the volume-preserving thick cloth simulation.
  * All springs (in-plane and Z-springs) are combined into unified buffers.
+ *
+ * Per-vertex buffers have room for the vertex copies made when the cloth
+ * tears apart (see getVertexCapacity in verlet/geometry); the compute
+ * shaders only run on the vertices in use (vertexCountUniform). Likewise,
+ * per-spring buffers have room for the stitch springs of stitch mode (see
+ * getSpringCapacity) and only the springs in use (springCountUniform) run.
  */
 
-import { instancedArray } from 'three/tsl';
-import { verletVertices, verletSprings } from './geometry.js';
+import { instancedArray, uniform } from 'three/tsl';
+import {
+  verletVertices,
+  verletSprings,
+  getVertexCapacity,
+  getBaseSpringCount,
+  getSpringCapacity,
+} from './geometry.js';
+import { buildConstraintBatches, writeStitchBatches, writeConstraintStencils } from './constraints.js';
+import { SELF_COLLISION_CONFIG, TEAR_EVENT_CONFIG } from '../config/constants.js';
+
+/**
+ * Uniform storing the number of vertices in use (the vertices the cloth was
+ * built with and the copies split from them so far)
+ * @type {Object}
+ */
+export const vertexCountUniform = uniform(0, 'uint');
+
+/**
+ * Uniform storing the number of springs in use (the springs the cloth was
+ * built with and the stitch springs added so far)
+ * @type {Object}
+ */
+export const springCountUniform = uniform(0, 'uint');
 
 /**
  * Buffer storing vertex positions (vec3 per vertex)
@@ -17,11 +45,20 @@ import { verletVertices, verletSprings } from './geometry.js';
 export let vertexPositionBuffer = null;
 
 /**
- * Buffer storing accumulated forces on vertices (vec3 per vertex)
+ * Buffer storing the previous step of each vertex (vec3 per vertex): its
+ * Verlet velocity times the time step, in meters. Forces are converted to
+ * it through the vertex mass (F * dt² / m).
  * @type {Object|null}
  */
 export let vertexForceBuffer = null;
 
+/**
+ * Buffer storing vertex mass properties (vec2 per vertex: mass in kg, and
+ * the cloth area the vertex stands for in m², which wind pressure acts on)
+ * @type {Object|null}
+ */
+export let vertexMassBuffer = null;
+
 /**
  * Buffer storing vertex parameters (uvec3: isFixed, springCount, springPointer)
  * @type {Object|null}
@@ -36,25 +73,51 @@ export let springVertexIdBuffer = null;
 
 /**
  * Buffer storing spring rest lengths (float per spring)
+ * Overstretched springs lengthen for good (see damageSpring in compute/shaders)
  * @type {Object|null}
  */
 export let springRestLengthBuffer = null;
 
 /**
- * Buffer storing per-spring stiffness values (float per spring)
- * Different stiffness for in-plane springs vs Z-springs
- * When a spring breaks, its stiffness is set to 0
+ * Buffer storing per-spring stiffness values in N/m (float per spring)
+ * Derived from the fabric per spring type (see verlet/geometry)
+ * Overstretched springs lose stiffness; when a spring breaks, its stiffness is set to 0
  * @type {Object|null}
  */
 export let springStiffnessBuffer = null;
 
 /**
- * Buffer storing spring type flags (uint per spring)
- * 0 = in-plane spring (breakable), 1 = Z-spring (unbreakable)
+ * Buffer storing per-spring material (vec4 per spring: damping in N·s/m,
+ * the stretch ratio at which the spring tears (0 for bending springs), and
+ * the undamaged stiffness and original rest length that damage and tearing
+ * are measured against)
+ * Derived from the fabric per spring class (see verlet/geometry)
+ * @type {Object|null}
+ */
+export let springMaterialBuffer = null;
+
+/**
+ * Buffer storing the factor computeStiffnessRescale multiplies each
+ * spring's stiffness by (float per spring), set by updateMaterialBuffers
+ * @type {Object|null}
+ */
+export let springStiffnessScaleBuffer = null;
+
+/**
+ * Buffer storing spring type flags (uint per spring, see SPRING_TYPE)
+ * 0 = in-plane spring, 1 = Z-spring, 2 = bending spring
  * @type {Object|null}
  */
 export let springTypeBuffer = null;
 
+/**
+ * Buffer storing the two structural springs spanned by each bending spring
+ * (uvec2 per spring). A bending spring breaks when either of them breaks.
+ * Non-bending springs store their own ID twice.
+ * @type {Object|null}
+ */
+export let springNeighborBuffer = null;
+
 /**
  * Buffer storing vertex broken flags (uint per vertex)
  * 0 = intact, 1 = has broken spring connection
@@ -63,6 +126,14 @@ export let springTypeBuffer = null;
  */
 export let vertexBrokenBuffer = null;
 
+/**
+ * Buffer storing the vertex each new vertex copy was split from, plus one
+ * (uint per vertex, 0 for no pending copy); computeVertexSplits copies the
+ * simulation state of the source to the copy
+ * @type {Object|null}
+ */
+export let vertexSplitSourceBuffer = null;
+
 /**
  * Buffer storing spring forces (vec3 per spring)
  * @type {Object|null}
@@ -75,12 +146,266 @@ export let springForceBuffer = null;
  */
 export let springListBuffer = null;
 
+/**
+ * Values stored per tear event in tearEventBuffer: spring ID, vertex 0 ID,
+ * vertex 1 ID, world position (x, y, z) of the spring's midpoint,
+ * simulation time (s) and stretch ratio (length over original rest length);
+ * the IDs are stored as floats, exact below 2^24
+ */
+export const TEAR_EVENT_STRIDE = 8;
+
+/**
+ * Buffer storing the latest tear events (a ring of TEAR_EVENT_CONFIG.capacity
+ * events, TEAR_EVENT_STRIDE floats each)
+ * @type {Object|null}
+ */
+export let tearEventBuffer = null;
+
+/**
+ * Buffer counting the tear events appended since the simulation was reset
+ * (one atomic uint); event n is at slot n % TEAR_EVENT_CONFIG.capacity
+ * @type {Object|null}
+ */
+export let tearEventCountBuffer = null;
+
+/**
+ * Buffer storing the self-collision displacement of each vertex (vec3 per
+ * vertex), gathered before any vertex is moved so the result does not
+ * depend on the order in which vertices are processed
+ * @type {Object|null}
+ */
+export let selfCollisionCorrectionBuffer = null;
+
+/**
+ * Buffer storing the number of vertices hashed into each spatial hash
+ * bucket (atomic uint per bucket, may exceed the bucket capacity)
+ * @type {Object|null}
+ */
+export let spatialHashCountBuffer = null;
+
+/**
+ * Buffer storing the vertex IDs of each spatial hash bucket
+ * (SELF_COLLISION_CONFIG.bucketCapacity uints per bucket)
+ * @type {Object|null}
+ */
+export let spatialHashEntryBuffer = null;
+
+/**
+ * Buffer storing each vertex position at the start of the XPBD step
+ * (vec3 per vertex), from which the velocity is derived at its end
+ * @type {Object|null}
+ */
+export let previousPositionBuffer = null;
+
+/**
+ * Buffer storing spring IDs grouped by constraint batch (uint per spring)
+ * @type {Object|null}
+ */
+export let constraintOrderBuffer = null;
+
+/**
+ * Buffer storing the accumulated XPBD multiplier (lambda) of each
+ * constraint, indexed by spring ID (then by springCapacity + spring ID for
+ * the thickness constraints of Z-springs) and cleared at the start of
+ * every step
+ * @type {Object|null}
+ */
+export let constraintLambdaBuffer = null;
+
+/**
+ * Buffer storing the two other vertices of each bending and thickness
+ * constraint (uvec2 per spring, see writeConstraintStencils)
+ * @type {Object|null}
+ */
+export let springStencilBuffer = null;
+
+/**
+ * Buffer storing the rest shape of each bending and thickness constraint
+ * (vec4 per spring, see writeConstraintStencils)
+ * @type {Object|null}
+ */
+export let springStencilShapeBuffer = null;
+
+/**
+ * Range of each constraint batch in constraintOrderBuffer
+ * @type {Array<{offset: number, count: number}>}
+ */
+let constraintBatches = [];
+
+/**
+ * Range of each stitch batch in constraintOrderBuffer (see writeStitchBatches
+ * in verlet/constraints)
+ * @type {Array<{offset: number, count: number}>}
+ */
+let stitchBatches = [];
+
+/**
+ * CPU copy of the vertex parameters (uvec3 per vertex, see vertexParamsBuffer)
+ *
+ * The compute shaders never write vertex parameters, so this copy is always
+ * current. Pin changes are made here and the whole array is uploaded, since
+ * the WebGPU backend repacks vec3 buffers into vec4 on upload and expects the
+ * complete tightly packed data on every update.
+ * @type {Uint32Array|null}
+ */
+let vertexParamsData = null;
+
+/**
+ * Uploads the complete contents of a storage buffer
+ *
+ * @param {Object} buffer - The instancedArray node to update
+ * @param {ArrayLike<number>} data - Tightly packed data (3 values per vec3)
+ */
+function uploadStorageBuffer(buffer, data) {
+  buffer.value.array.set(data);
+  buffer.value.clearUpdateRanges();
+  buffer.value.needsUpdate = true;
+}
+
+/**
+ * Writes the topology of the cloth (see verlet/fracture) into the buffers:
+ * the spring list and spring range of every vertex, the vertices of every
+ * spring and constraint stencil, the vertex masses, the number of vertices
+ * and springs in use, and the type, material and constraint batch of every
+ * stitch spring
+ *
+ * Vertex slots beyond those in use get no springs and no mass. The
+ * stiffness and rest length of new stitches are set by mendSprings.
+ */
+function writeTopology() {
+  const springListArray = springListBuffer.value.array;
+  const springVertexIdArray = springVertexIdBuffer.value.array;
+  const massArray = vertexMassBuffer.value.array;
+  const vertexCount = verletVertices.length;
+  let pointer = 0;
+
+  for (let i = 0; i < vertexParamsData.length / 3; i++) {
+    const vertex = i < vertexCount ? verletVertices[i] : null;
+    vertexParamsData[i * 3 + 1] = vertex ? vertex.springIds.length : 0;
+    vertexParamsData[i * 3 + 2] = pointer;
+    massArray[i * 2] = vertex ? vertex.mass : 0;
+    massArray[i * 2 + 1] = vertex ? vertex.area : 0;
+    if (!vertex) continue;
+    for (const { id } of vertex.springIds) springListArray[pointer++] = id;
+  }
+
+  for (const spring of verletSprings) {
+    springVertexIdArray[spring.id * 2] = spring.vertex0.id;
+    springVertexIdArray[spring.id * 2 + 1] = spring.vertex1.id;
+  }
+
+  writeConstraintStencils(verletSprings, springStencilBuffer.value.array, springStencilShapeBuffer.value.array);
+
+  for (const buffer of [springListBuffer, springVertexIdBuffer, vertexMassBuffer, springStencilBuffer, springStencilShapeBuffer]) {
+    buffer.value.clearUpdateRanges();
+    buffer.value.needsUpdate = true;
+  }
+  uploadStorageBuffer(vertexParamsBuffer, vertexParamsData);
+  vertexCountUniform.value = vertexCount;
+
+  writeStitches();
+  springCountUniform.value = verletSprings.length;
+}
+
+/**
+ * Writes the type, neighbors and material of every stitch spring, and the
+ * stitch batches, into the buffers (see writeTopology)
+ */
+function writeStitches() {
+  const stitches = verletSprings.slice(getBaseSpringCount());
+  if (stitches.length === 0) return;
+
+  const materialAttribute = springMaterialBuffer.value;
+  for (const spring of stitches) {
+    springTypeBuffer.value.array[spring.id] = spring.type;
+    springNeighborBuffer.value.array[spring.id * 2] = spring.id;
+    springNeighborBuffer.value.array[spring.id * 2 + 1] = spring.id;
+    materialAttribute.array[spring.id * 4] = spring.damping;
+    materialAttribute.array[spring.id * 4 + 1] = spring.tearThreshold;
+    materialAttribute.array[spring.id * 4 + 2] = spring.stiffness;
+    materialAttribute.array[spring.id * 4 + 3] = spring.restLength;
+  }
+
+  const first = getBaseSpringCount();
+  const count = stitches.length;
+  for (const [attribute, size] of [[springTypeBuffer.value, 1], [springNeighborBuffer.value, 2], [materialAttribute, 4]]) {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(first * size, count * size);
+    attribute.needsUpdate = true;
+  }
+
+  const orderAttribute = constraintOrderBuffer.value;
+  writeStitchBatches(orderAttribute.array, stitchBatches, stitches);
+  const stitchOffset = stitchBatches.length > 0 ? stitchBatches[0].offset : 0;
+  orderAttribute.clearUpdateRanges();
+  orderAttribute.addUpdateRange(stitchOffset, orderAttribute.array.length - stitchOffset);
+  orderAttribute.needsUpdate = true;
+}
+
+/**
+ * Uploads the topology after vertices were split (see splitTornVertices in
+ * verlet/fracture)
+ *
+ * Each copy takes the pin flag of its source; its position, previous step
+ * and broken flag are copied on the GPU by computeVertexSplits, which must
+ * run next. Vertices moved to another slot (see removeVertexCopies in
+ * verlet/geometry) take their state along the same way.
+ *
+ * @param {Array<{vertex: Object, source: Object}>} splits - The copies made
+ * @param {Array<{vertex: Object, fromId: number}>} [moves=[]] - The vertices
+ *   moved, with the slot they moved from
+ */
+export function updateTopologyBuffers(splits, moves = []) {
+  const sourceArray = vertexSplitSourceBuffer.value.array;
+  sourceArray.fill(0);
+  const copies = [
+    ...splits.map(({ vertex, source }) => [vertex.id, source.id]),
+    ...moves.map(({ vertex, fromId }) => [vertex.id, fromId]),
+  ];
+  for (const [id, sourceId] of copies) {
+    vertexParamsData[id * 3] = vertexParamsData[sourceId * 3];
+    sourceArray[id] = sourceId + 1;
+  }
+  vertexSplitSourceBuffer.value.clearUpdateRanges();
+  vertexSplitSourceBuffer.value.needsUpdate = true;
+  writeTopology();
+}
+
+/**
+ * Reads a storage buffer back from the GPU
+ *
+ * @async
+ * @param {THREE.WebGPURenderer} renderer - The renderer owning the buffer
+ * @param {Object} buffer - The instancedArray node to read
+ * @param {number} components - Values per element (3 for vec3)
+ * @param {Function} ArrayType - Typed array constructor of the buffer
+ * @returns {Promise<ArrayLike<number>>} Tightly packed buffer contents
+ */
+export async function readStorageBuffer(renderer, buffer, components, ArrayType) {
+  const attribute = buffer.value;
+  const data = new ArrayType(await renderer.getArrayBufferAsync(attribute));
+
+  // The WebGPU backend pads vec3 storage buffers to vec4 on upload
+  const stride = attribute.itemSize;
+  if (stride === components) return data;
+
+  const count = data.length / stride;
+  const packed = new ArrayType(count * components);
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < components; k++) {
+      packed[i * components + k] = data[i * stride + k];
+    }
+  }
+  return packed;
+}
+
 /**
  * Sets up vertex buffers for the compute shaders
  *
  * Creates GPU buffers containing:
  * - Vertex positions (x, y, z)
  * - Vertex forces (initialized to zero)
+ * - Vertex masses and areas
  * - Vertex parameters (isFixed flag, spring count, spring list pointer)
  * - Spring list (ordered list of all spring IDs for efficient iteration)
  *
@@ -88,11 +413,13 @@ export let springListBuffer = null;
  */
 export function setupVerletVertexBuffers() {
   const vertexCount = verletVertices.length;
+  const vertexCapacity = getVertexCapacity();
 
   const springListArray = [];
 
-  const vertexPositionArray = new Float32Array(vertexCount * 3);
-  const vertexParamsArray = new Uint32Array(vertexCount * 3);
+  const vertexPositionArray = new Float32Array(vertexCapacity * 3);
+  const vertexMassArray = new Float32Array(vertexCapacity * 2);
+  const vertexParamsArray = new Uint32Array(vertexCapacity * 3);
   // Params array (uvec3):
   // x: isFixed (1 if immovable, 0 if movable)
   // y: springCount (total number of springs connected to this vertex)
@@ -106,28 +433,37 @@ export function setupVerletVertexBuffers() {
     vertexPositionArray[i * 3 + 1] = vertex.position.y;
     vertexPositionArray[i * 3 + 2] = vertex.position.z;
 
+    vertexMassArray[i * 2] = vertex.mass;
+    vertexMassArray[i * 2 + 1] = vertex.area;
+
     // Set fixed flag
     vertexParamsArray[i * 3] = vertex.isFixed ? 1 : 0;
 
     // Collect all spring IDs (both in-plane and Z-springs are now unified)
     const allSpringIds = vertex.springIds.map(ref => ref.id);
 
-    // Only add spring data for movable vertices
-    if (!vertex.isFixed) {
-      vertexParamsArray[i * 3 + 1] = allSpringIds.length;
-      vertexParamsArray[i * 3 + 2] = springListArray.length;
-      springListArray.push(...allSpringIds);
-    }
+    // Spring data is stored for fixed vertices too, so they can be
+    // unpinned at runtime (the shader skips them while isFixed is set)
+    vertexParamsArray[i * 3 + 1] = allSpringIds.length;
+    vertexParamsArray[i * 3 + 2] = springListArray.length;
+    springListArray.push(...allSpringIds);
   }
 
   // Create GPU buffers
   vertexPositionBuffer = instancedArray(vertexPositionArray, 'vec3').setPBO(true);
-  vertexForceBuffer = instancedArray(vertexCount, 'vec3');
-  vertexParamsBuffer = instancedArray(vertexParamsArray, 'uvec3');
-  springListBuffer = instancedArray(new Uint32Array(springListArray.length > 0 ? springListArray : [0]), 'uint').setPBO(true);
+  vertexForceBuffer = instancedArray(vertexCapacity, 'vec3');
+  vertexMassBuffer = instancedArray(vertexMassArray, 'vec2');
+  vertexParamsBuffer = instancedArray(vertexParamsArray.slice(), 'uvec3');
+  vertexParamsData = vertexParamsArray;
+  // Two entries per spring, with room for the reserved stitch springs
+  const springListData = new Uint32Array(Math.max(getSpringCapacity() * 2, 1));
+  springListData.set(springListArray);
+  springListBuffer = instancedArray(springListData, 'uint').setPBO(true);
   
   // Buffer to track vertices with broken spring connections (0 = intact, 1 = broken)
-  vertexBrokenBuffer = instancedArray(new Uint32Array(vertexCount), 'uint');
+  vertexBrokenBuffer = instancedArray(new Uint32Array(vertexCapacity), 'uint');
+  vertexSplitSourceBuffer = instancedArray(new Uint32Array(vertexCapacity), 'uint');
+  vertexCountUniform.value = vertexCount;
 }
 
 /**
@@ -137,17 +473,26 @@ export function setupVerletVertexBuffers() {
  * - Spring vertex IDs (pairs of vertex indices)
  * - Spring rest lengths (target distance between vertices)
  * - Spring stiffness values (per-spring, different for in-plane vs Z-springs)
+ * - Spring damping and tear thresholds
+ * - Spring types and bending spring neighbors
  * - Spring forces (initialized storage for computed forces)
  *
+ * The buffers have a slot for every spring the cloth can have (see
+ * getSpringCapacity); those of the stitch springs are filled as they are
+ * made (see writeTopology and mendSprings).
+ *
  * @throws {Error} If spring buffers cannot be created
  */
 export function setupVerletSpringBuffers() {
   const springCount = verletSprings.length;
+  const springCapacity = getSpringCapacity();
 
-  const springVertexIdArray = new Uint32Array(springCount * 2);
-  const springRestLengthArray = new Float32Array(springCount);
-  const springStiffnessArray = new Float32Array(springCount);
-  const springTypeArray = new Uint32Array(springCount);
+  const springVertexIdArray = new Uint32Array(springCapacity * 2);
+  const springRestLengthArray = new Float32Array(springCapacity);
+  const springStiffnessArray = new Float32Array(springCapacity);
+  const springMaterialArray = new Float32Array(springCapacity * 4);
+  const springTypeArray = new Uint32Array(springCapacity);
+  const springNeighborArray = new Uint32Array(springCapacity * 2);
 
   for (let i = 0; i < springCount; i++) {
     const spring = verletSprings[i];
@@ -155,33 +500,154 @@ export function setupVerletSpringBuffers() {
     springVertexIdArray[i * 2] = spring.vertex0.id;
     springVertexIdArray[i * 2 + 1] = spring.vertex1.id;
 
-    springRestLengthArray[i] = spring.vertex0.position.distanceTo(
-      spring.vertex1.position
-    );
+    springRestLengthArray[i] = spring.restLength;
 
     // Use the spring's stiffness value (different for Z-springs vs in-plane)
     springStiffnessArray[i] = spring.stiffness;
-    
-    // Spring type: 0 = in-plane (breakable), 1 = Z-spring (unbreakable)
-    springTypeArray[i] = spring.isZSpring ? 1 : 0;
+    springMaterialArray[i * 4] = spring.damping;
+    springMaterialArray[i * 4 + 1] = spring.tearThreshold;
+    springMaterialArray[i * 4 + 2] = spring.stiffness;
+    springMaterialArray[i * 4 + 3] = spring.restLength;
+
+    // Spring type: 0 = in-plane, 1 = Z-spring, 2 = bending
+    springTypeArray[i] = spring.type;
+
+    // Structural springs spanned by a bending spring or under a Z-spring's
+    // thickness constraint (self otherwise)
+    const neighbors = spring.neighbors || spring.base;
+    springNeighborArray[i * 2] = neighbors ? neighbors[0].id : i;
+    springNeighborArray[i * 2 + 1] = neighbors ? neighbors[1].id : i;
   }
 
   springVertexIdBuffer = instancedArray(springVertexIdArray.length > 0 ? springVertexIdArray : new Uint32Array([0, 0]), 'uvec2').setPBO(true);
   springRestLengthBuffer = instancedArray(springRestLengthArray.length > 0 ? springRestLengthArray : new Float32Array([1]), 'float');
   springStiffnessBuffer = instancedArray(springStiffnessArray.length > 0 ? springStiffnessArray : new Float32Array([0.2]), 'float');
+  springMaterialBuffer = instancedArray(springMaterialArray.length > 0 ? springMaterialArray : new Float32Array([0, 0, 0, 1]), 'vec4');
+  springStiffnessScaleBuffer = instancedArray(new Float32Array(Math.max(springCapacity, 1)).fill(1), 'float');
   springTypeBuffer = instancedArray(springTypeArray.length > 0 ? springTypeArray : new Uint32Array([0]), 'uint');
-  springForceBuffer = instancedArray(Math.max(springCount, 1) * 3, 'vec3').setPBO(true);
+  springNeighborBuffer = instancedArray(springNeighborArray.length > 0 ? springNeighborArray : new Uint32Array([0, 0]), 'uvec2');
+  springForceBuffer = instancedArray(Math.max(springCapacity, 1) * 3, 'vec3').setPBO(true);
+  springCountUniform.value = springCount;
+}
+
+/**
+ * Sets up the tear event buffers for the compute shaders
+ *
+ * Creates GPU buffers containing:
+ * - The ring of tear events (see TEAR_EVENT_STRIDE)
+ * - The number of tear events appended (atomic)
+ */
+export function setupTearEventBuffers() {
+  tearEventBuffer = instancedArray(TEAR_EVENT_CONFIG.capacity * TEAR_EVENT_STRIDE, 'float');
+  tearEventCountBuffer = instancedArray(new Uint32Array(1), 'uint').toAtomic();
+}
+
+/**
+ * Sets up the self-collision buffers for the compute shaders
+ *
+ * Creates GPU buffers containing:
+ * - Per-vertex self-collision displacement
+ * - Spatial hash bucket counts (atomic, cleared before every build)
+ * - Spatial hash bucket entries (vertex IDs)
+ */
+export function setupSelfCollisionBuffers() {
+  const { hashSize, bucketCapacity } = SELF_COLLISION_CONFIG;
+
+  selfCollisionCorrectionBuffer = instancedArray(getVertexCapacity(), 'vec3');
+  spatialHashCountBuffer = instancedArray(new Uint32Array(hashSize), 'uint').toAtomic();
+  spatialHashEntryBuffer = instancedArray(new Uint32Array(hashSize * bucketCapacity), 'uint');
+}
+
+/**
+ * Sets up the XPBD buffers for the compute shaders
+ *
+ * Creates GPU buffers containing:
+ * - Per-vertex position at the start of the step
+ * - Spring IDs grouped into batches of constraints sharing no vertex
+ *   (see buildConstraintBatches), followed by the stitch batches
+ * - Per-constraint multipliers (two per spring, see constraintLambdaBuffer)
+ * - The stencils of the bending and thickness constraints
+ */
+export function setupXPBDBuffers() {
+  const springCapacity = getSpringCapacity();
+  const { order, batches, stitchBatches: stitches } = buildConstraintBatches(
+    verletSprings,
+    getVertexCapacity(),
+    springCapacity - getBaseSpringCount()
+  );
+  const stencilIds = new Uint32Array(Math.max(springCapacity, 1) * 2);
+  const stencilShapes = new Float32Array(Math.max(springCapacity, 1) * 4);
+  writeConstraintStencils(verletSprings, stencilIds, stencilShapes);
+
+  previousPositionBuffer = instancedArray(getVertexCapacity(), 'vec3');
+  constraintOrderBuffer = instancedArray(order.length > 0 ? order : new Uint32Array([0]), 'uint');
+  constraintLambdaBuffer = instancedArray(Math.max(springCapacity, 1) * 2, 'float');
+  springStencilBuffer = instancedArray(stencilIds, 'uvec2');
+  springStencilShapeBuffer = instancedArray(stencilShapes, 'vec4');
+  constraintBatches = batches;
+  stitchBatches = stitches;
+}
+
+/**
+ * Gets the constraint batches of the current cloth
+ * @returns {Array<{offset: number, count: number}>} Range of each batch in
+ *   constraintOrderBuffer
+ */
+export function getConstraintBatches() {
+  return constraintBatches;
+}
+
+/**
+ * Drops all vertex and spring buffers before the cloth is rebuilt
+ *
+ * three.js has no public API to destroy storage buffers; releasing every
+ * reference here (after the compute shaders and meshes using them have been
+ * disposed) lets the renderer's GPU buffers be garbage collected.
+ */
+export function disposeVerletBuffers() {
+  vertexPositionBuffer = null;
+  vertexForceBuffer = null;
+  vertexMassBuffer = null;
+  vertexParamsBuffer = null;
+  vertexBrokenBuffer = null;
+  vertexSplitSourceBuffer = null;
+  springListBuffer = null;
+  springVertexIdBuffer = null;
+  springRestLengthBuffer = null;
+  springStiffnessBuffer = null;
+  springMaterialBuffer = null;
+  springStiffnessScaleBuffer = null;
+  springTypeBuffer = null;
+  springNeighborBuffer = null;
+  springForceBuffer = null;
+  tearEventBuffer = null;
+  tearEventCountBuffer = null;
+  selfCollisionCorrectionBuffer = null;
+  spatialHashCountBuffer = null;
+  spatialHashEntryBuffer = null;
+  previousPositionBuffer = null;
+  constraintOrderBuffer = null;
+  constraintLambdaBuffer = null;
+  springStencilBuffer = null;
+  springStencilShapeBuffer = null;
+  constraintBatches = [];
+  stitchBatches = [];
+  vertexParamsData = null;
 }
 
 /**
  * Resets all simulation buffers to their initial state
  * 
- * Restores vertex positions to their original locations and
- * resets spring stiffness values (repairing any broken springs).
+ * Restores vertex positions to their original locations, clears the
+ * previous-step forces (so no momentum carries over), resets spring
+ * stiffness values and rest lengths (repairing any broken, damaged or
+ * stretched springs), clears the tear event count and restores the pin
+ * flags chosen when the geometry was built. The topology is uploaded again, so the vertex splits and
+ * stitches must have been undone first (see resetFracture in verlet/fracture).
  */
 export function resetSimulationBuffers() {
   const vertexCount = verletVertices.length;
-  const springCount = verletSprings.length;
+  const springCount = getSpringCapacity();
 
   // Get the underlying arrays from the TSL instancedArray nodes
   const positionArray = vertexPositionBuffer.value.array;
@@ -198,15 +664,215 @@ export function resetSimulationBuffers() {
   // Mark buffer as needing update
   vertexPositionBuffer.value.needsUpdate = true;
 
-  // Reset spring stiffness values (repair broken springs)
+  // Clear previous-step forces (the Verlet velocity)
+  uploadStorageBuffer(vertexForceBuffer, new Float32Array(vertexCount * 3));
+
+  // Reset spring stiffness values and rest lengths (repair broken springs)
+  const restLengthArray = new Float32Array(springCount);
   for (let i = 0; i < springCount; i++) {
-    stiffnessArray[i] = verletSprings[i].stiffness;
+    const spring = i < verletSprings.length ? verletSprings[i] : null;
+    stiffnessArray[i] = spring ? spring.stiffness : 0;
+    restLengthArray[i] = spring ? spring.restLength : 0;
   }
+  springStiffnessBuffer.value.clearUpdateRanges();
   springStiffnessBuffer.value.needsUpdate = true;
+  uploadStorageBuffer(springRestLengthBuffer, restLengthArray);
 
   // Reset vertex broken flags
   for (let i = 0; i < vertexCount; i++) {
     brokenArray[i] = 0;
   }
+  vertexBrokenBuffer.value.clearUpdateRanges();
   vertexBrokenBuffer.value.needsUpdate = true;
+
+  // Start the tear events over
+  uploadStorageBuffer(tearEventCountBuffer, [0]);
+
+  // Reset pin flags (undo runtime pin/unpin)
+  for (let i = 0; i < vertexCount; i++) {
+    vertexParamsData[i * 3] = verletVertices[i].isFixed ? 1 : 0;
+  }
+  writeTopology();
+}
+
+/**
+ * Uploads the vertex masses and spring materials after they changed (see
+ * applyMaterialMaps in verlet/geometry) without resetting the simulation
+ *
+ * The current stiffness lives on the GPU, so it is not uploaded: each
+ * spring's factor, the change of its undamaged stiffness, is, and
+ * computeStiffnessRescale applies it there, which must run next. So torn
+ * springs stay torn, damaged springs stay damaged, and nothing a spring went
+ * through since the last readback is lost.
+ */
+export function updateMaterialBuffers() {
+  const materialArray = springMaterialBuffer.value.array;
+  const scaleArray = springStiffnessScaleBuffer.value.array;
+  scaleArray.fill(1);
+  verletSprings.forEach((spring, i) => {
+    const previousStiffness = materialArray[i * 4 + 2];
+    scaleArray[i] = previousStiffness > 0 ? spring.stiffness / previousStiffness : 0;
+    materialArray[i * 4] = spring.damping;
+    materialArray[i * 4 + 1] = spring.tearThreshold;
+    materialArray[i * 4 + 2] = spring.stiffness;
+  });
+  springStiffnessScaleBuffer.value.clearUpdateRanges();
+  springStiffnessScaleBuffer.value.needsUpdate = true;
+  springMaterialBuffer.value.clearUpdateRanges();
+  springMaterialBuffer.value.needsUpdate = true;
+
+  const massArray = vertexMassBuffer.value.array;
+  verletVertices.forEach((vertex, i) => {
+    massArray[i * 2] = vertex.mass;
+    massArray[i * 2 + 1] = vertex.area;
+  });
+  vertexMassBuffer.value.needsUpdate = true;
+}
+
+/**
+ * Cuts springs at runtime: zeroes their stiffness and flags their vertices
+ * as broken, exactly as if they had torn
+ *
+ * Only the changed elements are uploaded, so springs that tore on the GPU
+ * since the positions were read back stay torn.
+ *
+ * @param {Array<number>} springIds - IDs of the springs to cut
+ */
+export function cutSprings(springIds) {
+  const stiffnessAttribute = springStiffnessBuffer.value;
+  const brokenAttribute = vertexBrokenBuffer.value;
+
+  for (const id of springIds) {
+    stiffnessAttribute.array[id] = 0;
+    stiffnessAttribute.addUpdateRange(id, 1);
+
+    const spring = verletSprings[id];
+    for (const vertexId of [spring.vertex0.id, spring.vertex1.id]) {
+      brokenAttribute.array[vertexId] = 1;
+      brokenAttribute.addUpdateRange(vertexId, 1);
+    }
+  }
+  stiffnessAttribute.needsUpdate = true;
+  brokenAttribute.needsUpdate = true;
+}
+
+/**
+ * Mends springs at runtime: gives them back their undamaged stiffness and
+ * original rest length and clears the broken flag of the given vertices
+ * (see utils/stitching); also sets up new stitch springs
+ *
+ * Only the changed elements are uploaded, like cutSprings. When vertices
+ * were joined again in the same change, computeVertexSplits must have been
+ * dispatched first, or it copies the old broken flags back.
+ *
+ * @param {Array<number>} springIds - IDs of the springs to mend
+ * @param {Array<number>} vertexIds - IDs of the vertices no longer broken
+ */
+export function mendSprings(springIds, vertexIds) {
+  const stiffnessAttribute = springStiffnessBuffer.value;
+  const restLengthAttribute = springRestLengthBuffer.value;
+  const brokenAttribute = vertexBrokenBuffer.value;
+
+  for (const id of springIds) {
+    stiffnessAttribute.array[id] = verletSprings[id].stiffness;
+    stiffnessAttribute.addUpdateRange(id, 1);
+    restLengthAttribute.array[id] = verletSprings[id].restLength;
+    restLengthAttribute.addUpdateRange(id, 1);
+  }
+  for (const id of vertexIds) {
+    brokenAttribute.array[id] = 0;
+    brokenAttribute.addUpdateRange(id, 1);
+  }
+  // With no update range, the whole (stale) CPU copy would be uploaded
+  if (springIds.length > 0) {
+    stiffnessAttribute.needsUpdate = true;
+    restLengthAttribute.needsUpdate = true;
+  }
+  if (vertexIds.length > 0) brokenAttribute.needsUpdate = true;
+}
+
+/**
+ * Pins or unpins a vertex at runtime
+ *
+ * Only the isFixed flag in vertexParamsBuffer changes; a pinned vertex
+ * stays wherever it currently is.
+ *
+ * @param {number} index - Verlet vertex ID
+ * @param {boolean} isFixed - Whether the vertex should be immovable
+ */
+export function setVertexFixed(index, isFixed) {
+  vertexParamsData[index * 3] = isFixed ? 1 : 0;
+  uploadStorageBuffer(vertexParamsBuffer, vertexParamsData);
+}
+
+/**
+ * Checks whether a vertex is currently pinned
+ * @param {number} index - Verlet vertex ID
+ * @returns {boolean} True if the vertex is immovable
+ */
+export function isVertexFixed(index) {
+  return vertexParamsData[index * 3] === 1;
+}
+
+/**
+ * Gets the current pin flag of every vertex
+ * @returns {Uint8Array} 1 for pinned vertices, 0 otherwise
+ */
+export function getPinFlags() {
+  const vertexCount = vertexParamsData.length / 3;
+  const pinned = new Uint8Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    pinned[i] = vertexParamsData[i * 3];
+  }
+  return pinned;
+}
+
+/**
+ * Reads the dynamic simulation state back from the GPU
+ *
+ * All buffers are read in the same tick, so they hold the same step.
+ *
+ * @async
+ * @param {THREE.WebGPURenderer} renderer - The renderer running the simulation
+ * @returns {Promise<{positions: Float32Array, forces: Float32Array,
+ *   springStiffness: Float32Array, springRestLengths: Float32Array,
+ *   vertexBroken: Uint32Array, pinned: Uint8Array}>}
+ *   Vertex positions and previous-step forces (xyz per vertex), per-spring
+ *   stiffness (0 for torn springs) and rest length, broken and pin flags
+ *   per vertex
+ */
+export async function readSimulationState(renderer) {
+  const pinned = getPinFlags();
+  const [positions, forces, springStiffness, springRestLengths, vertexBroken] = await Promise.all([
+    readStorageBuffer(renderer, vertexPositionBuffer, 3, Float32Array),
+    readStorageBuffer(renderer, vertexForceBuffer, 3, Float32Array),
+    readStorageBuffer(renderer, springStiffnessBuffer, 1, Float32Array),
+    readStorageBuffer(renderer, springRestLengthBuffer, 1, Float32Array),
+    readStorageBuffer(renderer, vertexBrokenBuffer, 1, Uint32Array),
+  ]);
+  return { positions, forces, springStiffness, springRestLengths, vertexBroken, pinned };
+}
+
+/**
+ * Writes a simulation state (see readSimulationState) into the GPU buffers
+ *
+ * The state must match the current geometry (see validateSnapshot in
+ * simulation/snapshots), and its topology must already be restored (see
+ * restoreFracture in verlet/fracture).
+ *
+ * @param {Object} state - The state to upload
+ */
+export function writeSimulationState(state) {
+  const vertexCount = vertexParamsData.length / 3;
+
+  uploadStorageBuffer(vertexPositionBuffer, state.positions);
+  uploadStorageBuffer(vertexForceBuffer, state.forces);
+  uploadStorageBuffer(springStiffnessBuffer, state.springStiffness);
+  uploadStorageBuffer(springRestLengthBuffer, state.springRestLengths);
+  uploadStorageBuffer(vertexBrokenBuffer, state.vertexBroken);
+
+  for (let i = 0; i < vertexCount; i++) {
+    vertexParamsData[i * 3] = state.pinned[i] ? 1 : 0;
+  }
+  writeTopology();
 }
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview XPBD constraints built from the Verlet springs
+ * @module verlet/constraints
+ *
+ * The cloth can be integrated two ways (chosen at startup, see INTEGRATORS):
+ * the original mass-spring integrator, where each spring applies a Hooke
+ * force, or Extended Position-Based Dynamics (XPBD), where each spring is a
+ * distance constraint with a compliance (the inverse of its stiffness)
+ * solved directly on the positions. Both use the same vertex masses and
+ * spring stiffnesses, damping and tear thresholds, but XPBD stays stable
+ * however stiff the fabric is.
+ *
+ * Every spring becomes one constraint, by spring type:
+ * - IN_PLANE: distance constraint (stretch and shear within a layer)
+ * - BENDING: isometric bending constraint (the quadratic bending model of
+ *   Bergou et al. 2006) on the spring's two vertices and the hinge between
+ *   them: the shared edge of the two triangles of an imported mesh, or the
+ *   middle vertex of three in a row of the grid. The weighted sum of their
+ *   positions is the bend at the hinge (zero when flat), which is held at
+ *   its rest value. Unlike a distance spring, it resists small bends as
+ *   much as large ones.
+ * - Z_SPRING: distance constraint between the two layers, followed by a
+ *   thickness constraint: the volume of the tetrahedron between the bottom
+ *   vertex and the top vertex with the far ends of two top-layer structural
+ *   springs (its base), over the base's rest area. That is the height of
+ *   the bottom vertex below the top layer, so the layers cannot shear past
+ *   or fold through each other.
+ *
+ * The bending and thickness constraints tear with the structural springs
+ * around their hinge or under their base (the spring IDs in
+ * springNeighborBuffer). The mass-spring integrator keeps bending springs
+ * and Z-springs as plain springs.
+ *
+ * Constraints sharing a vertex cannot be solved in parallel, so they are
+ * split into batches (graph coloring) in which no two constraints share a
+ * vertex. Each batch is one compute dispatch. Stitch springs (see
+ * utils/stitching) are added while the cloth runs, so they get batches of
+ * their own, sized for every reserved spring, that are rewritten whenever a
+ * stitch is made (see writeStitchBatches).
+ */
+
+import * as THREE from "three/webgpu";
+import { SPRING_TYPE } from "./geometry.js";
+import { STITCH_CONFIG } from "../config/constants.js";
+
+/**
+ * Number of constraint batches reserved for stitch springs: greedy coloring
+ * needs at most twice as many colors as stitches at one vertex
+ */
+export const STITCH_BATCH_COUNT = 2 * STITCH_CONFIG.stitchesPerVertex;
+
+/**
+ * Entry of an unused place in a stitch batch (beyond every spring, so the
+ * constraint passes skip it)
+ */
+export const UNUSED_CONSTRAINT = 0xffffffff;
+
+/**
+ * Cloth integrators
+ * - MASS_SPRING: spring forces integrated with Verlet (computeSpringForces)
+ * - XPBD: compliant constraints solved in colored batches
+ * @enum {string}
+ */
+export const INTEGRATORS = {
+  MASS_SPRING: "massSpring",
+  XPBD: "xpbd",
+};
+
+/**
+ * Human-readable labels for the integrators (used by the control panel)
+ */
+export const INTEGRATOR_LABELS = {
+  [INTEGRATORS.MASS_SPRING]: "Mass-Spring",
+  [INTEGRATORS.XPBD]: "XPBD",
+};
+
+/**
+ * Gets the vertex at the other end of a spring
+ *
+ * @param {Object} spring - Verlet spring
+ * @param {Object} vertex - Vertex at one end
+ * @returns {Object|null} The other vertex, or null when the spring does not
+ *   end at the vertex
+ */
+function getOtherEnd(spring, vertex) {
+  if (spring.vertex0 === vertex) return spring.vertex1;
+  return spring.vertex1 === vertex ? spring.vertex0 : null;
+}
+
+/**
+ * Gets the two vertices a spring's constraint acts on besides its own: the
+ * hinge of a bending constraint (the shared edge of two mesh triangles, or
+ * the middle vertex of a grid row twice) or the far ends of the base of a
+ * thickness constraint
+ *
+ * The vertices are found through the springs around them, so they follow
+ * those springs when vertices are split or joined (see verlet/fracture).
+ *
+ * @param {Object} spring - Verlet spring
+ * @returns {Array<Object>|null} The two vertices, or null for a distance
+ *   constraint (or one whose springs no longer meet)
+ */
+function getStencilVertices(spring) {
+  if (spring.type === SPRING_TYPE.BENDING && spring.neighbors) {
+    const [first, second] = spring.neighbors;
+    // Mesh: both neighbors are the shared edge
+    if (first === second) return [first.vertex0, first.vertex1];
+    // Grid row: the vertex both structural springs end at
+    const middle = [first.vertex0, first.vertex1].find((vertex) => getOtherEnd(second, vertex));
+    return middle ? [middle, middle] : null;
+  }
+  if (spring.type === SPRING_TYPE.Z_SPRING && spring.base) {
+    const ends = spring.base.map((baseSpring) => getOtherEnd(baseSpring, spring.vertex0));
+    return ends.every(Boolean) ? ends : null;
+  }
+  return null;
+}
+
+/**
+ * Cotangent of the angle between two vectors
+ *
+ * @param {THREE.Vector3} u - First vector
+ * @param {THREE.Vector3} v - Second vector
+ * @returns {number} The cotangent (Infinity for parallel vectors)
+ */
+function cotangent(u, v) {
+  return u.dot(v) / new THREE.Vector3().crossVectors(u, v).length();
+}
+
+/**
+ * Computes the rest shape of a bending or thickness constraint from the
+ * rest positions of its vertices (see writeConstraintStencils)
+ *
+ * Bending weights sum to 1 on the spring's vertices and -1 on the hinge.
+ * On a grid row they put the hinge back between the two ends; on a mesh
+ * they are the cotangent weights of Bergou et al., so that a flat pair of
+ * triangles has no bend whatever its shape.
+ *
+ * @param {Object} spring - Verlet spring
+ * @param {Array<Object>} stencil - Its other two vertices (from getStencilVertices)
+ * @returns {Array<number>|null} The shape, or null for a degenerate stencil
+ */
+function getStencilShape(spring, [vertexA, vertexB]) {
+  const p0 = spring.vertex0.position;
+  const p1 = spring.vertex1.position;
+  const pa = vertexA.position;
+  const pb = vertexB.position;
+
+  if (spring.type === SPRING_TYPE.Z_SPRING) {
+    const base = new THREE.Vector3().subVectors(pa, p0).cross(new THREE.Vector3().subVectors(pb, p0));
+    const area = base.length();
+    if (!(area > 1e-12)) return null;
+    return [1 / area, base.dot(new THREE.Vector3().subVectors(p1, p0)) / area, 0, 0];
+  }
+
+  let weights;
+  if (vertexA === vertexB) {
+    const length0 = p0.distanceTo(pa);
+    const length1 = p1.distanceTo(pa);
+    weights = [length1 / (length0 + length1), length0 / (length0 + length1), -1, 0];
+  } else {
+    const edge = new THREE.Vector3().subVectors(pb, pa);
+    const reverseEdge = edge.clone().negate();
+    const angleA0 = cotangent(edge, new THREE.Vector3().subVectors(p0, pa));
+    const angleA1 = cotangent(edge, new THREE.Vector3().subVectors(p1, pa));
+    const angleB0 = cotangent(reverseEdge, new THREE.Vector3().subVectors(p0, pb));
+    const angleB1 = cotangent(reverseEdge, new THREE.Vector3().subVectors(p1, pb));
+    const sum = angleA0 + angleA1 + angleB0 + angleB1;
+    if (!(sum > 1e-6 && Number.isFinite(sum))) return null;
+    weights = [(angleA0 + angleB0) / sum, (angleA1 + angleB1) / sum, -(angleB0 + angleB1) / sum, -(angleA0 + angleA1) / sum];
+  }
+  if (!(weights[0] + weights[1] > 0)) return null;
+
+  const bend = new THREE.Vector3();
+  [p0, p1, pa, pb].forEach((p, i) => bend.addScaledVector(p, weights[i]));
+  return [weights[0], weights[1], weights[2], bend.length()];
+}
+
+/**
+ * Writes the stencil of every bending and thickness constraint: the IDs of
+ * its two other vertices, and its rest shape
+ *
+ * - BENDING: the weights of the spring's two vertices and of the first
+ *   hinge vertex, and the rest bend (the last weight makes them sum to 0)
+ * - Z_SPRING: the inverse of the base's rest area, and the rest thickness
+ *
+ * Springs without a stencil (distance constraints, and those whose springs
+ * no longer meet) get UNUSED_CONSTRAINT IDs. Called again whenever the
+ * topology changes.
+ *
+ * @param {Array<Object>} springs - Verlet springs
+ * @param {Uint32Array} stencilIds - Two vertex IDs per spring slot
+ * @param {Float32Array} stencilShapes - Four values per spring slot
+ */
+export function writeConstraintStencils(springs, stencilIds, stencilShapes) {
+  for (const spring of springs) {
+    const stencil = getStencilVertices(spring);
+    const shape = stencil ? getStencilShape(spring, stencil) : null;
+    stencilIds[spring.id * 2] = shape ? stencil[0].id : UNUSED_CONSTRAINT;
+    stencilIds[spring.id * 2 + 1] = shape ? stencil[1].id : UNUSED_CONSTRAINT;
+    stencilShapes.set(shape || [0, 0, 0, 0], spring.id * 4);
+  }
+}
+
+/**
+ * Greedily colors the springs so that no two springs of a color share a vertex
+ *
+ * Springs are visited in order and each one takes the lowest color none of
+ * its vertices (including those of its stencil, see getStencilVertices)
+ * uses yet. On the grid this needs a little more colors than the largest
+ * number of springs at one vertex.
+ *
+ * With room for stitches, STITCH_BATCH_COUNT batches of stitchCapacity
+ * places each follow, filled by writeStitchBatches.
+ *
+ * @param {Array<Object>} springs - Verlet springs (from setupVerletGeometry);
+ *   stitch springs among them are left to writeStitchBatches
+ * @param {number} vertexCount - Number of Verlet vertices
+ * @param {number} [stitchCapacity=0] - Most stitch springs the cloth can have
+ * @returns {{order: Uint32Array, batches: Array<{offset: number, count: number}>,
+ *   stitchBatches: Array<{offset: number, count: number}>}}
+ *   Spring IDs grouped by color, the range of each color in that list, and
+ *   the stitch batches among them
+ */
+export function buildConstraintBatches(springs, vertexCount, stitchCapacity = 0) {
+  const vertexColors = Array.from({ length: vertexCount }, () => new Set());
+  const colorSprings = [];
+  const builtSprings = springs.filter((spring) => !spring.template);
+
+  for (const spring of builtSprings) {
+    const used = [spring.vertex0, spring.vertex1, ...(getStencilVertices(spring) || [])]
+      .map((vertex) => vertexColors[vertex.id]);
+    let color = 0;
+    while (used.some((colors) => colors.has(color))) color++;
+
+    for (const colors of used) colors.add(color);
+    if (!colorSprings[color]) colorSprings[color] = [];
+    colorSprings[color].push(spring.id);
+  }
+
+  const stitchBatchCount = stitchCapacity > 0 ? STITCH_BATCH_COUNT : 0;
+  const order = new Uint32Array(builtSprings.length + stitchBatchCount * stitchCapacity);
+  const batches = [];
+  let offset = 0;
+  for (const ids of colorSprings) {
+    order.set(ids, offset);
+    batches.push({ offset, count: ids.length });
+    offset += ids.length;
+  }
+
+  const stitchBatches = [];
+  for (let i = 0; i < stitchBatchCount; i++) {
+    stitchBatches.push({ offset, count: stitchCapacity });
+    offset += stitchCapacity;
+  }
+  batches.push(...stitchBatches);
+  writeStitchBatches(order, stitchBatches, springs.filter((spring) => spring.template));
+
+  return { order, batches, stitchBatches };
+}
+
+/**
+ * Fills the stitch batches (see buildConstraintBatches) with the stitch
+ * springs, colored greedily like the other springs
+ *
+ * Stitches are colored by the vertices their vertices were split from, so
+ * two stitches in a batch never come to share a vertex when vertices are
+ * split or joined again. Stitches needing more colors than there are
+ * batches go to the last one (where they may share a vertex).
+ *
+ * @param {Uint32Array} order - Spring IDs grouped by color
+ * @param {Array<{offset: number, count: number}>} stitchBatches - Range of
+ *   each stitch batch in order
+ * @param {Array<Object>} stitches - Stitch springs
+ */
+export function writeStitchBatches(order, stitchBatches, stitches) {
+  if (stitchBatches.length === 0) return;
+
+  const sourceColors = new Map();
+  const getColors = (vertex) => {
+    if (!sourceColors.has(vertex.sourceId)) sourceColors.set(vertex.sourceId, new Set());
+    return sourceColors.get(vertex.sourceId);
+  };
+  const counts = stitchBatches.map(() => 0);
+  for (const { offset, count } of stitchBatches) order.fill(UNUSED_CONSTRAINT, offset, offset + count);
+
+  for (const stitch of stitches) {
+    const used0 = getColors(stitch.vertex0);
+    const used1 = getColors(stitch.vertex1);
+    let color = 0;
+    while (color < stitchBatches.length - 1 && (used0.has(color) || used1.has(color))) color++;
+
+    used0.add(color);
+    used1.add(color);
+    order[stitchBatches[color].offset + counts[color]++] = stitch.id;
+  }
+}
+
+/**
+ * Gets the compliance of a constraint: the inverse of its spring's stiffness,
+ * scaled by the stiffness multiplier of its type (a multiplier of 0 makes the
+ * constraint infinitely soft)
+ *
+ * Mirrored by the XPBD constraint passes in compute/shaders.
+ *
+ * @param {number} stiffness - Spring stiffness (N/m)
+ * @param {number} springType - One of SPRING_TYPE
+ * @param {Object} multipliers - Current stiffness multipliers
+ * @param {number} multipliers.inPlaneStiffness - In-plane stiffness multiplier
+ * @param {number} multipliers.bendingStiffness - Bending stiffness multiplier
+ * @param {number} multipliers.zSpringStiffness - Z-spring stiffness multiplier
+ * @returns {number} Compliance (m/N)
+ */
+export function getConstraintCompliance(stiffness, springType, multipliers) {
+  const multiplier =
+    springType === SPRING_TYPE.Z_SPRING ? multipliers.zSpringStiffness
+      : springType === SPRING_TYPE.BENDING ? multipliers.bendingStiffness
+        : multipliers.inPlaneStiffness;
+  return 1 / Math.max(stiffness * multiplier, 0.000001);
+}
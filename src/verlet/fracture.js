@@ -0,0 +1,636 @@
+/**
+ * @fileoverview Topological tearing: splitting vertices along tear lines
+ * @module verlet/fracture
+ *
+ * A torn spring only stops pulling its vertices together; the faces around
+ * it still share those vertices. Two things follow from the tears:
+ *
+ * - A face whose own springs (its edges and diagonals) no longer hold its
+ *   corners together is torn, and the cloth mesh and the exporter leave it
+ *   out. Tears across grid quads take out as little as they can, though: a
+ *   tear running straight across a quad (two corners on each side) is moved
+ *   onto the quad's far side, which is cut while the quad's torn springs are
+ *   revived (see findTearSnap), and a torn quad that keeps a triangle half
+ *   (its two sides and diagonal intact) is drawn and exported as that half.
+ * - Once the torn springs around a vertex cut its faces into separate
+ *   pieces (every side of the vertex between two pieces is torn), the
+ *   vertex is split: the piece with the lowest face ID keeps it and every
+ *   other piece gets a copy of it (see splitVertex in verlet/geometry), so
+ *   the cloth comes apart into pieces that move, render and export on their
+ *   own. A piece made only of faces torn at the vertex (torn faces, or torn
+ *   quads whose kept triangle has no corner there) has nothing left to hold
+ *   and stays with the vertex.
+ *
+ * The springs at the vertex follow the face they lie on; bending springs
+ * follow the faces of the structural springs they span, and springs on no
+ * face (Z-springs) stay with the vertex. As the piece with the lowest face
+ * ID is the same on both grid layers, Z-springs keep joining the matching
+ * pieces of the two layers.
+ *
+ * The tears are found in the spring stiffness (0 once torn) read back from
+ * the solver, along with the vertex positions, so splitting works the same
+ * for the GPU and the CPU solver.
+ *
+ * Mending torn springs (see utils/stitching) works the other way round:
+ * the faces they hold together are no longer torn, and the copies of a
+ * vertex whose pieces are joined again are merged back (see mendFracture).
+ */
+
+import {
+  verletVertices,
+  verletSprings,
+  verletFaces,
+  splitVertex,
+  regroupVertices,
+  removeVertexCopies,
+  setTopology,
+  resetTopology,
+  getSpringCapacity,
+  SPRING_TYPE,
+} from "./geometry.js";
+
+/**
+ * Triangle halves of a grid quad (corner indices), on either diagonal,
+ * each wound like the quad's corners 0, 2, 1
+ * @type {Array<Array<number>>}
+ */
+const QUAD_TRIANGLES = [[0, 2, 1], [1, 2, 3], [0, 3, 1], [0, 2, 3]];
+
+/**
+ * Fraction of its stretch allowance up to which a torn spring of a quad is
+ * revived to move the tear onto the quad's far side (see findTearSnap), so
+ * that it does not tear again right away
+ * @type {number}
+ */
+const SNAP_STRETCH = 0.5;
+
+/**
+ * Whether each spring was torn the last time the tears were looked at
+ * (1 per spring slot), so that only new tears are processed
+ * @type {Uint8Array}
+ */
+let handledSprings = new Uint8Array(0);
+
+/**
+ * Whether running out of vertex copies was already reported
+ * @type {boolean}
+ */
+let warnedCapacity = false;
+
+/**
+ * Undoes every split and stitch (when the simulation is reset)
+ */
+export function resetFracture() {
+  resetTopology();
+  handledSprings = new Uint8Array(getSpringCapacity());
+  warnedCapacity = false;
+}
+
+/**
+ * Restores the splits of a saved topology (see getTopology in verlet/geometry)
+ * and the faces its tears had torn
+ *
+ * @param {Object} state - Snapshot state: a topology from getTopology and
+ *   the springStiffness saved with it
+ */
+export function restoreFracture(state) {
+  const { springStiffness } = state;
+  setTopology(state);
+  handledSprings = new Uint8Array(getSpringCapacity());
+  warnedCapacity = false;
+
+  for (const spring of verletSprings) {
+    if (springStiffness[spring.id] <= 0) handledSprings[spring.id] = 1;
+  }
+  for (const face of verletFaces) updateFaceTear(face, springStiffness);
+}
+
+/**
+ * Gets how much of the cloth has torn, as of the last splitTornVertices call
+ *
+ * Bending springs are not counted: they break with the springs they span.
+ * Neither are stitch springs, which are not part of the cloth as built.
+ *
+ * @returns {{tornSprings: number, springCount: number, tornArea: number}}
+ *   The torn and total structural, shear and Z-springs, and the fraction of
+ *   the cloth's area (at rest) in torn faces (half a quad for a quad that
+ *   keeps a triangle half)
+ */
+export function getTearStatistics() {
+  let tornSprings = 0;
+  let springCount = 0;
+  for (const spring of verletSprings) {
+    if (spring.type === SPRING_TYPE.BENDING || spring.template) continue;
+    springCount++;
+    if (handledSprings[spring.id]) tornSprings++;
+  }
+
+  let tornArea = 0;
+  let area = 0;
+  for (const face of verletFaces) {
+    area += face.area;
+    if (face.torn) tornArea += face.keptTriangle ? face.area / 2 : face.area;
+  }
+  return { tornSprings, springCount, tornArea: area > 0 ? tornArea / area : 0 };
+}
+
+/**
+ * Groups the corners of a face into the pieces its intact springs (its
+ * edges and diagonals) still hold together
+ *
+ * @param {Object} face - Verlet face
+ * @param {Function} isIntact - Whether a spring is intact
+ * @returns {Array<Array<number>>} The corner indices of each piece, the
+ *   piece of corner 0 first
+ */
+function getCornerPieces(face, isIntact) {
+  const labels = face.vertices.map((vertex, corner) => corner);
+  for (const spring of [...face.edges, ...face.springs]) {
+    const corner0 = face.vertices.indexOf(spring.vertex0);
+    const corner1 = face.vertices.indexOf(spring.vertex1);
+    if (!isIntact(spring) || corner0 < 0 || corner1 < 0) continue;
+    const [from, to] = [labels[corner1], labels[corner0]];
+    labels.forEach((label, corner) => {
+      if (label === from) labels[corner] = to;
+    });
+  }
+
+  const pieces = new Map();
+  labels.forEach((label, corner) => {
+    if (!pieces.has(label)) pieces.set(label, []);
+    pieces.get(label).push(corner);
+  });
+  return [...pieces.values()];
+}
+
+/**
+ * Gets the spring of a face between two of its corners
+ *
+ * @param {Object} face - Verlet face
+ * @param {number} corner0 - Index of the first corner
+ * @param {number} corner1 - Index of the second corner
+ * @returns {Object|undefined} The edge or diagonal joining them
+ */
+function getFaceSpring(face, corner0, corner1) {
+  const vertex0 = face.vertices[corner0];
+  const vertex1 = face.vertices[corner1];
+  return [...face.edges, ...face.springs].find((spring) =>
+    (spring.vertex0 === vertex0 && spring.vertex1 === vertex1) ||
+    (spring.vertex0 === vertex1 && spring.vertex1 === vertex0));
+}
+
+/**
+ * Works out whether a face is torn and, for a torn grid quad, which of its
+ * triangle halves is still whole (its two sides and diagonal intact)
+ *
+ * @param {Object} face - Verlet face, whose torn and keptTriangle are set
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ */
+function updateFaceTear(face, stiffness) {
+  face.torn = getCornerPieces(face, (spring) => stiffness[spring.id] > 0).length > 1;
+  face.keptTriangle = null;
+  if (!face.torn || face.vertices.length !== 4) return;
+
+  const isIntact = (corner0, corner1) => {
+    const spring = getFaceSpring(face, corner0, corner1);
+    return spring !== undefined && stiffness[spring.id] > 0;
+  };
+  const triangle = QUAD_TRIANGLES.find((corners) =>
+    corners.every((corner, k) => isIntact(corner, corners[(k + 1) % 3])));
+  if (triangle) face.keptTriangle = triangle;
+}
+
+/**
+ * Checks whether a face still holds cloth at one of the given vertices: it
+ * is not torn, or the triangle half it keeps has a corner there
+ *
+ * @param {Object} face - Verlet face
+ * @param {Array<Object>} vertices - A vertex and its copies
+ * @returns {boolean} True if the face is kept at the vertices
+ */
+function isFaceKeptAt(face, vertices) {
+  if (!face.torn) return true;
+  return face.keptTriangle !== null &&
+    face.keptTriangle.some((corner) => vertices.includes(face.vertices[corner]));
+}
+
+/**
+ * Finds how to move a tear running straight across a grid quad onto its
+ * far side
+ *
+ * Such a tear leaves the corners in two pieces, each joined by one side of
+ * the quad, and would take the whole quad out. Instead the side away from
+ * corner 0 is cut and enough of the quad's torn springs are revived to hold
+ * it whole, so it stays with the piece of corner 0 and the tear runs along
+ * the edge of the next quad (see splitTornVertices). A torn spring can be
+ * revived if it tore since the last call and is at most SNAP_STRETCH of its
+ * stretch allowance longer than at rest, so that it does not tear again
+ * right away.
+ *
+ * @param {Object} face - Verlet face, not yet torn
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @param {ArrayLike<number>} positions - Current vertex positions (xyz per vertex)
+ * @param {Set<Object>} newTears - Springs torn since the last call
+ * @returns {{cut: Object, revivable: Array<Object>}|null} The side to cut
+ *   and the torn springs that can be revived, or null if the tear does not
+ *   run straight across the quad
+ */
+function findTearSnap(face, stiffness, positions, newTears) {
+  if (face.vertices.length !== 4) return null;
+  const pieces = getCornerPieces(face, (spring) => stiffness[spring.id] > 0);
+  if (pieces.length !== 2 || pieces[0].length !== 2) return null;
+
+  // The piece of corner 0 holds corner 1 or 2 (the top or left side)
+  const farSide = { 1: [2, 3], 2: [1, 3] }[pieces[0][1]];
+  const cut = farSide && getFaceSpring(face, farSide[0], farSide[1]);
+  if (!cut) return null;
+
+  const isShort = ({ vertex0, vertex1, restLength, tearThreshold }) => {
+    const length = Math.hypot(
+      positions[vertex1.id * 3] - positions[vertex0.id * 3],
+      positions[vertex1.id * 3 + 1] - positions[vertex0.id * 3 + 1],
+      positions[vertex1.id * 3 + 2] - positions[vertex0.id * 3 + 2]
+    );
+    return length <= restLength * (1 + (tearThreshold - 1) * SNAP_STRETCH);
+  };
+  const revivable = [...face.edges, ...face.springs]
+    .filter((spring) => stiffness[spring.id] <= 0 && newTears.has(spring) && isShort(spring));
+  return { cut, revivable };
+}
+
+/**
+ * Works out which tears running straight across grid quads are moved onto
+ * the quads' far sides (see findTearSnap)
+ *
+ * A torn spring is only revived if every face it lies on is moved, so a
+ * neighbor whose tear is left alone keeps it. A quad whose revivable
+ * springs, less those, no longer hold it whole once the far sides are cut
+ * is not moved either, which can leave others short; this repeats until
+ * every moved quad is whole.
+ *
+ * @param {Map<Object, {cut: Object, revivable: Array<Object>}>} snaps - The
+ *   quads that could be moved, each with its findTearSnap result; those
+ *   that can't are removed
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @returns {{cut: Set<Object>, revived: Set<Object>}} The springs to cut and
+ *   to revive
+ */
+function settleTearSnaps(snaps, stiffness) {
+  for (;;) {
+    const cut = new Set();
+    const revived = new Set();
+    for (const { cut: side, revivable } of snaps.values()) {
+      cut.add(side);
+      for (const spring of revivable) {
+        if (spring.faceIds.every((id) => snaps.has(verletFaces[id]))) revived.add(spring);
+      }
+    }
+
+    const isIntact = (spring) => !cut.has(spring) && (stiffness[spring.id] > 0 || revived.has(spring));
+    const broken = [...snaps.keys()].filter((face) => getCornerPieces(face, isIntact).length > 1);
+    if (broken.length === 0) return { cut, revived };
+    for (const face of broken) snaps.delete(face);
+  }
+}
+
+/**
+ * Groups the faces around a vertex into the pieces that are still joined
+ *
+ * Two faces around the vertex are joined when they share an intact side at
+ * the vertex. Pieces are ordered by their lowest face ID.
+ *
+ * @param {Object} vertex - Verlet vertex
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @returns {Array<Array<Object>>} The faces of each piece
+ */
+function groupFacesAroundVertex(vertex, stiffness) {
+  return groupFacesAroundVertices([vertex], stiffness);
+}
+
+/**
+ * Groups the faces around a vertex and its copies into the pieces that are
+ * still joined (see groupFacesAroundVertex)
+ *
+ * @param {Array<Object>} vertices - A vertex and its copies
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @returns {Array<Array<Object>>} The faces of each piece
+ */
+function groupFacesAroundVertices(vertices, stiffness) {
+  const group = new Set(vertices);
+  const faceIds = vertices.flatMap((vertex) => vertex.faceIds).sort((a, b) => a - b);
+  const slots = new Map(faceIds.map((id, slot) => [id, slot]));
+  const parents = faceIds.map((id, slot) => slot);
+  const find = (slot) => {
+    while (parents[slot] !== slot) {
+      parents[slot] = parents[parents[slot]];
+      slot = parents[slot];
+    }
+    return slot;
+  };
+
+  for (const faceId of faceIds) {
+    for (const edge of verletFaces[faceId].edges) {
+      if (stiffness[edge.id] <= 0 || (!group.has(edge.vertex0) && !group.has(edge.vertex1))) continue;
+      for (const otherId of edge.faceIds) {
+        if (!slots.has(otherId)) continue;
+        const root = find(slots.get(faceId));
+        const otherRoot = find(slots.get(otherId));
+        // The lower slot (the lower face ID) stays the root
+        if (root < otherRoot) parents[otherRoot] = root;
+        else if (otherRoot < root) parents[root] = otherRoot;
+      }
+    }
+  }
+
+  const pieces = new Map();
+  faceIds.forEach((id, slot) => {
+    const root = find(slot);
+    if (!pieces.has(root)) pieces.set(root, []);
+    pieces.get(root).push(verletFaces[id]);
+  });
+  return [...pieces.values()];
+}
+
+/**
+ * Gets the faces a spring follows when its vertices are split or joined:
+ * those it lies on, or those of the structural springs a bending spring spans
+ *
+ * @param {Object} spring - Verlet spring
+ * @returns {Array<number>} Face IDs (none for Z-springs and stitches)
+ */
+function getSpringFaceIds(spring) {
+  return spring.neighbors
+    ? [...spring.neighbors[0].faceIds, ...spring.neighbors[1].faceIds]
+    : spring.faceIds;
+}
+
+/**
+ * Splits a vertex into one vertex per piece of cloth around it
+ *
+ * @param {Object} vertex - Verlet vertex
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @returns {Array<{vertex: Object, source: Object}>} The copies created
+ */
+function splitVertexAlongTears(vertex, stiffness) {
+  // The first piece with a face kept at the vertex keeps it, along with the
+  // pieces made only of torn faces
+  const movedPieces = groupFacesAroundVertex(vertex, stiffness)
+    .filter((faces) => faces.some((face) => isFaceKeptAt(face, [vertex])))
+    .slice(1);
+  if (movedPieces.length === 0) return [];
+
+  // Piece each face around the vertex moves to (0 for those staying)
+  const aroundVertex = new Set(vertex.faceIds);
+  const faceToPiece = new Map();
+  movedPieces.forEach((faces, piece) => faces.forEach((face) => faceToPiece.set(face.id, piece + 1)));
+  const findPiece = (faceIds) => {
+    const faceId = faceIds.find((id) => aroundVertex.has(id));
+    return faceToPiece.has(faceId) ? faceToPiece.get(faceId) : 0;
+  };
+
+  const pieceSprings = [[], ...movedPieces.map(() => [])];
+  for (const { id } of vertex.springIds) {
+    const spring = verletSprings[id];
+    pieceSprings[findPiece(getSpringFaceIds(spring))].push(spring);
+  }
+
+  const splits = [];
+  for (let piece = 1; piece <= movedPieces.length; piece++) {
+    const copy = splitVertex(vertex, movedPieces[piece - 1], pieceSprings[piece]);
+    if (!copy) {
+      if (!warnedCapacity) {
+        console.warn("Cloth tearing: every reserved vertex is in use, further tears are not split (see FRACTURE_CONFIG)");
+        warnedCapacity = true;
+      }
+      break;
+    }
+    splits.push({ vertex: copy, source: vertex });
+  }
+  return splits;
+}
+
+/**
+ * Tears the faces and splits the vertices that springs torn since the last
+ * call have cut apart
+ *
+ * Tears running straight across grid quads are first moved onto their far
+ * side (see findTearSnap and settleTearSnaps): the springs to revive and to
+ * cut are returned, and the faces and vertices are worked out as if that
+ * was done. Bending
+ * springs torn since the last call whose springs both hold again are
+ * revived with them.
+ *
+ * The caller cuts and mends those springs in the solver (see cutSprings and
+ * mendSprings in verlet/buffers and the CPU solver), copies the simulation
+ * state of each source vertex to its copy (see updateTopologyBuffers in
+ * verlet/buffers and updateTopology in the CPU solver) and updates the
+ * meshes drawing the cloth.
+ *
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ *   (0 for torn springs)
+ * @param {ArrayLike<number>} positions - Current vertex positions (xyz per vertex)
+ * @returns {{splits: Array<{vertex: Object, source: Object}>, tornFaces: number,
+ *   cutSpringIds: Array<number>, mendedSpringIds: Array<number>, mendedVertexIds: Array<number>}}
+ *   Every copy created, with the vertex it was split from, the number of
+ *   faces newly torn, the springs to cut and to mend, and the vertices
+ *   whose structural, shear and Z-springs all hold again
+ */
+export function splitTornVertices(stiffness, positions) {
+  if (handledSprings.length < verletSprings.length) {
+    handledSprings = new Uint8Array(getSpringCapacity());
+  }
+
+  // Springs torn since the last call, and the faces they lie on
+  const newTears = new Set();
+  const faceIds = new Set();
+  for (const spring of verletSprings) {
+    if (handledSprings[spring.id] || stiffness[spring.id] > 0) continue;
+    handledSprings[spring.id] = 1;
+    newTears.add(spring);
+    for (const id of spring.faceIds) faceIds.add(id);
+  }
+
+  const snaps = new Map();
+  for (const id of faceIds) {
+    const face = verletFaces[id];
+    const snap = face.torn ? null : findTearSnap(face, stiffness, positions, newTears);
+    if (snap) snaps.set(face, snap);
+  }
+  const { cut, revived } = settleTearSnaps(snaps, stiffness);
+
+  let current = stiffness;
+  if (cut.size > 0) {
+    current = Float32Array.from(stiffness);
+    for (const spring of cut) {
+      current[spring.id] = 0;
+      handledSprings[spring.id] = 1;
+      newTears.add(spring);
+      for (const id of spring.faceIds) faceIds.add(id);
+    }
+    for (const spring of revived) current[spring.id] = spring.stiffness;
+    for (const spring of newTears) {
+      if (spring.neighbors && spring.neighbors.every((neighbor) => current[neighbor.id] > 0)) {
+        current[spring.id] = spring.stiffness;
+        revived.add(spring);
+      }
+    }
+    for (const spring of revived) {
+      handledSprings[spring.id] = 0;
+      newTears.delete(spring);
+    }
+  }
+
+  let tornFaces = 0;
+  for (const id of faceIds) {
+    const face = verletFaces[id];
+    const wasTorn = face.torn;
+    updateFaceTear(face, current);
+    if (face.torn && !wasTorn) tornFaces++;
+  }
+
+  // Vertices at the ends of torn springs on a face
+  const candidates = new Set();
+  for (const spring of newTears) {
+    if (spring.faceIds.length === 0) continue;
+    candidates.add(spring.vertex0);
+    candidates.add(spring.vertex1);
+  }
+  const splits = [];
+  for (const vertex of candidates) {
+    splits.push(...splitVertexAlongTears(vertex, current));
+  }
+
+  // Vertices whose structural, shear and Z-springs all hold again are no
+  // longer broken
+  const mendedVertices = new Set();
+  for (const spring of revived) {
+    mendedVertices.add(spring.vertex0);
+    mendedVertices.add(spring.vertex1);
+  }
+  const mendedVertexIds = [...mendedVertices]
+    .filter((vertex) => vertex.springIds.every(({ id, type }) => type === SPRING_TYPE.BENDING || current[id] > 0))
+    .map((vertex) => vertex.id);
+
+  return {
+    splits,
+    tornFaces,
+    cutSpringIds: [...cut].map((spring) => spring.id),
+    mendedSpringIds: [...revived].map((spring) => spring.id),
+    mendedVertexIds,
+  };
+}
+
+/**
+ * Joins a vertex and its copies back into one vertex per piece of cloth
+ * around them, now that mended springs hold pieces together again
+ *
+ * Each piece with an intact face goes to the vertex (of those it is made
+ * of) holding most of its faces, the vertex the others were split from
+ * going first; pieces made only of torn faces go with the first piece.
+ * Springs follow their faces, and springs on no face stay with their
+ * vertex unless it is no longer used.
+ *
+ * @param {Array<Object>} vertices - A vertex and its copies, the vertex first
+ * @param {ArrayLike<number>} stiffness - Stiffness of every spring after mending
+ * @returns {Array<Object>} The copies no longer used
+ */
+function joinVertexCopies(vertices, stiffness) {
+  const [source] = vertices;
+  const pieces = groupFacesAroundVertices(vertices, stiffness);
+  const keptPieces = pieces.filter((faces) => faces.some((face) => isFaceKeptAt(face, vertices)));
+  const holder = (face) => face.vertices.find((corner) => vertices.includes(corner));
+  const countHeld = (faces, vertex) => faces.filter((face) => holder(face) === vertex).length;
+
+  // Vertex each kept piece goes to
+  const pieceVertices = new Map();
+  if (keptPieces.length > 0) {
+    const sourcePiece = keptPieces.reduce((best, faces) =>
+      (countHeld(faces, source) > countHeld(best, source) ? faces : best));
+    pieceVertices.set(sourcePiece, source);
+  }
+  for (const faces of keptPieces) {
+    if (pieceVertices.has(faces)) continue;
+    const free = vertices.filter((vertex) => ![...pieceVertices.values()].includes(vertex));
+    const best = free.reduce((bestVertex, vertex) =>
+      (bestVertex === null || countHeld(faces, vertex) > countHeld(faces, bestVertex) ? vertex : bestVertex), null);
+    pieceVertices.set(faces, best ? best : source);
+  }
+  const firstVertex = keptPieces.length > 0 ? pieceVertices.get(keptPieces[0]) : source;
+
+  const faceTargets = new Map();
+  const faceVertices = new Map();
+  for (const faces of pieces) {
+    const target = pieceVertices.has(faces) ? pieceVertices.get(faces) : firstVertex;
+    for (const face of faces) {
+      faceTargets.set(face, target);
+      faceVertices.set(face.id, target);
+    }
+  }
+  const used = new Set([source, ...pieceVertices.values()]);
+
+  const springTargets = new Map();
+  for (const vertex of vertices) {
+    for (const { id } of vertex.springIds) {
+      const spring = verletSprings[id];
+      const faceId = getSpringFaceIds(spring).find((id) => faceVertices.has(id));
+      const target = faceId !== undefined ? faceVertices.get(faceId) : used.has(vertex) ? vertex : firstVertex;
+      springTargets.set(spring, target);
+    }
+  }
+
+  regroupVertices(vertices, faceTargets, springTargets);
+  return vertices.filter((vertex) => !used.has(vertex));
+}
+
+/**
+ * Untears the faces and joins the split vertices that mended springs (see
+ * mendSprings in verlet/buffers) hold together again
+ *
+ * Vertex copies no longer used are removed; the caller copies the
+ * simulation state of every vertex moved to fill their slots (see
+ * updateTopologyBuffers in verlet/buffers and updateTopology in the CPU
+ * solver) and updates the meshes drawing the cloth.
+ *
+ * @param {Array<number>} springIds - IDs of the mended springs
+ * @param {ArrayLike<number>} stiffness - Stiffness of every spring after mending
+ * @returns {{moves: Array<{vertex: Object, fromId: number}>, mendedFaces: number, removedVertices: number}}
+ *   Every vertex moved, with the slot it moved from, the number of faces no
+ *   longer torn and the number of vertex copies removed
+ */
+export function mendFracture(springIds, stiffness) {
+  const springs = springIds.map((id) => verletSprings[id]);
+  for (const spring of springs) handledSprings[spring.id] = 0;
+
+  let mendedFaces = 0;
+  for (const spring of springs) {
+    for (const id of spring.faceIds) {
+      const face = verletFaces[id];
+      if (!face.torn) continue;
+      updateFaceTear(face, stiffness);
+      if (!face.torn) mendedFaces++;
+    }
+  }
+
+  // Every vertex at the mended springs, with all its copies
+  const sourceIds = new Set();
+  for (const spring of springs) {
+    sourceIds.add(spring.vertex0.sourceId);
+    sourceIds.add(spring.vertex1.sourceId);
+  }
+  const families = new Map();
+  for (const vertex of verletVertices) {
+    if (!sourceIds.has(vertex.sourceId)) continue;
+    if (!families.has(vertex.sourceId)) families.set(vertex.sourceId, []);
+    families.get(vertex.sourceId).push(vertex);
+  }
+
+  const unused = [];
+  for (const vertices of families.values()) {
+    if (vertices.length < 2) continue;
+    vertices.sort((a, b) => a.id - b.id);
+    unused.push(...joinVertexCopies(vertices, stiffness));
+  }
+
+  const moves = removeVertexCopies(unused);
+  return { moves, mendedFaces, removedVertices: unused.length };
+}
@@ -4,22 +4,61 @@
  *
  * This module handles the creation and configuration of the Verlet system geometry,
  * including vertices and springs that form the cloth simulation structure.
+ *
+ * Every vertex and spring stands for a piece of the cloth's area. A vertex's
+ * mass is that area times the fabric's areal density, and a spring's
+ * stiffness (N/m) and damping (N·s/m) are those of its class in the fabric
+ * times area / length², so the cloth has the same weight and stretch at any
+ * resolution. The two layers of the grid each take half of the area. The
+ * painted material maps (see verlet/materialMaps) scale the mass, stiffness
+ * and tear resistance across the surface.
+ *
+ * The cloth surface is made of faces (the quads of each grid layer, or the
+ * triangles of an imported mesh), which the cloth mesh renders and the
+ * exporter writes. When the cloth tears apart, a vertex can be split into
+ * copies, one per piece around it (see verlet/fracture): faces and springs
+ * of the other pieces move to a copy, so the topology changes while the
+ * spring count stays the same. Mending the tears joins the copies again,
+ * and stitch springs can sew vertices together (see utils/stitching); like
+ * the vertex copies, they come from a reserve the buffers are sized for.
  */
 
 import * as THREE from "three/webgpu";
-import {
-  CLOTH_WIDTH,
-  CLOTH_HEIGHT,
-  CLOTH_NUM_SEGMENTS_X,
-  CLOTH_NUM_SEGMENTS_Y,
-  CLOTH_THICKNESS,
-  Z_SPRING_STIFFNESS,
-} from "../config/constants.js";
+import { STEPS_PER_SECOND, TEAR_CONFIG, FRACTURE_CONFIG, STITCH_CONFIG } from "../config/constants.js";
+import { getClothConfig, getFabricConfig } from "../config/clothConfig.js";
+import { createPinMask, createMeshPinMask } from "./pinning.js";
+import { sampleMaterialMaps } from "./materialMaps.js";
+
+/**
+ * Spring type identifiers, stored per spring in springTypeBuffer
+ * - IN_PLANE: structural and shear springs within a layer
+ * - Z_SPRING: springs connecting the top and bottom layers
+ * - BENDING: skip-one springs resisting folding within a layer
+ * @enum {number}
+ */
+export const SPRING_TYPE = {
+  IN_PLANE: 0,
+  Z_SPRING: 1,
+  BENDING: 2,
+};
 
 /**
- * Default stiffness for in-plane springs (will be overridden by uniform)
+ * Spring classes, each with its own material in the fabric preset
+ * (see config/fabricPresets.js)
+ * - HORIZONTAL: structural springs along X (the weft)
+ * - VERTICAL: structural springs along Z (the warp)
+ * - DIAGONAL: shear springs
+ * - Z: springs connecting the top and bottom layers
+ * - BENDING: skip-one springs resisting folding
+ * @enum {string}
  */
-const DEFAULT_IN_PLANE_STIFFNESS = 0.2;
+export const SPRING_CLASS = {
+  HORIZONTAL: "horizontal",
+  VERTICAL: "vertical",
+  DIAGONAL: "diagonal",
+  Z: "z",
+  BENDING: "bending",
+};
 
 /**
  * Array storing all Verlet vertices in the simulation
@@ -33,6 +72,22 @@ export const verletVertices = [];
  */
 export const verletSprings = [];
 
+/**
+ * Array storing all faces of the cloth surface: the quads of both grid
+ * layers (top layer first, cells in column order) or the triangles of an
+ * imported mesh
+ * @type {Array<Object>}
+ */
+export const verletFaces = [];
+
+/**
+ * Topology of the cloth as built, before any vertex was split or stitched
+ * (see getTopology), with its spring count and the area and face count of
+ * every vertex
+ * @type {Object|null}
+ */
+let baseTopology = null;
+
 /**
  * 2D array storing TOP layer vertices organized by column for easy grid access
  * @type {Array<Array<Object>>}
@@ -45,6 +100,32 @@ export const verletVertexColumns = [];
  */
 export const verletVertexColumnsBottom = [];
 
+/**
+ * Imported triangle mesh used as the cloth instead of the grid
+ * (see prepareClothMesh in verlet/meshImport.js), or null for the grid
+ * @type {Object|null}
+ */
+let importedMesh = null;
+
+/**
+ * Sets the imported mesh to simulate, or null to go back to the grid
+ *
+ * Takes effect the next time the cloth is built (setupCloth).
+ *
+ * @param {Object|null} mesh - Prepared cloth mesh from prepareClothMesh
+ */
+export function setImportedMesh(mesh) {
+  importedMesh = mesh;
+}
+
+/**
+ * Gets the imported mesh being simulated
+ * @returns {Object|null} The prepared cloth mesh, or null when using the grid
+ */
+export function getImportedMesh() {
+  return importedMesh;
+}
+
 /**
  * Adds a Verlet vertex to the simulation
  *
@@ -52,83 +133,286 @@ export const verletVertexColumnsBottom = [];
  * @param {number} y - Y position of the vertex
  * @param {number} z - Z position of the vertex
  * @param {boolean} isFixed - Whether the vertex position is immovable
- * @returns {Object} The created vertex object
+ * @param {number} area - Cloth area the vertex stands for (m²)
+ * @param {THREE.Vector2} uv - Texture coordinates of the vertex (for the material maps)
+ * @returns {Object} The created vertex object (sourceId is the vertex it
+ *   was split from, or its own ID)
  */
-function addVerletVertex(x, y, z, isFixed) {
+function addVerletVertex(x, y, z, isFixed, area, uv) {
   const id = verletVertices.length;
   const vertex = {
     id,
     position: new THREE.Vector3(x, y, z),
     isFixed,
+    area,
+    uv,
+    mass: 0,
     springIds: [],
+    faceIds: [],
+    sourceId: id,
   };
+  applyVertexMaterial(vertex);
   verletVertices.push(vertex);
   return vertex;
 }
 
+/**
+ * Sets the mass of a vertex from the fabric and the mass map
+ * @param {Object} vertex - Verlet vertex
+ */
+function applyVertexMaterial(vertex) {
+  const { mass } = sampleMaterialMaps(vertex.uv.x, vertex.uv.y);
+  vertex.mass = vertex.area * getFabricConfig().arealDensity * mass;
+}
+
+/**
+ * Gets the class of an in-plane spring from its direction at rest
+ *
+ * Springs within 22.5° of the X axis are horizontal, within 22.5° of the
+ * Z axis vertical, and all others diagonal.
+ *
+ * @param {Object} vertex0 - First vertex of the spring
+ * @param {Object} vertex1 - Second vertex of the spring
+ * @returns {string} One of SPRING_CLASS
+ */
+function getInPlaneClass(vertex0, vertex1) {
+  const dx = Math.abs(vertex1.position.x - vertex0.position.x);
+  const dz = Math.abs(vertex1.position.z - vertex0.position.z);
+  const tan22 = Math.SQRT2 - 1;
+  if (dz <= dx * tan22) return SPRING_CLASS.HORIZONTAL;
+  if (dx <= dz * tan22) return SPRING_CLASS.VERTICAL;
+  return SPRING_CLASS.DIAGONAL;
+}
+
+/**
+ * Gets a pseudo-random number for a spring, the same for the same spring
+ * ID and TEAR_CONFIG.seed
+ *
+ * @param {number} id - Spring ID
+ * @returns {number} A number in [0, 1)
+ */
+function getSpringRandom(id) {
+  let hash = Math.imul(id, 0x9e3779b1) ^ Math.imul(TEAR_CONFIG.seed, 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d);
+  hash = Math.imul(hash ^ (hash >>> 15), 0x846ca68b);
+  return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Sets the stiffness, damping and tear threshold of a spring from the
+ * material of its class, scaled by the stiffness and tear resistance maps
+ * halfway between its vertices
+ *
+ * The stretch allowance (tear threshold - 1) of every spring varies
+ * randomly by up to TEAR_CONFIG.variation, so rips follow an irregular
+ * path. Bending springs have no tear threshold of their own (0): they tear
+ * with their neighbors. Stitch springs take the values of their template.
+ *
+ * @param {Object} spring - Verlet spring
+ */
+function applySpringMaterial(spring) {
+  if (spring.template) {
+    const { stiffness, damping, tearThreshold } = spring.template;
+    Object.assign(spring, { stiffness, damping, tearThreshold });
+    return;
+  }
+
+  const { vertex0, vertex1, area, restLength, springClass } = spring;
+  const material = getFabricConfig().springs[springClass];
+  const maps = sampleMaterialMaps((vertex0.uv.x + vertex1.uv.x) / 2, (vertex0.uv.y + vertex1.uv.y) / 2);
+  const scale = (area / Math.max(restLength * restLength, 1e-12)) * maps.stiffness;
+
+  spring.stiffness = material.stiffness * scale;
+  spring.damping = material.damping * scale;
+  const variation = 1 + TEAR_CONFIG.variation * (getSpringRandom(spring.id) * 2 - 1);
+  spring.tearThreshold = spring.type === SPRING_TYPE.BENDING
+    ? 0
+    : 1 + (material.tearThreshold - 1) * maps.tearResistance * variation;
+}
+
+/**
+ * Re-applies the fabric and the material maps to every vertex and spring of
+ * the current cloth (after the maps were painted)
+ *
+ * Only the vertex and spring objects change; see updateMaterialBuffers in
+ * verlet/buffers for the GPU copies.
+ */
+export function applyMaterialMaps() {
+  verletVertices.forEach(applyVertexMaterial);
+  verletSprings.forEach(applySpringMaterial);
+}
+
 /**
  * Adds a Verlet spring connecting two vertices
  *
+ * The stiffness, damping and tear threshold come from the fabric material
+ * of the spring's class (see applySpringMaterial).
+ *
  * @param {Object} vertex0 - First vertex to connect
  * @param {Object} vertex1 - Second vertex to connect
- * @param {number} stiffness - Spring stiffness coefficient
- * @param {boolean} isZSpring - Whether this is a Z-spring (unbreakable)
- * @returns {Object} The created spring object
+ * @param {number} area - Cloth area the spring stands for (m²)
+ * @param {string} springClass - Spring class (one of SPRING_CLASS)
+ * @param {Array<Object>|null} neighbors - For bending springs, the two
+ *   structural springs they span (the bending spring tears with them)
+ * @returns {Object} The created spring object (faceIds lists the faces it
+ *   lies on, see addVerletFace; base is only set on grid Z-springs, see
+ *   setupGridGeometry; template is only set on stitch springs, see
+ *   addStitchSpring)
  */
-function addVerletSpring(vertex0, vertex1, stiffness = DEFAULT_IN_PLANE_STIFFNESS, isZSpring = false) {
+function addVerletSpring(vertex0, vertex1, area, springClass, neighbors = null) {
   const id = verletSprings.length;
+  const restLength = vertex0.position.distanceTo(vertex1.position);
+  const type =
+    springClass === SPRING_CLASS.Z ? SPRING_TYPE.Z_SPRING
+      : springClass === SPRING_CLASS.BENDING ? SPRING_TYPE.BENDING
+        : SPRING_TYPE.IN_PLANE;
   const spring = {
     id,
     vertex0,
     vertex1,
-    stiffness,
-    isZSpring, // Z-springs are unbreakable, in-plane springs can break
+    area,
+    restLength,
+    stiffness: 0,
+    damping: 0,
+    tearThreshold: 0,
+    type,
+    springClass,
+    neighbors,
+    base: null,
+    faceIds: [],
+    template: null,
   };
-  vertex0.springIds.push({ id, isZSpring });
-  vertex1.springIds.push({ id, isZSpring });
+  applySpringMaterial(spring);
+  vertex0.springIds.push({ id, type });
+  vertex1.springIds.push({ id, type });
   verletSprings.push(spring);
   return spring;
 }
 
+/**
+ * Adds a face of the cloth surface
+ *
+ * The face is listed on its vertices and on the springs lying on it (its
+ * edges and, for a quad, its diagonals), and keeps its area at rest. It is
+ * torn once the tears across it leave its corners in separate pieces; a
+ * torn quad may keep a triangle half (see verlet/fracture).
+ *
+ * @param {Array<Object>} vertices - Corners: 3 for a triangle, 4 for a grid
+ *   quad (in the order (x, y), (x + 1, y), (x, y + 1), (x + 1, y + 1))
+ * @param {Array<number>} uvs - Texture coordinates of the corners (2 per corner)
+ * @param {Array<Object>} edges - Springs along the sides of the face
+ * @param {Array<Object>} springs - Springs across the face (quad diagonals)
+ * @param {string} layer - Layer of the face ('top', 'bottom' or 'mesh')
+ * @returns {Object} The created face object
+ */
+function addVerletFace(vertices, uvs, edges, springs, layer) {
+  const id = verletFaces.length;
+  const triangleArea = (a, b, c) => new THREE.Vector3()
+    .subVectors(b.position, a.position)
+    .cross(new THREE.Vector3().subVectors(c.position, a.position))
+    .length() / 2;
+  const area = vertices.length === 4
+    ? triangleArea(vertices[0], vertices[1], vertices[2]) + triangleArea(vertices[1], vertices[3], vertices[2])
+    : triangleArea(vertices[0], vertices[1], vertices[2]);
+
+  const face = { id, vertices, uvs, edges, springs, layer, area, torn: false, keptTriangle: null };
+  for (const vertex of vertices) vertex.faceIds.push(id);
+  for (const spring of [...edges, ...springs]) spring.faceIds.push(id);
+  verletFaces.push(face);
+  return face;
+}
+
 /**
  * Sets up the Verlet geometry system with dual-layer thickness
  *
  * Creates two layers of vertices (top and bottom) connected by:
  * - In-plane springs (horizontal, vertical, diagonal) for each layer
+ * - Bending springs (skip-one horizontal and vertical) for each layer
  * - Z-springs connecting corresponding vertices between layers (volume preservation)
  *
+ * The grid size and resolution come from the live cloth configuration
+ * (see config/clothConfig.js).
+ *
+ * Fixed vertices follow the active pin configuration (see verlet/pinning.js);
+ * a pinned grid coordinate fixes both its top and bottom layer vertex.
+ *
  * All springs are stored in a unified array with per-spring stiffness.
  * The total energy is: E_total = E_linear + E_z_spring
  *
+ * Each spring takes the stiffness, damping and tear threshold of its class
+ * (see SPRING_CLASS) from the live fabric (see config/fabricPresets.js),
+ * and the layers are the fabric's thickness apart.
+ *
+ * Each grid vertex stands for a quarter of every cell around it, and the
+ * in-plane and bending springs share the cells (see createLayerSprings);
+ * both are split between the two layers. Each Z-spring stands for the area
+ * of its vertex.
+ *
+ * When a mesh has been imported (setImportedMesh), a single-layer system is
+ * built from it instead (see setupMeshGeometry).
+ *
+ * The topology as built is kept so that resetTopology can undo vertex
+ * splits.
+ *
  * @throws {Error} If vertices or springs cannot be created
  */
 export function setupVerletGeometry() {
   // Clear any existing geometry
   verletVertices.length = 0;
   verletSprings.length = 0;
+  verletFaces.length = 0;
   verletVertexColumns.length = 0;
   verletVertexColumnsBottom.length = 0;
+  baseTopology = null;
+
+  if (importedMesh) {
+    setupMeshGeometry(importedMesh);
+  } else {
+    setupGridGeometry();
+  }
+
+  baseTopology = {
+    vertexCount: verletVertices.length,
+    springCount: verletSprings.length,
+    areas: verletVertices.map((vertex) => vertex.area),
+    faceCounts: verletVertices.map((vertex) => vertex.faceIds.length),
+  };
+  Object.assign(baseTopology, getTopology());
+}
+
+/**
+ * Sets up the dual-layer grid (see setupVerletGeometry)
+ */
+function setupGridGeometry() {
+  const { width, height, segmentsX, segmentsY } = getClothConfig();
+  const halfThickness = getFabricConfig().thickness / 2;
+  const pinMask = createPinMask(segmentsX, segmentsY);
+  const cellArea = (width / segmentsX) * (height / segmentsY);
+
+  // Area around a grid coordinate: a quarter of each of its cells
+  const getVertexArea = (x, y) => {
+    const cellsX = (x > 0 ? 1 : 0) + (x < segmentsX ? 1 : 0);
+    const cellsY = (y > 0 ? 1 : 0) + (y < segmentsY ? 1 : 0);
+    return (cellsX * cellsY * cellArea) / 4;
+  };
 
-  const halfThickness = CLOTH_THICKNESS / 2;
+  // Texture coordinates of a grid coordinate (as in the exported mesh)
+  const getVertexUV = (x, y) => new THREE.Vector2(x / segmentsX, y / segmentsY);
 
   // ========================================================================
   // Create TOP layer vertices (y = +halfThickness)
   // ========================================================================
-  for (let x = 0; x <= CLOTH_NUM_SEGMENTS_X; x++) {
+  for (let x = 0; x <= segmentsX; x++) {
     const column = [];
 
-    for (let y = 0; y <= CLOTH_NUM_SEGMENTS_Y; y++) {
-      const posX = x * (CLOTH_WIDTH / CLOTH_NUM_SEGMENTS_X) - CLOTH_WIDTH * 0.5;
-      const posZ = y * (CLOTH_HEIGHT / CLOTH_NUM_SEGMENTS_Y) - CLOTH_HEIGHT * 0.5;
+    for (let y = 0; y <= segmentsY; y++) {
+      const posX = x * (width / segmentsX) - width * 0.5;
+      const posZ = y * (height / segmentsY) - height * 0.5;
 
-      // Fix ALL edge vertices to create tension
-      const isLeftEdge = x === 0;
-      const isRightEdge = x === CLOTH_NUM_SEGMENTS_X;
-      const isFrontEdge = y === 0;
-      const isBackEdge = y === CLOTH_NUM_SEGMENTS_Y;
-      const isFixed = isLeftEdge || isRightEdge || isFrontEdge || isBackEdge;
+      // Fix vertices selected by the active pin configuration
+      const isFixed = pinMask[x * (segmentsY + 1) + y] === 1;
 
-      const vertex = addVerletVertex(posX, halfThickness, posZ, isFixed);
+      const vertex = addVerletVertex(posX, halfThickness, posZ, isFixed, getVertexArea(x, y) / 2, getVertexUV(x, y));
       vertex.layer = 'top';
       column.push(vertex);
     }
@@ -139,21 +423,17 @@ export function setupVerletGeometry() {
   // ========================================================================
   // Create BOTTOM layer vertices (y = -halfThickness)
   // ========================================================================
-  for (let x = 0; x <= CLOTH_NUM_SEGMENTS_X; x++) {
+  for (let x = 0; x <= segmentsX; x++) {
     const column = [];
 
-    for (let y = 0; y <= CLOTH_NUM_SEGMENTS_Y; y++) {
-      const posX = x * (CLOTH_WIDTH / CLOTH_NUM_SEGMENTS_X) - CLOTH_WIDTH * 0.5;
-      const posZ = y * (CLOTH_HEIGHT / CLOTH_NUM_SEGMENTS_Y) - CLOTH_HEIGHT * 0.5;
+    for (let y = 0; y <= segmentsY; y++) {
+      const posX = x * (width / segmentsX) - width * 0.5;
+      const posZ = y * (height / segmentsY) - height * 0.5;
 
-      // Fix ALL edge vertices to create tension
-      const isLeftEdge = x === 0;
-      const isRightEdge = x === CLOTH_NUM_SEGMENTS_X;
-      const isFrontEdge = y === 0;
-      const isBackEdge = y === CLOTH_NUM_SEGMENTS_Y;
-      const isFixed = isLeftEdge || isRightEdge || isFrontEdge || isBackEdge;
+      // Fix vertices selected by the active pin configuration
+      const isFixed = pinMask[x * (segmentsY + 1) + y] === 1;
 
-      const vertex = addVerletVertex(posX, -halfThickness, posZ, isFixed);
+      const vertex = addVerletVertex(posX, -halfThickness, posZ, isFixed, getVertexArea(x, y) / 2, getVertexUV(x, y));
       vertex.layer = 'bottom';
       column.push(vertex);
     }
@@ -164,55 +444,186 @@ export function setupVerletGeometry() {
   // ========================================================================
   // Create in-plane springs for TOP layer
   // ========================================================================
-  createLayerSprings(verletVertexColumns);
+  createLayerSprings(verletVertexColumns, cellArea / 2, 'top');
 
   // ========================================================================
   // Create in-plane springs for BOTTOM layer
   // ========================================================================
-  createLayerSprings(verletVertexColumnsBottom);
+  createLayerSprings(verletVertexColumnsBottom, cellArea / 2, 'bottom');
 
   // ========================================================================
   // Create Z-springs connecting top and bottom layers (volume preservation)
   // ========================================================================
-  for (let x = 0; x <= CLOTH_NUM_SEGMENTS_X; x++) {
-    for (let y = 0; y <= CLOTH_NUM_SEGMENTS_Y; y++) {
+  for (let x = 0; x <= segmentsX; x++) {
+    for (let y = 0; y <= segmentsY; y++) {
       const topVertex = verletVertexColumns[x][y];
       const bottomVertex = verletVertexColumnsBottom[x][y];
       
-      // Connect corresponding vertices between layers with higher stiffness
-      // Z-springs are marked as unbreakable (isZSpring = true)
-      addVerletSpring(topVertex, bottomVertex, Z_SPRING_STIFFNESS, true);
+      // Connect corresponding vertices between layers
+      const zSpring = addVerletSpring(topVertex, bottomVertex, getVertexArea(x, y), SPRING_CLASS.Z);
+
+      // A horizontal and a vertical spring of the top layer at the vertex:
+      // the base of the XPBD thickness constraint (see verlet/constraints)
+      const topSprings = topVertex.springIds.map(({ id }) => verletSprings[id]);
+      zSpring.base = [SPRING_CLASS.HORIZONTAL, SPRING_CLASS.VERTICAL]
+        .map((springClass) => topSprings.find((spring) => spring.springClass === springClass));
     }
   }
 }
 
 /**
- * Creates in-plane springs for a single layer
+ * Sets up a single-layer Verlet system from an imported triangle mesh
+ *
+ * - One vertex per welded mesh vertex
+ * - One in-plane (structural) spring per unique triangle edge, classed as
+ *   horizontal, vertical or diagonal by its direction (see getInPlaneClass)
+ * - One bending spring per pair of adjacent triangles, connecting their
+ *   opposite vertices; it tears together with the shared edge
+ *
+ * Vertices and edges take the areas computed by buildMeshTopology; a
+ * bending spring stands for the two triangles it spans. Each vertex takes
+ * the UV of the first render vertex welded into it. Every triangle that is
+ * not degenerate after welding becomes a face, keeping the UVs of its
+ * render vertices.
+ *
+ * @param {Object} mesh - Prepared cloth mesh from prepareClothMesh
+ */
+function setupMeshGeometry(mesh) {
+  const { positions, edges, bendingPairs, boundary, vertexAreas, edgeAreas, uvs, verletIds, indices } = mesh;
+  const vertexCount = positions.length / 3;
+  const pinMask = createMeshPinMask(positions, boundary);
+
+  // A welded vertex takes the UV of the first render vertex it came from
+  const vertexUVs = Array.from({ length: vertexCount }, () => null);
+  verletIds.forEach((id, renderVertex) => {
+    if (!vertexUVs[id]) vertexUVs[id] = new THREE.Vector2().fromArray(uvs, renderVertex * 2);
+  });
+
+  for (let i = 0; i < vertexCount; i++) {
+    const vertex = addVerletVertex(
+      positions[i * 3],
+      positions[i * 3 + 1],
+      positions[i * 3 + 2],
+      pinMask[i] === 1,
+      vertexAreas[i],
+      vertexUVs[i] || new THREE.Vector2()
+    );
+    vertex.layer = 'mesh';
+  }
+
+  const edgeSprings = edges.map(([a, b], e) => {
+    const vertex0 = verletVertices[a];
+    const vertex1 = verletVertices[b];
+    return addVerletSpring(vertex0, vertex1, edgeAreas[e], getInPlaneClass(vertex0, vertex1));
+  });
+
+  for (const { vertices: [c, d], edge } of bendingPairs) {
+    addVerletSpring(verletVertices[c], verletVertices[d], edgeAreas[edge], SPRING_CLASS.BENDING, [
+      edgeSprings[edge],
+      edgeSprings[edge],
+    ]);
+  }
+
+  const edgeLookup = new Map(edges.map(([a, b], e) => [`${a},${b}`, edgeSprings[e]]));
+  const getEdgeSpring = (a, b) => edgeLookup.get(a < b ? `${a},${b}` : `${b},${a}`);
+
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    const renderVertices = [indices[t], indices[t + 1], indices[t + 2]];
+    const [a, b, c] = renderVertices.map((renderVertex) => verletIds[renderVertex]);
+    if (a === b || b === c || a === c) continue;
+
+    addVerletFace(
+      [verletVertices[a], verletVertices[b], verletVertices[c]],
+      renderVertices.flatMap((renderVertex) => [uvs[renderVertex * 2], uvs[renderVertex * 2 + 1]]),
+      [getEdgeSpring(a, b), getEdgeSpring(b, c), getEdgeSpring(c, a)],
+      [],
+      'mesh'
+    );
+  }
+}
+
+/**
+ * Creates in-plane and bending springs for a single layer
+ *
+ * Bending springs connect vertices two apart (x-2 / y-2). Each one remembers
+ * the two structural springs it spans so that it only tears when they do.
+ *
+ * Structural and bending springs stand for half of each cell beside them
+ * (a whole cell inside the grid, half a cell along its border) and diagonal
+ * springs for half of the cell they cross.
+ *
+ * Every cell also becomes a quad face, once all four of its sides exist.
+ *
  * @param {Array<Array<Object>>} columns - The vertex columns for this layer
+ * @param {number} cellArea - Cloth area of one cell of the layer (m²)
+ * @param {string} layer - Layer of the faces ('top' or 'bottom')
  */
-function createLayerSprings(columns) {
-  for (let x = 0; x <= CLOTH_NUM_SEGMENTS_X; x++) {
-    for (let y = 0; y <= CLOTH_NUM_SEGMENTS_Y; y++) {
+function createLayerSprings(columns, cellArea, layer) {
+  const { segmentsX, segmentsY } = getClothConfig();
+  const rowArea = (y) => (y === 0 || y === segmentsY ? cellArea / 2 : cellArea);
+  const columnArea = (x) => (x === 0 || x === segmentsX ? cellArea / 2 : cellArea);
+
+  // Structural springs indexed by their (x, y) end, for bending neighbors
+  // and faces, and down-left diagonals by their (x, y) end, for faces
+  const horizontalSprings = [];
+  const verticalSprings = [];
+  const downLeftSprings = [];
+
+  for (let x = 0; x <= segmentsX; x++) {
+    horizontalSprings.push([]);
+    verticalSprings.push([]);
+    downLeftSprings.push([]);
+
+    for (let y = 0; y <= segmentsY; y++) {
       const vertex0 = columns[x][y];
 
       // Horizontal spring (left)
       if (x > 0) {
-        addVerletSpring(vertex0, columns[x - 1][y]);
+        horizontalSprings[x][y] = addVerletSpring(vertex0, columns[x - 1][y], rowArea(y), SPRING_CLASS.HORIZONTAL);
       }
 
       // Vertical spring (up)
       if (y > 0) {
-        addVerletSpring(vertex0, columns[x][y - 1]);
+        verticalSprings[x][y] = addVerletSpring(vertex0, columns[x][y - 1], columnArea(x), SPRING_CLASS.VERTICAL);
       }
 
       // Diagonal spring (up-left)
+      let upLeftSpring = null;
       if (x > 0 && y > 0) {
-        addVerletSpring(vertex0, columns[x - 1][y - 1]);
+        upLeftSpring = addVerletSpring(vertex0, columns[x - 1][y - 1], cellArea / 2, SPRING_CLASS.DIAGONAL);
       }
 
       // Diagonal spring (down-left)
-      if (x > 0 && y < CLOTH_NUM_SEGMENTS_Y) {
-        addVerletSpring(vertex0, columns[x - 1][y + 1]);
+      if (x > 0 && y < segmentsY) {
+        downLeftSprings[x][y] = addVerletSpring(vertex0, columns[x - 1][y + 1], cellArea / 2, SPRING_CLASS.DIAGONAL);
+      }
+
+      // Bending spring (two left)
+      if (x > 1) {
+        addVerletSpring(vertex0, columns[x - 2][y], rowArea(y), SPRING_CLASS.BENDING, [
+          horizontalSprings[x][y],
+          horizontalSprings[x - 1][y],
+        ]);
+      }
+
+      // Bending spring (two up)
+      if (y > 1) {
+        addVerletSpring(vertex0, columns[x][y - 2], columnArea(x), SPRING_CLASS.BENDING, [
+          verticalSprings[x][y],
+          verticalSprings[x][y - 1],
+        ]);
+      }
+
+      // Face of the cell up-left of this vertex
+      if (x > 0 && y > 0) {
+        const corners = [columns[x - 1][y - 1], columns[x][y - 1], columns[x - 1][y], vertex0];
+        addVerletFace(
+          corners,
+          corners.flatMap((corner) => [corner.uv.x, corner.uv.y]),
+          [horizontalSprings[x][y - 1], horizontalSprings[x][y], verticalSprings[x - 1][y], verticalSprings[x][y]],
+          [upLeftSpring, downLeftSprings[x][y - 1]],
+          layer
+        );
       }
     }
   }
@@ -233,3 +644,352 @@ export function getVertexCount() {
 export function getSpringCount() {
   return verletSprings.length;
 }
+
+/**
+ * Gets the number of vertices the cloth was built with, before any split
+ * @returns {number} The vertex count as built
+ */
+export function getBaseVertexCount() {
+  return baseTopology ? baseTopology.vertexCount : verletVertices.length;
+}
+
+/**
+ * Gets the most vertices the cloth can have: those it was built with and
+ * the copies reserved for splitting (FRACTURE_CONFIG.vertexReserve); the
+ * vertex buffers are sized for it
+ * @returns {number} The vertex capacity
+ */
+export function getVertexCapacity() {
+  const baseCount = getBaseVertexCount();
+  return baseCount + Math.ceil(baseCount * FRACTURE_CONFIG.vertexReserve);
+}
+
+/**
+ * Gets the number of springs the cloth was built with, before any stitch
+ * @returns {number} The spring count as built
+ */
+export function getBaseSpringCount() {
+  return baseTopology ? baseTopology.springCount : verletSprings.length;
+}
+
+/**
+ * Gets the most springs the cloth can have: those it was built with and
+ * the stitch springs reserved for stitch mode (STITCH_CONFIG.springReserve);
+ * the spring buffers are sized for it
+ * @returns {number} The spring capacity
+ */
+export function getSpringCapacity() {
+  const baseCount = getBaseSpringCount();
+  return baseCount + Math.ceil(baseCount * STITCH_CONFIG.springReserve);
+}
+
+/**
+ * Gets the number of face corners (the length of faceVertexIds in getTopology)
+ * @returns {number} The corner count
+ */
+export function getFaceCornerCount() {
+  let count = 0;
+  for (const face of verletFaces) count += face.vertices.length;
+  return count;
+}
+
+/**
+ * Gets the current topology of the cloth, as flat arrays
+ *
+ * @returns {{vertexSources: Int32Array, springSources: Int32Array,
+ *   springVertexIds: Uint32Array, stitchRestLengths: Float32Array, faceVertexIds: Uint32Array}}
+ *   The vertex each vertex slot was split from (its own ID for the vertices
+ *   the cloth was built with, -1 for unused slots, one per slot up to
+ *   getVertexCapacity), the spring each spring slot is (its own ID) or takes
+ *   its material from (the template of a stitch, -1 for unused slots, one
+ *   per slot up to getSpringCapacity), the two vertices and the stitch rest
+ *   length (0 for other springs) of every spring slot, and the corners of
+ *   every face in order
+ */
+export function getTopology() {
+  const vertexSources = new Int32Array(getVertexCapacity()).fill(-1);
+  for (const vertex of verletVertices) vertexSources[vertex.id] = vertex.sourceId;
+
+  const springCapacity = getSpringCapacity();
+  const springSources = new Int32Array(springCapacity).fill(-1);
+  const springVertexIds = new Uint32Array(springCapacity * 2);
+  const stitchRestLengths = new Float32Array(springCapacity);
+  for (const spring of verletSprings) {
+    springSources[spring.id] = spring.template ? spring.template.id : spring.id;
+    springVertexIds[spring.id * 2] = spring.vertex0.id;
+    springVertexIds[spring.id * 2 + 1] = spring.vertex1.id;
+    if (spring.template) stitchRestLengths[spring.id] = spring.restLength;
+  }
+
+  const faceVertexIds = new Uint32Array(getFaceCornerCount());
+  let corner = 0;
+  for (const face of verletFaces) {
+    for (const vertex of face.vertices) faceVertexIds[corner++] = vertex.id;
+  }
+
+  return { vertexSources, springSources, springVertexIds, stitchRestLengths, faceVertexIds };
+}
+
+/**
+ * Adds a copy of a vertex the cloth was built with (at its rest position,
+ * with its pinning, layer and UV), with no springs or faces yet
+ *
+ * @param {Object} source - Vertex the cloth was built with
+ * @returns {Object} The created vertex
+ */
+function addVertexCopy(source) {
+  const { x, y, z } = source.position;
+  const vertex = addVerletVertex(x, y, z, source.isFixed, 0, source.uv.clone());
+  vertex.layer = source.layer;
+  vertex.sourceId = source.id;
+  return vertex;
+}
+
+/**
+ * Sets the area of a vertex to its share of the vertex it was split from:
+ * the area as built times the fraction of its faces it holds (exact on the
+ * grid, where every face takes the same share of its corners), and its mass
+ * from that area
+ *
+ * @param {Object} vertex - Verlet vertex
+ */
+function applyVertexShare(vertex) {
+  const baseArea = baseTopology.areas[vertex.sourceId];
+  const baseFaceCount = baseTopology.faceCounts[vertex.sourceId];
+  vertex.area = baseFaceCount > 0 ? (baseArea * vertex.faceIds.length) / baseFaceCount : baseArea;
+  applyVertexMaterial(vertex);
+}
+
+/**
+ * Restores a topology returned by getTopology for the current cloth
+ *
+ * The vertex copies and stitch springs are re-created and every spring and
+ * face is pointed at its vertices again; the areas and masses follow. Every
+ * face is intact again until the fracture module looks at the tears (see
+ * verlet/fracture).
+ *
+ * @param {Object} topology - Topology from getTopology
+ */
+export function setTopology(topology) {
+  const { vertexSources, springSources, springVertexIds, stitchRestLengths, faceVertexIds } = topology;
+  const baseCount = getBaseVertexCount();
+  const baseSpringCount = getBaseSpringCount();
+
+  verletVertices.length = baseCount;
+  for (let i = baseCount; i < vertexSources.length && vertexSources[i] >= 0; i++) {
+    addVertexCopy(verletVertices[vertexSources[i]]);
+  }
+
+  for (const vertex of verletVertices) {
+    vertex.springIds = [];
+    vertex.faceIds = [];
+  }
+
+  verletSprings.length = baseSpringCount;
+  for (const spring of verletSprings) {
+    spring.vertex0 = verletVertices[springVertexIds[spring.id * 2]];
+    spring.vertex1 = verletVertices[springVertexIds[spring.id * 2 + 1]];
+    spring.vertex0.springIds.push({ id: spring.id, type: spring.type });
+    spring.vertex1.springIds.push({ id: spring.id, type: spring.type });
+  }
+  for (let i = baseSpringCount; i < springSources.length && springSources[i] >= 0; i++) {
+    addStitchSpring(
+      verletVertices[springVertexIds[i * 2]],
+      verletVertices[springVertexIds[i * 2 + 1]],
+      stitchRestLengths[i],
+      verletSprings[springSources[i]]
+    );
+  }
+
+  let corner = 0;
+  for (const face of verletFaces) {
+    face.vertices = face.vertices.map(() => verletVertices[faceVertexIds[corner++]]);
+    face.torn = false;
+    face.keptTriangle = null;
+    for (const vertex of face.vertices) vertex.faceIds.push(face.id);
+  }
+
+  verletVertices.forEach(applyVertexShare);
+}
+
+/**
+ * Undoes every vertex split and stitch, going back to the topology the
+ * cloth was built with
+ */
+export function resetTopology() {
+  if (baseTopology) setTopology(baseTopology);
+}
+
+/**
+ * Splits a vertex: a new copy of it takes over some of its faces and springs
+ *
+ * The area (and mass) of the vertex is shared between it and the copy by
+ * the faces each holds. The caller copies the simulation state of the
+ * vertex to the copy (see updateTopologyBuffers in verlet/buffers).
+ *
+ * @param {Object} vertex - Vertex to split
+ * @param {Array<Object>} faces - Faces around the vertex that move to the copy
+ * @param {Array<Object>} springs - Springs at the vertex that move to the copy
+ * @returns {Object|null} The copy, or null when every reserved vertex is in use
+ */
+export function splitVertex(vertex, faces, springs) {
+  if (verletVertices.length >= getVertexCapacity()) return null;
+
+  const copy = addVertexCopy(verletVertices[vertex.sourceId]);
+
+  for (const face of faces) {
+    face.vertices = face.vertices.map((corner) => (corner === vertex ? copy : corner));
+  }
+  const movedFaces = new Set(faces.map((face) => face.id));
+  copy.faceIds = vertex.faceIds.filter((id) => movedFaces.has(id));
+  vertex.faceIds = vertex.faceIds.filter((id) => !movedFaces.has(id));
+
+  for (const spring of springs) {
+    if (spring.vertex0 === vertex) spring.vertex0 = copy;
+    if (spring.vertex1 === vertex) spring.vertex1 = copy;
+  }
+  const movedSprings = new Set(springs.map((spring) => spring.id));
+  copy.springIds = vertex.springIds.filter(({ id }) => movedSprings.has(id));
+  vertex.springIds = vertex.springIds.filter(({ id }) => !movedSprings.has(id));
+
+  applyVertexShare(vertex);
+  applyVertexShare(copy);
+  return copy;
+}
+
+/**
+ * Moves the faces and springs at a vertex and its copies between them
+ * (when pieces of cloth around it are joined again, see mendFracture in
+ * verlet/fracture)
+ *
+ * Each face and spring at the vertices uses the vertex given for it in
+ * place of the one it used; their face and spring lists, areas and masses
+ * follow. A vertex left with no faces or springs can be removed with
+ * removeVertexCopies.
+ *
+ * @param {Array<Object>} vertices - A vertex and its copies
+ * @param {Map<Object, Object>} faceTargets - Vertex each face at them moves to
+ * @param {Map<Object, Object>} springTargets - Vertex each spring at them moves to
+ */
+export function regroupVertices(vertices, faceTargets, springTargets) {
+  const group = new Set(vertices);
+  for (const vertex of vertices) {
+    vertex.faceIds = [];
+    vertex.springIds = [];
+  }
+
+  for (const [face, target] of faceTargets) {
+    face.vertices = face.vertices.map((corner) => (group.has(corner) ? target : corner));
+    target.faceIds.push(face.id);
+  }
+  for (const [spring, target] of springTargets) {
+    if (group.has(spring.vertex0)) spring.vertex0 = target;
+    if (group.has(spring.vertex1)) spring.vertex1 = target;
+    target.springIds.push({ id: spring.id, type: spring.type });
+  }
+
+  for (const vertex of vertices) {
+    vertex.faceIds.sort((a, b) => a - b);
+    applyVertexShare(vertex);
+  }
+}
+
+/**
+ * Removes vertex copies that no face or spring uses any more, returning
+ * their slots to the reserve
+ *
+ * The vertex slots in use stay contiguous: the copies in the last slots
+ * move into the slots freed below them. The caller copies the simulation
+ * state of each moved vertex from its old slot (see updateTopologyBuffers
+ * in verlet/buffers and updateTopology in the CPU solver).
+ *
+ * @param {Array<Object>} vertices - Unused vertex copies
+ * @returns {Array<{vertex: Object, fromId: number}>} Every vertex moved, with
+ *   the slot it moved from
+ */
+export function removeVertexCopies(vertices) {
+  const removed = new Set(vertices);
+  const vertexCount = verletVertices.length - removed.size;
+  const freeSlots = vertices.map((vertex) => vertex.id).filter((id) => id < vertexCount).sort((a, b) => a - b);
+  const moved = verletVertices.slice(vertexCount).filter((vertex) => !removed.has(vertex));
+
+  const moves = moved.map((vertex, i) => {
+    const fromId = vertex.id;
+    vertex.id = freeSlots[i];
+    verletVertices[vertex.id] = vertex;
+    return { vertex, fromId };
+  });
+  verletVertices.length = vertexCount;
+  return moves;
+}
+
+/**
+ * Adds a stitch spring sewing two vertices together (see utils/stitching)
+ *
+ * A stitch takes the stiffness, damping and tear threshold of a spring of
+ * the cloth (its template), and its rest length from how far apart the
+ * vertices were when it was made. It lies on no face, so it stays with its
+ * vertices when they are split.
+ *
+ * @param {Object} vertex0 - First vertex to sew
+ * @param {Object} vertex1 - Second vertex to sew
+ * @param {number} restLength - Rest length of the stitch (m)
+ * @param {Object} template - Spring of the cloth whose material the stitch takes
+ * @returns {Object|null} The stitch spring, or null when every reserved
+ *   spring is in use
+ */
+export function addStitchSpring(vertex0, vertex1, restLength, template) {
+  if (verletSprings.length >= getSpringCapacity()) return null;
+
+  const id = verletSprings.length;
+  const spring = {
+    id,
+    vertex0,
+    vertex1,
+    area: template.area,
+    restLength,
+    stiffness: 0,
+    damping: 0,
+    tearThreshold: 0,
+    type: template.type,
+    springClass: template.springClass,
+    neighbors: null,
+    base: null,
+    faceIds: [],
+    template,
+  };
+  applySpringMaterial(spring);
+  vertex0.springIds.push({ id, type: spring.type });
+  vertex1.springIds.push({ id, type: spring.type });
+  verletSprings.push(spring);
+  return spring;
+}
+
+/**
+ * Gets how close the mass-spring integrator is to its stability limit
+ *
+ * An explicit step is stable while, at every vertex, the stiffness of its
+ * springs times dt² plus twice their damping times dt, over its mass, stays
+ * below 2; the ratio is that sum over 2. Stiffer or more damped fabrics,
+ * finer grids and larger stiffness multipliers raise it; XPBD has no such
+ * limit.
+ *
+ * @param {number} [stiffnessMultiplier=1] - Largest stiffness multiplier in use
+ * @returns {number} The worst ratio over all free vertices (1 is the limit)
+ */
+export function getStabilityRatio(stiffnessMultiplier = 1) {
+  const timeStepSquared = 1 / (STEPS_PER_SECOND * STEPS_PER_SECOND);
+  let ratio = 0;
+  for (const vertex of verletVertices) {
+    if (vertex.isFixed || vertex.mass <= 0) continue;
+    let stiffness = 0;
+    let damping = 0;
+    for (const { id } of vertex.springIds) {
+      stiffness += verletSprings[id].stiffness;
+      damping += verletSprings[id].damping;
+    }
+    const sum = stiffness * stiffnessMultiplier * timeStepSquared + 2 * damping * Math.sqrt(timeStepSquared);
+    ratio = Math.max(ratio, sum / vertex.mass / 2);
+  }
+  return ratio;
+}
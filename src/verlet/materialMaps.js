@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Material maps painted onto the cloth
+ * @module verlet/materialMaps
+ *
+ * Three multipliers can vary across the cloth surface: the stiffness of its
+ * springs, their tear resistance and the mass of its vertices. They are
+ * painted in texture space (the UVs of the grid or of the imported mesh)
+ * into one RGBA image: red holds the stiffness, green the tear resistance
+ * and blue the mass multiplier, each as a byte where 128 stands for 1x.
+ *
+ * setupVerletGeometry samples the maps when it builds the cloth: a vertex
+ * at its UV, a spring halfway between the UVs of its vertices. Tear
+ * resistance scales how far beyond its rest length a spring can stretch, so
+ * 2x turns a 1.9 tear threshold into 2.8. The same image is shown as a color
+ * overlay on the cloth and can be saved and loaded as a PNG file.
+ */
+
+import * as THREE from "three/webgpu";
+import { MATERIAL_MAP_CONFIG } from "../config/constants.js";
+
+/**
+ * Channels of the material maps (the color component each is stored in)
+ * @enum {number}
+ */
+export const MATERIAL_MAP_CHANNELS = {
+  STIFFNESS: 0,
+  TEAR_RESISTANCE: 1,
+  MASS: 2,
+};
+
+/**
+ * Human-readable labels for the channels (used by the control panel)
+ */
+export const MATERIAL_MAP_CHANNEL_LABELS = {
+  [MATERIAL_MAP_CHANNELS.STIFFNESS]: "Stiffness",
+  [MATERIAL_MAP_CHANNELS.TEAR_RESISTANCE]: "Tear Resistance",
+  [MATERIAL_MAP_CHANNELS.MASS]: "Mass",
+};
+
+/**
+ * Byte value standing for a multiplier of 1
+ */
+const UNIT_VALUE = 128;
+
+/**
+ * Largest multiplier a map can hold
+ */
+export const MAX_MATERIAL_MULTIPLIER = 255 / UNIT_VALUE;
+
+/**
+ * The maps (RGBA bytes, row 0 at v = 0)
+ * @type {Uint8Array}
+ */
+const mapData = new Uint8Array(MATERIAL_MAP_CONFIG.resolution * MATERIAL_MAP_CONFIG.resolution * 4);
+
+/**
+ * Texture showing the maps on the cloth (created on first use)
+ * @type {THREE.DataTexture|null}
+ */
+let mapTexture = null;
+
+/**
+ * Resets every multiplier to 1
+ */
+export function clearMaterialMaps() {
+  for (let i = 0; i < mapData.length; i += 4) {
+    mapData[i] = UNIT_VALUE;
+    mapData[i + 1] = UNIT_VALUE;
+    mapData[i + 2] = UNIT_VALUE;
+    mapData[i + 3] = 255;
+  }
+  if (mapTexture) mapTexture.needsUpdate = true;
+}
+
+clearMaterialMaps();
+
+/**
+ * Gets the texture showing the maps (red: stiffness, green: tear
+ * resistance, blue: mass; 0.5 is 1x)
+ * @returns {THREE.DataTexture} The texture, updated as the maps are painted
+ */
+export function getMaterialMapTexture() {
+  if (!mapTexture) {
+    const { resolution } = MATERIAL_MAP_CONFIG;
+    mapTexture = new THREE.DataTexture(mapData, resolution, resolution, THREE.RGBAFormat, THREE.UnsignedByteType);
+    mapTexture.magFilter = THREE.LinearFilter;
+    mapTexture.minFilter = THREE.LinearFilter;
+    mapTexture.needsUpdate = true;
+  }
+  return mapTexture;
+}
+
+/**
+ * Paints one dab of the brush onto a channel
+ *
+ * Texels within the radius move toward the painted multiplier, by the
+ * strength at the center and less toward the edge of the brush.
+ *
+ * @param {number} u - Brush center U
+ * @param {number} v - Brush center V
+ * @param {number} channel - One of MATERIAL_MAP_CHANNELS
+ * @param {number} multiplier - Multiplier to paint (0 - MAX_MATERIAL_MULTIPLIER)
+ * @param {number} [radius=MATERIAL_MAP_CONFIG.brushRadius] - Brush radius in UV units
+ * @param {number} [strength=MATERIAL_MAP_CONFIG.brushStrength] - Blend at the brush center (0 - 1)
+ */
+export function paintMaterialMap(
+  u,
+  v,
+  channel,
+  multiplier,
+  radius = MATERIAL_MAP_CONFIG.brushRadius,
+  strength = MATERIAL_MAP_CONFIG.brushStrength
+) {
+  const { resolution } = MATERIAL_MAP_CONFIG;
+  const target = Math.min(Math.max(multiplier, 0), MAX_MATERIAL_MULTIPLIER) * UNIT_VALUE;
+
+  // Texel centers sit at (i + 0.5) / resolution
+  const minX = Math.max(Math.floor((u - radius) * resolution), 0);
+  const maxX = Math.min(Math.ceil((u + radius) * resolution), resolution - 1);
+  const minY = Math.max(Math.floor((v - radius) * resolution), 0);
+  const maxY = Math.min(Math.ceil((v + radius) * resolution), resolution - 1);
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const distance = Math.hypot((x + 0.5) / resolution - u, (y + 0.5) / resolution - v);
+      if (distance > radius) continue;
+
+      // Smooth falloff from the center to the edge of the brush
+      const falloff = 1 - distance / radius;
+      const blend = strength * falloff * falloff * (3 - 2 * falloff);
+      const index = (y * resolution + x) * 4 + channel;
+      mapData[index] = Math.round(mapData[index] + (target - mapData[index]) * blend);
+    }
+  }
+  if (mapTexture) mapTexture.needsUpdate = true;
+}
+
+/**
+ * Samples the maps with bilinear filtering
+ *
+ * @param {number} u - U coordinate (clamped to 0 - 1)
+ * @param {number} v - V coordinate (clamped to 0 - 1)
+ * @returns {{stiffness: number, tearResistance: number, mass: number}} Multipliers
+ */
+export function sampleMaterialMaps(u, v) {
+  const { resolution } = MATERIAL_MAP_CONFIG;
+  const x = Math.min(Math.max(u * resolution - 0.5, 0), resolution - 1);
+  const y = Math.min(Math.max(v * resolution - 0.5, 0), resolution - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, resolution - 1);
+  const y1 = Math.min(y0 + 1, resolution - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const sample = (channel) => {
+    const texel = (tx, ty) => mapData[(ty * resolution + tx) * 4 + channel];
+    const top = texel(x0, y0) * (1 - fx) + texel(x1, y0) * fx;
+    const bottom = texel(x0, y1) * (1 - fx) + texel(x1, y1) * fx;
+    return (top * (1 - fy) + bottom * fy) / UNIT_VALUE;
+  };
+
+  return {
+    stiffness: sample(MATERIAL_MAP_CHANNELS.STIFFNESS),
+    tearResistance: sample(MATERIAL_MAP_CHANNELS.TEAR_RESISTANCE),
+    mass: sample(MATERIAL_MAP_CHANNELS.MASS),
+  };
+}
+
+/**
+ * Encodes the maps as a PNG image (the top row is v = 1, as in any texture)
+ *
+ * @async
+ * @returns {Promise<Blob>} PNG data
+ */
+export async function encodeMaterialMapsPNG() {
+  const { resolution } = MATERIAL_MAP_CONFIG;
+  const canvas = new OffscreenCanvas(resolution, resolution);
+  const image = new ImageData(resolution, resolution);
+  const rowBytes = resolution * 4;
+  for (let y = 0; y < resolution; y++) {
+    image.data.set(mapData.subarray(y * rowBytes, (y + 1) * rowBytes), (resolution - 1 - y) * rowBytes);
+  }
+  canvas.getContext("2d").putImageData(image, 0, 0);
+  return canvas.convertToBlob({ type: "image/png" });
+}
+
+/**
+ * Loads the maps from an image file written by encodeMaterialMapsPNG (or
+ * painted elsewhere); images of another size are scaled to the map
+ * resolution
+ *
+ * @async
+ * @param {Blob} file - PNG (or any image format the browser decodes)
+ * @throws {Error} If the image cannot be decoded
+ */
+export async function loadMaterialMapsImage(file) {
+  const { resolution } = MATERIAL_MAP_CONFIG;
+  const bitmap = await createImageBitmap(file, {
+    premultiplyAlpha: "none",
+    colorSpaceConversion: "none",
+  });
+  const canvas = new OffscreenCanvas(resolution, resolution);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0, resolution, resolution);
+  bitmap.close();
+
+  const pixels = context.getImageData(0, 0, resolution, resolution).data;
+  const rowBytes = resolution * 4;
+  for (let y = 0; y < resolution; y++) {
+    mapData.set(pixels.subarray((resolution - 1 - y) * rowBytes, (resolution - y) * rowBytes), y * rowBytes);
+  }
+  for (let i = 3; i < mapData.length; i += 4) mapData[i] = 255;
+  if (mapTexture) mapTexture.needsUpdate = true;
+}
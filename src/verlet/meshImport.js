@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Triangle mesh import for the Verlet cloth
+ * @module verlet/meshImport
+ *
+ * This module turns an arbitrary triangle mesh (OBJ or glTF/GLB, parsed
+ * locally from a File) into the data needed to simulate it as cloth:
+ * - Render vertices (with UVs and the imported index buffer)
+ * - Welded simulation vertices (duplicates at UV/normal seams merged)
+ * - Structural edges (one spring per unique triangle edge)
+ * - Bending pairs (the two opposite vertices of adjacent triangles)
+ * - Boundary flags (vertices on edges used by a single triangle)
+ * - Areas (the cloth area each vertex and edge stands for, from which the
+ *   vertex masses and spring stiffnesses are derived)
+ *
+ * Everything except loadMeshFile works on plain typed arrays, so the
+ * topology code can be exercised without a browser.
+ */
+
+import * as THREE from "three/webgpu";
+import { OBJLoader } from "three/addons/loaders/OBJLoader.js";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+
+/**
+ * Default welding tolerance, relative to the mesh bounding box diagonal
+ */
+const WELD_TOLERANCE = 1e-5;
+
+/**
+ * File extensions accepted by loadMeshFile
+ */
+export const MESH_FILE_EXTENSIONS = [".obj", ".gltf", ".glb"];
+
+/**
+ * Collects the triangles of every mesh in an object hierarchy
+ *
+ * World transforms are applied, non-indexed geometries are indexed
+ * trivially, and missing UVs are filled with zeros.
+ *
+ * @param {THREE.Object3D} root - Root of the loaded scene/group
+ * @returns {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array}}
+ *   Triangle soup of all meshes
+ * @throws {Error} If the hierarchy contains no triangles
+ */
+export function extractTriangles(root) {
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  const vertex = new THREE.Vector3();
+
+  root.updateMatrixWorld(true);
+  root.traverse((object) => {
+    if (!object.isMesh || !object.geometry) return;
+
+    const geometry = object.geometry;
+    const positionAttribute = geometry.getAttribute("position");
+    if (!positionAttribute) return;
+
+    const uvAttribute = geometry.getAttribute("uv");
+    const baseIndex = positions.length / 3;
+
+    for (let i = 0; i < positionAttribute.count; i++) {
+      vertex.fromBufferAttribute(positionAttribute, i).applyMatrix4(object.matrixWorld);
+      positions.push(vertex.x, vertex.y, vertex.z);
+      uvs.push(uvAttribute ? uvAttribute.getX(i) : 0, uvAttribute ? uvAttribute.getY(i) : 0);
+    }
+
+    if (geometry.index) {
+      for (let i = 0; i < geometry.index.count; i++) {
+        indices.push(baseIndex + geometry.index.getX(i));
+      }
+    } else {
+      for (let i = 0; i < positionAttribute.count; i++) {
+        indices.push(baseIndex + i);
+      }
+    }
+  });
+
+  if (indices.length < 3) {
+    throw new Error("Imported file contains no triangle meshes");
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    uvs: new Float32Array(uvs),
+    indices: new Uint32Array(indices),
+  };
+}
+
+/**
+ * Loads and parses a mesh file selected or dropped by the user
+ *
+ * Supports Wavefront OBJ, glTF with embedded buffers, and binary GLB.
+ *
+ * @async
+ * @param {File} file - The file to load
+ * @returns {Promise<{positions: Float32Array, uvs: Float32Array, indices: Uint32Array}>}
+ *   Triangle soup of all meshes in the file
+ * @throws {Error} If the format is unsupported or the file cannot be parsed
+ */
+export async function loadMeshFile(file) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith(".obj")) {
+    const text = await file.text();
+    return extractTriangles(new OBJLoader().parse(text));
+  }
+
+  if (name.endsWith(".gltf") || name.endsWith(".glb")) {
+    const data = await file.arrayBuffer();
+    const gltf = await new GLTFLoader().parseAsync(data, "");
+    return extractTriangles(gltf.scene);
+  }
+
+  throw new Error(`Unsupported mesh format: ${file.name} (expected ${MESH_FILE_EXTENSIONS.join(", ")})`);
+}
+
+/**
+ * Merges vertices that share the same position
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz per vertex)
+ * @param {number} tolerance - Distance below which vertices are merged
+ * @returns {{positions: Float32Array, remap: Uint32Array}} Welded positions and,
+ *   for each input vertex, the index of its welded vertex
+ */
+export function weldVertices(positions, tolerance) {
+  const count = positions.length / 3;
+  const remap = new Uint32Array(count);
+  const welded = [];
+  const cells = new Map();
+  const cellSize = Math.max(tolerance, Number.EPSILON);
+  const toleranceSq = tolerance * tolerance;
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const cx = Math.floor(x / cellSize);
+    const cy = Math.floor(y / cellSize);
+    const cz = Math.floor(z / cellSize);
+
+    // Search the 27 neighboring cells so points near a cell border still merge
+    let match = -1;
+    for (let dx = -1; dx <= 1 && match < 0; dx++) {
+      for (let dy = -1; dy <= 1 && match < 0; dy++) {
+        for (let dz = -1; dz <= 1 && match < 0; dz++) {
+          const candidates = cells.get(`${cx + dx},${cy + dy},${cz + dz}`);
+          if (!candidates) continue;
+          for (const id of candidates) {
+            const ex = welded[id * 3] - x;
+            const ey = welded[id * 3 + 1] - y;
+            const ez = welded[id * 3 + 2] - z;
+            if (ex * ex + ey * ey + ez * ez <= toleranceSq) {
+              match = id;
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    if (match < 0) {
+      match = welded.length / 3;
+      welded.push(x, y, z);
+      const key = `${cx},${cy},${cz}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(match);
+    }
+
+    remap[i] = match;
+  }
+
+  return { positions: new Float32Array(welded), remap };
+}
+
+/**
+ * Area of a triangle of welded vertices
+ *
+ * @param {Float32Array} positions - Welded positions (xyz per vertex)
+ * @param {Array<number>} corners - The three vertex indices
+ * @returns {number} The triangle area
+ */
+function getTriangleArea(positions, [a, b, c]) {
+  const triangle = new THREE.Triangle(
+    new THREE.Vector3().fromArray(positions, a * 3),
+    new THREE.Vector3().fromArray(positions, b * 3),
+    new THREE.Vector3().fromArray(positions, c * 3)
+  );
+  return triangle.getArea();
+}
+
+/**
+ * Builds the spring topology of a welded triangle mesh
+ *
+ * Each vertex stands for a third of the area of its triangles, and each
+ * edge for the area of the (one or two) triangles beside it, like a grid
+ * edge stands for one cell of two triangles.
+ *
+ * @param {Uint32Array|Array<number>} triangles - Welded vertex indices (3 per triangle)
+ * @param {Float32Array} positions - Welded positions (xyz per vertex)
+ * @returns {{edges: Array<Array<number>>, bendingPairs: Array<{vertices: Array<number>, edge: number}>,
+ *   boundary: Uint8Array, vertexAreas: Float32Array, edgeAreas: Array<number>}}
+ *   Unique edges, bending vertex pairs across each interior edge (with the
+ *   index of the edge they span), boundary flags, and the area of every
+ *   vertex and edge
+ */
+export function buildMeshTopology(triangles, positions) {
+  const vertexCount = positions.length / 3;
+  const edges = [];
+  const edgeLookup = new Map();
+  // Opposite vertices of the triangles sharing each edge
+  const edgeOpposites = [];
+  const edgeAreas = [];
+  const vertexAreas = new Float32Array(vertexCount);
+
+  for (let t = 0; t + 2 < triangles.length; t += 3) {
+    const corners = [triangles[t], triangles[t + 1], triangles[t + 2]];
+
+    // Skip triangles that became degenerate through welding
+    if (corners[0] === corners[1] || corners[1] === corners[2] || corners[0] === corners[2]) {
+      continue;
+    }
+
+    const area = getTriangleArea(positions, corners);
+    for (const corner of corners) vertexAreas[corner] += area / 3;
+
+    for (let k = 0; k < 3; k++) {
+      const a = corners[k];
+      const b = corners[(k + 1) % 3];
+      const opposite = corners[(k + 2) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+
+      let edgeIndex = edgeLookup.get(key);
+      if (edgeIndex === undefined) {
+        edgeIndex = edges.length;
+        edgeLookup.set(key, edgeIndex);
+        edges.push(a < b ? [a, b] : [b, a]);
+        edgeOpposites.push([]);
+        edgeAreas.push(0);
+      }
+      edgeOpposites[edgeIndex].push(opposite);
+      edgeAreas[edgeIndex] += area;
+    }
+  }
+
+  const bendingPairs = [];
+  const boundary = new Uint8Array(vertexCount);
+
+  for (let e = 0; e < edges.length; e++) {
+    const opposites = edgeOpposites[e];
+
+    if (opposites.length === 1) {
+      boundary[edges[e][0]] = 1;
+      boundary[edges[e][1]] = 1;
+    } else if (opposites.length === 2 && opposites[0] !== opposites[1]) {
+      bendingPairs.push({ vertices: [opposites[0], opposites[1]], edge: e });
+    }
+  }
+
+  return { edges, bendingPairs, boundary, vertexAreas, edgeAreas };
+}
+
+/**
+ * Prepares an imported triangle soup for simulation
+ *
+ * Welds the vertices, builds the topology and normalizes the mesh so that
+ * its largest dimension equals targetSize and its bounding box is centered
+ * at the origin.
+ *
+ * @param {{positions: Float32Array, uvs: Float32Array, indices: Uint32Array}} mesh - Imported mesh
+ * @param {number} targetSize - Size of the largest bounding box dimension after scaling
+ * @returns {Object} Cloth mesh source with render data (indices, uvs,
+ *   verletIds per render vertex) and simulation data (positions, edges,
+ *   bendingPairs, boundary, vertexAreas, edgeAreas)
+ * @throws {Error} If the mesh is empty after welding
+ */
+export function prepareClothMesh(mesh, targetSize) {
+  const box = new THREE.Box3().setFromArray(mesh.positions);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const maxDimension = Math.max(size.x, size.y, size.z, Number.EPSILON);
+
+  const { positions: weldedPositions, remap } = weldVertices(
+    mesh.positions,
+    size.length() * WELD_TOLERANCE
+  );
+
+  // Normalize to the target size around the origin
+  const scale = targetSize / maxDimension;
+  const positions = new Float32Array(weldedPositions.length);
+  for (let i = 0; i < weldedPositions.length; i += 3) {
+    positions[i] = (weldedPositions[i] - center.x) * scale;
+    positions[i + 1] = (weldedPositions[i + 1] - center.y) * scale;
+    positions[i + 2] = (weldedPositions[i + 2] - center.z) * scale;
+  }
+
+  const triangles = new Uint32Array(mesh.indices.length);
+  for (let i = 0; i < mesh.indices.length; i++) {
+    triangles[i] = remap[mesh.indices[i]];
+  }
+
+  const { edges, bendingPairs, boundary, vertexAreas, edgeAreas } = buildMeshTopology(triangles, positions);
+
+  if (edges.length === 0) {
+    throw new Error("Imported mesh has no usable triangles after welding");
+  }
+
+  return {
+    indices: mesh.indices,
+    uvs: mesh.uvs,
+    verletIds: remap,
+    positions,
+    edges,
+    bendingPairs,
+    boundary,
+    vertexAreas,
+    edgeAreas,
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Pin (fixed vertex) configuration for the Verlet cloth
+ * @module verlet/pinning
+ *
+ * This module decides which grid vertices are immovable. A pin configuration
+ * is either one of the preset modes (all edges, top edge, two corners, none)
+ * or a custom list/mask of grid coordinates. setupVerletGeometry reads the
+ * active configuration, so changing it and calling setupCloth again rebuilds
+ * the cloth with the new pins. Imported meshes interpret the same modes
+ * through their boundary and bounding box (see createMeshPinMask).
+ */
+
+import { DEFAULT_PIN_MODE } from "../config/constants.js";
+
+/**
+ * Available pinning modes
+ * - ALL_EDGES: every border vertex is fixed (trampoline)
+ * - TOP_EDGE: only the first row (y = 0) is fixed (curtain)
+ * - TWO_CORNERS: the two corners of the top edge are fixed (flag)
+ * - NONE: nothing is fixed (free-falling cloth)
+ * - CUSTOM: an arbitrary list of grid coordinates and/or a mask
+ * @enum {string}
+ */
+export const PIN_MODES = {
+  ALL_EDGES: "allEdges",
+  TOP_EDGE: "topEdge",
+  TWO_CORNERS: "twoCorners",
+  NONE: "none",
+  CUSTOM: "custom",
+};
+
+/**
+ * Human-readable labels for the pinning modes (used by the control panel)
+ */
+export const PIN_MODE_LABELS = {
+  [PIN_MODES.ALL_EDGES]: "All Edges",
+  [PIN_MODES.TOP_EDGE]: "Top Edge (Curtain)",
+  [PIN_MODES.TWO_CORNERS]: "Two Corners (Flag)",
+  [PIN_MODES.NONE]: "None (Free Fall)",
+  [PIN_MODES.CUSTOM]: "Custom",
+};
+
+/**
+ * The active pin configuration
+ * @type {{mode: string, points: Array<Array<number>>, mask: (Uint8Array|Function|null)}}
+ */
+let pinConfig = {
+  mode: DEFAULT_PIN_MODE,
+  points: [],
+  mask: null,
+};
+
+/**
+ * Sets the active pin configuration
+ *
+ * The new configuration takes effect the next time the cloth is built
+ * (setupVerletGeometry / setupCloth).
+ *
+ * @param {Object|string} config - A mode string, or a configuration object
+ * @param {string} config.mode - One of PIN_MODES
+ * @param {Array<Array<number>>} [config.points] - CUSTOM: [x, y] grid coordinates to pin
+ * @param {Uint8Array|Function} [config.mask] - CUSTOM: per-vertex mask indexed by
+ *   x * (segmentsY + 1) + y, or a function (x, y) => boolean
+ * @throws {Error} If the mode is unknown
+ */
+export function setPinConfig(config) {
+  const next = typeof config === "string" ? { mode: config } : config;
+
+  if (!Object.values(PIN_MODES).includes(next.mode)) {
+    throw new Error(`Unknown pin mode: ${next.mode}`);
+  }
+
+  pinConfig = {
+    mode: next.mode,
+    points: next.points ? next.points.map(([x, y]) => [x, y]) : [],
+    mask: next.mask || null,
+  };
+}
+
+/**
+ * Gets the active pin configuration
+ * @returns {Object} The pin configuration
+ */
+export function getPinConfig() {
+  return pinConfig;
+}
+
+/**
+ * Builds a pin mask for a grid from a pin configuration
+ *
+ * @param {number} segmentsX - Number of segments along X
+ * @param {number} segmentsY - Number of segments along Y
+ * @param {Object} [config=pinConfig] - Pin configuration (defaults to the active one)
+ * @returns {Uint8Array} Mask with 1 for pinned vertices, indexed by x * (segmentsY + 1) + y
+ */
+export function createPinMask(segmentsX, segmentsY, config = pinConfig) {
+  const rows = segmentsY + 1;
+  const mask = new Uint8Array((segmentsX + 1) * rows);
+
+  for (let x = 0; x <= segmentsX; x++) {
+    for (let y = 0; y <= segmentsY; y++) {
+      const isLeftEdge = x === 0;
+      const isRightEdge = x === segmentsX;
+      const isFrontEdge = y === 0;
+      const isBackEdge = y === segmentsY;
+      let isFixed = false;
+
+      switch (config.mode) {
+        case PIN_MODES.ALL_EDGES:
+          isFixed = isLeftEdge || isRightEdge || isFrontEdge || isBackEdge;
+          break;
+        case PIN_MODES.TOP_EDGE:
+          isFixed = isFrontEdge;
+          break;
+        case PIN_MODES.TWO_CORNERS:
+          isFixed = isFrontEdge && (isLeftEdge || isRightEdge);
+          break;
+        case PIN_MODES.CUSTOM:
+          if (typeof config.mask === "function") {
+            isFixed = Boolean(config.mask(x, y));
+          } else if (config.mask) {
+            isFixed = Boolean(config.mask[x * rows + y]);
+          }
+          break;
+        default:
+          break;
+      }
+
+      mask[x * rows + y] = isFixed ? 1 : 0;
+    }
+  }
+
+  if (config.mode === PIN_MODES.CUSTOM) {
+    for (const [x, y] of config.points) {
+      if (x >= 0 && x <= segmentsX && y >= 0 && y <= segmentsY) {
+        mask[x * rows + y] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Fraction of the mesh height treated as its "top edge"
+ */
+const MESH_TOP_EDGE_TOLERANCE = 0.02;
+
+/**
+ * Builds a pin mask for an imported mesh from a pin configuration
+ *
+ * Modes are mapped onto the mesh as follows:
+ * - ALL_EDGES: every boundary vertex (on an edge used by a single triangle)
+ * - TOP_EDGE: vertices within 2% of the mesh height from its highest point
+ * - TWO_CORNERS: the leftmost and rightmost (along X) top-edge vertices
+ * - NONE: nothing
+ * - CUSTOM: points are [vertexIndex] entries; a mask function receives
+ *   (vertexIndex, x, y, z), a mask array is indexed by vertex
+ *
+ * @param {Float32Array} positions - Welded vertex positions (xyz per vertex)
+ * @param {Uint8Array} boundary - Boundary flag per vertex
+ * @param {Object} [config=pinConfig] - Pin configuration (defaults to the active one)
+ * @returns {Uint8Array} Mask with 1 for pinned vertices
+ */
+export function createMeshPinMask(positions, boundary, config = pinConfig) {
+  const vertexCount = positions.length / 3;
+  const mask = new Uint8Array(vertexCount);
+
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < vertexCount; i++) {
+    minY = Math.min(minY, positions[i * 3 + 1]);
+    maxY = Math.max(maxY, positions[i * 3 + 1]);
+  }
+  const topThreshold = maxY - (maxY - minY) * MESH_TOP_EDGE_TOLERANCE;
+  const isTop = (i) => positions[i * 3 + 1] >= topThreshold;
+
+  switch (config.mode) {
+    case PIN_MODES.ALL_EDGES:
+      mask.set(boundary);
+      break;
+    case PIN_MODES.TOP_EDGE:
+      for (let i = 0; i < vertexCount; i++) {
+        mask[i] = isTop(i) ? 1 : 0;
+      }
+      break;
+    case PIN_MODES.TWO_CORNERS: {
+      let left = -1;
+      let right = -1;
+      for (let i = 0; i < vertexCount; i++) {
+        if (!isTop(i)) continue;
+        if (left < 0 || positions[i * 3] < positions[left * 3]) left = i;
+        if (right < 0 || positions[i * 3] > positions[right * 3]) right = i;
+      }
+      if (left >= 0) mask[left] = 1;
+      if (right >= 0) mask[right] = 1;
+      break;
+    }
+    case PIN_MODES.CUSTOM:
+      for (let i = 0; i < vertexCount; i++) {
+        if (typeof config.mask === "function") {
+          mask[i] = config.mask(i, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]) ? 1 : 0;
+        } else if (config.mask) {
+          mask[i] = config.mask[i] ? 1 : 0;
+        }
+      }
+      for (const [index] of config.points) {
+        if (index >= 0 && index < vertexCount) mask[index] = 1;
+      }
+      break;
+    default:
+      break;
+  }
+
+  return mask;
+}
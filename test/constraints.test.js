@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Checks the stencils and batches of the XPBD constraints
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three/webgpu";
+import { setupVerletGeometry, verletSprings, getVertexCapacity, SPRING_TYPE } from "../src/verlet/geometry.js";
+import { buildConstraintBatches, writeConstraintStencils, UNUSED_CONSTRAINT } from "../src/verlet/constraints.js";
+
+/**
+ * Creates a bare vertex at a rest position
+ *
+ * @param {number} id - Vertex ID
+ * @param {Array<number>} position - Rest position [x, y, z]
+ * @returns {Object} The vertex
+ */
+function createVertex(id, position) {
+  return { id, position: new THREE.Vector3().fromArray(position) };
+}
+
+/**
+ * Writes the stencil of a bending spring across the shared edge of two
+ * triangles
+ *
+ * @param {Array<Array<number>>} positions - Edge ends, then the two
+ *   opposite vertices
+ * @returns {{ids: Uint32Array, shape: Array<number>}} The stencil IDs and
+ *   shape of the bending spring
+ */
+function writeHingeStencil(positions) {
+  const [a, b, c, d] = positions.map((position, id) => createVertex(id, position));
+  const edge = { id: 0, type: SPRING_TYPE.IN_PLANE, vertex0: a, vertex1: b };
+  const bending = { id: 1, type: SPRING_TYPE.BENDING, vertex0: c, vertex1: d, neighbors: [edge, edge] };
+  const ids = new Uint32Array(4);
+  const shapes = new Float32Array(8);
+  writeConstraintStencils([edge, bending], ids, shapes);
+  return { ids, shape: Array.from(shapes.subarray(4)) };
+}
+
+test("a flat pair of triangles has no rest bend, whatever its shape", () => {
+  const { ids, shape } = writeHingeStencil([[0, 0, 0], [1.3, 0, 0.2], [0.3, 0, 0.9], [0.9, 0, -0.7]]);
+  assert.deepEqual(Array.from(ids), [UNUSED_CONSTRAINT, UNUSED_CONSTRAINT, 0, 1]);
+  assert.ok(Math.abs(shape[0] + shape[1] - 1) < 1e-6);
+  assert.ok(Math.abs(shape[3]) < 1e-6);
+
+  const symmetric = writeHingeStencil([[0, 0, 0], [1, 0, 0], [0.5, 0, 0.8], [0.5, 0, -0.8]]).shape;
+  assert.deepEqual(symmetric.slice(0, 3).map((weight) => Math.round(weight * 1e6) / 1e6), [0.5, 0.5, -0.5]);
+});
+
+test("a folded pair of triangles keeps its fold as the rest bend", () => {
+  // Wings folded up by 0.2: the hinge lies 0.2 below their middle
+  const { shape } = writeHingeStencil([[0, 0, 0], [1, 0, 0], [0.5, 0.2, 0.8], [0.5, 0.2, -0.8]]);
+  assert.ok(Math.abs(shape[3] - 0.2) < 1e-6);
+});
+
+test("grid bending and thickness constraints share no vertex within a batch", () => {
+  setupVerletGeometry();
+  const capacity = verletSprings.length;
+  const ids = new Uint32Array(capacity * 2);
+  const shapes = new Float32Array(capacity * 4);
+  writeConstraintStencils(verletSprings, ids, shapes);
+
+  for (const spring of verletSprings) {
+    const hasStencil = ids[spring.id * 2] !== UNUSED_CONSTRAINT;
+    assert.equal(hasStencil, spring.type !== SPRING_TYPE.IN_PLANE, `spring ${spring.id}`);
+  }
+  const zSpring = verletSprings.find((spring) => spring.type === SPRING_TYPE.Z_SPRING);
+  // The rest thickness is the distance between the layers
+  assert.ok(Math.abs(Math.abs(shapes[zSpring.id * 4 + 1]) - zSpring.restLength) < 1e-6);
+
+  const { order, batches } = buildConstraintBatches(verletSprings, getVertexCapacity());
+  for (const { offset, count } of batches) {
+    const used = new Set();
+    for (const id of order.subarray(offset, offset + count)) {
+      const vertices = new Set([verletSprings[id].vertex0.id, verletSprings[id].vertex1.id]);
+      if (ids[id * 2] !== UNUSED_CONSTRAINT) vertices.add(ids[id * 2]).add(ids[id * 2 + 1]);
+      for (const vertex of vertices) {
+        assert.ok(!used.has(vertex), `vertex ${vertex} twice in a batch`);
+        used.add(vertex);
+      }
+    }
+  }
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Checks which springs a scissors stroke cuts on a flat grid
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three/webgpu";
+import { findCutSprings } from "../src/utils/cutting.js";
+
+const SIZE = 3; // Vertices along each side, 1 m apart
+
+/**
+ * Lays out a flat grid of vertices on y = 0 with springs between neighbors
+ *
+ * @returns {{positions: Float32Array, springs: Array<Object>, findSpring: Function}}
+ *   Vertex positions (xyz per vertex), springs along X then along Z, and
+ *   the ID of the spring between two grid points ([x, z] each)
+ */
+function createGrid() {
+  const positions = new Float32Array(SIZE * SIZE * 3);
+  const vertices = [];
+  for (let z = 0; z < SIZE; z++) {
+    for (let x = 0; x < SIZE; x++) {
+      const id = z * SIZE + x;
+      positions.set([x, 0, z], id * 3);
+      vertices.push({ id });
+    }
+  }
+
+  const springs = [];
+  const addSpring = (id0, id1) => springs.push({ id: springs.length, vertex0: vertices[id0], vertex1: vertices[id1] });
+  for (let z = 0; z < SIZE; z++) {
+    for (let x = 0; x + 1 < SIZE; x++) addSpring(z * SIZE + x, z * SIZE + x + 1);
+  }
+  for (let z = 0; z + 1 < SIZE; z++) {
+    for (let x = 0; x < SIZE; x++) addSpring(z * SIZE + x, (z + 1) * SIZE + x);
+  }
+
+  const findSpring = ([x0, z0], [x1, z1]) => springs.find(({ vertex0, vertex1 }) =>
+    vertex0.id === z0 * SIZE + x0 && vertex1.id === z1 * SIZE + x1).id;
+  return { positions, springs, findSpring };
+}
+
+/**
+ * Creates the cursor ray from a camera position through a point
+ *
+ * @param {Array<number>} origin - Camera position (xyz)
+ * @param {Array<number>} target - Point the cursor is over (xyz)
+ * @returns {THREE.Ray} The ray
+ */
+function rayThrough(origin, target) {
+  const start = new THREE.Vector3().fromArray(origin);
+  return new THREE.Ray(start, new THREE.Vector3().fromArray(target).sub(start).normalize());
+}
+
+test("a perspective stroke cuts the springs it crosses", () => {
+  const { positions, springs, findSpring } = createGrid();
+  // Across the whole grid, between the first and second row
+  const camera = [1, 5, 0.5];
+  const startRay = rayThrough(camera, [-0.5, 0, 0.5]);
+  const endRay = rayThrough(camera, [2.5, 0, 0.5]);
+
+  assert.deepEqual(findCutSprings(positions, springs, startRay, endRay, 20), [
+    findSpring([0, 0], [0, 1]),
+    findSpring([1, 0], [1, 1]),
+    findSpring([2, 0], [2, 1]),
+  ]);
+});
+
+test("a stroke that misses the cloth cuts nothing", () => {
+  const { positions, springs } = createGrid();
+  const camera = [1, 5, 0.5];
+
+  // Beyond the last row
+  const beyond = [rayThrough(camera, [-0.5, 0, 2.5]), rayThrough(camera, [2.5, 0, 2.5])];
+  assert.deepEqual(findCutSprings(positions, springs, ...beyond, 20), []);
+
+  // Across the grid, but stopping short of it
+  const across = [rayThrough(camera, [-0.5, 0, 0.5]), rayThrough(camera, [2.5, 0, 0.5])];
+  assert.deepEqual(findCutSprings(positions, springs, ...across, 4), []);
+});
+
+test("an orthographic stroke cuts the springs it crosses", () => {
+  const { positions, springs, findSpring } = createGrid();
+  // Parallel rays straight down, between the first and second column, from
+  // one side of the grid to the other
+  const down = new THREE.Vector3(0, -1, 0);
+  const startRay = new THREE.Ray(new THREE.Vector3(0.5, 5, -0.5), down);
+  const endRay = new THREE.Ray(new THREE.Vector3(0.5, 5, 2.5), down);
+
+  assert.deepEqual(findCutSprings(positions, springs, startRay, endRay, 20), [
+    findSpring([0, 0], [1, 0]),
+    findSpring([0, 1], [1, 1]),
+    findSpring([0, 2], [1, 2]),
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Checks that cuts across the grid split the cloth without
+ * tearing faces out of it
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { getClothConfig, setClothConfig } from "../src/config/clothConfig.js";
+import { setupVerletGeometry, verletVertices, verletSprings, verletFaces, SPRING_TYPE } from "../src/verlet/geometry.js";
+import { resetFracture, splitTornVertices, getTearStatistics } from "../src/verlet/fracture.js";
+import { INTEGRATORS } from "../src/verlet/constraints.js";
+import { setupUniforms } from "../src/utils/uniforms.js";
+import { createCpuSolver } from "../src/compute/cpuSolver.js";
+
+const GRID = { width: 1, height: 1, segmentsX: 10, segmentsY: 10 };
+
+const previousCloth = { ...getClothConfig() };
+after(() => setClothConfig(previousCloth));
+
+/**
+ * Builds the grid cloth at rest with a CPU solver
+ *
+ * @returns {Object} The CPU solver
+ */
+function createCloth() {
+  setClothConfig(GRID);
+  setupVerletGeometry();
+  resetFracture();
+  const solver = createCpuSolver({
+    vertices: verletVertices,
+    springs: verletSprings,
+    uniforms: setupUniforms(),
+    integrator: INTEGRATORS.MASS_SPRING,
+  });
+  solver.reset();
+  return solver;
+}
+
+/**
+ * Cuts springs and splits the cloth along them, as the app does after a
+ * scissors stroke (see applyFracture in main.js)
+ *
+ * @param {Object} solver - The CPU solver
+ * @param {Array<number>} springIds - IDs of the springs to cut
+ * @returns {Object} The result of splitTornVertices
+ */
+function cutCloth(solver, springIds) {
+  solver.cutSprings(springIds);
+  const fracture = splitTornVertices(solver.getSpringStiffness(), solver.getPositions());
+  solver.updateTopology(fracture.splits);
+  solver.cutSprings(fracture.cutSpringIds);
+  solver.mendSprings(fracture.mendedSpringIds, fracture.mendedVertexIds);
+  return fracture;
+}
+
+/**
+ * Counts the pieces the intact structural, shear and Z-springs hold together
+ *
+ * @param {ArrayLike<number>} stiffness - Current stiffness of every spring
+ * @returns {number} The number of pieces
+ */
+function countPieces(stiffness) {
+  const parents = verletVertices.map((vertex) => vertex.id);
+  const find = (id) => (parents[id] === id ? id : (parents[id] = find(parents[id])));
+  for (const spring of verletSprings) {
+    if (spring.type === SPRING_TYPE.BENDING || stiffness[spring.id] <= 0) continue;
+    parents[find(spring.vertex0.id)] = find(spring.vertex1.id);
+  }
+  return new Set(verletVertices.map((vertex) => find(vertex.id))).size;
+}
+
+test("a straight cut between two rows splits the cloth and tears no face", () => {
+  const solver = createCloth();
+  // Every spring crossing z = 0.02, a fifth of the way into a row of quads
+  const cutZ = 0.02;
+  const springIds = verletSprings
+    .filter(({ vertex0, vertex1 }) => (vertex0.position.z - cutZ) * (vertex1.position.z - cutZ) < 0)
+    .map((spring) => spring.id);
+
+  const { splits, tornFaces, cutSpringIds } = cutCloth(solver, springIds);
+
+  assert.equal(tornFaces, 0);
+  assert.ok(verletFaces.every((face) => !face.torn));
+  assert.equal(getTearStatistics().tornArea, 0);
+  // The tear moves onto the far side of the row it crossed: one edge per
+  // quad and one split per vertex along it, on both layers
+  assert.equal(cutSpringIds.length, 2 * GRID.segmentsX);
+  assert.equal(splits.length, 2 * (GRID.segmentsX + 1));
+  assert.equal(countPieces(solver.getSpringStiffness()), 2);
+});
+
+test("a cut across a corner of a quad keeps its other triangle half", () => {
+  const solver = createCloth();
+  // The springs of the first top layer quad at its corner 0, a corner of the cloth
+  const face = verletFaces.find((candidate) => candidate.layer === "top");
+  const corner = face.vertices[0];
+  const springIds = [...face.edges, ...face.springs]
+    .filter(({ vertex0, vertex1 }) => vertex0 === corner || vertex1 === corner)
+    .map((spring) => spring.id);
+
+  const { splits, tornFaces } = cutCloth(solver, springIds);
+
+  assert.equal(tornFaces, 1);
+  assert.equal(face.torn, true);
+  assert.deepEqual(face.keptTriangle, [1, 2, 3]);
+  assert.equal(splits.length, 0);
+  const quadShare = 1 / (2 * GRID.segmentsX * GRID.segmentsY);
+  assert.ok(Math.abs(getTearStatistics().tornArea - quadShare / 2) < 1e-9);
+});
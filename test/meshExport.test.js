@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Checks the export mesh of cloth faces and its OBJ, PLY and
+ * GLB serializations
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildFaceExportMesh,
+  getExportFaces,
+  serializeOBJ,
+  serializePLY,
+  serializeGLB,
+} from "../src/utils/meshExport.js";
+
+/**
+ * Lays out a flat strip of quads on y = 0, columns along X
+ *
+ * @param {number} quadCount - Number of quads
+ * @returns {Float32Array} Positions of the 2 rows of vertices (xyz per
+ *   vertex), the row at z = 0 first
+ */
+function createStripPositions(quadCount) {
+  const columns = quadCount + 1;
+  const positions = new Float32Array(columns * 2 * 3);
+  for (let row = 0; row < 2; row++) {
+    for (let x = 0; x < columns; x++) positions.set([x, 0, row], (row * columns + x) * 3);
+  }
+  return positions;
+}
+
+/**
+ * Gets a quad of the strip as an export face
+ *
+ * @param {number} quadCount - Number of quads in the strip
+ * @param {number} x - Column of the quad
+ * @param {Array<number>} uvs - UV of each corner (2 per corner)
+ * @param {boolean} [flip=false] - Whether the quad faces the other way
+ * @returns {Object} The export face
+ */
+function getStripQuad(quadCount, x, uvs, flip = false) {
+  const columns = quadCount + 1;
+  return { vertexIds: [x, x + 1, columns + x, columns + x + 1], uvs, flip };
+}
+
+/**
+ * Gets the normal of each triangle of an export mesh from its winding
+ *
+ * @param {Object} mesh - The export mesh
+ * @returns {Array<Array<number>>} The unnormalized normal of each triangle
+ */
+function getWindingNormals({ positions, indices }) {
+  const normals = [];
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map((i) => positions.subarray(i * 3, i * 3 + 3));
+    const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    normals.push([ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]]);
+  }
+  return normals;
+}
+
+/**
+ * Gets the normal of an export vertex
+ *
+ * @param {Object} mesh - The export mesh
+ * @param {number} index - Export vertex index
+ * @returns {Array<number>} The normal, with -0 read as 0
+ */
+function getVertexNormal(mesh, index) {
+  return Array.from(mesh.normals.subarray(index * 3, index * 3 + 3), (value) => value + 0);
+}
+
+const QUAD_UVS = [0, 0, 1, 0, 0, 1, 1, 1];
+
+test("a flat quad faces +Y, or -Y when flipped", () => {
+  const positions = createStripPositions(1);
+
+  const mesh = buildFaceExportMesh(positions, [getStripQuad(1, 0, QUAD_UVS)]);
+  assert.equal(mesh.indices.length, 6);
+  for (const normal of getWindingNormals(mesh)) assert.ok(normal[1] > 0);
+  for (let i = 0; i < 4; i++) assert.deepEqual(getVertexNormal(mesh, i), [0, 1, 0]);
+
+  const flipped = buildFaceExportMesh(positions, [getStripQuad(1, 0, QUAD_UVS, true)]);
+  for (const normal of getWindingNormals(flipped)) assert.ok(normal[1] < 0);
+  for (let i = 0; i < 4; i++) assert.deepEqual(getVertexNormal(flipped, i), [0, -1, 0]);
+});
+
+test("quads share the vertices of their common edge unless a UV seam splits them", () => {
+  const positions = createStripPositions(2);
+  const shared = buildFaceExportMesh(positions, [
+    getStripQuad(2, 0, [0, 0, 0.5, 0, 0, 1, 0.5, 1]),
+    getStripQuad(2, 1, [0.5, 0, 1, 0, 0.5, 1, 1, 1]),
+  ]);
+  assert.equal(shared.positions.length / 3, 6);
+
+  // The second quad starts over at u = 0: the common edge is a seam
+  const seam = buildFaceExportMesh(positions, [
+    getStripQuad(2, 0, [0, 0, 0.5, 0, 0, 1, 0.5, 1]),
+    getStripQuad(2, 1, QUAD_UVS),
+  ]);
+  assert.equal(seam.positions.length / 3, 8);
+  assert.equal(seam.indices.length, 12);
+  // Normals stay smooth across the seam
+  for (let i = 0; i < 8; i++) assert.deepEqual(getVertexNormal(seam, i), [0, 1, 0]);
+});
+
+test("torn faces are left out and kept triangle halves exported as triangles", () => {
+  const vertices = [0, 1, 2, 3].map((id) => ({ id }));
+  const face = (props) => ({ vertices, uvs: QUAD_UVS, layer: "top", torn: false, keptTriangle: null, ...props });
+  const faces = getExportFaces([
+    face({}),
+    face({ torn: true }),
+    face({ torn: true, keptTriangle: [1, 2, 3], layer: "bottom" }),
+  ]);
+
+  assert.deepEqual(faces, [
+    { vertexIds: [0, 1, 2, 3], uvs: QUAD_UVS, flip: false },
+    { vertexIds: [1, 2, 3], uvs: [1, 0, 0, 1, 1, 1], flip: true },
+  ]);
+
+  // The kept half faces the same way as the quad it belongs to
+  const positions = createStripPositions(1);
+  const [quadNormal] = getWindingNormals(buildFaceExportMesh(positions, [{ ...faces[0], flip: true }]));
+  const [halfNormal] = getWindingNormals(buildFaceExportMesh(positions, [faces[1]]));
+  assert.ok(quadNormal[1] < 0 && halfNormal[1] < 0);
+});
+
+test("OBJ and PLY list every vertex and triangle", () => {
+  const mesh = buildFaceExportMesh(createStripPositions(2), [
+    getStripQuad(2, 0, [0, 0, 0.5, 0, 0, 1, 0.5, 1]),
+    getStripQuad(2, 1, [0.5, 0, 1, 0, 0.5, 1, 1, 1]),
+  ]);
+
+  const objLines = serializeOBJ(mesh).split("\n");
+  const countOBJ = (prefix) => objLines.filter((line) => line.startsWith(prefix)).length;
+  assert.equal(countOBJ("v "), 6);
+  assert.equal(countOBJ("vt "), 6);
+  assert.equal(countOBJ("vn "), 6);
+  assert.equal(countOBJ("f "), 4);
+  // OBJ indices start at 1
+  assert.ok(objLines.filter((line) => line.startsWith("f ")).every((line) => !/\b0\//.test(line)));
+
+  const plyLines = serializePLY(mesh).trim().split("\n");
+  assert.ok(plyLines.includes("element vertex 6"));
+  assert.ok(plyLines.includes("element face 4"));
+  const body = plyLines.slice(plyLines.indexOf("end_header") + 1);
+  assert.equal(body.length, 6 + 4);
+  assert.ok(body.slice(6).every((line) => line.startsWith("3 ")));
+});
+
+test("GLB has a valid header and 4-byte aligned chunks", () => {
+  // 3 quads: 8 vertices and 18 indices
+  const mesh = buildFaceExportMesh(createStripPositions(3), [0, 1, 2].map((x) => getStripQuad(3, x, QUAD_UVS)));
+  const glb = serializeGLB(mesh);
+  const view = new DataView(glb);
+
+  assert.equal(view.getUint32(0, true), 0x46546c67); // "glTF"
+  assert.equal(view.getUint32(4, true), 2);
+  assert.equal(view.getUint32(8, true), glb.byteLength);
+  assert.equal(glb.byteLength % 4, 0);
+
+  const jsonLength = view.getUint32(12, true);
+  assert.equal(view.getUint32(16, true), 0x4e4f534a); // "JSON"
+  assert.equal(jsonLength % 4, 0);
+  const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength)));
+
+  const binStart = 20 + jsonLength;
+  const binLength = view.getUint32(binStart, true);
+  assert.equal(view.getUint32(binStart + 4, true), 0x004e4942); // "BIN\0"
+  assert.equal(binLength % 4, 0);
+  assert.equal(binStart + 8 + binLength, glb.byteLength);
+  assert.equal(json.buffers[0].byteLength, binLength);
+
+  const vertexCount = mesh.positions.length / 3;
+  assert.deepEqual(json.accessors.map(({ count }) => count), [vertexCount, vertexCount, vertexCount, 18]);
+  for (const { byteOffset } of json.bufferViews) assert.equal(byteOffset % 4, 0);
+
+  // The indices come back from the binary chunk
+  const { byteOffset, byteLength } = json.bufferViews[3];
+  assert.deepEqual(new Uint32Array(glb.slice(binStart + 8 + byteOffset, binStart + 8 + byteOffset + byteLength)), mesh.indices);
+
+  assert.throws(() => serializeGLB(buildFaceExportMesh(createStripPositions(1), [])), /empty mesh/);
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Checks vertex welding and the spring topology of imported
+ * triangle meshes
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { weldVertices, buildMeshTopology, prepareClothMesh } from "../src/verlet/meshImport.js";
+
+/**
+ * A unit square on y = 0 as a triangle soup, its two triangles (0, 1, 2)
+ * and (1, 3, 2) each with their own copies of the shared corners
+ */
+const QUAD_CORNERS = [[0, 0, 0], [1, 0, 0], [0, 0, 1], [1, 0, 1]];
+const QUAD_SOUP = new Float32Array([0, 1, 2, 1, 3, 2].flatMap((corner) => QUAD_CORNERS[corner]));
+
+/**
+ * Checks that two numbers are equal up to float32 rounding
+ *
+ * @param {number} actual - The value found
+ * @param {number} expected - The value expected
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+}
+
+test("welding merges the copies of shared corners", () => {
+  const { positions, remap } = weldVertices(QUAD_SOUP, 1e-6);
+
+  assert.deepEqual(Array.from(positions), QUAD_CORNERS.flat());
+  assert.deepEqual(Array.from(remap), [0, 1, 2, 1, 3, 2]);
+});
+
+test("welding merges vertices within the tolerance only", () => {
+  const positions = new Float32Array([0, 0, 0, 0.001, 0, 0, 0.1, 0, 0]);
+
+  assert.deepEqual(Array.from(weldVertices(positions, 0.01).remap), [0, 0, 1]);
+  assert.deepEqual(Array.from(weldVertices(positions, 0.0001).remap), [0, 1, 2]);
+});
+
+test("a quad of two triangles has five edges and one bending pair", () => {
+  const { positions } = weldVertices(QUAD_SOUP, 1e-6);
+  const { edges, bendingPairs, boundary, vertexAreas, edgeAreas } = buildMeshTopology([0, 1, 2, 1, 3, 2], positions);
+
+  assert.deepEqual(edges, [[0, 1], [1, 2], [0, 2], [1, 3], [2, 3]]);
+  // Across the diagonal, the only edge shared by both triangles
+  assert.deepEqual(bendingPairs, [{ vertices: [0, 3], edge: 1 }]);
+  // Every vertex lies on an outer edge
+  assert.deepEqual(Array.from(boundary), [1, 1, 1, 1]);
+
+  // A third of each triangle per corner; the whole quad for the diagonal
+  [1 / 6, 1 / 3, 1 / 3, 1 / 6].forEach((area, i) => assertClose(vertexAreas[i], area));
+  [0.5, 1, 0.5, 0.5, 0.5].forEach((area, i) => assertClose(edgeAreas[i], area));
+});
+
+test("triangles collapsed by welding are skipped", () => {
+  const { positions } = weldVertices(QUAD_SOUP, 1e-6);
+  const { edges, bendingPairs, vertexAreas } = buildMeshTopology([0, 1, 2, 1, 1, 3], positions);
+
+  assert.deepEqual(edges, [[0, 1], [1, 2], [0, 2]]);
+  assert.deepEqual(bendingPairs, []);
+  assert.equal(vertexAreas[3], 0);
+});
+
+test("a prepared mesh is welded, centered and scaled to the target size", () => {
+  const mesh = {
+    positions: QUAD_SOUP.map((value) => value * 4 + 10),
+    uvs: new Float32Array(12),
+    indices: new Uint32Array([0, 1, 2, 3, 4, 5]),
+  };
+  const cloth = prepareClothMesh(mesh, 2);
+
+  assert.deepEqual(Array.from(cloth.verletIds), [0, 1, 2, 1, 3, 2]);
+  assert.deepEqual(Array.from(cloth.positions), [-1, 0, -1, 1, 0, -1, -1, 0, 1, 1, 0, 1]);
+  assert.equal(cloth.edges.length, 5);
+  // The areas follow the scaled mesh
+  assertClose(cloth.vertexAreas.reduce((sum, area) => sum + area, 0), 4);
+  // The render data is passed through
+  assert.equal(cloth.indices, mesh.indices);
+  assert.equal(cloth.uvs, mesh.uvs);
+});
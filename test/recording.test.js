@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Checks that traces replay the recorded steps and edits
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTraceRecorder,
+  createTracePlayer,
+  findEditMismatch,
+  parseTrace,
+  serializeTrace,
+  validateTrace,
+} from "../src/simulation/recording.js";
+
+/**
+ * Records a step with the given mouse depth and otherwise idle inputs
+ *
+ * @param {Object} recorder - The recorder
+ * @param {number} depth - Mouse cylinder depth
+ */
+function recordIdleStep(recorder, depth) {
+  recorder.recordStep({
+    mode: "grab",
+    mouseState: { isPressed: false, depth },
+    penState: { isPressed: false, pressure: 0 },
+    uniformValues: { time: 0, stiffness: 0.2 },
+    colliders: [],
+  });
+}
+
+test("edits replay before the step recorded after them", () => {
+  const recorder = createTraceRecorder({ startTime: 0, vertexCount: 4, springCount: 5 });
+  recordIdleStep(recorder, 0);
+  recorder.recordEdit({ type: "pin", vertexId: 2, fixed: true });
+  recorder.recordEdit({ type: "cut", springIds: [1, 3] });
+  recordIdleStep(recorder, 0.1);
+  recordIdleStep(recorder, 0.1);
+  recorder.recordEdit({ type: "stitch", springIds: [3], stitches: [[0, 2, 0.02, 1]] });
+  recordIdleStep(recorder, 0.1);
+
+  const trace = parseTrace(serializeTrace(recorder.finish()));
+  validateTrace(trace, 4, 5);
+  const player = createTracePlayer(trace);
+
+  assert.deepEqual(player.nextEdits, []);
+  assert.deepEqual(player.next().edits, []);
+
+  assert.deepEqual(player.nextEdits.map(({ type }) => type), ["pin", "cut"]);
+  const second = player.next();
+  assert.deepEqual(second.edits, [
+    { type: "pin", vertexId: 2, fixed: true },
+    { type: "cut", springIds: [1, 3] },
+  ]);
+  assert.equal(second.mouse.depth, 0.1);
+
+  assert.deepEqual(player.next().edits, []);
+  assert.deepEqual(player.next().edits, [
+    { type: "stitch", springIds: [3], stitches: [[0, 2, 0.02, 1]] },
+  ]);
+  assert.equal(player.isFinished, true);
+  assert.deepEqual(player.nextEdits, []);
+  assert.equal(player.next(), null);
+});
+
+test("rewinding replays the edits again", () => {
+  const recorder = createTraceRecorder({ startTime: 1, vertexCount: 4, springCount: 5 });
+  recorder.recordEdit({ type: "pin", vertexId: 0, fixed: false });
+  recordIdleStep(recorder, 0);
+
+  const player = createTracePlayer(recorder.finish());
+  assert.equal(player.next().edits.length, 1);
+  player.rewind();
+  assert.equal(player.next().edits.length, 1);
+});
+
+test("edits naming vertices or springs the cloth doesn't have yet are found", () => {
+  assert.equal(findEditMismatch({ type: "pin", vertexId: 3, fixed: true }, 4, 5), null);
+  assert.equal(findEditMismatch({ type: "cut", springIds: [0, 4] }, 4, 5), null);
+  assert.equal(findEditMismatch({ type: "stitch", springIds: [3], stitches: [[0, 2, 0.02, 1]] }, 4, 5), null);
+
+  // A vertex copy or stitch spring the replay has not made yet
+  assert.equal(findEditMismatch({ type: "pin", vertexId: 4, fixed: true }, 4, 5), "vertices 4 (the cloth has 4)");
+  assert.equal(findEditMismatch({ type: "cut", springIds: [1, 5, 6] }, 4, 5), "springs 5, 6 (the cloth has 5)");
+  assert.equal(
+    findEditMismatch({ type: "stitch", springIds: [7], stitches: [[0, 6, 0.02, 1]] }, 4, 5),
+    "vertices 6 (the cloth has 4) and springs 7 (the cloth has 5)"
+  );
+  assert.equal(findEditMismatch({ type: "stitch", springIds: [], stitches: [[0, 2, 0.02, 9]] }, 4, 5), "springs 9 (the cloth has 5)");
+  assert.equal(findEditMismatch({ type: "fold" }, 4, 5), "unknown edit type fold");
+});
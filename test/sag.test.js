@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Hangs a strip from its top edge with the CPU solver and
+ * compares how far it stretches with the linear spring solution
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { GRAVITY, FABRIC_CONFIG, STEPS_PER_SECOND } from "../src/config/constants.js";
+import { getClothConfig, setClothConfig, setFabricConfig } from "../src/config/clothConfig.js";
+import { PIN_MODES, getPinConfig, setPinConfig } from "../src/verlet/pinning.js";
+import { setupVerletGeometry, verletVertices, verletSprings } from "../src/verlet/geometry.js";
+import { resetFracture } from "../src/verlet/fracture.js";
+import { INTEGRATORS } from "../src/verlet/constraints.js";
+import { setupUniforms } from "../src/utils/uniforms.js";
+import { createCpuSolver } from "../src/compute/cpuSolver.js";
+
+const STRIP = { width: 0.2, height: 1, segmentsX: 4, segmentsY: 20 };
+const STIFFNESS = 20; // N/m, along both grid directions
+
+const previousCloth = { ...getClothConfig() };
+const previousPins = getPinConfig();
+after(() => {
+  setClothConfig(previousCloth);
+  setFabricConfig(FABRIC_CONFIG);
+  setPinConfig(previousPins);
+});
+
+/**
+ * Hangs the strip from its y = 0 row until it comes to rest
+ *
+ * Shear and bending springs are off, so the springs along the strip carry
+ * all the weight and the horizontal ones none. The floor is off so the
+ * strip hangs freely.
+ *
+ * @param {string} integrator - One of INTEGRATORS
+ * @param {number} seconds - Simulated time to settle
+ * @returns {{stretch: Array<number>, drift: number}} How far each vertex of
+ *   the bottom row hangs below the pinned row, minus the strip's length,
+ *   and how far the bottom row still moved during the last second
+ */
+function hangStrip(integrator, seconds) {
+  setClothConfig(STRIP);
+  setFabricConfig({
+    name: "Strip",
+    springs: {
+      horizontal: { stiffness: STIFFNESS },
+      vertical: { stiffness: STIFFNESS },
+      diagonal: { stiffness: 0 },
+      bending: { stiffness: 0 },
+    },
+  });
+  setPinConfig(PIN_MODES.TOP_EDGE);
+  setupVerletGeometry();
+  resetFracture();
+  const uniforms = setupUniforms();
+  uniforms.ground.value = 0;
+
+  const solver = createCpuSolver({ vertices: verletVertices, springs: verletSprings, uniforms, integrator });
+  solver.reset();
+
+  // Top layer only: the bottom layer hangs the same distance below its own pins
+  const topLayer = verletVertices.filter((vertex) => vertex.position.y > 0);
+  const pinY = topLayer.find((vertex) => vertex.isFixed).position.y;
+  const bottomRow = topLayer.filter((vertex) => Math.abs(vertex.position.z - STRIP.height / 2) < 1e-6);
+  const readBottomRow = () => bottomRow.map((vertex) => solver.getPositions()[vertex.id * 3 + 1]);
+
+  solver.step((seconds - 1) * STEPS_PER_SECOND);
+  const previous = readBottomRow();
+  solver.step(STEPS_PER_SECOND);
+  const settled = readBottomRow();
+
+  return {
+    stretch: settled.map((y) => pinY - y - STRIP.height),
+    drift: Math.max(...settled.map((y, i) => Math.abs(y - previous[i]))),
+  };
+}
+
+/**
+ * Stretch of a strip hanging under its own weight
+ *
+ * The springs at a distance s above the bottom carry the weight below them,
+ * ρ g s per unit width, and stretch by that over the stiffness E (N/m), so
+ * the strip stretches by the integral ρ g L² / (2 E). Lumping the masses on
+ * the vertices gives the same sum for any number of segments.
+ *
+ * @returns {number} The stretch (m)
+ */
+function getAnalyticStretch() {
+  return (FABRIC_CONFIG.arealDensity * GRAVITY * STRIP.height ** 2) / (2 * STIFFNESS);
+}
+
+test("a hanging strip stretches as the linear spring solution (mass-spring)", () => {
+  const expected = getAnalyticStretch();
+  const { stretch, drift } = hangStrip(INTEGRATORS.MASS_SPRING, 6);
+
+  assert.ok(drift < 1e-4, `still moving by ${drift} m`);
+  // Within 0.5%: the springs are linear, so only float32 rounding is left
+  for (const value of stretch) {
+    assert.ok(Math.abs(value - expected) < 0.005 * expected, `stretched ${value} m, expected ${expected} m`);
+  }
+});
+
+test("a hanging strip stretches as the linear spring solution (XPBD)", () => {
+  const expected = getAnalyticStretch();
+  const { stretch, drift } = hangStrip(INTEGRATORS.XPBD, 6);
+
+  assert.ok(drift < 1e-4, `still moving by ${drift} m`);
+  // Within 5%: XPBD restarts its multipliers every step, so with a few
+  // iterations it settles a little softer than the springs it stands for
+  // (2.5% with the default 8)
+  for (const value of stretch) {
+    assert.ok(Math.abs(value - expected) < 0.05 * expected, `stretched ${value} m, expected ${expected} m`);
+  }
+});
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Checks baked signed distance fields against analytic shapes
+ *
+ * Run with `npm test` (Node's built-in test runner, no browser or GPU
+ * needed).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  sdBox,
+  sdCapsule,
+  bakeSDF,
+  bakeSDFInChunks,
+  sampleSDF,
+  createPrimitiveDistanceFunction,
+  getPrimitiveBounds,
+  createMeshDistanceFunction,
+} from "../src/simulation/sdf.js";
+
+/**
+ * Analytic signed distance to a sphere (the reference the capsule with
+ * equal ends and the sphere mesh are checked against)
+ *
+ * @param {Array<number>} p - Point [x, y, z]
+ * @param {Array<number>} center - Sphere center
+ * @param {number} radius - Sphere radius
+ * @returns {number} Signed distance (negative inside)
+ */
+function sdSphere(p, center, radius) {
+  return Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2]) - radius;
+}
+
+/**
+ * Deterministic points spread over a box (a linear congruential generator,
+ * so failures reproduce)
+ *
+ * @param {number} count - Number of points
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Box to fill
+ * @returns {Array<Array<number>>} The points
+ */
+function samplePoints(count, bounds) {
+  let seed = 12345;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+  return Array.from({ length: count }, () =>
+    [0, 1, 2].map((k) => bounds.min[k] + (bounds.max[k] - bounds.min[k]) * random())
+  );
+}
+
+/**
+ * Grows bounds by a margin on every side
+ *
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds
+ * @param {number} margin - Margin
+ * @returns {{min: Array<number>, max: Array<number>}} The grown bounds
+ */
+function grow(bounds, margin) {
+  return {
+    min: bounds.min.map((value) => value - margin),
+    max: bounds.max.map((value) => value + margin),
+  };
+}
+
+/**
+ * Triangulates a box (8 corners, 12 triangles)
+ *
+ * @param {Array<number>} center - Box center
+ * @param {Array<number>} halfExtents - Box half size along each axis
+ * @returns {{positions: Float32Array, indices: Uint32Array}} The mesh
+ */
+function createBoxMesh(center, halfExtents) {
+  const positions = [];
+  for (let i = 0; i < 8; i++) {
+    positions.push(
+      center[0] + (i & 1 ? 1 : -1) * halfExtents[0],
+      center[1] + (i & 2 ? 1 : -1) * halfExtents[1],
+      center[2] + (i & 4 ? 1 : -1) * halfExtents[2],
+    );
+  }
+  const quads = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+  const indices = quads.flatMap(([a, b, c, d]) => [a, b, c, a, c, d]);
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+/**
+ * Triangulates a sphere by latitude and longitude, with its vertices on the
+ * sphere
+ *
+ * @param {Array<number>} center - Sphere center
+ * @param {number} radius - Sphere radius
+ * @param {number} segments - Divisions around the Y axis
+ * @param {number} rings - Divisions from pole to pole
+ * @returns {{positions: Float32Array, indices: Uint32Array}} The mesh
+ */
+function createSphereMesh(center, radius, segments, rings) {
+  const positions = [];
+  for (let ring = 0; ring <= rings; ring++) {
+    const theta = (ring / rings) * Math.PI;
+    for (let segment = 0; segment < segments; segment++) {
+      const phi = (segment / segments) * Math.PI * 2;
+      positions.push(
+        center[0] + radius * Math.sin(theta) * Math.cos(phi),
+        center[1] + radius * Math.cos(theta),
+        center[2] + radius * Math.sin(theta) * Math.sin(phi),
+      );
+    }
+  }
+
+  const indices = [];
+  for (let ring = 0; ring < rings; ring++) {
+    for (let segment = 0; segment < segments; segment++) {
+      const a = ring * segments + segment;
+      const b = ring * segments + ((segment + 1) % segments);
+      const c = a + segments;
+      const d = b + segments;
+      if (ring > 0) indices.push(a, b, c);
+      if (ring < rings - 1) indices.push(b, d, c);
+    }
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+test("bakeSDF stores the exact distance at grid samples", () => {
+  const center = [0.1, -0.2, 0.05];
+  const halfExtents = [0.3, 0.1, 0.2];
+  const distance = (p) => sdBox(p, center, halfExtents);
+  const sdf = bakeSDF(distance, { min: [-0.2, -0.3, -0.15], max: [0.4, -0.1, 0.25] }, { resolution: 16 });
+  const n = sdf.resolution;
+
+  for (let index = 0; index < n * n * n; index += 7) {
+    const x = index % n;
+    const y = Math.floor(index / n) % n;
+    const z = Math.floor(index / (n * n));
+    const p = [x, y, z].map((g, k) => sdf.origin[k] + g * sdf.cellSize);
+    assert.ok(Math.abs(sdf.data[index * 4 + 3] - distance(p)) < 1e-5, `sample ${index}`);
+  }
+});
+
+test("sampleSDF matches sdBox, sdSphere and sdCapsule within a cell", () => {
+  const shapes = [
+    { type: "box", center: [0, 0, 0], halfExtents: [0.4, 0.05, 0.3] },
+    { type: "capsule", start: [0.1, 0.2, -0.1], end: [0.1, 0.2, -0.1], radius: 0.25 },
+    { type: "capsule", start: [-0.3, -0.2, 0], end: [0.3, 0.1, 0.1], radius: 0.08 },
+  ];
+  const references = [
+    (p) => sdBox(p, shapes[0].center, shapes[0].halfExtents),
+    (p) => sdSphere(p, shapes[1].start, shapes[1].radius),
+    (p) => sdCapsule(p, shapes[2].start, shapes[2].end, shapes[2].radius),
+  ];
+
+  shapes.forEach((shape, i) => {
+    const bounds = getPrimitiveBounds([shape]);
+    const sdf = bakeSDF(createPrimitiveDistanceFunction([shape]), bounds, { resolution: 24, padding: 0.1 });
+    const sample = [0, 0, 0, 0];
+
+    // A distance field changes by at most the distance moved, so
+    // interpolating between samples is off by less than one cell
+    for (const p of samplePoints(500, grow(bounds, 0.05))) {
+      assert.ok(sampleSDF(sdf, p, sample), `${shape.type} point inside the field`);
+      const expected = references[i](p);
+      assert.ok(
+        Math.abs(sample[3] - expected) <= sdf.cellSize,
+        `${shape.type} at ${p}: ${sample[3]} vs ${expected} (cell ${sdf.cellSize})`
+      );
+    }
+  });
+});
+
+test("sampleSDF gradients point away from a sphere", () => {
+  const center = [0, 0, 0];
+  const radius = 0.3;
+  const bounds = { min: [-radius, -radius, -radius], max: [radius, radius, radius] };
+  const sdf = bakeSDF((p) => sdSphere(p, center, radius), bounds, { resolution: 24, padding: 0.1 });
+  const sample = [0, 0, 0, 0];
+
+  for (const p of samplePoints(200, grow(bounds, 0.05))) {
+    const length = Math.hypot(...p);
+    // The gradient is undefined at the center, and differences across it
+    // smooth it out for a few cells
+    if (length < 4 * sdf.cellSize) continue;
+    sampleSDF(sdf, p, sample);
+    const dot = (sample[0] * p[0] + sample[1] * p[1] + sample[2] * p[2]) / length;
+    assert.ok(Math.abs(dot - 1) < 0.05, `gradient at ${p}: ${sample.slice(0, 3)}`);
+  }
+});
+
+test("sampleSDF rejects points outside the field", () => {
+  const sdf = bakeSDF((p) => sdSphere(p, [0, 0, 0], 0.2), { min: [-0.2, -0.2, -0.2], max: [0.2, 0.2, 0.2] }, {
+    resolution: 8,
+    padding: 0.05,
+  });
+  assert.equal(sampleSDF(sdf, [1, 0, 0], [0, 0, 0, 0]), false);
+  assert.equal(sampleSDF(sdf, [0, 0, 0], [0, 0, 0, 0]), true);
+});
+
+test("createMeshDistanceFunction matches sdBox for a box mesh", () => {
+  const center = [0.05, -0.1, 0];
+  const halfExtents = [0.3, 0.15, 0.2];
+  const { positions, indices } = createBoxMesh(center, halfExtents);
+  const distance = createMeshDistanceFunction(positions, indices);
+  const bounds = { min: center.map((c, k) => c - halfExtents[k]), max: center.map((c, k) => c + halfExtents[k]) };
+
+  for (const p of samplePoints(500, grow(bounds, 0.1))) {
+    const expected = sdBox(p, center, halfExtents);
+    assert.ok(Math.abs(distance(p) - expected) < 1e-5, `at ${p}: ${distance(p)} vs ${expected}`);
+  }
+});
+
+test("createMeshDistanceFunction matches sdSphere up to the faceting", () => {
+  const center = [0, 0.1, 0];
+  const radius = 0.3;
+  const segments = 32;
+  const rings = 16;
+  const { positions, indices } = createSphereMesh(center, radius, segments, rings);
+  const distance = createMeshDistanceFunction(positions, indices);
+
+  // The flat triangles lie at most this far inside the sphere
+  const faceting = radius * (1 - Math.cos(Math.PI / segments) * Math.cos(Math.PI / (2 * rings)));
+  const bounds = { min: center.map((c) => c - radius), max: center.map((c) => c + radius) };
+  for (const p of samplePoints(300, grow(bounds, 0.1))) {
+    const expected = sdSphere(p, center, radius);
+    assert.ok(Math.abs(distance(p) - expected) <= faceting + 1e-5, `at ${p}: ${distance(p)} vs ${expected}`);
+  }
+});
+
+test("a baked mesh field matches sdSphere within a cell", () => {
+  const center = [0, 0, 0];
+  const radius = 0.25;
+  const { positions, indices } = createSphereMesh(center, radius, 24, 12);
+  const bounds = { min: [-radius, -radius, -radius], max: [radius, radius, radius] };
+  const sdf = bakeSDF(createMeshDistanceFunction(positions, indices), bounds, { resolution: 16, padding: 0.08 });
+  const faceting = radius * (1 - Math.cos(Math.PI / 24) * Math.cos(Math.PI / 24));
+  const sample = [0, 0, 0, 0];
+
+  for (const p of samplePoints(300, grow(bounds, 0.05))) {
+    sampleSDF(sdf, p, sample);
+    const expected = sdSphere(p, center, radius);
+    assert.ok(
+      Math.abs(sample[3] - expected) <= sdf.cellSize + faceting,
+      `at ${p}: ${sample[3]} vs ${expected} (cell ${sdf.cellSize})`
+    );
+  }
+});
+
+test("bakeSDFInChunks bakes the same field as bakeSDF", async () => {
+  const { positions, indices } = createSphereMesh([0, 0, 0], 0.2, 16, 8);
+  const distance = createMeshDistanceFunction(positions, indices);
+  const bounds = { min: [-0.2, -0.2, -0.2], max: [0.2, 0.2, 0.2] };
+  const options = { resolution: 12, padding: 0.05 };
+
+  const progress = [];
+  const sdf = await bakeSDFInChunks(distance, bounds, { ...options, onProgress: (fraction) => progress.push(fraction) });
+  assert.deepEqual(sdf, bakeSDF(distance, bounds, options));
+  assert.equal(progress[progress.length - 1], 1);
+  assert.ok(progress.every((fraction, i) => i === 0 || fraction >= progress[i - 1]));
+});
+
+test("bakeSDFInChunks stops when aborted", async () => {
+  const controller = new AbortController();
+  // Slow enough to need several chunks
+  const distance = (p) => {
+    const end = performance.now() + 0.05;
+    while (performance.now() < end);
+    return sdSphere(p, [0, 0, 0], 0.2);
+  };
+  const bake = bakeSDFInChunks(distance, { min: [-0.2, -0.2, -0.2], max: [0.2, 0.2, 0.2] }, {
+    resolution: 16,
+    onProgress: () => controller.abort(),
+    signal: controller.signal,
+  });
+  await assert.rejects(bake, { name: "AbortError" });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Checks that snapshots survive the file format and are
+ * checked against the cloth they are loaded into
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  validateSnapshot,
+  serializeSnapshot,
+  parseSnapshot,
+  diffSnapshots,
+} from "../src/simulation/snapshots.js";
+
+/**
+ * Creates the state of a cloth of two vertices, one spring and a single
+ * quad, all values different from each other
+ *
+ * @returns {Object} The state, as readSimulationState and getTopology give it
+ */
+function createState() {
+  return {
+    positions: new Float32Array([0, 1.5, -0.25, 1, 1.5, 0.125]),
+    forces: new Float32Array([0, -9.81, 0, 0.5, -9.81, 0]),
+    springStiffness: new Float32Array([120]),
+    springRestLengths: new Float32Array([1]),
+    vertexBroken: new Uint32Array([0, 1]),
+    pinned: new Uint8Array([1, 0]),
+    vertexSources: new Int32Array([0, -1]),
+    springSources: new Int32Array([-1]),
+    springVertexIds: new Uint32Array([0, 1]),
+    stitchRestLengths: new Float32Array([0.75]),
+    faceVertexIds: new Uint32Array([0, 1, 0, 1]),
+  };
+}
+
+const UNIFORMS = { dampening: 0.99, gravity: [0, -9.81, 0] };
+
+test("a snapshot reads back from its file as it was written", () => {
+  const snapshot = createSnapshot("before", createState(), UNIFORMS);
+  const parsed = parseSnapshot(serializeSnapshot(snapshot));
+
+  assert.equal(parsed.version, SNAPSHOT_VERSION);
+  assert.equal(parsed.name, "before");
+  assert.equal(parsed.createdAt, snapshot.createdAt);
+  assert.deepEqual(parsed.uniforms, UNIFORMS);
+  for (const [name, array] of Object.entries(snapshot.state)) {
+    assert.equal(parsed.state[name].constructor, array.constructor, name);
+    assert.deepEqual(Array.from(parsed.state[name]), Array.from(array), name);
+  }
+  assert.doesNotThrow(() => validateSnapshot(parsed, 2, 1, 4));
+});
+
+test("a snapshot copies the state it is created from", () => {
+  const state = createState();
+  const snapshot = createSnapshot("before", state, UNIFORMS);
+  state.positions[0] = 5;
+
+  assert.equal(snapshot.state.positions[0], 0);
+  assert.deepEqual([snapshot.vertexCount, snapshot.springCount, snapshot.cornerCount], [2, 1, 4]);
+});
+
+test("a snapshot of another cloth is rejected with every mismatch", () => {
+  const snapshot = createSnapshot("before", createState(), UNIFORMS);
+
+  assert.throws(
+    () => validateSnapshot(snapshot, 3, 2, 4),
+    /it has 2 vertices, the current cloth has 3; it has 1 springs, the current cloth has 2/
+  );
+
+  snapshot.state.forces = snapshot.state.forces.subarray(3);
+  assert.throws(() => validateSnapshot(snapshot, 2, 1, 4), /"forces" has 3 values, expected 6/);
+});
+
+test("files that are not snapshots are rejected", () => {
+  const text = serializeSnapshot(createSnapshot("before", createState(), UNIFORMS));
+
+  assert.throws(() => parseSnapshot("{"), /Not a snapshot file/);
+  assert.throws(() => parseSnapshot("{}"), /missing version or state/);
+  assert.throws(
+    () => parseSnapshot(text.replace(`"version":${SNAPSHOT_VERSION}`, '"version":1')),
+    /Unsupported snapshot version 1/
+  );
+
+  const data = JSON.parse(text);
+  delete data.state.springRestLengths;
+  assert.throws(() => parseSnapshot(JSON.stringify(data)), /missing "springRestLengths"/);
+});
+
+test("the diff of two snapshots counts moves, tears, pins and uniform changes", () => {
+  const before = createSnapshot("before", createState(), UNIFORMS);
+  const state = createState();
+  state.positions[4] += 3;
+  state.springStiffness[0] = 0;
+  state.pinned[1] = 1;
+  const after = createSnapshot("after", state, { ...UNIFORMS, dampening: 0.9 });
+
+  const diff = diffSnapshots(before, after);
+  assert.equal(diff.movedVertices, 1);
+  assert.equal(diff.maxDisplacement, 3);
+  assert.equal(diff.meanDisplacement, 1.5);
+  assert.equal(diff.pinned, 1);
+  assert.equal(diff.unpinned, 0);
+  assert.deepEqual(diff.uniforms, [{ name: "dampening", from: 0.99, to: 0.9 }]);
+  // The only spring is an unused stitch slot in the earlier snapshot
+  assert.equal(diff.tornSprings, 0);
+
+  before.state.springSources[0] = 0;
+  assert.equal(diffSnapshots(before, after).tornSprings, 1);
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Checks which torn springs a stitch brush dab mends and which
+ * border vertices it sews together
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STITCH_CONFIG } from "../src/config/constants.js";
+import { SPRING_TYPE } from "../src/verlet/geometry.js";
+import { findMendableSprings, findStitchPairs } from "../src/utils/stitching.js";
+
+const CENTER = [0, 0, 0];
+
+/**
+ * Creates vertices, and adds springs between them as Verlet geometry does
+ *
+ * @param {Array<Array<number>>} points - Vertex positions (xyz each)
+ * @returns {{positions: Float32Array, vertices: Array<Object>, springs: Array<Object>,
+ *   addSpring: Function}} The positions, vertices (all on the top layer,
+ *   each its own source) and springs, and a function adding a spring
+ *   between two vertex IDs (with its type, rest length and extra properties)
+ */
+function createCloth(points) {
+  const positions = new Float32Array(points.flat());
+  const vertices = points.map((_, id) => ({ id, layer: "top", sourceId: id, springIds: [] }));
+  const springs = [];
+  const addSpring = (id0, id1, type, restLength, props = {}) => {
+    const spring = { id: springs.length, vertex0: vertices[id0], vertex1: vertices[id1], type, restLength, ...props };
+    springs.push(spring);
+    vertices[id0].springIds.push({ id: spring.id, type });
+    vertices[id1].springIds.push({ id: spring.id, type });
+    return spring;
+  };
+  return { positions, vertices, springs, addSpring };
+}
+
+test("torn springs near the brush and not stretched too far are mended", () => {
+  const { brushRadius, maxStretch } = STITCH_CONFIG;
+  const { positions, springs, addSpring } = createCloth([
+    [-0.01, 0, 0], [0.01, 0, 0], [0.03, 0, 0],
+    [2 * brushRadius, 0, 0], [2 * brushRadius + 0.02, 0, 0],
+  ]);
+  const near = addSpring(0, 1, SPRING_TYPE.IN_PLANE, 0.02);
+  const intact = addSpring(1, 2, SPRING_TYPE.IN_PLANE, 0.02);
+  const stretched = addSpring(0, 2, SPRING_TYPE.IN_PLANE, 0.04 / (maxStretch + 0.1));
+  addSpring(3, 4, SPRING_TYPE.IN_PLANE, 0.02); // Outside the brush
+  const mendedBending = addSpring(0, 2, SPRING_TYPE.BENDING, 0.04, { neighbors: [near, intact] });
+  addSpring(0, 2, SPRING_TYPE.BENDING, 0.04, { neighbors: [near, stretched] });
+
+  const stiffness = springs.map((spring) => (spring === intact ? 100 : 0));
+  assert.deepEqual(findMendableSprings(positions, stiffness, springs, CENTER), [near.id, mendedBending.id]);
+});
+
+test("close border vertices are sewn, closest first, unless they belong together", () => {
+  const { positions, vertices, springs, addSpring } = createCloth([
+    [0, 0, 0], [0.01, 0, 0], [0, 0, 0.02], [0, 0, 0.005], [0.005, 0, 0],
+    [1, 0, 0],
+  ]);
+  // Every vertex in the brush keeps a torn spring to the far vertex
+  const torn = [0, 1, 2, 3, 4].map((id) => addSpring(id, 5, SPRING_TYPE.IN_PLANE, 1));
+  // 3 is on the other layer, 4 was split from 0
+  vertices[3].layer = "bottom";
+  vertices[4].sourceId = 0;
+  // 1 and 2 are already joined by an intact spring
+  addSpring(1, 2, SPRING_TYPE.IN_PLANE, 0.02);
+
+  const stiffness = springs.map((spring) => (torn.includes(spring) ? 0 : 100));
+  const stitches = findStitchPairs(positions, stiffness, vertices, springs, CENTER);
+
+  assert.deepEqual(
+    stitches.map(({ vertex0, vertex1, template }) => [vertex0.id, vertex1.id, template.id]),
+    [[1, 4, torn[1].id], [0, 1, torn[0].id], [0, 2, torn[0].id], [2, 4, torn[2].id]]
+  );
+  assert.ok(Math.abs(stitches[0].restLength - 0.005) < 1e-6);
+});
+
+test("no vertex gets more stitches than allowed", () => {
+  const { positions, vertices, springs, addSpring } = createCloth([[0, 0, 0], [0.01, 0, 0], [1, 0, 0]]);
+  addSpring(0, 2, SPRING_TYPE.IN_PLANE, 1);
+  addSpring(1, 2, SPRING_TYPE.IN_PLANE, 1);
+  // Earlier stitches from vertex 0 to the far vertex
+  for (let i = 0; i < STITCH_CONFIG.stitchesPerVertex; i++) {
+    addSpring(0, 2, SPRING_TYPE.IN_PLANE, 1, { template: springs[0] });
+  }
+
+  const stiffness = springs.map((spring) => (spring.template ? 100 : 0));
+  assert.deepEqual(findStitchPairs(positions, stiffness, vertices, springs, CENTER), []);
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Checks reading tear events from the GPU ring and writing
+ * them as CSV
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TEAR_EVENT_CONFIG } from "../src/config/constants.js";
+import { TEAR_EVENT_STRIDE } from "../src/verlet/buffers.js";
+import {
+  onTear,
+  readTearEventRing,
+  resetTearEvents,
+  getTearEvents,
+  serializeTearEventsCSV,
+} from "../src/simulation/tearEvents.js";
+
+const { capacity } = TEAR_EVENT_CONFIG;
+
+beforeEach(() => resetTearEvents());
+
+/**
+ * Writes events into a ring as the shaders append them, the spring ID of
+ * each being its position in the stream
+ *
+ * @param {Float32Array} ring - Contents of the ring
+ * @param {number} from - Counter value before the events
+ * @param {number} to - Counter value after them
+ */
+function appendEvents(ring, from, to) {
+  for (let position = from; position < to; position++) {
+    const event = [position, 2 * position, 2 * position + 1, 0.5, 1, -0.5, position / 100, 1.25];
+    ring.set(event, (position % capacity) * TEAR_EVENT_STRIDE);
+  }
+}
+
+/**
+ * Gets the spring IDs of every logged event
+ * @returns {Array<number>} Spring IDs, oldest first
+ */
+function getLoggedSpringIds() {
+  return getTearEvents().map((event) => event.springId);
+}
+
+test("events are read once each, in order, across the end of the ring", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const ring = new Float32Array(capacity * TEAR_EVENT_STRIDE);
+  const seen = [];
+  const removeListener = onTear((event) => seen.push(event.springId));
+
+  appendEvents(ring, 0, capacity - 2);
+  assert.equal(readTearEventRing(capacity - 2, ring), capacity - 2);
+  assert.equal(readTearEventRing(capacity - 2, ring), 0);
+
+  // The next four wrap around to the start of the ring
+  appendEvents(ring, capacity - 2, capacity + 2);
+  assert.equal(readTearEventRing(capacity + 2, ring), 4);
+  removeListener();
+
+  const expected = Array.from({ length: capacity + 2 }, (_, i) => i);
+  assert.deepEqual(getLoggedSpringIds(), expected);
+  assert.deepEqual(seen, expected);
+  assert.deepEqual(getTearEvents().at(-1), {
+    springId: capacity + 1,
+    vertexIds: [2 * capacity + 2, 2 * capacity + 3],
+    position: [0.5, 1, -0.5],
+    time: Math.fround((capacity + 1) / 100),
+    stretch: 1.25,
+  });
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test("events overwritten in a full ring are lost and reported once", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const ring = new Float32Array(capacity * TEAR_EVENT_STRIDE);
+
+  appendEvents(ring, 0, capacity + 10);
+  assert.equal(readTearEventRing(capacity + 10, ring), capacity);
+  // Only the latest capacity events are left in the ring
+  assert.equal(getLoggedSpringIds()[0], 10);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /10 events were lost/);
+
+  appendEvents(ring, capacity + 10, 3 * capacity);
+  assert.equal(readTearEventRing(3 * capacity, ring), capacity);
+  assert.equal(getLoggedSpringIds()[capacity], 2 * capacity);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("the CSV has a header and one row per event", () => {
+  const csv = serializeTearEventsCSV([
+    { springId: 3, vertexIds: [1, 2], position: [0.5, 1, -0.25], time: 0.75, stretch: 1.5 },
+    { springId: 7, vertexIds: [4, 6], position: [0, 0, 0], time: 1, stretch: 2 },
+  ]);
+
+  assert.equal(
+    csv,
+    "spring_id,vertex0_id,vertex1_id,x,y,z,time,stretch_ratio\n" +
+    "3,1,2,0.5,1,-0.25,0.75,1.5\n" +
+    "7,4,6,0,0,0,1,2\n"
+  );
+  assert.equal(serializeTearEventsCSV([]), "spring_id,vertex0_id,vertex1_id,x,y,z,time,stretch_ratio\n");
+});
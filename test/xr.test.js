@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Drives the XR interaction with a mocked XR system, session
+ * and controllers (no headset or browser needed)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three/webgpu";
+import { XR_CONFIG } from "../src/config/constants.js";
+import {
+  XR_TOOLS,
+  getSupportedXRModes,
+  createClothReferenceSpace,
+  setupXR,
+  createXRInteraction,
+} from "../src/scene/xr.js";
+
+/**
+ * Mocked XRRigidTransform: keeps the position it was created with
+ */
+class MockRigidTransform {
+  constructor(position) {
+    this.position = position;
+  }
+}
+
+/**
+ * Mocked reference space: offsetting it records the transform
+ */
+class MockReferenceSpace {
+  constructor(transform = null, base = null) {
+    this.transform = transform;
+    this.base = base;
+  }
+
+  getOffsetReferenceSpace(transform) {
+    return new MockReferenceSpace(transform, this);
+  }
+}
+
+/**
+ * Mocked renderer.xr: dispatches sessionstart/sessionend and hands out the
+ * session's floor-level space until a custom one is set
+ */
+class MockXRManager extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.sessionSpace = new MockReferenceSpace();
+    this.customSpace = null;
+  }
+
+  setReferenceSpaceType(type) {
+    this.referenceSpaceType = type;
+  }
+
+  setReferenceSpace(space) {
+    this.customSpace = space;
+  }
+
+  getReferenceSpace() {
+    return this.customSpace || this.sessionSpace;
+  }
+}
+
+/**
+ * Creates a mock controller space at a position (connect it by
+ * dispatching "connected" once the interaction listens)
+ *
+ * @param {Array<number>} position - Controller position [x, y, z]
+ * @returns {THREE.Object3D} The controller space
+ */
+function createController(position) {
+  const controller = new THREE.Object3D();
+  controller.position.fromArray(position);
+  controller.updateMatrixWorld(true);
+  return controller;
+}
+
+test("getSupportedXRModes asks the XR system for each immersive mode", async () => {
+  const xr = {
+    isSessionSupported: async (mode) => {
+      if (mode === "immersive-ar") throw new Error("not allowed");
+      return mode === "immersive-vr";
+    },
+  };
+  assert.deepEqual(await getSupportedXRModes(xr), { vr: true, ar: false });
+  assert.deepEqual(await getSupportedXRModes(null), { vr: false, ar: false });
+});
+
+test("createClothReferenceSpace offsets the space to the cloth position", () => {
+  const space = createClothReferenceSpace(new MockReferenceSpace(), MockRigidTransform);
+  assert.deepEqual(space.transform.position, XR_CONFIG.clothPosition);
+});
+
+test("a session start places the cloth and calls back, each time", () => {
+  const xr = new MockXRManager();
+  const renderer = { xr };
+  const previousTransform = globalThis.XRRigidTransform;
+  globalThis.XRRigidTransform = MockRigidTransform;
+
+  try {
+    const events = [];
+    const buttons = setupXR(renderer, {
+      modes: { vr: false, ar: false },
+      onSessionStart: () => events.push("start"),
+      onSessionEnd: () => events.push("end"),
+    });
+    assert.equal(xr.enabled, true);
+    assert.equal(xr.referenceSpaceType, "local-floor");
+    assert.deepEqual(buttons, []);
+
+    for (let session = 0; session < 2; session++) {
+      xr.dispatchEvent({ type: "sessionstart" });
+      const space = xr.getReferenceSpace();
+      // Offset from the session's own space, not the previous offset one
+      assert.equal(space.base, xr.sessionSpace);
+      assert.deepEqual(space.transform.position, XR_CONFIG.clothPosition);
+      xr.dispatchEvent({ type: "sessionend" });
+    }
+    assert.deepEqual(events, ["start", "end", "start", "end"]);
+  } finally {
+    globalThis.XRRigidTransform = previousTransform;
+  }
+});
+
+test("controllers collide, switch tools and stitch", () => {
+  const left = createController([0.1, 0.2, 0]);
+  const right = createController([0, 0, 0]);
+  const interaction = createXRInteraction({ controllers: [left, right], readPositions: async () => new Float32Array() });
+  left.dispatchEvent({ type: "connected", data: { handedness: "left" } });
+  interaction.update();
+
+  const [leftCollider, rightCollider] = interaction.getColliders();
+  assert.equal(leftCollider.active, true);
+  assert.deepEqual(leftCollider.position.toArray(), [0.1, 0.2, 0]);
+  assert.equal(leftCollider.height, 0);
+  assert.equal(rightCollider.active, false);
+  assert.equal(interaction.states[0].handedness, "left");
+
+  left.dispatchEvent({ type: "selectstart" });
+  assert.equal(interaction.states[0].tool, XR_TOOLS.CYLINDER);
+  assert.equal(interaction.getColliders()[0].height, XR_CONFIG.cylinderLength);
+
+  left.dispatchEvent({ type: "selectstart" });
+  assert.equal(interaction.states[0].tool, XR_TOOLS.STITCH);
+  assert.equal(interaction.getColliders()[0].active, false);
+  assert.equal(interaction.getStitchBrushes().length, 1);
+
+  left.dispatchEvent({ type: "selectstart" });
+  assert.equal(interaction.states[0].tool, XR_TOOLS.SPHERE);
+
+  left.dispatchEvent({ type: "disconnected" });
+  assert.equal(interaction.getColliders()[0].active, false);
+  interaction.dispose();
+});
+
+test("squeezing grabs the nearest vertex until released", async () => {
+  const controller = createController([0, 0, 0]);
+  const positions = new Float32Array([1, 1, 1, 0.03, 0, 0, 0.01, 0.01, 0]);
+  let readback = null;
+  const interaction = createXRInteraction({
+    controllers: [controller],
+    readPositions: () => {
+      readback = Promise.resolve(positions);
+      return readback;
+    },
+  });
+  controller.dispatchEvent({ type: "connected", data: { handedness: "right" } });
+
+  controller.dispatchEvent({ type: "squeezestart" });
+  // No grab until the positions are read back
+  assert.equal(interaction.getGrab(), null);
+  await readback;
+  await null;
+
+  const grab = interaction.getGrab();
+  assert.equal(grab.vertexIndex, 2);
+  assert.equal(interaction.getColliders()[0].active, false);
+
+  controller.position.set(0.2, 0.1, 0);
+  controller.updateMatrixWorld(true);
+  interaction.update();
+  assert.deepEqual(interaction.getGrab().target.toArray(), [0.2, 0.1, 0]);
+
+  controller.dispatchEvent({ type: "squeezeend" });
+  assert.equal(interaction.getGrab(), null);
+  assert.equal(interaction.getColliders()[0].active, true);
+  interaction.dispose();
+});
+
+test("a grab released while reading back does not start", async () => {
+  const controller = createController([0, 0, 0]);
+  let resolve = null;
+  const interaction = createXRInteraction({
+    controllers: [controller],
+    readPositions: () => new Promise((done) => {
+      resolve = done;
+    }),
+  });
+  controller.dispatchEvent({ type: "connected", data: { handedness: "right" } });
+
+  controller.dispatchEvent({ type: "squeezestart" });
+  controller.dispatchEvent({ type: "squeezeend" });
+  resolve(new Float32Array([0, 0, 0]));
+  await null;
+  await null;
+  assert.equal(interaction.getGrab(), null);
+  interaction.dispose();
+});